@@ -0,0 +1,25 @@
+// Add void and reversal tracking to journal entries
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('journal_entries', table => {
+      // Set on a reversing entry to point back at the entry it reverses
+      table.integer('reversal_of_id').unsigned().references('id').inTable('journal_entries');
+      table.timestamp('voided_at');
+      table.integer('voided_by').unsigned().references('id').inTable('users');
+      table.text('void_reason');
+    })
+
+    // An entry can only ever be reversed once
+    .raw('CREATE UNIQUE INDEX journal_entries_reversal_of_id_idx ON journal_entries(reversal_of_id) WHERE reversal_of_id IS NOT NULL');
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw('DROP INDEX IF EXISTS journal_entries_reversal_of_id_idx')
+    .alterTable('journal_entries', table => {
+      table.dropColumn('void_reason');
+      table.dropColumn('voided_by');
+      table.dropColumn('voided_at');
+      table.dropColumn('reversal_of_id');
+    });
+};
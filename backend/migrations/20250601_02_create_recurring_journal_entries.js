@@ -0,0 +1,68 @@
+// Create migration for recurring journal entry schedules
+exports.up = function(knex) {
+  return knex.schema
+    // Recurring journal entry templates table
+    .createTable('recurring_journal_entries', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.string('name', 255).notNullable();
+      table.text('description');
+      table.string('reference', 100);
+      table.string('frequency', 20).notNullable(); // 'daily', 'weekly', 'monthly', 'quarterly', 'yearly'
+      table.integer('interval').notNullable().defaultTo(1); // Every N frequency units
+      table.string('day_of_month_rule', 20).notNullable().defaultTo('same_day'); // 'same_day', 'fixed_day', 'last_day'
+      table.integer('day_of_month'); // Used with the 'fixed_day' rule
+      table.date('start_date').notNullable();
+      table.date('end_date');
+      table.date('next_run_date'); // Null once the schedule has run past its end date
+      table.date('last_run_date');
+      table.boolean('auto_post').defaultTo(false);
+      table.boolean('is_active').defaultTo(true);
+      table.string('currency_code', 3).references('code').inTable('currencies');
+      table.decimal('exchange_rate', 19, 6).defaultTo(1.0);
+      table.integer('created_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['organization_id', 'name']);
+    })
+
+    // Recurring journal entry template lines table
+    .createTable('recurring_journal_entry_items', table => {
+      table.increments('id').primary();
+      table.integer('recurring_journal_entry_id').unsigned().references('id').inTable('recurring_journal_entries').onDelete('CASCADE');
+      table.integer('account_id').unsigned().references('id').inTable('accounts');
+      table.text('description');
+      table.decimal('debit_amount', 19, 4).defaultTo(0);
+      table.decimal('credit_amount', 19, 4).defaultTo(0);
+      table.text('memo');
+      table.jsonb('dimensions');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.check('debit_amount >= 0 AND credit_amount >= 0');
+      table.check('debit_amount = 0 OR credit_amount = 0');
+    })
+
+    // One row per scheduled occurrence, recording what the runner did with it
+    .createTable('recurring_journal_entry_runs', table => {
+      table.increments('id').primary();
+      table.integer('recurring_journal_entry_id').unsigned().references('id').inTable('recurring_journal_entries').onDelete('CASCADE');
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.date('scheduled_date').notNullable();
+      table.string('status', 20).notNullable(); // 'created', 'posted', 'skipped', 'failed'
+      table.string('reason_code', 50);
+      table.text('message');
+      table.integer('journal_entry_id').unsigned().references('id').inTable('journal_entries');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.unique(['recurring_journal_entry_id', 'scheduled_date']);
+    })
+
+    .raw('CREATE INDEX recurring_journal_entries_due_idx ON recurring_journal_entries(organization_id, next_run_date) WHERE is_active');
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw('DROP INDEX IF EXISTS recurring_journal_entries_due_idx')
+    .dropTableIfExists('recurring_journal_entry_runs')
+    .dropTableIfExists('recurring_journal_entry_items')
+    .dropTableIfExists('recurring_journal_entries');
+};
@@ -0,0 +1,16 @@
+// Add auto-reversal settings to journal entries
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('journal_entries', table => {
+      table.date('auto_reverse_on'); // Date the reversing entry is dated when the entry is posted
+      table.boolean('auto_reverse_post').defaultTo(false); // Post the reversing entry instead of leaving it as a draft
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('journal_entries', table => {
+      table.dropColumn('auto_reverse_post');
+      table.dropColumn('auto_reverse_on');
+    });
+};
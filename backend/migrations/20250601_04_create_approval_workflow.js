@@ -0,0 +1,30 @@
+// Create migration for organization settings and journal entry approval history
+exports.up = function(knex) {
+  return knex.schema
+    // Organization-level settings such as the approval workflow configuration
+    .alterTable('organizations', table => {
+      table.jsonb('settings').notNullable().defaultTo('{}');
+    })
+
+    // Journal entry status history table
+    .createTable('journal_entry_status_history', table => {
+      table.increments('id').primary();
+      table.integer('journal_entry_id').unsigned().references('id').inTable('journal_entries').onDelete('CASCADE');
+      table.string('from_status', 20); // Null when the entry is created
+      table.string('to_status', 20).notNullable(); // 'draft', 'submitted', 'approved', 'posted', 'voided'
+      table.integer('user_id').unsigned().references('id').inTable('users');
+      table.text('comment');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+    })
+
+    .raw('CREATE INDEX journal_entry_status_history_entry_idx ON journal_entry_status_history(journal_entry_id, created_at)');
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw('DROP INDEX IF EXISTS journal_entry_status_history_entry_idx')
+    .dropTableIfExists('journal_entry_status_history')
+    .alterTable('organizations', table => {
+      table.dropColumn('settings');
+    });
+};
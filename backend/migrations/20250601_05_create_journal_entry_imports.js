@@ -0,0 +1,33 @@
+// Create migration for journal entry import batches
+exports.up = function(knex) {
+  return knex.schema
+    // One row per imported file, so its entries can be rolled back together
+    .createTable('journal_entry_import_batches', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.string('file_name', 255);
+      table.string('format', 10).notNullable(); // 'csv', 'xlsx'
+      table.string('status', 20).notNullable().defaultTo('imported'); // 'imported', 'rolled_back'
+      table.integer('entry_count').notNullable().defaultTo(0);
+      table.integer('row_count').notNullable().defaultTo(0);
+      table.integer('created_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('rolled_back_at');
+      table.integer('rolled_back_by').unsigned().references('id').inTable('users');
+      table.text('rollback_reason');
+    })
+
+    .alterTable('journal_entries', table => {
+      table.integer('import_batch_id').unsigned().references('id').inTable('journal_entry_import_batches');
+      table.index('import_batch_id');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('journal_entries', table => {
+      table.dropIndex('import_batch_id');
+      table.dropColumn('import_batch_id');
+    })
+    .dropTableIfExists('journal_entry_import_batches');
+};
@@ -0,0 +1,45 @@
+// Create migration for configurable journal entry numbering sequences
+exports.up = function(knex) {
+  return knex.schema
+    // One numbering series per organization and entry source
+    .createTable('journal_entry_sequences', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.string('source', 50).notNullable(); // 'manual', 'import', 'recurring', 'system'
+      table.string('prefix', 20).notNullable();
+      table.integer('padding').notNullable().defaultTo(4);
+      table.boolean('reset_per_fiscal_year').notNullable().defaultTo(true);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['organization_id', 'source']);
+    })
+
+    // Last number handed out per series, and per fiscal year for series that reset yearly
+    .createTable('journal_entry_sequence_counters', table => {
+      table.increments('id').primary();
+      table.integer('sequence_id').unsigned().references('id').inTable('journal_entry_sequences').onDelete('CASCADE');
+      table.integer('fiscal_year_id').unsigned().references('id').inTable('fiscal_years'); // Null for series that never reset
+      table.integer('last_value').notNullable().defaultTo(0);
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    })
+
+    .alterTable('journal_entries', table => {
+      table.integer('sequence_counter_id').unsigned().references('id').inTable('journal_entry_sequence_counters');
+      table.integer('sequence_number');
+    })
+
+    .raw('CREATE UNIQUE INDEX journal_entry_sequence_counters_year_idx ON journal_entry_sequence_counters(sequence_id, fiscal_year_id) WHERE fiscal_year_id IS NOT NULL')
+    .raw('CREATE UNIQUE INDEX journal_entry_sequence_counters_all_idx ON journal_entry_sequence_counters(sequence_id) WHERE fiscal_year_id IS NULL')
+    .raw('CREATE UNIQUE INDEX journal_entries_sequence_number_idx ON journal_entries(sequence_counter_id, sequence_number) WHERE sequence_counter_id IS NOT NULL');
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw('DROP INDEX IF EXISTS journal_entries_sequence_number_idx')
+    .alterTable('journal_entries', table => {
+      table.dropColumn('sequence_number');
+      table.dropColumn('sequence_counter_id');
+    })
+    .dropTableIfExists('journal_entry_sequence_counters')
+    .dropTableIfExists('journal_entry_sequences');
+};
@@ -0,0 +1,27 @@
+// Create migration for document attachments
+exports.up = function(knex) {
+  return knex.schema
+    // Files attached to journal entries and accounts; the content lives in the storage driver
+    .createTable('attachments', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.string('entity_type', 50).notNullable(); // 'journal_entry', 'account'
+      table.integer('entity_id').notNullable();
+      table.string('file_name', 255).notNullable();
+      table.string('mime_type', 255).notNullable();
+      table.integer('size').notNullable();
+      table.string('checksum', 64).notNullable(); // SHA-256, hex encoded
+      table.string('storage_driver', 20).notNullable(); // 'local', 's3'
+      table.string('storage_key', 500).notNullable();
+      table.integer('uploaded_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+    })
+
+    .raw('CREATE INDEX attachments_entity_idx ON attachments(organization_id, entity_type, entity_id)');
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw('DROP INDEX IF EXISTS attachments_entity_idx')
+    .dropTableIfExists('attachments');
+};
@@ -0,0 +1,48 @@
+// Create migration for memorized journal entry templates
+exports.up = function(knex) {
+  return knex.schema
+    // Journal entry templates table
+    .createTable('journal_entry_templates', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.string('name', 255).notNullable();
+      table.text('description');
+      table.string('reference', 100);
+      table.string('currency_code', 3).references('code').inTable('currencies');
+      table.integer('created_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['organization_id', 'name']);
+    })
+
+    // Template lines: a default amount, or a percentage of the total given when the template is used
+    .createTable('journal_entry_template_items', table => {
+      table.increments('id').primary();
+      table.integer('template_id').unsigned().references('id').inTable('journal_entry_templates').onDelete('CASCADE');
+      table.integer('account_id').unsigned().references('id').inTable('accounts');
+      table.string('side', 6).notNullable(); // 'debit', 'credit'
+      table.decimal('amount', 19, 4);
+      table.decimal('percentage', 9, 4);
+      table.text('description');
+      table.text('memo');
+      table.jsonb('dimensions');
+      table.integer('sort_order').notNullable().defaultTo(0);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.check('amount IS NULL OR amount >= 0');
+      table.check('percentage IS NULL OR (percentage > 0 AND percentage <= 100)');
+    })
+
+    .alterTable('journal_entries', table => {
+      table.integer('template_id').unsigned().references('id').inTable('journal_entry_templates').onDelete('SET NULL');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('journal_entries', table => {
+      table.dropColumn('template_id');
+    })
+    .dropTableIfExists('journal_entry_template_items')
+    .dropTableIfExists('journal_entry_templates');
+};
@@ -0,0 +1,25 @@
+// Create migration for per-line currencies on journal entry items
+exports.up = async function(knex) {
+  await knex.schema.alterTable('journal_entry_items', table => {
+    table.string('currency_code', 3).references('code').inTable('currencies');
+    table.decimal('exchange_rate', 19, 6);
+    table.boolean('is_rounding').notNullable().defaultTo(false); // Base-currency rounding line added on conversion
+  });
+
+  // Existing lines are in the currency of their entry
+  await knex.raw(`
+    UPDATE journal_entry_items
+    SET currency_code = journal_entries.currency_code,
+        exchange_rate = journal_entries.exchange_rate
+    FROM journal_entries
+    WHERE journal_entry_items.journal_entry_id = journal_entries.id
+  `);
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('journal_entry_items', table => {
+    table.dropColumn('currency_code');
+    table.dropColumn('exchange_rate');
+    table.dropColumn('is_rounding');
+  });
+};
@@ -0,0 +1,49 @@
+// Create migration for period-end foreign currency revaluation
+exports.up = async function(knex) {
+  await knex.schema
+    .alterTable('accounts', table => {
+      table.boolean('revalue_foreign_currency').notNullable().defaultTo(false);
+    })
+
+    // One row per posted revaluation run
+    .createTable('fx_revaluations', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.integer('fiscal_period_id').unsigned().references('id').inTable('fiscal_periods');
+      table.date('rate_date').notNullable();
+      table.integer('journal_entry_id').unsigned().references('id').inTable('journal_entries');
+      table.string('base_currency', 3).references('code').inTable('currencies');
+      table.decimal('total_gain', 19, 4).notNullable().defaultTo(0);
+      table.decimal('total_loss', 19, 4).notNullable().defaultTo(0);
+      table.integer('created_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.index(['organization_id', 'fiscal_period_id']);
+    })
+
+    // Balance of each revalued account and currency, before and after the run
+    .createTable('fx_revaluation_lines', table => {
+      table.increments('id').primary();
+      table.integer('fx_revaluation_id').unsigned().references('id').inTable('fx_revaluations').onDelete('CASCADE');
+      table.integer('account_id').unsigned().references('id').inTable('accounts');
+      table.string('currency_code', 3).references('code').inTable('currencies');
+      table.decimal('foreign_balance', 19, 4).notNullable();
+      table.decimal('carried_base_balance', 19, 4).notNullable();
+      table.decimal('exchange_rate', 19, 6).notNullable();
+      table.decimal('revalued_base_balance', 19, 4).notNullable();
+      table.decimal('adjustment', 19, 4).notNullable();
+    });
+
+  // Bank accounts are the usual foreign-currency monetary accounts
+  await knex('accounts')
+    .where('is_bank_account', true)
+    .update({ revalue_foreign_currency: true });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('fx_revaluation_lines')
+    .dropTableIfExists('fx_revaluations')
+    .alterTable('accounts', table => {
+      table.dropColumn('revalue_foreign_currency');
+    });
+};
@@ -0,0 +1,34 @@
+// Create migration for intercompany journal entries
+exports.up = function(knex) {
+  return knex.schema
+    // Due-from/due-to accounts an organization uses for one counterparty organization
+    .createTable('intercompany_relationships', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.integer('counterparty_organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.integer('due_from_account_id').unsigned().notNullable().references('id').inTable('accounts'); // Receivable from the counterparty
+      table.integer('due_to_account_id').unsigned().notNullable().references('id').inTable('accounts'); // Payable to the counterparty
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['organization_id', 'counterparty_organization_id']);
+    })
+
+    // Each side of an intercompany entry points at the other
+    .alterTable('journal_entries', table => {
+      table.integer('counterparty_organization_id').unsigned().references('id').inTable('organizations');
+      table.integer('intercompany_entry_id').unsigned().references('id').inTable('journal_entries');
+      table.string('intercompany_role', 20); // 'originator', 'mirror'
+      table.index(['organization_id', 'counterparty_organization_id']);
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('journal_entries', table => {
+      table.dropIndex(['organization_id', 'counterparty_organization_id']);
+      table.dropColumn('intercompany_role');
+      table.dropColumn('intercompany_entry_id');
+      table.dropColumn('counterparty_organization_id');
+    })
+    .dropTableIfExists('intercompany_relationships');
+};
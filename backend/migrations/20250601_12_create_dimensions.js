@@ -0,0 +1,48 @@
+// Create migration for managed ledger dimensions
+exports.up = function(knex) {
+  return knex.schema
+    // Dimension types such as department, project or location; the code is the key used in line dimensions
+    .createTable('dimension_types', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.string('code', 50).notNullable();
+      table.string('name', 100).notNullable();
+      table.text('description');
+      table.boolean('is_active').notNullable().defaultTo(true);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['organization_id', 'code']);
+    })
+
+    // Allowed values of each dimension type; the code is the value stored in line dimensions
+    .createTable('dimension_values', table => {
+      table.increments('id').primary();
+      table.integer('dimension_type_id').unsigned().references('id').inTable('dimension_types').onDelete('CASCADE');
+      table.string('code', 50).notNullable();
+      table.string('name', 255).notNullable();
+      table.boolean('is_active').notNullable().defaultTo(true);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['dimension_type_id', 'code']);
+    })
+
+    // Accounts whose lines must carry a value of a dimension type
+    .createTable('account_required_dimensions', table => {
+      table.increments('id').primary();
+      table.integer('account_id').unsigned().references('id').inTable('accounts').onDelete('CASCADE');
+      table.integer('dimension_type_id').unsigned().references('id').inTable('dimension_types').onDelete('CASCADE');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.unique(['account_id', 'dimension_type_id']);
+    })
+
+    // Containment index for dimension filters on the ledger
+    .raw('CREATE INDEX general_ledger_dimensions_idx ON general_ledger USING gin (dimensions)');
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw('DROP INDEX IF EXISTS general_ledger_dimensions_idx')
+    .dropTableIfExists('account_required_dimensions')
+    .dropTableIfExists('dimension_values')
+    .dropTableIfExists('dimension_types');
+};
@@ -0,0 +1,37 @@
+// Create migration for budgets
+exports.up = function(knex) {
+  return knex.schema
+    // Budget versions of a fiscal year
+    .createTable('budgets', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.integer('fiscal_year_id').unsigned().references('id').inTable('fiscal_years').onDelete('CASCADE');
+      table.string('name', 100).notNullable();
+      table.text('description');
+      table.string('source', 20).notNullable().defaultTo('manual'); // 'manual', 'import', 'actuals'
+      table.integer('source_fiscal_year_id').unsigned().references('id').inTable('fiscal_years').onDelete('SET NULL'); // Year copied from
+      table.decimal('uplift_percent', 9, 4); // Uplift applied to the copied actuals
+      table.integer('created_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['organization_id', 'fiscal_year_id', 'name']);
+    })
+
+    // Budgeted amount of an account for one period, optionally for one dimension value.
+    // Amounts are in base currency and positive in the account's normal balance direction.
+    .createTable('budget_lines', table => {
+      table.increments('id').primary();
+      table.integer('budget_id').unsigned().references('id').inTable('budgets').onDelete('CASCADE');
+      table.integer('account_id').unsigned().references('id').inTable('accounts');
+      table.integer('fiscal_period_id').unsigned().references('id').inTable('fiscal_periods');
+      table.integer('dimension_value_id').unsigned().references('id').inTable('dimension_values');
+      table.decimal('amount', 19, 4).notNullable();
+      table.index(['budget_id', 'fiscal_period_id']);
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('budget_lines')
+    .dropTableIfExists('budgets');
+};
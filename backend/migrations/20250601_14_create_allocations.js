@@ -0,0 +1,66 @@
+// Create migration for cost allocation rules and runs
+exports.up = function(knex) {
+  return knex.schema
+    // Rules spreading the period balance of a source account over target accounts and dimensions
+    .createTable('allocation_rules', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.string('name', 100).notNullable();
+      table.text('description');
+      table.integer('source_account_id').unsigned().notNullable().references('id').inTable('accounts');
+      table.jsonb('source_dimensions'); // Only allocate ledger rows carrying these dimension values
+      table.integer('credit_account_id').unsigned().references('id').inTable('accounts'); // Takes the credit instead of the source account
+      table.string('method', 20).notNullable(); // 'fixed' percentages, 'driver' quantities
+      table.integer('sequence').notNullable().defaultTo(0); // Order rules are run in for a whole period
+      table.boolean('is_active').notNullable().defaultTo(true);
+      table.integer('created_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.unique(['organization_id', 'name']);
+    })
+
+    // Where an allocation goes, with its fixed percentage or default driver quantity
+    .createTable('allocation_rule_targets', table => {
+      table.increments('id').primary();
+      table.integer('allocation_rule_id').unsigned().references('id').inTable('allocation_rules').onDelete('CASCADE');
+      table.integer('account_id').unsigned().notNullable().references('id').inTable('accounts');
+      table.jsonb('dimensions');
+      table.decimal('percentage', 9, 4);
+      table.decimal('driver_quantity', 19, 4);
+      table.integer('sort_order').notNullable().defaultTo(0);
+    })
+
+    // Statistical driver quantities of a target for one period, overriding its default
+    .createTable('allocation_driver_values', table => {
+      table.increments('id').primary();
+      table.integer('allocation_rule_target_id').unsigned().references('id').inTable('allocation_rule_targets').onDelete('CASCADE');
+      table.integer('fiscal_period_id').unsigned().references('id').inTable('fiscal_periods').onDelete('CASCADE');
+      table.decimal('quantity', 19, 4).notNullable();
+      table.unique(['allocation_rule_target_id', 'fiscal_period_id']);
+    })
+
+    // Each time a rule was run for a period, with the journal entry it posted
+    .createTable('allocation_runs', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.integer('allocation_rule_id').unsigned().references('id').inTable('allocation_rules');
+      table.integer('fiscal_period_id').unsigned().references('id').inTable('fiscal_periods');
+      table.integer('journal_entry_id').unsigned().references('id').inTable('journal_entries');
+      table.decimal('source_amount', 19, 4).notNullable();
+      table.string('status', 20).notNullable().defaultTo('posted'); // 'posted', 'reversed'
+      table.integer('created_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.integer('reversal_entry_id').unsigned().references('id').inTable('journal_entries');
+      table.integer('reversed_by').unsigned().references('id').inTable('users');
+      table.timestamp('reversed_at');
+      table.index(['allocation_rule_id', 'fiscal_period_id']);
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('allocation_runs')
+    .dropTableIfExists('allocation_driver_values')
+    .dropTableIfExists('allocation_rule_targets')
+    .dropTableIfExists('allocation_rules');
+};
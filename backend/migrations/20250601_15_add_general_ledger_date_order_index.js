@@ -0,0 +1,11 @@
+// Create migration for the index running balances are read and re-sequenced in
+exports.up = function(knex) {
+  return knex.schema
+    // Running balances run in transaction date then ID order per account
+    .raw('CREATE INDEX general_ledger_account_date_order_idx ON general_ledger(organization_id, account_id, transaction_date, id)');
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .raw('DROP INDEX IF EXISTS general_ledger_account_date_order_idx');
+};
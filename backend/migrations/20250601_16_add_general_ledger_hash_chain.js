@@ -0,0 +1,103 @@
+// Create migration for the tamper-evident hash chain over general ledger rows
+const { hashLedgerRow } = require('../src/utils/ledgerHash');
+
+exports.up = async function(knex) {
+  await knex.schema
+    .alterTable('general_ledger', table => {
+      table.bigInteger('chain_sequence'); // Position in the organization's chain, from 1
+      table.string('previous_hash', 64); // row_hash of the previous row in the chain (null for the first)
+      table.string('row_hash', 64);
+      table.unique(['organization_id', 'chain_sequence']);
+    })
+
+    // Head of each organization's chain; locked while rows are appended
+    .createTable('ledger_chain_heads', table => {
+      table.integer('organization_id').unsigned().primary().references('id').inTable('organizations').onDelete('CASCADE');
+      table.bigInteger('last_sequence').notNullable().defaultTo(0);
+      table.string('last_hash', 64);
+      table.timestamp('rebuilt_at'); // Set when the ledger was rebuilt and the chain started over
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    });
+
+  // Chain the existing rows in the order they were posted
+  const organizations = await knex('general_ledger').distinct('organization_id').orderBy('organization_id');
+
+  for (const { organization_id: organizationId } of organizations) {
+    const rows = await knex('general_ledger')
+      .where('organization_id', organizationId)
+      .orderBy('id', 'asc')
+      .select('*');
+
+    let previousHash = null;
+    for (const [index, row] of rows.entries()) {
+      const chained = { ...row, chain_sequence: index + 1, previous_hash: previousHash };
+      const rowHash = hashLedgerRow(chained);
+
+      await knex('general_ledger')
+        .where('id', row.id)
+        .update({
+          chain_sequence: chained.chain_sequence,
+          previous_hash: previousHash,
+          row_hash: rowHash
+        });
+
+      previousHash = rowHash;
+    }
+
+    await knex('ledger_chain_heads').insert({
+      organization_id: organizationId,
+      last_sequence: rows.length,
+      last_hash: previousHash
+    });
+  }
+
+  // Posted ledger rows are append-only: only the derived running balances may change.
+  // A ledger rebuild lifts the protection for its own transaction with SET LOCAL app.ledger_rebuild = 'on'.
+  await knex.raw(`
+    CREATE FUNCTION general_ledger_protect() RETURNS trigger AS $$
+    BEGIN
+      IF current_setting('app.ledger_rebuild', true) = 'on' THEN
+        IF TG_OP = 'UPDATE' THEN
+          RETURN NEW;
+        END IF;
+        RETURN OLD;
+      END IF;
+
+      IF TG_OP = 'UPDATE' AND
+         (to_jsonb(NEW) - 'balance' - 'base_balance') = (to_jsonb(OLD) - 'balance' - 'base_balance') THEN
+        RETURN NEW;
+      END IF;
+
+      RAISE EXCEPTION 'Posted general ledger rows cannot be changed (%)', TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER general_ledger_protect_rows
+    BEFORE UPDATE OR DELETE ON general_ledger
+    FOR EACH ROW EXECUTE FUNCTION general_ledger_protect()
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER general_ledger_protect_truncate
+    BEFORE TRUNCATE ON general_ledger
+    FOR EACH STATEMENT EXECUTE FUNCTION general_ledger_protect()
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS general_ledger_protect_truncate ON general_ledger');
+  await knex.raw('DROP TRIGGER IF EXISTS general_ledger_protect_rows ON general_ledger');
+  await knex.raw('DROP FUNCTION IF EXISTS general_ledger_protect()');
+
+  await knex.schema
+    .dropTableIfExists('ledger_chain_heads')
+    .alterTable('general_ledger', table => {
+      table.dropUnique(['organization_id', 'chain_sequence']);
+      table.dropColumn('row_hash');
+      table.dropColumn('previous_hash');
+      table.dropColumn('chain_sequence');
+    });
+};
@@ -0,0 +1,41 @@
+// Create migration for generated fiscal years: period scheme, period numbers and adjustment periods
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('fiscal_years', table => {
+      table.string('period_type', 20); // 'monthly', 'quarterly', '4-4-5', '52-53-week', 'custom'
+    })
+
+    .alterTable('fiscal_periods', table => {
+      table.integer('period_number');
+      // Adjustment periods hold year-end adjustments; they are dated on the last day of the year,
+      // alongside the year's last regular period
+      table.boolean('is_adjustment').notNullable().defaultTo(false);
+    })
+
+    // Number existing periods in date order within their year
+    .raw(`
+      UPDATE fiscal_periods
+      SET period_number = numbered.period_number
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY fiscal_year_id ORDER BY start_date, id) AS period_number
+        FROM fiscal_periods
+      ) numbered
+      WHERE fiscal_periods.id = numbered.id
+    `)
+
+    .alterTable('fiscal_periods', table => {
+      table.unique(['fiscal_year_id', 'period_number']);
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('fiscal_periods', table => {
+      table.dropUnique(['fiscal_year_id', 'period_number']);
+      table.dropColumn('period_number');
+      table.dropColumn('is_adjustment');
+    })
+    .alterTable('fiscal_years', table => {
+      table.dropColumn('period_type');
+    });
+};
@@ -0,0 +1,32 @@
+// Create migration for closing fiscal periods and the bank reconciliations checked before a close
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('fiscal_periods', table => {
+      table.timestamp('closed_at');
+      table.integer('closed_by').unsigned().references('id').inTable('users');
+    })
+
+    // Bank statement balances agreed to the ledger; a period closes once its bank accounts are reconciled to its end
+    .createTable('bank_reconciliations', table => {
+      table.increments('id').primary();
+      table.integer('organization_id').unsigned().references('id').inTable('organizations').onDelete('CASCADE');
+      table.integer('account_id').unsigned().references('id').inTable('accounts').onDelete('CASCADE');
+      table.date('statement_date').notNullable();
+      table.string('currency_code', 3).references('code').inTable('currencies'); // Null for the base currency balance
+      table.decimal('statement_balance', 19, 4).notNullable();
+      table.decimal('ledger_balance', 19, 4).notNullable(); // Ledger balance at the statement date when recorded
+      table.text('notes');
+      table.integer('reconciled_by').unsigned().references('id').inTable('users');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.index(['organization_id', 'account_id', 'statement_date']);
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('bank_reconciliations')
+    .alterTable('fiscal_periods', table => {
+      table.dropColumn('closed_by');
+      table.dropColumn('closed_at');
+    });
+};
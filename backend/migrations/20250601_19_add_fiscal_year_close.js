@@ -0,0 +1,24 @@
+// Create migration for the year-end close of fiscal years
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('fiscal_years', table => {
+      table.timestamp('closed_at');
+      table.integer('closed_by').unsigned().references('id').inTable('users');
+      // Entry moving revenue and expense balances into retained earnings; null when there was nothing to close
+      table.integer('closing_entry_id').unsigned().references('id').inTable('journal_entries');
+      table.integer('retained_earnings_account_id').unsigned().references('id').inTable('accounts');
+      // Periods that were still open and closed along with the year; undoing the close reopens them
+      table.jsonb('year_end_closed_period_ids');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('fiscal_years', table => {
+      table.dropColumn('year_end_closed_period_ids');
+      table.dropColumn('retained_earnings_account_id');
+      table.dropColumn('closing_entry_id');
+      table.dropColumn('closed_by');
+      table.dropColumn('closed_at');
+    });
+};
@@ -0,0 +1,19 @@
+// Create migration for keeping period account balances in base currency
+exports.up = function(knex) {
+  // Lines in several currencies were added up into one row; repeat the base amounts instead
+  return knex.raw(`
+    UPDATE account_balances
+    SET opening_balance = account_balances.base_opening_balance,
+        debit_amount = account_balances.base_debit_amount,
+        credit_amount = account_balances.base_credit_amount,
+        closing_balance = account_balances.base_closing_balance,
+        currency_code = organizations.base_currency
+    FROM organizations
+    WHERE account_balances.organization_id = organizations.id
+  `);
+};
+
+// Nothing to restore: the totals across currencies carried no meaning
+exports.down = function() {
+  return Promise.resolve();
+};
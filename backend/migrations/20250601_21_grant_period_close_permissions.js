@@ -0,0 +1,12 @@
+// Create migration for granting the period close and bank reconciliation permissions to existing Accountant roles
+const { grantSystemRolePermissions, revokeSystemRolePermissions } = require('../src/utils/rolePermissions');
+
+const PERMISSIONS = ['bank_reconciliations:edit', 'fiscal_periods:close'];
+
+exports.up = function(knex) {
+  return grantSystemRolePermissions(knex, ['Accountant'], PERMISSIONS);
+};
+
+exports.down = function(knex) {
+  return revokeSystemRolePermissions(knex, ['Accountant'], PERMISSIONS);
+};
@@ -0,0 +1,12 @@
+// Create migration for granting the journal entry void permission to existing Accountant roles
+const { grantSystemRolePermissions, revokeSystemRolePermissions } = require('../src/utils/rolePermissions');
+
+const PERMISSIONS = ['journal_entries:void'];
+
+exports.up = function(knex) {
+  return grantSystemRolePermissions(knex, ['Accountant'], PERMISSIONS);
+};
+
+exports.down = function(knex) {
+  return revokeSystemRolePermissions(knex, ['Accountant'], PERMISSIONS);
+};
@@ -0,0 +1,13 @@
+// Create migration for granting the draft journal entry edit and delete permissions to existing Accountant and Bookkeeper roles
+const { grantSystemRolePermissions, revokeSystemRolePermissions } = require('../src/utils/rolePermissions');
+
+const ROLES = ['Accountant', 'Bookkeeper'];
+const PERMISSIONS = ['journal_entries:edit', 'journal_entries:delete'];
+
+exports.up = function(knex) {
+  return grantSystemRolePermissions(knex, ROLES, PERMISSIONS);
+};
+
+exports.down = function(knex) {
+  return revokeSystemRolePermissions(knex, ROLES, PERMISSIONS);
+};
@@ -0,0 +1,12 @@
+// Create migration for granting the budget permissions to existing Accountant and Viewer roles
+const { grantSystemRolePermissions, revokeSystemRolePermissions } = require('../src/utils/rolePermissions');
+
+exports.up = async function(knex) {
+  await grantSystemRolePermissions(knex, ['Accountant'], ['budgets:view', 'budgets:edit']);
+  await grantSystemRolePermissions(knex, ['Viewer'], ['budgets:view']);
+};
+
+exports.down = async function(knex) {
+  await revokeSystemRolePermissions(knex, ['Accountant'], ['budgets:view', 'budgets:edit']);
+  await revokeSystemRolePermissions(knex, ['Viewer'], ['budgets:view']);
+};
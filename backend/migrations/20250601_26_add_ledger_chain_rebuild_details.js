@@ -0,0 +1,21 @@
+// Create migration for recording the chain a ledger rebuild replaced
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('ledger_chain_heads', table => {
+      table.integer('rebuilt_by').unsigned().references('id').inTable('users'); // Null when rebuilt from the command line
+      // Head of the chain and number of ledger rows just before the last rebuild replaced them
+      table.bigInteger('replaced_last_sequence');
+      table.string('replaced_last_hash', 64);
+      table.integer('replaced_row_count');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('ledger_chain_heads', table => {
+      table.dropColumn('replaced_row_count');
+      table.dropColumn('replaced_last_hash');
+      table.dropColumn('replaced_last_sequence');
+      table.dropColumn('rebuilt_by');
+    });
+};
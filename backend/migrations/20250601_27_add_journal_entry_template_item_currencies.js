@@ -0,0 +1,16 @@
+// Create migration for per-line currencies on journal entry template items
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('journal_entry_template_items', table => {
+      table.string('currency_code', 3).references('code').inTable('currencies'); // Null for lines in the entry currency
+      table.decimal('exchange_rate', 19, 6); // Null to look up the rate when the template is used
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('journal_entry_template_items', table => {
+      table.dropColumn('exchange_rate');
+      table.dropColumn('currency_code');
+    });
+};
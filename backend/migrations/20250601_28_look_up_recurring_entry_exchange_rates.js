@@ -0,0 +1,21 @@
+// Create migration for looking up the exchange rate of recurring entries on each run date
+exports.up = async function(knex) {
+  await knex.schema.alterTable('recurring_journal_entries', table => {
+    table.decimal('exchange_rate', 19, 6).nullable().defaultTo(null).alter(); // Null to look the rate up for each run date
+  });
+
+  // Every schedule got a rate of 1.0 when none was given; look those up from now on
+  await knex('recurring_journal_entries')
+    .where('exchange_rate', 1)
+    .update({ exchange_rate: null });
+};
+
+exports.down = async function(knex) {
+  await knex('recurring_journal_entries')
+    .whereNull('exchange_rate')
+    .update({ exchange_rate: 1.0 });
+
+  await knex.schema.alterTable('recurring_journal_entries', table => {
+    table.decimal('exchange_rate', 19, 6).defaultTo(1.0).alter();
+  });
+};
@@ -0,0 +1,133 @@
+// Create migration for restricting the ledger protection bypass to ledger rebuilds
+exports.up = async function(knex) {
+  // Rebuilds in progress, one row per organization and transaction; only begin_ledger_rebuild() writes here
+  await knex.schema.createTable('ledger_rebuilds', table => {
+    table.increments('id').primary();
+    table.integer('organization_id').unsigned().notNullable().references('id').inTable('organizations').onDelete('CASCADE');
+    table.bigInteger('transaction_id').notNullable(); // txid_current() of the rebuilding transaction
+    table.string('started_by').notNullable(); // Database role that started the rebuild
+    table.timestamp('started_at').defaultTo(knex.fn.now());
+    table.unique(['organization_id', 'transaction_id']);
+  });
+
+  // Lift the protection of an organization's ledger rows and chain head for the calling transaction.
+  // Runs as the owner so the table stays closed to everyone else; EXECUTE is not granted to PUBLIC,
+  // so only the owner and roles granted it explicitly can rebuild.
+  await knex.raw(`
+    CREATE FUNCTION begin_ledger_rebuild(p_organization_id integer) RETURNS void AS $$
+      INSERT INTO ledger_rebuilds (organization_id, transaction_id, started_by)
+      VALUES (p_organization_id, txid_current(), session_user)
+      ON CONFLICT (organization_id, transaction_id) DO NOTHING
+    $$ LANGUAGE sql SECURITY DEFINER SET search_path = public
+  `);
+  await knex.raw('REVOKE ALL ON FUNCTION begin_ledger_rebuild(integer) FROM PUBLIC');
+  await knex.raw('REVOKE ALL ON ledger_rebuilds FROM PUBLIC');
+
+  await knex.raw(`
+    CREATE FUNCTION ledger_rebuild_in_progress(p_organization_id integer) RETURNS boolean AS $$
+      SELECT EXISTS (
+        SELECT 1 FROM ledger_rebuilds
+        WHERE organization_id = p_organization_id AND transaction_id = txid_current()
+      )
+    $$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+  `);
+
+  // Posted ledger rows are append-only: only the derived running balances may change, outside a rebuild
+  // of their organization. The app.ledger_rebuild setting no longer lifts the protection, and neither
+  // the ledger nor the chain heads of every organization can be truncated at once.
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION general_ledger_protect() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'TRUNCATE' THEN
+        RAISE EXCEPTION 'The % table cannot be truncated', TG_TABLE_NAME
+          USING ERRCODE = 'insufficient_privilege';
+      END IF;
+
+      IF ledger_rebuild_in_progress(OLD.organization_id) THEN
+        IF TG_OP = 'UPDATE' THEN
+          RETURN NEW;
+        END IF;
+        RETURN OLD;
+      END IF;
+
+      IF TG_OP = 'UPDATE' AND
+         (to_jsonb(NEW) - 'balance' - 'base_balance') = (to_jsonb(OLD) - 'balance' - 'base_balance') THEN
+        RETURN NEW;
+      END IF;
+
+      RAISE EXCEPTION 'Posted general ledger rows cannot be changed (%)', TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  // Outside a rebuild a chain head only moves forward: rewinding it would hide rows removed from the
+  // end of the chain, and the details of the last rebuild stay as the rebuild left them.
+  await knex.raw(`
+    CREATE FUNCTION ledger_chain_heads_protect() RETURNS trigger AS $$
+    BEGIN
+      IF ledger_rebuild_in_progress(OLD.organization_id) THEN
+        IF TG_OP = 'UPDATE' THEN
+          RETURN NEW;
+        END IF;
+        RETURN OLD;
+      END IF;
+
+      IF TG_OP = 'UPDATE' AND
+         NEW.organization_id = OLD.organization_id AND
+         (NEW.last_sequence > OLD.last_sequence OR
+          (NEW.last_sequence = OLD.last_sequence AND NEW.last_hash IS NOT DISTINCT FROM OLD.last_hash)) AND
+         (to_jsonb(NEW) - 'last_sequence' - 'last_hash' - 'updated_at') =
+         (to_jsonb(OLD) - 'last_sequence' - 'last_hash' - 'updated_at') THEN
+        RETURN NEW;
+      END IF;
+
+      RAISE EXCEPTION 'Ledger chain heads can only be moved forward (%)', TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER ledger_chain_heads_protect_rows
+    BEFORE UPDATE OR DELETE ON ledger_chain_heads
+    FOR EACH ROW EXECUTE FUNCTION ledger_chain_heads_protect()
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER ledger_chain_heads_protect_truncate
+    BEFORE TRUNCATE ON ledger_chain_heads
+    FOR EACH STATEMENT EXECUTE FUNCTION general_ledger_protect()
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS ledger_chain_heads_protect_truncate ON ledger_chain_heads');
+  await knex.raw('DROP TRIGGER IF EXISTS ledger_chain_heads_protect_rows ON ledger_chain_heads');
+  await knex.raw('DROP FUNCTION IF EXISTS ledger_chain_heads_protect()');
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION general_ledger_protect() RETURNS trigger AS $$
+    BEGIN
+      IF current_setting('app.ledger_rebuild', true) = 'on' THEN
+        IF TG_OP = 'UPDATE' THEN
+          RETURN NEW;
+        END IF;
+        RETURN OLD;
+      END IF;
+
+      IF TG_OP = 'UPDATE' AND
+         (to_jsonb(NEW) - 'balance' - 'base_balance') = (to_jsonb(OLD) - 'balance' - 'base_balance') THEN
+        RETURN NEW;
+      END IF;
+
+      RAISE EXCEPTION 'Posted general ledger rows cannot be changed (%)', TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw('DROP FUNCTION IF EXISTS ledger_rebuild_in_progress(integer)');
+  await knex.raw('DROP FUNCTION IF EXISTS begin_ledger_rebuild(integer)');
+  await knex.schema.dropTableIfExists('ledger_rebuilds');
+};
@@ -0,0 +1,33 @@
+// Create migration for classifying account types by financial statement category
+exports.up = async function(knex) {
+  await knex.schema.alterTable('account_types', table => {
+    table.string('category', 20); // 'asset', 'liability', 'equity', 'revenue' or 'expense'
+  });
+
+  await knex.raw(`
+    ALTER TABLE account_types
+    ADD CONSTRAINT account_types_category_check
+    CHECK (category IN ('asset', 'liability', 'equity', 'revenue', 'expense'))
+  `);
+
+  // Existing types were only told apart by name; expense names win over income ones ('Income Tax Expense').
+  // Types whose names match none of these stay unclassified until their category is set.
+  await knex.raw(`
+    UPDATE account_types
+    SET category = CASE
+      WHEN name ILIKE '%expense%' OR name ILIKE '%cost%' THEN 'expense'
+      WHEN name ILIKE '%revenue%' OR name ILIKE '%income%' OR name ILIKE '%sales%' THEN 'revenue'
+      WHEN name ILIKE '%asset%' THEN 'asset'
+      WHEN name ILIKE '%liabilit%' THEN 'liability'
+      WHEN name ILIKE '%equity%' OR name ILIKE '%capital%' THEN 'equity'
+    END
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE account_types DROP CONSTRAINT IF EXISTS account_types_category_check');
+
+  await knex.schema.alterTable('account_types', table => {
+    table.dropColumn('category');
+  });
+};
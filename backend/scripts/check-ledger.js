@@ -0,0 +1,61 @@
+// Check the ledger of one or every organization against its posted journal entries, optionally rebuilding it
+// Usage: node scripts/check-ledger.js [organizationId] [--repair]
+require('dotenv').config();
+const db = require('../src/db');
+const { checkLedgerIntegrity, rebuildLedger } = require('../src/services/ledgerIntegrityService');
+
+// Rebuilds from the command line are run by an operator with database access; the activity log records them without a user
+const COMMAND_LINE_ACTOR = { userId: null, ipAddress: null, userAgent: 'scripts/check-ledger.js' };
+
+const printReport = (report) => {
+  console.log(`Organization ${report.organizationId}: ${report.entries} posted entries, ${report.ledgerRows} ledger rows, ${report.discrepancyCount} discrepancies`);
+  Object.entries(report.byType).forEach(([type, count]) => {
+    console.log(`  ${type}: ${count}`);
+  });
+  report.discrepancies.forEach(discrepancy => {
+    const { type, ...details } = discrepancy;
+    console.log(`  ${type} ${JSON.stringify(details)}`);
+  });
+  if (report.truncated) {
+    console.log(`  ... ${report.discrepancyCount - report.discrepancies.length} more`);
+  }
+};
+
+async function run() {
+  try {
+    const args = process.argv.slice(2);
+    const repair = args.includes('--repair');
+    const organizationArg = args.find(arg => !arg.startsWith('--'));
+
+    const organizationIds = organizationArg
+      ? [parseInt(organizationArg)]
+      : (await db('organizations').orderBy('id', 'asc').select('id')).map(org => org.id);
+
+    let inconsistent = 0;
+
+    for (const organizationId of organizationIds) {
+      if (repair) {
+        const result = await rebuildLedger(organizationId, COMMAND_LINE_ACTOR);
+        printReport(result.before);
+        console.log(`Rebuilt organization ${organizationId}: ${result.ledgerRows} ledger rows, ${result.accountBalances} account balances`);
+        if (!result.after.consistent) {
+          printReport(result.after);
+          inconsistent++;
+        }
+      } else {
+        const report = await checkLedgerIntegrity(organizationId);
+        printReport(report);
+        if (!report.consistent) inconsistent++;
+      }
+    }
+
+    await db.destroy();
+    process.exit(inconsistent > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Ledger check failed:', error);
+    await db.destroy();
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,33 @@
+// Materialise due recurring journal entries for every organization
+// Intended to be run daily from cron: node scripts/run-recurring-entries.js [YYYY-MM-DD]
+require('dotenv').config();
+const db = require('../src/db');
+const { runDueSchedules } = require('../src/services/recurringEntryService');
+
+async function run() {
+  try {
+    const report = await runDueSchedules({ asOfDate: process.argv[2] });
+
+    console.log(`Recurring journal entries processed as of ${report.asOfDate}:`, report.totals);
+    report.skipped.forEach(run => {
+      console.log(`Skipped ${run.name} on ${run.scheduledDate}: ${run.message}`);
+    });
+    report.notPosted.forEach(run => {
+      console.log(`Not posted ${run.name} on ${run.scheduledDate} (${run.entryNo}): ${run.message}`);
+    });
+    report.runs
+      .filter(run => run.status === 'failed')
+      .forEach(run => {
+        console.error(`Failed ${run.name}${run.scheduledDate ? ` on ${run.scheduledDate}` : ''}: ${run.message}`);
+      });
+
+    await db.destroy();
+    process.exit(report.totals.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Recurring journal entry run failed:', error);
+    await db.destroy();
+    process.exit(1);
+  }
+}
+
+run();
@@ -15,6 +15,22 @@ const path = require('path');
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const organizationRoutes = require('./routes/organization.routes');
+const journalEntryRoutes = require('./routes/journalEntry.routes');
+const recurringEntryRoutes = require('./routes/recurringEntry.routes');
+const journalEntryImportRoutes = require('./routes/journalEntryImport.routes');
+const entrySequenceRoutes = require('./routes/entrySequence.routes');
+const attachmentRoutes = require('./routes/attachment.routes');
+const journalEntryTemplateRoutes = require('./routes/journalEntryTemplate.routes');
+const fxRevaluationRoutes = require('./routes/fxRevaluation.routes');
+const intercompanyRoutes = require('./routes/intercompany.routes');
+const generalLedgerRoutes = require('./routes/generalLedger.routes');
+const dimensionRoutes = require('./routes/dimension.routes');
+const budgetRoutes = require('./routes/budget.routes');
+const allocationRoutes = require('./routes/allocation.routes');
+const ledgerIntegrityRoutes = require('./routes/ledgerIntegrity.routes');
+const fiscalYearRoutes = require('./routes/fiscalYear.routes');
+const fiscalPeriodRoutes = require('./routes/fiscalPeriod.routes');
+const bankReconciliationRoutes = require('./routes/bankReconciliation.routes');
 
 // Create Express app
 const app = express();
@@ -104,6 +120,22 @@ app.use(morgan('dev')); // HTTP request logging
 
 // API routes - Only mount the essential routes for now
 app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/organizations/:orgId/journal-entries', journalEntryRoutes);
+app.use('/api/v1/organizations/:orgId/recurring-entries', recurringEntryRoutes);
+app.use('/api/v1/organizations/:orgId/journal-entry-imports', journalEntryImportRoutes);
+app.use('/api/v1/organizations/:orgId/entry-sequences', entrySequenceRoutes);
+app.use('/api/v1/organizations/:orgId/attachments', attachmentRoutes);
+app.use('/api/v1/organizations/:orgId/journal-entry-templates', journalEntryTemplateRoutes);
+app.use('/api/v1/organizations/:orgId/fx-revaluations', fxRevaluationRoutes);
+app.use('/api/v1/organizations/:orgId/intercompany', intercompanyRoutes);
+app.use('/api/v1/organizations/:orgId/general-ledger', generalLedgerRoutes);
+app.use('/api/v1/organizations/:orgId/dimensions', dimensionRoutes);
+app.use('/api/v1/organizations/:orgId/budgets', budgetRoutes);
+app.use('/api/v1/organizations/:orgId/allocation-rules', allocationRoutes);
+app.use('/api/v1/organizations/:orgId/ledger-integrity', ledgerIntegrityRoutes);
+app.use('/api/v1/organizations/:orgId/fiscal-years', fiscalYearRoutes);
+app.use('/api/v1/organizations/:orgId/fiscal-periods', fiscalPeriodRoutes);
+app.use('/api/v1/organizations/:orgId/bank-reconciliations', bankReconciliationRoutes);
 app.use('/api/v1/organizations', organizationRoutes);
 
 // Serve static files from the React app
@@ -127,6 +159,18 @@ app.get('*', (req, res) => {
 app.use((err, req, res, next) => {
   console.error('Error:', err);
   
+  // Handle business-rule errors raised by services
+  if (err.name === 'ApiError') {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: {
+        code: err.code,
+        message: err.message,
+        details: err.details
+      }
+    });
+  }
+  
   // Handle database connection errors
   if (
     err.code === 'ECONNREFUSED' || 
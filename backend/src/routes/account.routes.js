@@ -18,7 +18,8 @@ const createAccountSchema = Joi.object({
   parentAccountId: Joi.number().integer().allow(null),
   isActive: Joi.boolean().default(true),
   isBankAccount: Joi.boolean().default(false),
-  bankAccountDetails: Joi.object().allow(null)
+  bankAccountDetails: Joi.object().allow(null),
+  revalueForeignCurrency: Joi.boolean() // Defaults to isBankAccount
 });
 
 const updateAccountSchema = Joi.object({
@@ -30,7 +31,8 @@ const updateAccountSchema = Joi.object({
   parentAccountId: Joi.number().integer().allow(null),
   isActive: Joi.boolean(),
   isBankAccount: Joi.boolean(),
-  bankAccountDetails: Joi.object().allow(null)
+  bankAccountDetails: Joi.object().allow(null),
+  revalueForeignCurrency: Joi.boolean()
 });
 
 // Validation middleware
@@ -69,6 +71,7 @@ router.get('/', async (req, res, next) => {
         'accounts.parent_account_id as parentAccountId',
         'accounts.is_active as isActive',
         'accounts.is_bank_account as isBankAccount',
+        'accounts.revalue_foreign_currency as revalueForeignCurrency',
         'accounts.bank_account_details as bankAccountDetails',
         'account_types.id as accountTypeId',
         'account_types.name as accountTypeName',
@@ -102,7 +105,7 @@ router.post('/', validate(createAccountSchema), async (req, res, next) => {
     const orgId = req.params.orgId;
     const { 
       code, name, description, accountTypeId, accountCategoryId, 
-      parentAccountId, isActive, isBankAccount, bankAccountDetails 
+      parentAccountId, isActive, isBankAccount, bankAccountDetails, revalueForeignCurrency 
     } = req.body;
     
     // Check if account with same code already exists in this organization
@@ -188,6 +191,8 @@ router.post('/', validate(createAccountSchema), async (req, res, next) => {
       is_active: isActive,
       is_bank_account: isBankAccount,
       bank_account_details: bankAccountDetails ? JSON.stringify(bankAccountDetails) : null,
+      // Foreign-currency balances of bank accounts are revalued at period end unless told otherwise
+      revalue_foreign_currency: revalueForeignCurrency !== undefined ? revalueForeignCurrency : isBankAccount,
       created_at: new Date(),
       updated_at: new Date()
     }).returning('id');
@@ -205,6 +210,7 @@ router.post('/', validate(createAccountSchema), async (req, res, next) => {
         'accounts.parent_account_id as parentAccountId',
         'accounts.is_active as isActive',
         'accounts.is_bank_account as isBankAccount',
+        'accounts.revalue_foreign_currency as revalueForeignCurrency',
         'accounts.bank_account_details as bankAccountDetails',
         'account_types.id as accountTypeId',
         'account_types.name as accountTypeName',
@@ -252,6 +258,7 @@ router.get('/:id', async (req, res, next) => {
         'accounts.parent_account_id as parentAccountId',
         'accounts.is_active as isActive',
         'accounts.is_bank_account as isBankAccount',
+        'accounts.revalue_foreign_currency as revalueForeignCurrency',
         'accounts.bank_account_details as bankAccountDetails',
         'account_types.id as accountTypeId',
         'account_types.name as accountTypeName',
@@ -313,7 +320,7 @@ router.put('/:id', validate(updateAccountSchema), async (req, res, next) => {
     
     const { 
       code, name, description, accountTypeId, accountCategoryId, 
-      parentAccountId, isActive, isBankAccount, bankAccountDetails 
+      parentAccountId, isActive, isBankAccount, bankAccountDetails, revalueForeignCurrency 
     } = req.body;
     
     // If code is being changed, check if new code is already in use
@@ -417,6 +424,7 @@ router.put('/:id', validate(updateAccountSchema), async (req, res, next) => {
     if (parentAccountId !== undefined) updateData.parent_account_id = parentAccountId;
     if (isActive !== undefined) updateData.is_active = isActive;
     if (isBankAccount !== undefined) updateData.is_bank_account = isBankAccount;
+    if (revalueForeignCurrency !== undefined) updateData.revalue_foreign_currency = revalueForeignCurrency;
     if (bankAccountDetails !== undefined) {
       updateData.bank_account_details = bankAccountDetails ? JSON.stringify(bankAccountDetails) : null;
     }
@@ -441,6 +449,7 @@ router.put('/:id', validate(updateAccountSchema), async (req, res, next) => {
         'accounts.parent_account_id as parentAccountId',
         'accounts.is_active as isActive',
         'accounts.is_bank_account as isBankAccount',
+        'accounts.revalue_foreign_currency as revalueForeignCurrency',
         'accounts.bank_account_details as bankAccountDetails',
         'account_types.id as accountTypeId',
         'account_types.name as accountTypeName',
@@ -470,7 +479,7 @@ router.put('/:id', validate(updateAccountSchema), async (req, res, next) => {
 router.get('/types', async (req, res, next) => {
   try {
     const accountTypes = await db('account_types')
-      .select('id', 'name', 'normal_balance as normalBalance', 'description');
+      .select('id', 'name', 'normal_balance as normalBalance', 'category', 'description');
     
     res.json({
       success: true,
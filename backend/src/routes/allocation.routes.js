@@ -0,0 +1,605 @@
+// Cost allocation rule and run routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const {
+  ALLOCATION_METHODS,
+  getAllocationRule,
+  validateAllocationRule,
+  runAllocation,
+  runAllocations,
+  reverseAllocationRun
+} = require('../services/allocationService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const allocationTargetSchema = Joi.object({
+  accountId: Joi.number().integer().required(),
+  dimensions: Joi.object().allow(null),
+  percentage: Joi.number().greater(0).max(100), // Fixed allocations
+  driverQuantity: Joi.number().min(0) // Driver allocations, unless the period has its own quantity
+});
+
+const createAllocationRuleSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  description: Joi.string().allow('', null),
+  sourceAccountId: Joi.number().integer().required(),
+  sourceDimensions: Joi.object().allow(null),
+  creditAccountId: Joi.number().integer().allow(null),
+  method: Joi.string().valid(...ALLOCATION_METHODS).required(),
+  sequence: Joi.number().integer(),
+  isActive: Joi.boolean(),
+  targets: Joi.array().items(allocationTargetSchema).min(1).required()
+});
+
+const updateAllocationRuleSchema = Joi.object({
+  name: Joi.string().max(100),
+  description: Joi.string().allow('', null),
+  sourceAccountId: Joi.number().integer(),
+  sourceDimensions: Joi.object().allow(null),
+  creditAccountId: Joi.number().integer().allow(null),
+  method: Joi.string().valid(...ALLOCATION_METHODS),
+  sequence: Joi.number().integer(),
+  isActive: Joi.boolean(),
+  targets: Joi.array().items(allocationTargetSchema).min(1) // Replaces the targets and their driver quantities
+});
+
+const driverValuesSchema = Joi.object({
+  fiscalPeriodId: Joi.number().integer().required(),
+  values: Joi.array().items(Joi.object({
+    targetId: Joi.number().integer().required(),
+    quantity: Joi.number().min(0).allow(null).required() // null falls back to the target's default
+  })).min(1).required()
+});
+
+const runAllocationSchema = Joi.object({
+  fiscalPeriodId: Joi.number().integer().required(),
+  preview: Joi.boolean()
+});
+
+const reverseRunSchema = Joi.object({
+  reason: Joi.string().allow('', null)
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Map an allocation rule with its targets to its API shape
+const formatAllocationRule = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  description: rule.description,
+  sourceAccountId: rule.source_account_id,
+  sourceDimensions: rule.source_dimensions,
+  creditAccountId: rule.credit_account_id,
+  method: rule.method,
+  sequence: rule.sequence,
+  isActive: rule.is_active,
+  createdBy: rule.created_by,
+  createdAt: rule.created_at,
+  updatedAt: rule.updated_at,
+  targets: rule.targets && rule.targets.map(target => ({
+    id: target.id,
+    accountId: target.account_id,
+    dimensions: target.dimensions,
+    percentage: target.percentage === null ? null : parseFloat(target.percentage),
+    driverQuantity: target.driver_quantity === null ? null : parseFloat(target.driver_quantity)
+  }))
+});
+
+// Map an allocation_runs row to its API shape
+const formatAllocationRun = (run) => ({
+  id: run.id,
+  ruleId: run.allocation_rule_id,
+  ruleName: run.rule_name,
+  fiscalPeriodId: run.fiscal_period_id,
+  fiscalPeriodName: run.fiscal_period_name,
+  sourceAmount: parseFloat(run.source_amount),
+  status: run.status,
+  journalEntryId: run.journal_entry_id,
+  entryNo: run.entry_no,
+  reversalEntryId: run.reversal_entry_id,
+  createdBy: run.created_by,
+  createdAt: run.created_at,
+  reversedBy: run.reversed_by,
+  reversedAt: run.reversed_at
+});
+
+// Build the rows of the targets of a rule
+const buildTargetRows = (ruleId, targets) => targets.map((target, index) => ({
+  allocation_rule_id: ruleId,
+  account_id: target.accountId,
+  dimensions: target.dimensions ? JSON.stringify(target.dimensions) : null,
+  percentage: target.percentage === undefined ? null : target.percentage,
+  driver_quantity: target.driverQuantity === undefined ? null : target.driverQuantity,
+  sort_order: index
+}));
+
+const ruleNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Allocation rule not found'
+    }
+  });
+};
+
+// Get the allocation rules of an organization in run order
+router.get('/', async (req, res, next) => {
+  try {
+    const rules = await db('allocation_rules')
+      .where('organization_id', req.params.orgId)
+      .orderBy(['sequence', 'id']);
+
+    res.json({
+      success: true,
+      data: rules.map(formatAllocationRule)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create an allocation rule
+router.post('/', authorize(['settings:edit']), validate(createAllocationRuleSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const {
+      name, description, sourceAccountId, sourceDimensions, creditAccountId,
+      method, sequence = 0, isActive = true, targets
+    } = req.body;
+
+    // Check if a rule with the same name already exists in this organization
+    const existingRule = await db('allocation_rules')
+      .where({
+        organization_id: orgId,
+        name
+      })
+      .first();
+
+    if (existingRule) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_NAME',
+          message: 'An allocation rule with this name already exists in this organization'
+        }
+      });
+    }
+
+    const validationError = await validateAllocationRule(orgId, { sourceAccountId, sourceDimensions, creditAccountId, method, targets });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      const [rule] = await trx('allocation_rules').insert({
+        organization_id: orgId,
+        name,
+        description,
+        source_account_id: sourceAccountId,
+        source_dimensions: sourceDimensions ? JSON.stringify(sourceDimensions) : null,
+        credit_account_id: creditAccountId || null,
+        method,
+        sequence,
+        is_active: isActive,
+        created_by: req.user.id,
+        created_at: new Date(),
+        updated_at: new Date()
+      }).returning('*');
+
+      await trx('allocation_rule_targets').insert(buildTargetRows(rule.id, targets));
+
+      // Commit transaction
+      await trx.commit();
+
+      res.status(201).json({
+        success: true,
+        message: 'Allocation rule created successfully',
+        data: formatAllocationRule(await getAllocationRule(orgId, rule.id))
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get allocation runs, newest first
+router.get('/runs', async (req, res, next) => {
+  try {
+    let query = db('allocation_runs')
+      .join('allocation_rules', 'allocation_runs.allocation_rule_id', 'allocation_rules.id')
+      .join('fiscal_periods', 'allocation_runs.fiscal_period_id', 'fiscal_periods.id')
+      .leftJoin('journal_entries', 'allocation_runs.journal_entry_id', 'journal_entries.id')
+      .where('allocation_runs.organization_id', req.params.orgId)
+      .orderBy('allocation_runs.created_at', 'desc')
+      .select(
+        'allocation_runs.*',
+        'allocation_rules.name as rule_name',
+        'fiscal_periods.name as fiscal_period_name',
+        'journal_entries.entry_no'
+      );
+
+    if (req.query.ruleId) {
+      query = query.where('allocation_runs.allocation_rule_id', req.query.ruleId);
+    }
+
+    if (req.query.fiscalPeriodId) {
+      query = query.where('allocation_runs.fiscal_period_id', req.query.fiscalPeriodId);
+    }
+
+    if (req.query.status) {
+      query = query.where('allocation_runs.status', req.query.status);
+    }
+
+    const runs = await query;
+
+    res.json({
+      success: true,
+      data: runs.map(formatAllocationRun)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run every active rule for a period (or preview them)
+router.post('/run', authorize(['journal_entries:post']), validate(runAllocationSchema), async (req, res, next) => {
+  try {
+    const { fiscalPeriodId, preview = false } = req.body;
+
+    const results = await runAllocations(parseInt(req.params.orgId), { fiscalPeriodId, preview }, req.user.id);
+    const failed = results.filter(result => result.error).length;
+
+    res.json({
+      success: true,
+      message: preview
+        ? `Previewed ${results.length} allocation rules`
+        : `Ran ${results.length - failed} of ${results.length} allocation rules`,
+      data: {
+        preview,
+        fiscalPeriodId,
+        failed,
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reverse a posted allocation run
+router.post('/runs/:runId/reverse', authorize(['journal_entries:void']), validate(reverseRunSchema), async (req, res, next) => {
+  try {
+    const reversalEntry = await reverseAllocationRun(parseInt(req.params.orgId), parseInt(req.params.runId), {
+      reason: req.body.reason
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      message: reversalEntry
+        ? `Allocation run reversed by ${reversalEntry.entry_no}`
+        : 'Allocation run reversed',
+      data: {
+        runId: parseInt(req.params.runId),
+        reversalEntryId: reversalEntry ? reversalEntry.id : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get allocation rule by ID with its targets
+router.get('/:id', async (req, res, next) => {
+  try {
+    const rule = await getAllocationRule(req.params.orgId, req.params.id);
+
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: formatAllocationRule(rule)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update an allocation rule; earlier runs keep the entries they posted
+router.put('/:id', authorize(['settings:edit']), validate(updateAllocationRuleSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    const rule = await getAllocationRule(orgId, req.params.id);
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    if (req.body.name && req.body.name !== rule.name) {
+      const existingRule = await db('allocation_rules')
+        .where({
+          organization_id: orgId,
+          name: req.body.name
+        })
+        .first();
+
+      if (existingRule) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DUPLICATE_NAME',
+            message: 'An allocation rule with this name already exists in this organization'
+          }
+        });
+      }
+    }
+
+    // Merge the changes over the stored rule so the result is validated as a whole
+    const pick = (field, stored) => req.body[field] !== undefined ? req.body[field] : stored;
+    const merged = {
+      sourceAccountId: pick('sourceAccountId', rule.source_account_id),
+      sourceDimensions: pick('sourceDimensions', rule.source_dimensions),
+      creditAccountId: pick('creditAccountId', rule.credit_account_id),
+      method: pick('method', rule.method),
+      targets: req.body.targets || rule.targets.map(target => ({
+        accountId: target.account_id,
+        dimensions: target.dimensions,
+        percentage: target.percentage === null ? undefined : parseFloat(target.percentage),
+        driverQuantity: target.driver_quantity === null ? undefined : parseFloat(target.driver_quantity)
+      }))
+    };
+
+    const validationError = await validateAllocationRule(orgId, merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      const { name, description, sequence, isActive } = req.body;
+
+      const updateData = {
+        source_account_id: merged.sourceAccountId,
+        source_dimensions: merged.sourceDimensions ? JSON.stringify(merged.sourceDimensions) : null,
+        credit_account_id: merged.creditAccountId || null,
+        method: merged.method,
+        updated_at: new Date()
+      };
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (sequence !== undefined) updateData.sequence = sequence;
+      if (isActive !== undefined) updateData.is_active = isActive;
+
+      await trx('allocation_rules')
+        .where('id', rule.id)
+        .update(updateData);
+
+      if (req.body.targets) {
+        await trx('allocation_rule_targets')
+          .where('allocation_rule_id', rule.id)
+          .del();
+
+        await trx('allocation_rule_targets').insert(buildTargetRows(rule.id, req.body.targets));
+      }
+
+      // Commit transaction
+      await trx.commit();
+
+      res.json({
+        success: true,
+        message: 'Allocation rule updated successfully',
+        data: formatAllocationRule(await getAllocationRule(orgId, rule.id))
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an allocation rule that has never been run
+router.delete('/:id', authorize(['settings:edit']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    const rule = await getAllocationRule(orgId, req.params.id);
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    const run = await db('allocation_runs')
+      .where('allocation_rule_id', rule.id)
+      .first();
+
+    if (run) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'RULE_HAS_RUNS',
+          message: 'This allocation rule has been run; deactivate it instead'
+        }
+      });
+    }
+
+    await db('allocation_rules')
+      .where('id', rule.id)
+      .del();
+
+    res.json({
+      success: true,
+      message: 'Allocation rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the statistical driver quantities of a rule's targets for one period
+router.put('/:id/driver-values', authorize(['settings:edit']), validate(driverValuesSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { fiscalPeriodId, values } = req.body;
+
+    const rule = await getAllocationRule(orgId, req.params.id);
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    const fiscalPeriod = await db('fiscal_periods')
+      .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+      .where({
+        'fiscal_periods.id': fiscalPeriodId,
+        'fiscal_years.organization_id': orgId
+      })
+      .select('fiscal_periods.id')
+      .first();
+
+    if (!fiscalPeriod) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FISCAL_PERIOD',
+          message: 'The specified fiscal period does not exist or does not belong to this organization'
+        }
+      });
+    }
+
+    const unknownTarget = values.find(value => !rule.targets.some(target => target.id === value.targetId));
+    if (unknownTarget) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TARGET',
+          message: `Target ${unknownTarget.targetId} does not belong to this allocation rule`
+        }
+      });
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      await trx('allocation_driver_values')
+        .whereIn('allocation_rule_target_id', values.map(value => value.targetId))
+        .where('fiscal_period_id', fiscalPeriod.id)
+        .del();
+
+      const rows = values
+        .filter(value => value.quantity !== null)
+        .map(value => ({
+          allocation_rule_target_id: value.targetId,
+          fiscal_period_id: fiscalPeriod.id,
+          quantity: value.quantity
+        }));
+
+      if (rows.length) {
+        await trx('allocation_driver_values').insert(rows);
+      }
+
+      // Commit transaction
+      await trx.commit();
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+
+    const driverValues = await db('allocation_driver_values')
+      .whereIn('allocation_rule_target_id', rule.targets.map(target => target.id))
+      .where('fiscal_period_id', fiscalPeriod.id);
+
+    res.json({
+      success: true,
+      message: 'Driver quantities saved successfully',
+      data: rule.targets.map(target => {
+        const driverValue = driverValues.find(value => value.allocation_rule_target_id === target.id);
+        return {
+          targetId: target.id,
+          quantity: driverValue ? parseFloat(driverValue.quantity) : null,
+          defaultQuantity: target.driver_quantity === null ? null : parseFloat(target.driver_quantity)
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run an allocation rule for a period (or preview it); running it again replaces the earlier run
+router.post('/:id/run', authorize(['journal_entries:post']), validate(runAllocationSchema), async (req, res, next) => {
+  try {
+    const { fiscalPeriodId, preview = false } = req.body;
+
+    const allocation = await runAllocation(parseInt(req.params.orgId), parseInt(req.params.id), {
+      fiscalPeriodId,
+      preview
+    }, req.user.id);
+
+    if (preview) {
+      return res.json({
+        success: true,
+        data: allocation
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Allocation posted as ${allocation.journalEntry.entryNo}`,
+      data: allocation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+// Attachment routes for journal entries and accounts
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const multer = require('multer');
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const {
+  ATTACHMENT_ENTITIES, formatAttachment, createAttachment, openAttachment, deleteStoredFiles
+} = require('../services/attachmentService');
+
+// Uploaded files are buffered in memory so their checksum can be taken before storing them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Resolve the record an attachment request is about, checking it belongs to the organization.
+// With an action ('upload' or 'delete'), also check the permission that action needs on that kind of record.
+const loadEntity = (action) => async (req, res, next) => {
+  try {
+    const entity = ATTACHMENT_ENTITIES[req.params.entity];
+
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `Attachments are only supported on ${Object.keys(ATTACHMENT_ENTITIES).join(', ')}`
+        }
+      });
+    }
+
+    const record = await db(entity.table)
+      .where({
+        id: req.params.entityId,
+        organization_id: req.params.orgId
+      })
+      .select('id')
+      .first();
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'The record to attach files to was not found'
+        }
+      });
+    }
+
+    req.attachmentEntity = { ...entity, id: record.id };
+
+    if (!action) {
+      return next();
+    }
+
+    authorize([entity[`${action}Permission`]])(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept a single 'file' upload, reporting upload problems as validation errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILE',
+          message: error.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 10 MB' : error.message
+        }
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Get an attachment of the requested record
+const findAttachment = (req) => {
+  return db('attachments')
+    .where({
+      id: req.params.id,
+      organization_id: req.params.orgId,
+      entity_type: req.attachmentEntity.entityType,
+      entity_id: req.attachmentEntity.id
+    })
+    .first();
+};
+
+// List the attachments of a journal entry or account
+router.get('/:entity/:entityId', loadEntity(), async (req, res, next) => {
+  try {
+    const attachments = await db('attachments')
+      .leftJoin('users', 'attachments.uploaded_by', 'users.id')
+      .where({
+        'attachments.organization_id': req.params.orgId,
+        'attachments.entity_type': req.attachmentEntity.entityType,
+        'attachments.entity_id': req.attachmentEntity.id
+      })
+      .orderBy('attachments.created_at', 'asc')
+      .select('attachments.*', 'users.email as uploaded_by_email');
+
+    res.json({
+      success: true,
+      data: attachments.map(attachment => ({
+        ...formatAttachment(attachment),
+        uploadedByEmail: attachment.uploaded_by_email
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload an attachment to a journal entry or account
+router.post('/:entity/:entityId', loadEntity('upload'), uploadFile, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A file is required in the file field'
+        }
+      });
+    }
+
+    const attachment = await createAttachment(parseInt(req.params.orgId), {
+      entityType: req.attachmentEntity.entityType,
+      entityId: req.attachmentEntity.id,
+      file: req.file,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: formatAttachment(attachment)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download an attachment
+router.get('/:entity/:entityId/:id/download', loadEntity(), async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Attachment not found'
+        }
+      });
+    }
+
+    const stream = await openAttachment(attachment);
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`,
+      'ETag': `"${attachment.checksum}"`
+    });
+
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an attachment
+router.delete('/:entity/:entityId/:id', loadEntity('delete'), async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Attachment not found'
+        }
+      });
+    }
+
+    const entity = req.attachmentEntity;
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      // Lock the record so a journal entry cannot be submitted or posted while its attachment is removed
+      const record = await trx(entity.table)
+        .where('id', entity.id)
+        .forShare()
+        .first();
+
+      if (entity.deleteStatus && record.status !== entity.deleteStatus) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NOT_DRAFT',
+            message: `Attachments can only be deleted while the record is a ${entity.deleteStatus}`
+          }
+        });
+      }
+
+      await trx('attachments')
+        .where('id', attachment.id)
+        .del();
+
+      // Commit transaction
+      await trx.commit();
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+
+    await deleteStoredFiles([attachment]);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: {
+        id: attachment.id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// Bank reconciliation routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { toDateString } = require('../utils/dateUtils');
+const {
+  formatBankReconciliation,
+  recordBankReconciliation,
+  getBankReconciliationStatus
+} = require('../services/bankReconciliationService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const createReconciliationSchema = Joi.object({
+  accountId: Joi.number().integer().required(),
+  statementDate: Joi.date().iso().required(),
+  statementBalance: Joi.number().required(),
+  currencyCode: Joi.string().length(3).uppercase(),
+  notes: Joi.string().allow('', null)
+});
+
+const statusQuerySchema = Joi.object({
+  asOfDate: Joi.date().iso().required()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Get the recorded reconciliations of an organization, latest statement first
+router.get('/', authorize(['general_ledger:view']), async (req, res, next) => {
+  try {
+    let query = db('bank_reconciliations')
+      .where('organization_id', req.params.orgId)
+      .orderBy([
+        { column: 'statement_date', order: 'desc' },
+        { column: 'id', order: 'desc' }
+      ]);
+
+    if (req.query.accountId) {
+      query = query.where('account_id', req.query.accountId);
+    }
+
+    const reconciliations = await query;
+
+    res.json({
+      success: true,
+      data: reconciliations.map(reconciliation => formatBankReconciliation(reconciliation))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get whether each bank account is reconciled to a date, against the ledger as it is now
+router.get('/status', authorize(['general_ledger:view']), async (req, res, next) => {
+  try {
+    const { error } = statusQuerySchema.validate(req.query, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path[0],
+            message: detail.message
+          }))
+        }
+      });
+    }
+
+    const asOfDate = toDateString(req.query.asOfDate);
+
+    res.json({
+      success: true,
+      data: {
+        asOfDate,
+        accounts: await getBankReconciliationStatus(parseInt(req.params.orgId), asOfDate)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a bank statement balance; the response shows any difference from the ledger
+router.post('/', authorize(['bank_reconciliations:edit']), validate(createReconciliationSchema), async (req, res, next) => {
+  try {
+    const reconciliation = await recordBankReconciliation(parseInt(req.params.orgId), req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: reconciliation.isReconciled
+        ? 'Bank account reconciled successfully'
+        : `The statement differs from the ledger by ${reconciliation.difference}`,
+      data: reconciliation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,534 @@
+// Budget routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const multer = require('multer');
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { getImportFormat } = require('../services/journalEntryImportService');
+const {
+  BUDGET_COLUMNS,
+  getFiscalYearWithPeriods,
+  validateBudgetLines,
+  saveBudgetLines,
+  importBudgetLines,
+  copyBudgetFromActuals,
+  getBudgetVsActual
+} = require('../services/budgetService');
+
+// Uploaded files are kept in memory; budgets are small enough to parse in one go
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const budgetLineSchema = Joi.object({
+  accountId: Joi.number().integer().required(),
+  fiscalPeriodId: Joi.number().integer().required(),
+  dimensionValueId: Joi.number().integer().allow(null),
+  amount: Joi.number().required() // Base currency, positive in the account's normal balance direction
+});
+
+const createBudgetSchema = Joi.object({
+  fiscalYearId: Joi.number().integer().required(),
+  name: Joi.string().max(100).required(),
+  description: Joi.string().allow('', null),
+  lines: Joi.array().items(budgetLineSchema)
+});
+
+const updateBudgetSchema = Joi.object({
+  name: Joi.string().max(100),
+  description: Joi.string().allow('', null),
+  lines: Joi.array().items(budgetLineSchema)
+});
+
+const copyFromActualsSchema = Joi.object({
+  fiscalYearId: Joi.number().integer().required(),
+  sourceFiscalYearId: Joi.number().integer().required(),
+  name: Joi.string().max(100).required(),
+  description: Joi.string().allow('', null),
+  upliftPercent: Joi.number().min(-100),
+  accountIds: Joi.array().items(Joi.number().integer()).min(1)
+});
+
+// Multipart fields arrive as text
+const importBudgetSchema = Joi.object({
+  merge: Joi.boolean(),
+  dryRun: Joi.boolean()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Accept a single 'file' upload, reporting upload problems as validation errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILE',
+          message: error.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 5 MB' : error.message
+        }
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Map a budgets row to its API shape
+const formatBudget = (budget) => ({
+  id: budget.id,
+  fiscalYearId: budget.fiscal_year_id,
+  fiscalYearName: budget.fiscal_year_name,
+  name: budget.name,
+  description: budget.description,
+  source: budget.source,
+  sourceFiscalYearId: budget.source_fiscal_year_id,
+  upliftPercent: budget.uplift_percent === null ? null : parseFloat(budget.uplift_percent),
+  createdBy: budget.created_by,
+  createdAt: budget.created_at,
+  updatedAt: budget.updated_at
+});
+
+// Find a budget of the organization with its fiscal year name
+const findBudget = (orgId, id) => {
+  return db('budgets')
+    .join('fiscal_years', 'budgets.fiscal_year_id', 'fiscal_years.id')
+    .where({
+      'budgets.id': id,
+      'budgets.organization_id': orgId
+    })
+    .select('budgets.*', 'fiscal_years.name as fiscal_year_name')
+    .first();
+};
+
+// Get a budget with its lines
+const getBudgetDetail = async (orgId, id) => {
+  const budget = await findBudget(orgId, id);
+
+  if (!budget) {
+    return null;
+  }
+
+  const lines = await db('budget_lines')
+    .join('accounts', 'budget_lines.account_id', 'accounts.id')
+    .join('fiscal_periods', 'budget_lines.fiscal_period_id', 'fiscal_periods.id')
+    .leftJoin('dimension_values', 'budget_lines.dimension_value_id', 'dimension_values.id')
+    .leftJoin('dimension_types', 'dimension_values.dimension_type_id', 'dimension_types.id')
+    .where('budget_lines.budget_id', budget.id)
+    .orderBy([
+      { column: 'accounts.code', order: 'asc' },
+      { column: 'fiscal_periods.start_date', order: 'asc' },
+      { column: 'dimension_values.code', order: 'asc' }
+    ])
+    .select(
+      'budget_lines.id',
+      'budget_lines.account_id as accountId',
+      'accounts.code as accountCode',
+      'accounts.name as accountName',
+      'budget_lines.fiscal_period_id as fiscalPeriodId',
+      'fiscal_periods.name as fiscalPeriodName',
+      'budget_lines.dimension_value_id as dimensionValueId',
+      'dimension_types.code as dimensionType',
+      'dimension_values.code as dimensionValue',
+      'budget_lines.amount'
+    );
+
+  return {
+    ...formatBudget(budget),
+    lines: lines.map(line => ({
+      ...line,
+      amount: parseFloat(line.amount)
+    }))
+  };
+};
+
+const budgetNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Budget not found'
+    }
+  });
+};
+
+// Get the budgets of an organization
+router.get('/', authorize(['budgets:view']), async (req, res, next) => {
+  try {
+    let query = db('budgets')
+      .join('fiscal_years', 'budgets.fiscal_year_id', 'fiscal_years.id')
+      .where('budgets.organization_id', req.params.orgId)
+      .orderBy([
+        { column: 'fiscal_years.start_date', order: 'desc' },
+        { column: 'budgets.name', order: 'asc' }
+      ])
+      .select('budgets.*', 'fiscal_years.name as fiscal_year_name');
+
+    if (req.query.fiscalYearId) {
+      query = query.where('budgets.fiscal_year_id', req.query.fiscalYearId);
+    }
+
+    const budgets = await query;
+
+    const lineTotals = budgets.length
+      ? await db('budget_lines')
+        .whereIn('budget_id', budgets.map(budget => budget.id))
+        .groupBy('budget_id')
+        .select('budget_id')
+        .count('id as count')
+        .sum({ total: 'amount' })
+      : [];
+
+    res.json({
+      success: true,
+      data: budgets.map(budget => {
+        const lineTotal = lineTotals.find(row => row.budget_id === budget.id);
+        return {
+          ...formatBudget(budget),
+          lineCount: lineTotal ? parseInt(lineTotal.count) : 0,
+          totalAmount: lineTotal ? parseFloat(lineTotal.total) : 0
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a budget version for a fiscal year
+router.post('/', authorize(['budgets:edit']), validate(createBudgetSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { fiscalYearId, name, description, lines = [] } = req.body;
+
+    const fiscalYear = await getFiscalYearWithPeriods(orgId, fiscalYearId);
+    if (!fiscalYear) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FISCAL_YEAR',
+          message: 'The specified fiscal year does not exist or does not belong to this organization'
+        }
+      });
+    }
+
+    // Check if a budget with the same name already exists for this fiscal year
+    const existingBudget = await db('budgets')
+      .where({
+        organization_id: orgId,
+        fiscal_year_id: fiscalYear.id,
+        name
+      })
+      .first();
+
+    if (existingBudget) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_NAME',
+          message: `A budget named ${name} already exists for ${fiscalYear.name}`
+        }
+      });
+    }
+
+    const validationError = await validateBudgetLines(orgId, fiscalYear, lines);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      const [budget] = await trx('budgets').insert({
+        organization_id: orgId,
+        fiscal_year_id: fiscalYear.id,
+        name,
+        description,
+        source: 'manual',
+        created_by: req.user.id,
+        created_at: new Date(),
+        updated_at: new Date()
+      }).returning('*');
+
+      await saveBudgetLines(trx, budget.id, lines);
+
+      // Commit transaction
+      await trx.commit();
+
+      res.status(201).json({
+        success: true,
+        message: 'Budget created successfully',
+        data: await getBudgetDetail(orgId, budget.id)
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a budget from the actuals of a prior fiscal year with a percentage uplift
+router.post('/copy-from-actuals', authorize(['budgets:edit']), validate(copyFromActualsSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+    const { fiscalYearId, sourceFiscalYearId, name, description, upliftPercent = 0, accountIds } = req.body;
+
+    const budgetId = await copyBudgetFromActuals(orgId, {
+      fiscalYearId,
+      sourceFiscalYearId,
+      name,
+      description,
+      upliftPercent,
+      accountIds
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created from prior-year actuals',
+      data: await getBudgetDetail(orgId, budgetId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get budget by ID with its lines
+router.get('/:id', authorize(['budgets:view']), async (req, res, next) => {
+  try {
+    const budget = await getBudgetDetail(req.params.orgId, req.params.id);
+
+    if (!budget) {
+      return budgetNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a budget; lines, when given, replace all its lines
+router.put('/:id', authorize(['budgets:edit']), validate(updateBudgetSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { name, description, lines } = req.body;
+
+    const budget = await findBudget(orgId, req.params.id);
+    if (!budget) {
+      return budgetNotFound(res);
+    }
+
+    if (name && name !== budget.name) {
+      const existingBudget = await db('budgets')
+        .where({
+          organization_id: orgId,
+          fiscal_year_id: budget.fiscal_year_id,
+          name
+        })
+        .first();
+
+      if (existingBudget) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DUPLICATE_NAME',
+            message: `A budget named ${name} already exists for ${budget.fiscal_year_name}`
+          }
+        });
+      }
+    }
+
+    if (lines) {
+      const fiscalYear = await getFiscalYearWithPeriods(orgId, budget.fiscal_year_id);
+      const validationError = await validateBudgetLines(orgId, fiscalYear, lines);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      const updateData = { updated_at: new Date() };
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+
+      await trx('budgets')
+        .where('id', budget.id)
+        .update(updateData);
+
+      if (lines) {
+        await saveBudgetLines(trx, budget.id, lines);
+      }
+
+      // Commit transaction
+      await trx.commit();
+
+      res.json({
+        success: true,
+        message: 'Budget updated successfully',
+        data: await getBudgetDetail(orgId, budget.id)
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a budget with its lines
+router.delete('/:id', authorize(['budgets:edit']), async (req, res, next) => {
+  try {
+    const deleted = await db('budgets')
+      .where({
+        id: req.params.id,
+        organization_id: req.params.orgId
+      })
+      .del();
+
+    if (!deleted) {
+      return budgetNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import budget lines from a CSV or XLSX file (or only validate it with dryRun)
+router.post('/:id/import', authorize(['budgets:edit']), uploadFile, validate(importBudgetSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const budget = await findBudget(orgId, req.params.id);
+    if (!budget) {
+      return budgetNotFound(res);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `A CSV or XLSX file with ${Object.values(BUDGET_COLUMNS).join(', ')} columns is required in the file field`
+        }
+      });
+    }
+
+    const format = getImportFormat(req.file.originalname);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'UNSUPPORTED_FORMAT',
+          message: 'Only .csv and .xlsx files can be imported'
+        }
+      });
+    }
+
+    const report = await importBudgetLines(orgId, budget, {
+      buffer: req.file.buffer,
+      format,
+      merge: String(req.body.merge) === 'true',
+      dryRun: String(req.body.dryRun) === 'true'
+    });
+
+    if (!report.dryRun && !report.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'IMPORT_VALIDATION_FAILED',
+          message: `The file has ${report.totals.errors} error(s); nothing was imported`,
+          details: report
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: report.dryRun ? 'Budget file validated' : `${report.totals.lines} budget lines imported`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare a budget with actuals per period and year-to-date
+router.get('/:id/variance', authorize(['budgets:view']), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const budget = await findBudget(orgId, req.params.id);
+    if (!budget) {
+      return budgetNotFound(res);
+    }
+
+    const report = await getBudgetVsActual(orgId, budget, {
+      throughPeriodId: req.query.throughPeriodId ? parseInt(req.query.throughPeriodId) : undefined,
+      dimensionValueId: req.query.dimensionValueId ? parseInt(req.query.dimensionValueId) : undefined,
+      accountIds: req.query.accountIds ? String(req.query.accountIds).split(',').map(id => parseInt(id)) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,505 @@
+// Dimension type, value and required-account routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+// Codes are stored on ledger lines and used in filters (type:value,type:value), so they stay plain
+const createDimensionTypeSchema = Joi.object({
+  code: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required(),
+  name: Joi.string().max(100).required(),
+  description: Joi.string().allow('', null),
+  isActive: Joi.boolean().default(true)
+});
+
+const updateDimensionTypeSchema = Joi.object({
+  name: Joi.string().max(100),
+  description: Joi.string().allow('', null),
+  isActive: Joi.boolean()
+});
+
+const createDimensionValueSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Za-z0-9_.-]+$/).max(50).required(),
+  name: Joi.string().max(255).required(),
+  isActive: Joi.boolean().default(true)
+});
+
+const updateDimensionValueSchema = Joi.object({
+  name: Joi.string().max(255),
+  isActive: Joi.boolean()
+});
+
+const requiredAccountsSchema = Joi.object({
+  accountIds: Joi.array().items(Joi.number().integer()).unique().required()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Map a dimension_types row to its API shape
+const formatDimensionType = (type) => ({
+  id: type.id,
+  code: type.code,
+  name: type.name,
+  description: type.description,
+  isActive: type.is_active,
+  createdAt: type.created_at,
+  updatedAt: type.updated_at
+});
+
+// Map a dimension_values row to its API shape
+const formatDimensionValue = (value) => ({
+  id: value.id,
+  code: value.code,
+  name: value.name,
+  isActive: value.is_active,
+  createdAt: value.created_at,
+  updatedAt: value.updated_at
+});
+
+// Find a dimension type of the organization
+const findDimensionType = (orgId, id) => {
+  return db('dimension_types')
+    .where({
+      id,
+      organization_id: orgId
+    })
+    .first();
+};
+
+// Count the journal entry lines of the organization carrying a dimension, or one value of it
+const countDimensionUsage = async (orgId, typeCode, valueCode) => {
+  let query = db('journal_entry_items')
+    .join('journal_entries', 'journal_entry_items.journal_entry_id', 'journal_entries.id')
+    .where('journal_entries.organization_id', orgId);
+
+  query = valueCode === undefined
+    ? query.whereRaw('journal_entry_items.dimensions ->> ? IS NOT NULL', [typeCode])
+    : query.whereRaw('journal_entry_items.dimensions ->> ? = ?', [typeCode, valueCode]);
+
+  const [{ count }] = await query.count('journal_entry_items.id as count');
+  return parseInt(count);
+};
+
+const dimensionNotFound = (res, message = 'Dimension not found') => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message
+    }
+  });
+};
+
+// Get the dimension types of an organization with their values
+router.get('/', async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const includeInactive = req.query.includeInactive === 'true';
+
+    let typeQuery = db('dimension_types')
+      .where('organization_id', orgId)
+      .orderBy('name', 'asc');
+
+    if (!includeInactive) {
+      typeQuery = typeQuery.where('is_active', true);
+    }
+
+    const types = await typeQuery;
+
+    let valueQuery = db('dimension_values')
+      .whereIn('dimension_type_id', types.map(type => type.id))
+      .orderBy('code', 'asc');
+
+    if (!includeInactive) {
+      valueQuery = valueQuery.where('is_active', true);
+    }
+
+    const values = types.length ? await valueQuery : [];
+
+    res.json({
+      success: true,
+      data: types.map(type => ({
+        ...formatDimensionType(type),
+        values: values
+          .filter(value => value.dimension_type_id === type.id)
+          .map(formatDimensionValue)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a dimension type
+router.post('/', authorize(['settings:edit']), validate(createDimensionTypeSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { code, name, description, isActive = true } = req.body;
+
+    // Check if a dimension with the same code already exists in this organization
+    const existingType = await db('dimension_types')
+      .where({
+        organization_id: orgId,
+        code
+      })
+      .first();
+
+    if (existingType) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_CODE',
+          message: 'A dimension with this code already exists in this organization'
+        }
+      });
+    }
+
+    const [type] = await db('dimension_types').insert({
+      organization_id: orgId,
+      code,
+      name,
+      description,
+      is_active: isActive,
+      created_at: new Date(),
+      updated_at: new Date()
+    }).returning('*');
+
+    res.status(201).json({
+      success: true,
+      message: 'Dimension created successfully',
+      data: {
+        ...formatDimensionType(type),
+        values: [],
+        requiredAccounts: []
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a dimension type with all its values and the accounts that require it
+router.get('/:id', async (req, res, next) => {
+  try {
+    const type = await findDimensionType(req.params.orgId, req.params.id);
+
+    if (!type) {
+      return dimensionNotFound(res);
+    }
+
+    const values = await db('dimension_values')
+      .where('dimension_type_id', type.id)
+      .orderBy('code', 'asc');
+
+    const requiredAccounts = await db('account_required_dimensions')
+      .join('accounts', 'account_required_dimensions.account_id', 'accounts.id')
+      .where('account_required_dimensions.dimension_type_id', type.id)
+      .orderBy('accounts.code', 'asc')
+      .select(
+        'accounts.id',
+        'accounts.code',
+        'accounts.name'
+      );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatDimensionType(type),
+        values: values.map(formatDimensionValue),
+        requiredAccounts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a dimension type (its code is kept, as ledger lines refer to it)
+router.put('/:id', authorize(['settings:edit']), validate(updateDimensionTypeSchema), async (req, res, next) => {
+  try {
+    const type = await findDimensionType(req.params.orgId, req.params.id);
+
+    if (!type) {
+      return dimensionNotFound(res);
+    }
+
+    const { name, description, isActive } = req.body;
+
+    const updateData = { updated_at: new Date() };
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    const [updatedType] = await db('dimension_types')
+      .where('id', type.id)
+      .update(updateData)
+      .returning('*');
+
+    res.json({
+      success: true,
+      message: 'Dimension updated successfully',
+      data: formatDimensionType(updatedType)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a dimension type that no journal entry line uses
+router.delete('/:id', authorize(['settings:edit']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const type = await findDimensionType(orgId, req.params.id);
+
+    if (!type) {
+      return dimensionNotFound(res);
+    }
+
+    const usage = await countDimensionUsage(orgId, type.code);
+    if (usage > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DIMENSION_IN_USE',
+          message: `Dimension ${type.name} is used on ${usage} journal entry lines; deactivate it instead`
+        }
+      });
+    }
+
+    await db('dimension_types')
+      .where('id', type.id)
+      .del();
+
+    res.json({
+      success: true,
+      message: 'Dimension deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the accounts whose lines must carry this dimension
+router.put('/:id/required-accounts', authorize(['settings:edit']), validate(requiredAccountsSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { accountIds } = req.body;
+
+    const type = await findDimensionType(orgId, req.params.id);
+
+    if (!type) {
+      return dimensionNotFound(res);
+    }
+
+    // Check if all accounts exist and belong to this organization
+    const accounts = accountIds.length
+      ? await db('accounts')
+        .whereIn('id', accountIds)
+        .where('organization_id', orgId)
+        .select('id')
+      : [];
+
+    if (accounts.length !== accountIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ACCOUNTS',
+          message: 'One or more specified accounts do not exist or do not belong to this organization'
+        }
+      });
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      await trx('account_required_dimensions')
+        .where('dimension_type_id', type.id)
+        .del();
+
+      if (accountIds.length) {
+        await trx('account_required_dimensions').insert(accountIds.map(accountId => ({
+          account_id: accountId,
+          dimension_type_id: type.id,
+          created_at: new Date()
+        })));
+      }
+
+      // Commit transaction
+      await trx.commit();
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `${accountIds.length} accounts now require dimension ${type.name}`,
+      data: { accountIds }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a value to a dimension type
+router.post('/:id/values', authorize(['settings:edit']), validate(createDimensionValueSchema), async (req, res, next) => {
+  try {
+    const { code, name, isActive = true } = req.body;
+
+    const type = await findDimensionType(req.params.orgId, req.params.id);
+
+    if (!type) {
+      return dimensionNotFound(res);
+    }
+
+    const existingValue = await db('dimension_values')
+      .where({
+        dimension_type_id: type.id,
+        code
+      })
+      .first();
+
+    if (existingValue) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_CODE',
+          message: `Dimension ${type.name} already has a value with this code`
+        }
+      });
+    }
+
+    const [value] = await db('dimension_values').insert({
+      dimension_type_id: type.id,
+      code,
+      name,
+      is_active: isActive,
+      created_at: new Date(),
+      updated_at: new Date()
+    }).returning('*');
+
+    res.status(201).json({
+      success: true,
+      message: 'Dimension value created successfully',
+      data: formatDimensionValue(value)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a dimension value (its code is kept, as ledger lines refer to it)
+router.put('/:id/values/:valueId', authorize(['settings:edit']), validate(updateDimensionValueSchema), async (req, res, next) => {
+  try {
+    const type = await findDimensionType(req.params.orgId, req.params.id);
+
+    if (!type) {
+      return dimensionNotFound(res);
+    }
+
+    const { name, isActive } = req.body;
+
+    const updateData = { updated_at: new Date() };
+    if (name !== undefined) updateData.name = name;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    const [value] = await db('dimension_values')
+      .where({
+        id: req.params.valueId,
+        dimension_type_id: type.id
+      })
+      .update(updateData)
+      .returning('*');
+
+    if (!value) {
+      return dimensionNotFound(res, 'Dimension value not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Dimension value updated successfully',
+      data: formatDimensionValue(value)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a dimension value that no journal entry line uses
+router.delete('/:id/values/:valueId', authorize(['settings:edit']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const type = await findDimensionType(orgId, req.params.id);
+
+    if (!type) {
+      return dimensionNotFound(res);
+    }
+
+    const value = await db('dimension_values')
+      .where({
+        id: req.params.valueId,
+        dimension_type_id: type.id
+      })
+      .first();
+
+    if (!value) {
+      return dimensionNotFound(res, 'Dimension value not found');
+    }
+
+    const usage = await countDimensionUsage(orgId, type.code, value.code);
+    if (usage > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DIMENSION_IN_USE',
+          message: `Value ${value.code} of dimension ${type.name} is used on ${usage} journal entry lines; deactivate it instead`
+        }
+      });
+    }
+
+    await db('dimension_values')
+      .where('id', value.id)
+      .del();
+
+    res.json({
+      success: true,
+      message: 'Dimension value deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+// Journal entry numbering sequence routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { ENTRY_SOURCES, getSequences, updateSequence } = require('../services/entrySequenceService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const updateSequenceSchema = Joi.object({
+  prefix: Joi.string().max(20).pattern(/^[A-Za-z0-9/_-]*$/),
+  padding: Joi.number().integer().min(1).max(10),
+  resetPerFiscalYear: Joi.boolean()
+}).min(1);
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Get the numbering sequences of an organization with their counters
+router.get('/', async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    const sequences = await getSequences(orgId);
+
+    const counters = await db('journal_entry_sequence_counters')
+      .join('journal_entry_sequences', 'journal_entry_sequence_counters.sequence_id', 'journal_entry_sequences.id')
+      .leftJoin('fiscal_years', 'journal_entry_sequence_counters.fiscal_year_id', 'fiscal_years.id')
+      .where('journal_entry_sequences.organization_id', orgId)
+      .orderBy('fiscal_years.start_date', 'asc')
+      .select(
+        'journal_entry_sequence_counters.sequence_id as sequenceId',
+        'journal_entry_sequence_counters.fiscal_year_id as fiscalYearId',
+        'fiscal_years.name as fiscalYearName',
+        'journal_entry_sequence_counters.last_value as lastValue',
+        'journal_entry_sequence_counters.updated_at as updatedAt'
+      );
+
+    res.json({
+      success: true,
+      data: sequences.map(sequence => ({
+        ...sequence,
+        counters: counters
+          .filter(counter => counter.sequenceId === sequence.id)
+          .map(({ sequenceId, ...counter }) => counter)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the numbering rules of one source's sequence
+router.put('/:source', authorize(['settings:edit']), validate(updateSequenceSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+    const { source } = req.params;
+
+    if (!ENTRY_SOURCES.includes(source)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `Unknown entry source; expected one of ${ENTRY_SOURCES.join(', ')}`
+        }
+      });
+    }
+
+    const sequence = await updateSequence(orgId, source, req.body);
+
+    res.json({
+      success: true,
+      message: 'Entry numbering sequence updated successfully',
+      data: sequence
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+// Fiscal period routes: listing periods, pre-close checks, close and reopen
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { toDateString } = require('../utils/dateUtils');
+const { getActor, getEntityActivity } = require('../services/activityLogService');
+const {
+  getFiscalPeriod,
+  runPreCloseChecks,
+  closeFiscalPeriod,
+  reopenFiscalPeriod
+} = require('../services/periodCloseService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const closePeriodSchema = Joi.object({
+  notes: Joi.string().allow('', null)
+});
+
+const reopenPeriodSchema = Joi.object({
+  reason: Joi.string().trim().min(1).required()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Map a fiscal_periods row to its API shape
+const formatFiscalPeriod = (period) => ({
+  id: period.id,
+  fiscalYearId: period.fiscal_year_id,
+  fiscalYearName: period.fiscal_year_name,
+  periodNumber: period.period_number,
+  name: period.name,
+  startDate: toDateString(period.start_date),
+  endDate: toDateString(period.end_date),
+  isAdjustment: period.is_adjustment,
+  isClosed: period.is_closed,
+  closedAt: period.closed_at,
+  closedBy: period.closed_by
+});
+
+const periodNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Fiscal period not found'
+    }
+  });
+};
+
+// Get the fiscal periods of an organization in date order, optionally of one year or only open or closed ones
+router.get('/', async (req, res, next) => {
+  try {
+    let query = db('fiscal_periods')
+      .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+      .where('fiscal_years.organization_id', req.params.orgId)
+      .orderBy([
+        { column: 'fiscal_periods.start_date', order: 'asc' },
+        { column: 'fiscal_periods.period_number', order: 'asc' }
+      ])
+      .select('fiscal_periods.*', 'fiscal_years.name as fiscal_year_name');
+
+    if (req.query.fiscalYearId) {
+      query = query.where('fiscal_periods.fiscal_year_id', req.query.fiscalYearId);
+    }
+
+    if (req.query.isClosed !== undefined) {
+      query = query.where('fiscal_periods.is_closed', req.query.isClosed === 'true');
+    }
+
+    const periods = await query;
+
+    res.json({
+      success: true,
+      data: periods.map(formatFiscalPeriod)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get fiscal period by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const period = await getFiscalPeriod(req.params.orgId, req.params.id);
+
+    if (!period) {
+      return periodNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: formatFiscalPeriod(period)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run the pre-close checks of a period without closing it
+router.get('/:id/close-checks', authorize(['fiscal_periods:close']), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const period = await getFiscalPeriod(orgId, req.params.id);
+    if (!period) {
+      return periodNotFound(res);
+    }
+
+    const { passed, checks } = await runPreCloseChecks(orgId, period);
+
+    res.json({
+      success: true,
+      data: {
+        fiscalPeriod: formatFiscalPeriod(period),
+        canClose: !period.is_closed && passed,
+        checks
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Close a period once its entries are posted, the trial balance balances and bank accounts are reconciled
+router.post('/:id/close', authorize(['fiscal_periods:close']), validate(closePeriodSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const { checks } = await closeFiscalPeriod(orgId, req.params.id, {
+      notes: req.body.notes || null
+    }, getActor(req));
+
+    res.json({
+      success: true,
+      message: 'Fiscal period closed successfully',
+      data: {
+        fiscalPeriod: formatFiscalPeriod(await getFiscalPeriod(orgId, req.params.id)),
+        checks
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reopen a closed period; the reason is kept in the activity log
+router.post('/:id/reopen', authorize(['fiscal_periods:close']), validate(reopenPeriodSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    await reopenFiscalPeriod(orgId, req.params.id, {
+      reason: req.body.reason.trim()
+    }, getActor(req));
+
+    res.json({
+      success: true,
+      message: 'Fiscal period reopened successfully',
+      data: formatFiscalPeriod(await getFiscalPeriod(orgId, req.params.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the close and reopen history of a period
+router.get('/:id/activity', async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const period = await getFiscalPeriod(orgId, req.params.id);
+    if (!period) {
+      return periodNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: await getEntityActivity(orgId, 'fiscal_period', period.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
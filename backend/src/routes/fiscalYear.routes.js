@@ -0,0 +1,430 @@
+// Fiscal year and period routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { toDateString } = require('../utils/dateUtils');
+const {
+  FISCAL_PERIOD_TYPES,
+  buildFiscalYear,
+  createFiscalYear,
+  deleteFiscalYear
+} = require('../services/fiscalYearService');
+const { previewYearEndClose, closeFiscalYear, undoYearEndClose } = require('../services/yearEndCloseService');
+const { getActor, getEntityActivity } = require('../services/activityLogService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const periodSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().required(),
+  isAdjustment: Joi.boolean()
+});
+
+// Generated years take a periodType; custom years list their periods and end date instead
+const createFiscalYearSchema = Joi.object({
+  name: Joi.string().max(100),
+  startDate: Joi.date().iso(),
+  periodType: Joi.string().valid(...FISCAL_PERIOD_TYPES, 'custom'),
+  adjustmentPeriod: Joi.boolean(),
+  endDate: Joi.date().iso().when('periodType', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+  periods: Joi.array().items(periodSchema).min(1).when('periodType', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+  dryRun: Joi.boolean()
+});
+
+const updateFiscalYearSchema = Joi.object({
+  name: Joi.string().max(100),
+  periods: Joi.array().items(Joi.object({
+    id: Joi.number().integer().required(),
+    name: Joi.string().max(100).required()
+  }))
+});
+
+const yearEndCloseSchema = Joi.object({
+  retainedEarningsAccountId: Joi.number().integer()
+});
+
+const undoYearEndCloseSchema = Joi.object({
+  reason: Joi.string().trim().min(1).required()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Map a fiscal_years row to its API shape
+const formatFiscalYear = (fiscalYear) => ({
+  id: fiscalYear.id,
+  name: fiscalYear.name,
+  startDate: toDateString(fiscalYear.start_date),
+  endDate: toDateString(fiscalYear.end_date),
+  periodType: fiscalYear.period_type,
+  isClosed: fiscalYear.is_closed,
+  closedAt: fiscalYear.closed_at,
+  closedBy: fiscalYear.closed_by,
+  closingEntryId: fiscalYear.closing_entry_id,
+  retainedEarningsAccountId: fiscalYear.retained_earnings_account_id,
+  createdAt: fiscalYear.created_at,
+  updatedAt: fiscalYear.updated_at
+});
+
+// Map a fiscal_periods row to its API shape
+const formatFiscalPeriod = (period) => ({
+  id: period.id,
+  periodNumber: period.period_number,
+  name: period.name,
+  startDate: toDateString(period.start_date),
+  endDate: toDateString(period.end_date),
+  isAdjustment: period.is_adjustment,
+  isClosed: period.is_closed
+});
+
+// Get a fiscal year of the organization with its periods
+const getFiscalYearDetail = async (orgId, id) => {
+  const fiscalYear = await db('fiscal_years')
+    .where({
+      id,
+      organization_id: orgId
+    })
+    .first();
+
+  if (!fiscalYear) {
+    return null;
+  }
+
+  const periods = await db('fiscal_periods')
+    .where('fiscal_year_id', fiscalYear.id)
+    .orderBy(['period_number', 'start_date']);
+
+  return {
+    ...formatFiscalYear(fiscalYear),
+    periods: periods.map(formatFiscalPeriod)
+  };
+};
+
+const fiscalYearNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Fiscal year not found'
+    }
+  });
+};
+
+// Get the fiscal years of an organization, latest first
+router.get('/', async (req, res, next) => {
+  try {
+    const fiscalYears = await db('fiscal_years')
+      .leftJoin('fiscal_periods', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+      .where('fiscal_years.organization_id', req.params.orgId)
+      .groupBy('fiscal_years.id')
+      .orderBy('fiscal_years.start_date', 'desc')
+      .select(
+        'fiscal_years.*',
+        db.raw('COUNT(fiscal_periods.id) AS period_count'),
+        db.raw('COUNT(fiscal_periods.id) FILTER (WHERE fiscal_periods.is_closed) AS closed_period_count')
+      );
+
+    res.json({
+      success: true,
+      data: fiscalYears.map(fiscalYear => ({
+        ...formatFiscalYear(fiscalYear),
+        periodCount: parseInt(fiscalYear.period_count),
+        closedPeriodCount: parseInt(fiscalYear.closed_period_count)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a fiscal year, generating its periods or taking a custom list; dryRun returns the periods without saving
+router.post('/', authorize(['settings:edit']), validate(createFiscalYearSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+    const { dryRun, ...options } = req.body;
+
+    if (dryRun) {
+      const fiscalYear = await buildFiscalYear(orgId, options);
+
+      return res.json({
+        success: true,
+        data: fiscalYear
+      });
+    }
+
+    const fiscalYearId = await createFiscalYear(orgId, options);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fiscal year created successfully',
+      data: await getFiscalYearDetail(orgId, fiscalYearId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get fiscal year by ID with its periods
+router.get('/:id', async (req, res, next) => {
+  try {
+    const fiscalYear = await getFiscalYearDetail(req.params.orgId, req.params.id);
+
+    if (!fiscalYear) {
+      return fiscalYearNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: fiscalYear
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a fiscal year or its periods; dates are fixed once the year exists
+router.put('/:id', authorize(['settings:edit']), validate(updateFiscalYearSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { name, periods = [] } = req.body;
+
+    const fiscalYear = await getFiscalYearDetail(orgId, req.params.id);
+    if (!fiscalYear) {
+      return fiscalYearNotFound(res);
+    }
+
+    const unknownPeriod = periods.find(period => !fiscalYear.periods.some(existing => existing.id === period.id));
+    if (unknownPeriod) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FISCAL_PERIOD',
+          message: `Fiscal period ${unknownPeriod.id} is not part of ${fiscalYear.name}`
+        }
+      });
+    }
+
+    // Period names stay unique within the year
+    const periodNames = fiscalYear.periods.map(existing => {
+      const renamed = periods.find(period => period.id === existing.id);
+      return (renamed ? renamed.name : existing.name).toLowerCase();
+    });
+
+    if (new Set(periodNames).size !== periodNames.length) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_NAME',
+          message: 'Periods of a fiscal year must have different names'
+        }
+      });
+    }
+
+    if (name && name !== fiscalYear.name) {
+      const existingYear = await db('fiscal_years')
+        .where({
+          organization_id: orgId,
+          name
+        })
+        .first();
+
+      if (existingYear) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DUPLICATE_NAME',
+            message: `A fiscal year named ${name} already exists`
+          }
+        });
+      }
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      if (name) {
+        await trx('fiscal_years')
+          .where('id', fiscalYear.id)
+          .update({
+            name,
+            updated_at: new Date()
+          });
+      }
+
+      // Free the old names first so periods can swap names
+      if (periods.length) {
+        await trx('fiscal_periods')
+          .whereIn('id', periods.map(period => period.id))
+          .update({ name: trx.raw("'~' || id") });
+      }
+
+      for (const period of periods) {
+        await trx('fiscal_periods')
+          .where('id', period.id)
+          .update({
+            name: period.name,
+            updated_at: new Date()
+          });
+      }
+
+      // Commit transaction
+      await trx.commit();
+
+      res.json({
+        success: true,
+        message: 'Fiscal year updated successfully',
+        data: await getFiscalYearDetail(orgId, fiscalYear.id)
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete the first or last fiscal year of an organization while nothing is recorded in it
+router.delete('/:id', authorize(['settings:edit']), async (req, res, next) => {
+  try {
+    const deleted = await deleteFiscalYear(parseInt(req.params.orgId), req.params.id);
+
+    if (!deleted) {
+      return fiscalYearNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Fiscal year deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview the year-end close: the closing lines, net income and the pre-close checks of the open periods
+router.get('/:id/year-end-close', authorize(['fiscal_periods:close']), async (req, res, next) => {
+  try {
+    const preview = await previewYearEndClose(parseInt(req.params.orgId), req.params.id, {
+      retainedEarningsAccountId: req.query.retainedEarningsAccountId ? parseInt(req.query.retainedEarningsAccountId) : null
+    });
+
+    if (!preview) {
+      return fiscalYearNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Close a fiscal year, posting revenue and expense balances to retained earnings and closing its periods
+router.post('/:id/year-end-close', authorize(['fiscal_periods:close']), validate(yearEndCloseSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const result = await closeFiscalYear(orgId, req.params.id, {
+      retainedEarningsAccountId: req.body.retainedEarningsAccountId
+    }, getActor(req));
+
+    if (!result) {
+      return fiscalYearNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Fiscal year closed successfully',
+      data: {
+        fiscalYear: await getFiscalYearDetail(orgId, result.fiscalYear.id),
+        closingEntry: result.closingEntry && {
+          id: result.closingEntry.id,
+          entryNo: result.closingEntry.entry_no,
+          entryDate: toDateString(result.closingEntry.entry_date)
+        },
+        netIncome: result.netIncome,
+        accounts: result.accounts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Undo a year-end close while the next year is open: voids the closing entry and reopens the year and its periods
+router.post('/:id/year-end-close/undo', authorize(['fiscal_periods:close']), validate(undoYearEndCloseSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const fiscalYear = await undoYearEndClose(orgId, req.params.id, {
+      reason: req.body.reason.trim()
+    }, getActor(req));
+
+    if (!fiscalYear) {
+      return fiscalYearNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Year-end close undone successfully',
+      data: await getFiscalYearDetail(orgId, fiscalYear.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the close and reopen history of a fiscal year
+router.get('/:id/activity', async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const fiscalYear = await getFiscalYearDetail(orgId, req.params.id);
+    if (!fiscalYear) {
+      return fiscalYearNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: await getEntityActivity(orgId, 'fiscal_year', fiscalYear.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// Foreign currency revaluation routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { runRevaluation } = require('../services/fxRevaluationService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const revaluationSchema = Joi.object({
+  fiscalPeriodId: Joi.number().integer().required(),
+  rateDate: Joi.date(),
+  accountIds: Joi.array().items(Joi.number().integer()).min(1),
+  preview: Joi.boolean()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Map an fx_revaluations row to its API shape
+const formatRevaluation = (revaluation) => ({
+  id: revaluation.id,
+  fiscalPeriodId: revaluation.fiscal_period_id,
+  fiscalPeriodName: revaluation.fiscal_period_name,
+  rateDate: revaluation.rate_date,
+  baseCurrency: revaluation.base_currency,
+  totalGain: parseFloat(revaluation.total_gain),
+  totalLoss: parseFloat(revaluation.total_loss),
+  journalEntryId: revaluation.journal_entry_id,
+  entryNo: revaluation.entry_no,
+  createdBy: revaluation.created_by,
+  createdAt: revaluation.created_at
+});
+
+// Query posted revaluations with their period and journal entry
+const revaluationQuery = (orgId) => {
+  return db('fx_revaluations')
+    .join('fiscal_periods', 'fx_revaluations.fiscal_period_id', 'fiscal_periods.id')
+    .leftJoin('journal_entries', 'fx_revaluations.journal_entry_id', 'journal_entries.id')
+    .where('fx_revaluations.organization_id', orgId)
+    .select(
+      'fx_revaluations.*',
+      'fiscal_periods.name as fiscal_period_name',
+      'journal_entries.entry_no'
+    );
+};
+
+// Get the revaluations of an organization, newest first
+router.get('/', async (req, res, next) => {
+  try {
+    let query = revaluationQuery(req.params.orgId)
+      .orderBy('fx_revaluations.created_at', 'desc');
+
+    if (req.query.fiscalPeriodId) {
+      query = query.where('fx_revaluations.fiscal_period_id', req.query.fiscalPeriodId);
+    }
+
+    const revaluations = await query;
+
+    res.json({
+      success: true,
+      data: revaluations.map(formatRevaluation)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview or post a revaluation of a fiscal period
+router.post('/', authorize(['journal_entries:post']), validate(revaluationSchema), async (req, res, next) => {
+  try {
+    const { fiscalPeriodId, rateDate, accountIds, preview = false } = req.body;
+
+    const revaluation = await runRevaluation(parseInt(req.params.orgId), {
+      fiscalPeriodId,
+      rateDate,
+      accountIds,
+      preview
+    }, req.user.id);
+
+    if (preview) {
+      return res.json({
+        success: true,
+        data: revaluation
+      });
+    }
+
+    res.status(revaluation.journalEntry ? 201 : 200).json({
+      success: true,
+      message: revaluation.journalEntry
+        ? `Revaluation posted as ${revaluation.journalEntry.entryNo}`
+        : 'No foreign currency balances needed revaluing',
+      data: revaluation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a revaluation with its per-account lines
+router.get('/:id', async (req, res, next) => {
+  try {
+    const revaluation = await revaluationQuery(req.params.orgId)
+      .where('fx_revaluations.id', req.params.id)
+      .first();
+
+    if (!revaluation) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Revaluation not found'
+        }
+      });
+    }
+
+    const lines = await db('fx_revaluation_lines')
+      .join('accounts', 'fx_revaluation_lines.account_id', 'accounts.id')
+      .where('fx_revaluation_lines.fx_revaluation_id', revaluation.id)
+      .orderBy('accounts.code', 'asc')
+      .select(
+        'fx_revaluation_lines.account_id as accountId',
+        'accounts.code as accountCode',
+        'accounts.name as accountName',
+        'fx_revaluation_lines.currency_code as currencyCode',
+        'fx_revaluation_lines.foreign_balance as foreignBalance',
+        'fx_revaluation_lines.carried_base_balance as carriedBaseBalance',
+        'fx_revaluation_lines.exchange_rate as exchangeRate',
+        'fx_revaluation_lines.revalued_base_balance as revaluedBaseBalance',
+        'fx_revaluation_lines.adjustment'
+      );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatRevaluation(revaluation),
+        lines
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
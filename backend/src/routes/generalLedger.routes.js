@@ -3,6 +3,13 @@ const express = require('express');
 const router = express.Router({ mergeParams: true }); // To access orgId from parent router
 const db = require('../db');
 const authenticate = require('../middleware/authenticate');
+const {
+  parseDimensionQuery,
+  applyDimensionFilter,
+  groupByDimensions,
+  readDimensionGroups
+} = require('../services/dimensionService');
+const { roundAmount, getSignedAmount } = require('../services/postingService');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -32,6 +39,135 @@ const checkOrgAccess = async (req, res, next) => {
 
 router.use(checkOrgAccess);
 
+// Sum the ledger rows matching the filters by account and/or dimension values
+const getLedgerGroups = async (orgId, { accountId, startDate, endDate, fiscalPeriodId, dimensionFilter, groupBy }) => {
+  const byAccount = groupBy.includes('account');
+  const dimensionCodes = groupBy.filter(code => code !== 'account');
+  
+  let query = db('general_ledger')
+    .where('general_ledger.organization_id', orgId)
+    .sum({
+      debitAmount: 'general_ledger.debit_amount',
+      creditAmount: 'general_ledger.credit_amount',
+      baseDebitAmount: 'general_ledger.base_debit_amount',
+      baseCreditAmount: 'general_ledger.base_credit_amount'
+    })
+    .count('general_ledger.id as rowCount');
+  
+  if (accountId) query = query.where('general_ledger.account_id', accountId);
+  if (startDate) query = query.where('general_ledger.transaction_date', '>=', startDate);
+  if (endDate) query = query.where('general_ledger.transaction_date', '<=', endDate);
+  if (fiscalPeriodId) query = query.where('general_ledger.fiscal_period_id', fiscalPeriodId);
+  query = applyDimensionFilter(query, dimensionFilter);
+  
+  if (byAccount) {
+    query = query
+      .join('accounts', 'general_ledger.account_id', 'accounts.id')
+      .select('accounts.id as accountId', 'accounts.code as accountCode', 'accounts.name as accountName')
+      .groupBy('accounts.id', 'accounts.code', 'accounts.name')
+      .orderBy('accounts.code', 'asc');
+  }
+  
+  const groups = await groupByDimensions(query, dimensionCodes);
+  
+  return groups.map(group => {
+    const row = readDimensionGroups(group, dimensionCodes);
+    const baseBalance = parseFloat(row.baseDebitAmount || 0) - parseFloat(row.baseCreditAmount || 0);
+    return {
+      ...row,
+      debitAmount: parseFloat(row.debitAmount || 0),
+      creditAmount: parseFloat(row.creditAmount || 0),
+      baseDebitAmount: parseFloat(row.baseDebitAmount || 0),
+      baseCreditAmount: parseFloat(row.baseCreditAmount || 0),
+      baseBalance: Math.round(baseBalance * 10000) / 10000,
+      rowCount: parseInt(row.rowCount)
+    };
+  });
+};
+
+// Sum the ledger per account (and dimension values) in the shape of account_balances rows: in base currency,
+// opening at the movement of the organization's earlier periods and signed on the account's normal-balance side
+const getDimensionalBalances = async (orgId, fiscalPeriodId, { filter, groupBy }) => {
+  const periodStart = db('fiscal_periods')
+    .where('id', fiscalPeriodId)
+    .select('start_date');
+  
+  const earlierPeriods = db('fiscal_periods')
+    .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+    .where('fiscal_years.organization_id', orgId)
+    .where('fiscal_periods.start_date', '<', periodStart)
+    .select('fiscal_periods.id');
+  
+  // Sum of a column over the period's rows (inPeriod) or the earlier periods' rows
+  const sumOf = (column, alias, inPeriod) => db.raw(
+    `COALESCE(SUM(??) FILTER (WHERE general_ledger.fiscal_period_id ${inPeriod ? '=' : '<>'} ?), 0) AS ??`,
+    [column, fiscalPeriodId, alias]
+  );
+  
+  let query = db('general_ledger')
+    .join('accounts', 'general_ledger.account_id', 'accounts.id')
+    .join('account_types', 'accounts.account_type_id', 'account_types.id')
+    .leftJoin('account_categories', 'accounts.account_category_id', 'account_categories.id')
+    .where({
+      'general_ledger.organization_id': orgId,
+      'accounts.is_active': true
+    })
+    .where(function() {
+      this.where('general_ledger.fiscal_period_id', fiscalPeriodId)
+        .orWhereIn('general_ledger.fiscal_period_id', earlierPeriods);
+    })
+    .select(
+      'accounts.id as accountId',
+      'accounts.code as accountCode',
+      'accounts.name as accountName',
+      'account_types.id as accountTypeId',
+      'account_types.name as accountTypeName',
+      'account_types.normal_balance as normalBalance',
+      'account_categories.id as accountCategoryId',
+      'account_categories.name as accountCategoryName',
+      sumOf('general_ledger.base_debit_amount', 'openingDebitAmount', false),
+      sumOf('general_ledger.base_credit_amount', 'openingCreditAmount', false),
+      sumOf('general_ledger.base_debit_amount', 'baseDebitAmount', true),
+      sumOf('general_ledger.base_credit_amount', 'baseCreditAmount', true),
+      db.raw('COUNT(*) FILTER (WHERE general_ledger.fiscal_period_id = ?) AS ??', [fiscalPeriodId, 'periodRowCount'])
+    )
+    .groupBy(
+      'accounts.id', 'accounts.code', 'accounts.name',
+      'account_types.id', 'account_types.name', 'account_types.normal_balance',
+      'account_categories.id', 'account_categories.name'
+    )
+    .orderBy(['account_types.id', 'account_categories.name', 'accounts.code']);
+  
+  query = groupByDimensions(applyDimensionFilter(query, filter), groupBy);
+  
+  const rows = await query;
+  
+  return rows
+    .map(row => {
+      const { openingDebitAmount, openingCreditAmount, periodRowCount, ...balance } = readDimensionGroups(row, groupBy);
+      const openingBalance = roundAmount(getSignedAmount(balance.normalBalance, openingDebitAmount, openingCreditAmount));
+      const debitAmount = roundAmount(parseFloat(balance.baseDebitAmount));
+      const creditAmount = roundAmount(parseFloat(balance.baseCreditAmount));
+      const closingBalance = roundAmount(openingBalance + getSignedAmount(balance.normalBalance, debitAmount, creditAmount));
+      
+      return {
+        ...balance,
+        hasActivity: parseInt(periodRowCount) > 0,
+        openingBalance,
+        debitAmount,
+        creditAmount,
+        closingBalance,
+        baseOpeningBalance: openingBalance,
+        baseDebitAmount: debitAmount,
+        baseCreditAmount: creditAmount,
+        baseClosingBalance: closingBalance
+      };
+    })
+    // Leave out groups that neither moved in the period nor bring a balance into it
+    .filter(({ hasActivity, openingBalance }) => hasActivity || openingBalance !== 0)
+    .map(({ hasActivity, ...balance }) => balance);
+};
+
 // Get general ledger entries
 router.get('/', async (req, res, next) => {
   try {
@@ -41,6 +177,35 @@ router.get('/', async (req, res, next) => {
       page = 1, limit = 50 
     } = req.query;
     
+    // Dimension filters (dimensions=type:value,...) and group-bys (groupBy=account,type,...)
+    const dimensionQuery = await parseDimensionQuery(orgId, req.query, ['account']);
+    if (dimensionQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: dimensionQuery.error
+      });
+    }
+    
+    // Grouped requests return totals per group instead of ledger rows
+    if (dimensionQuery.groupBy.length) {
+      const groups = await getLedgerGroups(orgId, {
+        accountId,
+        startDate,
+        endDate,
+        fiscalPeriodId,
+        dimensionFilter: dimensionQuery.filter,
+        groupBy: dimensionQuery.groupBy
+      });
+      
+      return res.json({
+        success: true,
+        data: {
+          groupBy: dimensionQuery.groupBy,
+          groups
+        }
+      });
+    }
+    
     // Build query
     let query = db('general_ledger')
       .join('accounts', 'general_ledger.account_id', 'accounts.id')
@@ -57,6 +222,7 @@ router.get('/', async (req, res, next) => {
         'general_ledger.base_debit_amount as baseDebitAmount',
         'general_ledger.base_credit_amount as baseCreditAmount',
         'general_ledger.base_balance as baseBalance',
+        'general_ledger.dimensions',
         'accounts.id as accountId',
         'accounts.code as accountCode',
         'accounts.name as accountName',
@@ -82,6 +248,8 @@ router.get('/', async (req, res, next) => {
       query = query.where('general_ledger.fiscal_period_id', fiscalPeriodId);
     }
     
+    query = applyDimensionFilter(query, dimensionQuery.filter);
+    
     // Count total results
     const countQuery = db('general_ledger')
       .where('organization_id', orgId);
@@ -102,6 +270,8 @@ router.get('/', async (req, res, next) => {
       countQuery.where('fiscal_period_id', fiscalPeriodId);
     }
     
+    applyDimensionFilter(countQuery, dimensionQuery.filter);
+    
     const [{ count }] = await countQuery.count('id as count');
     
     // Pagination
@@ -118,7 +288,7 @@ router.get('/', async (req, res, next) => {
     
     // Parse dimensions if present
     ledgerEntries.forEach(entry => {
-      if (entry.dimensions) {
+      if (typeof entry.dimensions === 'string') {
         entry.dimensions = JSON.parse(entry.dimensions);
       }
     });
@@ -172,6 +342,14 @@ router.get('/account/:accountId', async (req, res, next) => {
       });
     }
     
+    const dimensionQuery = await parseDimensionQuery(orgId, { dimensions: req.query.dimensions });
+    if (dimensionQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: dimensionQuery.error
+      });
+    }
+    
     // Build query
     let query = db('general_ledger')
       .leftJoin('journal_entries', 'general_ledger.journal_entry_id', 'journal_entries.id')
@@ -190,6 +368,7 @@ router.get('/account/:accountId', async (req, res, next) => {
         'general_ledger.base_debit_amount as baseDebitAmount',
         'general_ledger.base_credit_amount as baseCreditAmount',
         'general_ledger.base_balance as baseBalance',
+        'general_ledger.dimensions',
         'journal_entries.entry_no as journalEntryNo',
         'journal_entries.reference as journalEntryReference',
         'general_ledger.created_at as createdAt'
@@ -208,6 +387,8 @@ router.get('/account/:accountId', async (req, res, next) => {
       query = query.where('general_ledger.fiscal_period_id', fiscalPeriodId);
     }
     
+    query = applyDimensionFilter(query, dimensionQuery.filter);
+    
     // Count total results
     const countQuery = db('general_ledger')
       .where({
@@ -227,6 +408,8 @@ router.get('/account/:accountId', async (req, res, next) => {
       countQuery.where('fiscal_period_id', fiscalPeriodId);
     }
     
+    applyDimensionFilter(countQuery, dimensionQuery.filter);
+    
     const [{ count }] = await countQuery.count('id as count');
     
     // Pagination
@@ -243,7 +426,7 @@ router.get('/account/:accountId', async (req, res, next) => {
     
     // Parse dimensions if present
     ledgerEntries.forEach(entry => {
-      if (entry.dimensions) {
+      if (typeof entry.dimensions === 'string') {
         entry.dimensions = JSON.parse(entry.dimensions);
       }
     });
@@ -364,8 +547,20 @@ router.get('/trial-balance', async (req, res, next) => {
       });
     }
     
-    // Get account balances for trial balance
-    const accountBalances = await db('account_balances')
+    // Dimension filters (dimensions=type:value,...) and group-bys (groupBy=type,...)
+    const dimensionQuery = await parseDimensionQuery(orgId, req.query);
+    if (dimensionQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: dimensionQuery.error
+      });
+    }
+    
+    // Account balances carry no dimensions, so a dimensional trial balance is summed from the ledger
+    const dimensional = Object.keys(dimensionQuery.filter).length > 0 || dimensionQuery.groupBy.length > 0;
+    const accountBalances = dimensional
+      ? await getDimensionalBalances(orgId, fiscalPeriodId, dimensionQuery)
+      : await db('account_balances')
       .join('accounts', 'account_balances.account_id', 'accounts.id')
       .join('account_types', 'accounts.account_type_id', 'account_types.id')
       .leftJoin('account_categories', 'accounts.account_category_id', 'account_categories.id')
@@ -443,6 +638,8 @@ router.get('/trial-balance', async (req, res, next) => {
       data: {
         fiscalPeriod,
         baseCurrency: organization.baseCurrency,
+        dimensions: dimensionQuery.filter,
+        groupBy: dimensionQuery.groupBy,
         accountBalances,
         totals
       }
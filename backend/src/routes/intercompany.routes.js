@@ -0,0 +1,239 @@
+// Intercompany relationship, entry and reconciliation routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { toDateString } = require('../utils/dateUtils');
+const { getJournalEntrySummary } = require('../services/journalEntryService');
+const {
+  saveRelationship,
+  createIntercompanyEntry,
+  getIntercompanyReconciliation
+} = require('../services/intercompanyService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const relationshipSchema = Joi.object({
+  dueFromAccountId: Joi.number().integer().required(),
+  dueToAccountId: Joi.number().integer().required()
+});
+
+const intercompanyItemSchema = Joi.object({
+  accountId: Joi.number().integer().required(),
+  description: Joi.string().allow('', null),
+  debitAmount: Joi.number().min(0).default(0),
+  creditAmount: Joi.number().min(0).default(0),
+  memo: Joi.string().allow('', null),
+  dimensions: Joi.object().allow(null)
+});
+
+const intercompanyEntrySchema = Joi.object({
+  counterpartyOrganizationId: Joi.number().integer().required(),
+  entryDate: Joi.date().required(),
+  fiscalPeriodId: Joi.number().integer(), // Found from the entry date when omitted
+  description: Joi.string().allow('', null),
+  reference: Joi.string().allow('', null),
+  currencyCode: Joi.string().length(3).default('USD'),
+  exchangeRate: Joi.number().positive(), // Looked up for the entry date when omitted
+  counterpartyExchangeRate: Joi.number().positive(), // Looked up in the counterparty when omitted
+  items: Joi.array().items(intercompanyItemSchema).min(1).required(), // Balanced by the due-to/due-from line
+  counterpartyItems: Joi.array().items(intercompanyItemSchema).min(1).required()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Check the user holds a permission in the counterparty organization, returning the error to report if not
+const getCounterpartyAccessError = (user, counterpartyOrganizationId, permission) => {
+  const userOrg = user.organizations.find(org => org.id === counterpartyOrganizationId);
+
+  if (!userOrg || !(userOrg.permissions.includes(permission) || userOrg.permissions.includes('admin'))) {
+    return {
+      code: 'FORBIDDEN',
+      message: 'You do not have the required permissions in the counterparty organization'
+    };
+  }
+
+  return null;
+};
+
+// Get the due-from and due-to accounts configured for each counterparty
+router.get('/relationships', async (req, res, next) => {
+  try {
+    const relationships = await db('intercompany_relationships')
+      .join('organizations', 'intercompany_relationships.counterparty_organization_id', 'organizations.id')
+      .join('accounts as due_from', 'intercompany_relationships.due_from_account_id', 'due_from.id')
+      .join('accounts as due_to', 'intercompany_relationships.due_to_account_id', 'due_to.id')
+      .where('intercompany_relationships.organization_id', req.params.orgId)
+      .orderBy('organizations.name', 'asc')
+      .select(
+        'intercompany_relationships.id',
+        'intercompany_relationships.counterparty_organization_id as counterpartyOrganizationId',
+        'organizations.name as counterpartyName',
+        'intercompany_relationships.due_from_account_id as dueFromAccountId',
+        'due_from.code as dueFromAccountCode',
+        'due_from.name as dueFromAccountName',
+        'intercompany_relationships.due_to_account_id as dueToAccountId',
+        'due_to.code as dueToAccountCode',
+        'due_to.name as dueToAccountName',
+        'intercompany_relationships.updated_at as updatedAt'
+      );
+
+    res.json({
+      success: true,
+      data: relationships
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the due-from and due-to accounts used for a counterparty
+router.put('/relationships/:counterpartyId', authorize(['settings:edit']), validate(relationshipSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+    const counterpartyId = parseInt(req.params.counterpartyId);
+    const { dueFromAccountId, dueToAccountId } = req.body;
+
+    if (counterpartyId === orgId || !req.user.organizations.some(org => org.id === counterpartyId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_COUNTERPARTY',
+          message: 'The counterparty must be another organization you have access to'
+        }
+      });
+    }
+
+    // Both accounts must be active accounts of this organization
+    const accounts = await db('accounts')
+      .whereIn('id', [dueFromAccountId, dueToAccountId])
+      .where({
+        organization_id: orgId,
+        is_active: true
+      })
+      .select('id');
+
+    if (accounts.length !== new Set([dueFromAccountId, dueToAccountId]).size) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ACCOUNTS',
+          message: 'The due-from and due-to accounts must be active accounts of this organization'
+        }
+      });
+    }
+
+    const relationship = await saveRelationship(orgId, counterpartyId, { dueFromAccountId, dueToAccountId });
+
+    res.json({
+      success: true,
+      message: 'Intercompany accounts saved successfully',
+      data: {
+        id: relationship.id,
+        counterpartyOrganizationId: relationship.counterparty_organization_id,
+        dueFromAccountId: relationship.due_from_account_id,
+        dueToAccountId: relationship.due_to_account_id,
+        updatedAt: relationship.updated_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record an intercompany entry and its mirror in the counterparty organization
+router.post('/entries', authorize(['journal_entries:create']), validate(intercompanyEntrySchema), async (req, res, next) => {
+  try {
+    const {
+      counterpartyOrganizationId, entryDate, fiscalPeriodId, description, reference,
+      currencyCode = 'USD', exchangeRate, counterpartyExchangeRate, items, counterpartyItems
+    } = req.body;
+
+    const accessError = getCounterpartyAccessError(req.user, counterpartyOrganizationId, 'journal_entries:create');
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        error: accessError
+      });
+    }
+
+    const { journalEntryId, mirrorEntryId } = await createIntercompanyEntry(parseInt(req.params.orgId), {
+      counterpartyOrganizationId,
+      entryDate,
+      fiscalPeriodId,
+      description,
+      reference,
+      currencyCode,
+      exchangeRate,
+      counterpartyExchangeRate,
+      items,
+      counterpartyItems
+    }, req.user.id);
+
+    const journalEntry = await getJournalEntrySummary(journalEntryId);
+    const mirrorEntry = await getJournalEntrySummary(mirrorEntryId);
+
+    res.status(201).json({
+      success: true,
+      message: `Intercompany entry ${journalEntry.entryNo} created with mirror ${mirrorEntry.entryNo}`,
+      data: {
+        journalEntry,
+        mirrorEntry
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare the intercompany balances of this organization with each counterparty
+router.get('/reconciliation', async (req, res, next) => {
+  try {
+    const asOfDate = req.query.asOfDate ? toDateString(req.query.asOfDate) : toDateString(new Date());
+
+    const reconciliations = await getIntercompanyReconciliation(parseInt(req.params.orgId), {
+      asOfDate,
+      accessibleOrganizationIds: req.user.organizations.map(org => org.id)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        asOfDate,
+        counterparties: reconciliations
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
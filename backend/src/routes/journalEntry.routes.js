@@ -4,31 +4,116 @@ const router = express.Router({ mergeParams: true }); // To access orgId from pa
 const db = require('../db');
 const authenticate = require('../middleware/authenticate');
 const validate = require('../middleware/validate');
+const authorize = require('../middleware/authorize');
+const {
+  validateJournalEntry, convertJournalEntryLines, buildItemRows, createJournalEntry, postJournalEntry, createReversal,
+  recordStatusChange, getApprovalError, getPostingError, voidJournalEntry, getJournalEntrySummary
+} = require('../services/journalEntryService');
+const { getOrganizationSettings } = require('../services/organizationSettingsService');
+const { releaseEntryNo } = require('../services/entrySequenceService');
+const { formatAttachment, deleteStoredFiles, deleteEntityAttachments } = require('../services/attachmentService');
+const { BATCH_POST_MODES, MAX_BATCH_SIZE, postJournalEntryBatch } = require('../services/batchPostingService');
+const { SORT_EXPRESSIONS, searchJournalEntries } = require('../services/journalEntrySearchService');
+const { parseDimensionQuery } = require('../services/dimensionService');
+const { checkDuplicates } = require('../services/duplicateDetectionService');
+const { toDateString } = require('../utils/dateUtils');
 const Joi = require('joi');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
 // Validation schemas
+const journalEntryItemSchema = Joi.object({
+  accountId: Joi.number().integer().required(),
+  description: Joi.string().allow('', null),
+  debitAmount: Joi.number().min(0).default(0),
+  creditAmount: Joi.number().min(0).default(0),
+  currencyCode: Joi.string().length(3), // Defaults to the entry currency
+  exchangeRate: Joi.number().positive(), // Looked up for the entry date when omitted
+  memo: Joi.string().allow('', null),
+  dimensions: Joi.object().allow(null)
+});
+
 const createJournalEntrySchema = Joi.object({
   entryDate: Joi.date().required(),
   fiscalPeriodId: Joi.number().integer().required(),
   description: Joi.string().allow('', null),
   reference: Joi.string().allow('', null),
   currencyCode: Joi.string().length(3).default('USD'),
-  exchangeRate: Joi.number().positive().default(1.0),
-  items: Joi.array().items(
-    Joi.object({
-      accountId: Joi.number().integer().required(),
-      description: Joi.string().allow('', null),
-      debitAmount: Joi.number().min(0).default(0),
-      creditAmount: Joi.number().min(0).default(0),
-      memo: Joi.string().allow('', null),
-      dimensions: Joi.object().allow(null)
-    })
-  ).min(2).required()
+  exchangeRate: Joi.number().positive(), // Looked up for the entry date when omitted
+  autoReverseOn: Joi.date().greater(Joi.ref('entryDate')).allow(null),
+  autoReversePost: Joi.boolean().default(false),
+  templateId: Joi.number().integer(), // Template the entry was started from
+  items: Joi.array().items(journalEntryItemSchema).min(2).required()
+});
+
+const updateJournalEntrySchema = Joi.object({
+  entryDate: Joi.date(),
+  fiscalPeriodId: Joi.number().integer(),
+  description: Joi.string().allow('', null),
+  reference: Joi.string().allow('', null),
+  currencyCode: Joi.string().length(3),
+  exchangeRate: Joi.number().positive(),
+  autoReverseOn: Joi.date().allow(null),
+  autoReversePost: Joi.boolean(),
+  items: Joi.array().items(journalEntryItemSchema).min(2)
+});
+
+const approveJournalEntrySchema = Joi.object({
+  comment: Joi.string().allow('', null)
+});
+
+const rejectJournalEntrySchema = Joi.object({
+  reason: Joi.string().required()
+});
+
+const batchPostSchema = Joi.object({
+  ids: Joi.array().items(Joi.number().integer()).min(1).max(MAX_BATCH_SIZE),
+  filter: Joi.object({
+    status: Joi.string().valid('draft', 'submitted', 'approved'),
+    source: Joi.string(),
+    importBatchId: Joi.number().integer(),
+    fiscalPeriodId: Joi.number().integer(),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    createdBy: Joi.number().integer()
+  }),
+  mode: Joi.string().valid(...BATCH_POST_MODES).default('atomic'),
+  limit: Joi.number().integer().min(1).max(MAX_BATCH_SIZE)
+}).xor('ids', 'filter');
+
+const voidJournalEntrySchema = Joi.object({
+  reason: Joi.string().allow('', null)
+});
+
+const reverseJournalEntrySchema = Joi.object({
+  entryDate: Joi.date().required(),
+  fiscalPeriodId: Joi.number().integer().required(),
+  description: Joi.string().allow('', null)
 });
 
+// Query string of the journal entry search; lists are comma separated
+const searchJournalEntriesSchema = Joi.object({
+  search: Joi.string().trim().allow(''),
+  status: Joi.string(),
+  source: Joi.string(),
+  createdBy: Joi.number().integer(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+  fiscalPeriodId: Joi.number().integer(),
+  reference: Joi.string(),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0),
+  accountId: Joi.number().integer(),
+  includeSubaccounts: Joi.boolean().default(true),
+  dimensions: Joi.string(),
+  sort: Joi.string().valid(...Object.keys(SORT_EXPRESSIONS)).default('entryDate'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(200).default(20),
+  page: Joi.number().integer().min(1),
+  cursor: Joi.string()
+}).oxor('page', 'cursor');
+
 // Middleware to check organization access
 const checkOrgAccess = async (req, res, next) => {
   try {
@@ -54,83 +139,134 @@ const checkOrgAccess = async (req, res, next) => {
 
 router.use(checkOrgAccess);
 
-// Get all journal entries for an organization
+// Check whether a journal entry may be voided or reversed, returning the error to report if not.
+// Only a posted reversal settles an entry; a pending automatic reversal is voided along with the entry,
+// but the entry cannot be reversed again while it is pending.
+const getReversalError = async (trx, journalEntry, action) => {
+  if (journalEntry.status === 'voided') {
+    return {
+      code: 'ENTRY_VOIDED',
+      message: 'Journal entry is already voided'
+    };
+  }
+  
+  // A reversal that has not been posted never reached the ledger and can simply be voided
+  if (journalEntry.reversal_of_id && journalEntry.status === 'posted') {
+    return {
+      code: 'REVERSAL_ENTRY',
+      message: 'A reversing entry cannot itself be voided or reversed'
+    };
+  }
+  
+  const existingReversal = await trx('journal_entries')
+    .where('reversal_of_id', journalEntry.id)
+    .whereNot('status', 'voided')
+    .select('id', 'entry_no', 'status')
+    .first();
+  
+  if (existingReversal && existingReversal.status === 'posted') {
+    return {
+      code: 'ALREADY_REVERSED',
+      message: `Journal entry has already been reversed by ${existingReversal.entry_no}`,
+      details: { reversalEntryId: existingReversal.id }
+    };
+  }
+  
+  if (existingReversal && action === 'reverse') {
+    return {
+      code: 'REVERSAL_PENDING',
+      message: `Journal entry is already reversed by ${existingReversal.entry_no}, which is not posted yet; post or void it instead`,
+      details: { reversalEntryId: existingReversal.id }
+    };
+  }
+  
+  return null;
+};
+
+// Both sides of an intercompany entry change together: mirrors follow their originating entry,
+// and neither side can be edited, deleted or reversed on its own (void the originating entry instead).
+// Each side is submitted for approval in its own organization; the mirror posts with the originating entry.
+const getIntercompanyError = (journalEntry, action) => {
+  if (!journalEntry.intercompany_role || action === 'submit') {
+    return null;
+  }
+  
+  return {
+    code: 'INTERCOMPANY_ENTRY',
+    message: `Cannot ${action} one side of an intercompany entry on its own`,
+    details: { intercompanyEntryId: journalEntry.intercompany_entry_id }
+  };
+};
+
+// Only drafts may be changed; once an entry has reached the ledger it must be voided or reversed instead
+const getNotDraftError = (journalEntry, action) => {
+  if (journalEntry.status === 'posted') {
+    return {
+      code: 'ALREADY_POSTED',
+      message: `Cannot ${action} a posted journal entry; void or reverse it instead`
+    };
+  }
+  
+  if (journalEntry.status === 'voided') {
+    return {
+      code: 'ENTRY_VOIDED',
+      message: `Cannot ${action} a voided journal entry`
+    };
+  }
+  
+  if (journalEntry.status !== 'draft') {
+    return {
+      code: 'NOT_DRAFT',
+      message: `Only draft journal entries can be changed (cannot ${action})`
+    };
+  }
+  
+  return null;
+};
+
+// Search journal entries of an organization, paged by page number or cursor
 router.get('/', async (req, res, next) => {
   try {
-    const orgId = req.params.orgId;
-    const { 
-      status, startDate, endDate, reference, search,
-      page = 1, limit = 20 
-    } = req.query;
-    
-    // Build query
-    let query = db('journal_entries')
-      .where('organization_id', orgId)
-      .select(
-        'id',
-        'entry_no as entryNo',
-        'entry_date as entryDate',
-        'description',
-        'reference',
-        'status',
-        'currency_code as currencyCode',
-        'created_at as createdAt',
-        'posted_at as postedAt'
-      );
-    
-    // Apply filters
-    if (status) {
-      query = query.where('status', status);
-    }
-    
-    if (startDate) {
-      query = query.where('entry_date', '>=', startDate);
-    }
-    
-    if (endDate) {
-      query = query.where('entry_date', '<=', endDate);
-    }
+    const orgId = parseInt(req.params.orgId);
     
-    if (reference) {
-      query = query.where('reference', 'like', `%${reference}%`);
+    const { error, value: query } = searchJournalEntriesSchema.validate(req.query, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path[0],
+            message: detail.message
+          }))
+        }
+      });
     }
     
-    if (search) {
-      query = query.where(function() {
-        this.where('entry_no', 'like', `%${search}%`)
-            .orWhere('description', 'like', `%${search}%`)
-            .orWhere('reference', 'like', `%${search}%`);
+    // Dimension filters (dimensions=type:value,...) match entries with at least one line carrying all of them
+    const dimensionQuery = await parseDimensionQuery(orgId, { dimensions: query.dimensions });
+    if (dimensionQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: dimensionQuery.error
       });
     }
     
-    // Count total results
-    const [{ count }] = await db('journal_entries')
-      .where('organization_id', orgId)
-      .count('id as count');
+    const toList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
     
-    // Pagination
-    const offset = (page - 1) * limit;
-    query = query.orderBy('entry_date', 'desc')
-                .limit(limit)
-                .offset(offset);
-    
-    // Execute query
-    const journalEntries = await query;
-    
-    // Calculate pagination info
-    const totalPages = Math.ceil(count / limit);
+    const result = await searchJournalEntries(orgId, {
+      ...query,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      status: toList(query.status),
+      source: toList(query.source),
+      dimensions: dimensionQuery.filter
+    });
     
     res.json({
       success: true,
-      data: {
-        journalEntries,
-        pagination: {
-          total: parseInt(count),
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: totalPages
-        }
-      }
+      data: result
     });
   } catch (error) {
     next(error);
@@ -143,204 +279,82 @@ router.post('/', validate(createJournalEntrySchema), async (req, res, next) => {
     const orgId = req.params.orgId;
     const { 
       entryDate, fiscalPeriodId, description, reference,
-      currencyCode, exchangeRate, items 
+      currencyCode = 'USD', exchangeRate, autoReverseOn, autoReversePost, templateId, items 
     } = req.body;
     
-    // Check if fiscal period exists and belongs to this organization
-    const fiscalPeriod = await db('fiscal_periods')
-      .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
-      .where({ 
-        'fiscal_periods.id': fiscalPeriodId,
-        'fiscal_years.organization_id': orgId
-      })
-      .select('fiscal_periods.id', 'fiscal_periods.is_closed')
-      .first();
-    
-    if (!fiscalPeriod) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_FISCAL_PERIOD',
-          message: 'The specified fiscal period does not exist or does not belong to this organization'
-        }
-      });
-    }
-    
-    // Check if fiscal period is closed
-    if (fiscalPeriod.is_closed) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'FISCAL_PERIOD_CLOSED',
-          message: 'Cannot create journal entries in a closed fiscal period'
-        }
-      });
-    }
-    
-    // Check if currency exists
-    const currency = await db('currencies')
-      .where({ code: currencyCode })
-      .first();
-    
-    if (!currency) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_CURRENCY',
-          message: 'The specified currency does not exist'
-        }
-      });
-    }
-    
-    // Validate accounts
-    const accountIds = items.map(item => item.accountId);
-    const accounts = await db('accounts')
-      .whereIn('id', accountIds)
-      .where('organization_id', orgId)
-      .select('id', 'name', 'is_active');
-    
-    // Check if all accounts exist and belong to this organization
-    if (accounts.length !== accountIds.length) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_ACCOUNTS',
-          message: 'One or more specified accounts do not exist or do not belong to this organization'
-        }
-      });
+    // Check that the template belongs to this organization
+    if (templateId) {
+      const template = await db('journal_entry_templates')
+        .where({
+          id: templateId,
+          organization_id: orgId
+        })
+        .first();
+
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_TEMPLATE',
+            message: 'The specified template does not exist in this organization'
+          }
+        });
+      }
     }
     
-    // Check if all accounts are active
-    const inactiveAccounts = accounts.filter(account => !account.is_active);
-    if (inactiveAccounts.length > 0) {
+    // Validate fiscal period, currencies, exchange rates, accounts and balance
+    const validationError = await validateJournalEntry(orgId, { fiscalPeriodId, entryDate, currencyCode, exchangeRate, items });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: {
-          code: 'INACTIVE_ACCOUNTS',
-          message: `Cannot use inactive accounts: ${inactiveAccounts.map(a => a.name).join(', ')}`
-        }
+        error: validationError
       });
     }
     
-    // Check if journal entry balances (total debits = total credits)
-    const totalDebits = items.reduce((sum, item) => sum + parseFloat(item.debitAmount || 0), 0);
-    const totalCredits = items.reduce((sum, item) => sum + parseFloat(item.creditAmount || 0), 0);
-    
-    // Allow for small rounding differences (0.01)
-    if (Math.abs(totalDebits - totalCredits) > 0.01) {
-      return res.status(400).json({
+    // Compare with recent entries; a likely duplicate is a warning, or an error if the organization blocks them
+    const duplicateCheck = await checkDuplicates(parseInt(orgId), { entryDate, reference, items }, await getOrganizationSettings(orgId));
+    if (duplicateCheck && duplicateCheck.blocked) {
+      return res.status(409).json({
         success: false,
         error: {
-          code: 'UNBALANCED_ENTRY',
-          message: 'Journal entry must balance (total debits must equal total credits)',
-          details: {
-            totalDebits,
-            totalCredits,
-            difference: totalDebits - totalCredits
-          }
+          code: 'DUPLICATE_ENTRY',
+          message: duplicateCheck.warning.message,
+          details: { duplicates: duplicateCheck.warning.duplicates }
         }
       });
     }
     
-    // Generate entry number
-    const currentYear = new Date().getFullYear();
-    const [{ maxEntryNo }] = await db('journal_entries')
-      .where('organization_id', orgId)
-      .whereRaw(`entry_no LIKE 'JE-${currentYear}-%'`)
-      .max('entry_no as maxEntryNo');
-    
-    let entryNumber = 1;
-    if (maxEntryNo) {
-      const parts = maxEntryNo.split('-');
-      entryNumber = parseInt(parts[2]) + 1;
-    }
-    
-    const entryNo = `JE-${currentYear}-${entryNumber.toString().padStart(4, '0')}`;
-    
     // Start a transaction
     const trx = await db.transaction();
     
     try {
-      // Create journal entry
-      const [journalEntryId] = await trx('journal_entries').insert({
-        organization_id: orgId,
-        entry_no: entryNo,
-        entry_date: entryDate,
-        fiscal_period_id: fiscalPeriodId,
+      // Create journal entry and its items
+      const { id: journalEntryId } = await createJournalEntry(trx, orgId, {
+        entryDate,
+        fiscalPeriodId,
         description,
         reference,
         source: 'manual',
-        status: 'draft',
-        currency_code: currencyCode,
-        exchange_rate: exchangeRate,
-        created_by: req.user.id,
-        created_at: new Date(),
-        updated_at: new Date()
-      }).returning('id');
-      
-      // Create journal entry items
-      const journalEntryItems = items.map(item => ({
-        journal_entry_id: journalEntryId,
-        account_id: item.accountId,
-        description: item.description,
-        debit_amount: item.debitAmount || 0,
-        credit_amount: item.creditAmount || 0,
-        base_debit_amount: (item.debitAmount || 0) * exchangeRate,
-        base_credit_amount: (item.creditAmount || 0) * exchangeRate,
-        memo: item.memo,
-        dimensions: item.dimensions ? JSON.stringify(item.dimensions) : null,
-        created_at: new Date()
-      }));
-      
-      await trx('journal_entry_items').insert(journalEntryItems);
+        currencyCode,
+        exchangeRate,
+        autoReverseOn,
+        autoReversePost,
+        templateId,
+        items,
+        userId: req.user.id
+      });
       
       // Commit transaction
       await trx.commit();
       
       // Get created journal entry with items
-      const journalEntry = await db('journal_entries')
-        .where({ id: journalEntryId })
-        .select(
-          'id',
-          'entry_no as entryNo',
-          'entry_date as entryDate',
-          'description',
-          'reference',
-          'status',
-          'currency_code as currencyCode',
-          'exchange_rate as exchangeRate',
-          'created_at as createdAt'
-        )
-        .first();
-      
-      const journalEntryItemsResult = await db('journal_entry_items')
-        .join('accounts', 'journal_entry_items.account_id', 'accounts.id')
-        .where('journal_entry_id', journalEntryId)
-        .select(
-          'journal_entry_items.id',
-          'journal_entry_items.account_id as accountId',
-          'accounts.code as accountCode',
-          'accounts.name as accountName',
-          'journal_entry_items.description',
-          'journal_entry_items.debit_amount as debitAmount',
-          'journal_entry_items.credit_amount as creditAmount',
-          'journal_entry_items.memo',
-          'journal_entry_items.dimensions'
-        );
-      
-      // Parse dimensions if present
-      journalEntryItemsResult.forEach(item => {
-        if (item.dimensions) {
-          item.dimensions = JSON.parse(item.dimensions);
-        }
-      });
-      
-      journalEntry.items = journalEntryItemsResult;
+      const journalEntry = await getJournalEntrySummary(journalEntryId);
       
       res.status(201).json({
         success: true,
         message: 'Journal entry created successfully',
-        data: journalEntry
+        data: journalEntry,
+        warnings: duplicateCheck ? [duplicateCheck.warning] : []
       });
     } catch (error) {
       // Rollback transaction on error
@@ -377,6 +391,15 @@ router.get('/:id', async (req, res, next) => {
         'exchange_rate as exchangeRate',
         'created_by as createdBy',
         'approved_by as approvedBy',
+        'auto_reverse_on as autoReverseOn',
+        'auto_reverse_post as autoReversePost',
+        'reversal_of_id as reversalOfId',
+        'counterparty_organization_id as counterpartyOrganizationId',
+        'intercompany_entry_id as intercompanyEntryId',
+        'intercompany_role as intercompanyRole',
+        'voided_by as voidedBy',
+        'voided_at as voidedAt',
+        'void_reason as voidReason',
         'created_at as createdAt',
         'updated_at as updatedAt',
         'posted_at as postedAt'
@@ -403,17 +426,20 @@ router.get('/:id', async (req, res, next) => {
         'accounts.code as accountCode',
         'accounts.name as accountName',
         'journal_entry_items.description',
+        'journal_entry_items.currency_code as currencyCode',
+        'journal_entry_items.exchange_rate as exchangeRate',
         'journal_entry_items.debit_amount as debitAmount',
         'journal_entry_items.credit_amount as creditAmount',
         'journal_entry_items.base_debit_amount as baseDebitAmount',
         'journal_entry_items.base_credit_amount as baseCreditAmount',
+        'journal_entry_items.is_rounding as isRounding',
         'journal_entry_items.memo',
         'journal_entry_items.dimensions'
       );
     
     // Parse dimensions if present
     journalEntryItems.forEach(item => {
-      if (item.dimensions) {
+      if (typeof item.dimensions === 'string') {
         item.dimensions = JSON.parse(item.dimensions);
       }
     });
@@ -458,6 +484,46 @@ router.get('/:id', async (req, res, next) => {
       journalEntry.approver = approver;
     }
     
+    // Get reversal links so the audit trail can be followed both ways
+    if (journalEntry.reversalOfId) {
+      journalEntry.reversalOf = await db('journal_entries')
+        .where('id', journalEntry.reversalOfId)
+        .select('id', 'entry_no as entryNo', 'entry_date as entryDate', 'status')
+        .first();
+    }
+    
+    const reversal = await db('journal_entries')
+      .where('reversal_of_id', journalEntryId)
+      .select('id', 'entry_no as entryNo', 'entry_date as entryDate', 'status')
+      .first();
+    
+    journalEntry.reversedBy = reversal || null;
+    
+    // Get status history
+    journalEntry.statusHistory = await db('journal_entry_status_history')
+      .leftJoin('users', 'journal_entry_status_history.user_id', 'users.id')
+      .where('journal_entry_status_history.journal_entry_id', journalEntryId)
+      .orderBy('journal_entry_status_history.id', 'asc')
+      .select(
+        'journal_entry_status_history.from_status as fromStatus',
+        'journal_entry_status_history.to_status as toStatus',
+        'journal_entry_status_history.comment',
+        'users.id as userId',
+        'users.email as userEmail',
+        'journal_entry_status_history.created_at as createdAt'
+      );
+    
+    // Get attachments
+    const attachments = await db('attachments')
+      .where({
+        organization_id: orgId,
+        entity_type: 'journal_entry',
+        entity_id: journalEntryId
+      })
+      .orderBy('created_at', 'asc');
+    
+    journalEntry.attachments = attachments.map(formatAttachment);
+    
     res.json({
       success: true,
       data: journalEntry
@@ -467,225 +533,828 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// Post journal entry
-router.post('/:id/post', async (req, res, next) => {
+// Update draft journal entry
+router.put('/:id', authorize(['journal_entries:edit']), validate(updateJournalEntrySchema), async (req, res, next) => {
   try {
     const orgId = req.params.orgId;
     const journalEntryId = req.params.id;
     
-    // Get journal entry
-    const journalEntry = await db('journal_entries')
-      .where({
-        id: journalEntryId,
-        organization_id: orgId
-      })
-      .first();
-    
-    if (!journalEntry) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'NOT_FOUND',
-          message: 'Journal entry not found'
-        }
-      });
-    }
-    
-    // Check if journal entry is already posted
-    if (journalEntry.status === 'posted') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'ALREADY_POSTED',
-          message: 'Journal entry is already posted'
-        }
-      });
-    }
-    
-    // Check if journal entry is voided
-    if (journalEntry.status === 'voided') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'ENTRY_VOIDED',
-          message: 'Cannot post a voided journal entry'
-        }
-      });
-    }
-    
-    // Check if fiscal period is closed
-    const fiscalPeriod = await db('fiscal_periods')
-      .where('id', journalEntry.fiscal_period_id)
-      .first();
-    
-    if (fiscalPeriod.is_closed) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'FISCAL_PERIOD_CLOSED',
-          message: 'Cannot post journal entries to a closed fiscal period'
-        }
-      });
-    }
-    
-    // Get journal entry items
-    const journalEntryItems = await db('journal_entry_items')
-      .where('journal_entry_id', journalEntryId)
-      .select('*');
-    
-    // Check if journal entry balances
-    const totalDebits = journalEntryItems.reduce((sum, item) => sum + parseFloat(item.debit_amount || 0), 0);
-    const totalCredits = journalEntryItems.reduce((sum, item) => sum + parseFloat(item.credit_amount || 0), 0);
-    
-    // Allow for small rounding differences (0.01)
-    if (Math.abs(totalDebits - totalCredits) > 0.01) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'UNBALANCED_ENTRY',
-          message: 'Journal entry must balance (total debits must equal total credits)',
-          details: {
-            totalDebits,
-            totalCredits,
-            difference: totalDebits - totalCredits
-          }
-        }
-      });
-    }
-    
     // Start a transaction
     const trx = await db.transaction();
     
     try {
-      // Update journal entry status
-      await trx('journal_entries')
-        .where('id', journalEntryId)
-        .update({
-          status: 'posted',
-          posted_at: new Date(),
-          approved_by: req.user.id,
-          updated_at: new Date()
+      // Lock the journal entry so it cannot be posted while being edited
+      const journalEntry = await trx('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+      
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
         });
+      }
       
-      // Create general ledger entries
-      const generalLedgerEntries = [];
-      
-      for (const item of journalEntryItems) {
-        // Get account
-        const account = await trx('accounts')
-          .join('account_types', 'accounts.account_type_id', 'account_types.id')
-          .where('accounts.id', item.account_id)
-          .select(
-            'accounts.id',
-            'account_types.normal_balance'
-          )
-          .first();
-        
-        // Get current balance
-        const [{ currentBalance = 0 }] = await trx('general_ledger')
-          .where({
-            organization_id: orgId,
-            account_id: item.account_id
-          })
-          .orderBy('id', 'desc')
-          .limit(1)
-          .select('base_balance as currentBalance')
-          .union(function() {
-            this.select(0).as('currentBalance');
-          });
-        
-        // Calculate new balance
-        let newBalance = parseFloat(currentBalance);
-        
-        if (account.normal_balance === 'debit') {
-          newBalance += parseFloat(item.base_debit_amount || 0) - parseFloat(item.base_credit_amount || 0);
-        } else {
-          newBalance += parseFloat(item.base_credit_amount || 0) - parseFloat(item.base_debit_amount || 0);
-        }
-        
-        // Create general ledger entry
-        generalLedgerEntries.push({
-          organization_id: orgId,
-          fiscal_period_id: journalEntry.fiscal_period_id,
-          account_id: item.account_id,
-          journal_entry_id: journalEntryId,
-          journal_entry_item_id: item.id,
-          transaction_date: journalEntry.entry_date,
-          description: item.description || journalEntry.description,
-          debit_amount: item.debit_amount,
-          credit_amount: item.credit_amount,
-          balance: newBalance,
-          currency_code: journalEntry.currency_code,
-          base_debit_amount: item.base_debit_amount,
-          base_credit_amount: item.base_credit_amount,
-          base_balance: newBalance,
-          dimensions: item.dimensions,
-          created_at: new Date()
+      const statusError = getNotDraftError(journalEntry, 'edit') || getIntercompanyError(journalEntry, 'edit');
+      if (statusError) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: statusError
         });
       }
       
-      // Insert general ledger entries
-      await trx('general_ledger').insert(generalLedgerEntries);
+      // Merge the changes over the stored entry so the result is validated as a whole
+      const { entryDate, description, reference, autoReverseOn, autoReversePost } = req.body;
+      const fiscalPeriodId = req.body.fiscalPeriodId !== undefined ? req.body.fiscalPeriodId : journalEntry.fiscal_period_id;
+      const currencyCode = req.body.currencyCode !== undefined ? req.body.currencyCode : journalEntry.currency_code;
+      const newEntryDate = entryDate !== undefined ? entryDate : journalEntry.entry_date;
+      
+      // A new currency or date needs the rate for it, so the stored rate is only kept when neither changes
+      let exchangeRate = req.body.exchangeRate;
+      if (exchangeRate === undefined && req.body.currencyCode === undefined && entryDate === undefined) {
+        exchangeRate = parseFloat(journalEntry.exchange_rate);
+      }
       
-      // Update account balances
-      for (const item of journalEntryItems) {
-        // Get existing balance record
-        const accountBalance = await trx('account_balances')
+      let items = req.body.items;
+      if (!items) {
+        // The rounding line is recalculated from the other lines
+        const existingItems = await trx('journal_entry_items')
           .where({
-            organization_id: orgId,
-            fiscal_period_id: journalEntry.fiscal_period_id,
-            account_id: item.account_id
+            journal_entry_id: journalEntry.id,
+            is_rounding: false
           })
-          .first();
+          .orderBy('id', 'asc')
+          .select('*');
         
-        if (accountBalance) {
-          // Update existing balance
-          await trx('account_balances')
-            .where('id', accountBalance.id)
-            .update({
-              debit_amount: parseFloat(accountBalance.debit_amount) + parseFloat(item.debit_amount || 0),
-              credit_amount: parseFloat(accountBalance.credit_amount) + parseFloat(item.credit_amount || 0),
-              closing_balance: parseFloat(accountBalance.opening_balance) + 
-                               parseFloat(accountBalance.debit_amount) + parseFloat(item.debit_amount || 0) - 
-                               parseFloat(accountBalance.credit_amount) - parseFloat(item.credit_amount || 0),
-              base_debit_amount: parseFloat(accountBalance.base_debit_amount) + parseFloat(item.base_debit_amount || 0),
-              base_credit_amount: parseFloat(accountBalance.base_credit_amount) + parseFloat(item.base_credit_amount || 0),
-              base_closing_balance: parseFloat(accountBalance.base_opening_balance) + 
-                                   parseFloat(accountBalance.base_debit_amount) + parseFloat(item.base_debit_amount || 0) - 
-                                   parseFloat(accountBalance.base_credit_amount) - parseFloat(item.base_credit_amount || 0),
-              last_updated_at: new Date()
-            });
-        } else {
-          // Create new balance record
-          await trx('account_balances').insert({
-            organization_id: orgId,
-            fiscal_period_id: journalEntry.fiscal_period_id,
-            account_id: item.account_id,
-            opening_balance: 0,
-            debit_amount: item.debit_amount || 0,
-            credit_amount: item.credit_amount || 0,
-            closing_balance: parseFloat(item.debit_amount || 0) - parseFloat(item.credit_amount || 0),
-            currency_code: journalEntry.currency_code,
-            base_opening_balance: 0,
-            base_debit_amount: item.base_debit_amount || 0,
-            base_credit_amount: item.base_credit_amount || 0,
-            base_closing_balance: parseFloat(item.base_debit_amount || 0) - parseFloat(item.base_credit_amount || 0),
-            last_updated_at: new Date()
-          });
-        }
+        items = existingItems.map(item => ({
+          accountId: item.account_id,
+          description: item.description,
+          debitAmount: parseFloat(item.debit_amount),
+          creditAmount: parseFloat(item.credit_amount),
+          // Lines in the entry currency follow the entry rate; other lines keep their own
+          currencyCode: item.currency_code,
+          exchangeRate: item.currency_code === journalEntry.currency_code ? undefined : parseFloat(item.exchange_rate),
+          memo: item.memo,
+          dimensions: item.dimensions
+        }));
+      }
+      
+      // An accrual must reverse after the date it is booked on
+      const newAutoReverseOn = autoReverseOn !== undefined ? autoReverseOn : journalEntry.auto_reverse_on;
+      if (newAutoReverseOn && new Date(newAutoReverseOn) <= new Date(newEntryDate)) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_AUTO_REVERSE_DATE',
+            message: 'The auto-reverse date must be after the entry date'
+          }
+        });
       }
       
+      // Re-validate fiscal period, currencies, exchange rates, accounts and balance
+      const validationError = await validateJournalEntry(orgId, {
+        fiscalPeriodId,
+        entryDate: newEntryDate,
+        currencyCode,
+        exchangeRate,
+        items
+      }, trx);
+      if (validationError) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const converted = await convertJournalEntryLines(orgId, {
+        entryDate: newEntryDate,
+        currencyCode,
+        exchangeRate,
+        items
+      }, trx);
+      
+      // Prepare update data
+      const updateData = {
+        fiscal_period_id: fiscalPeriodId,
+        currency_code: currencyCode,
+        exchange_rate: converted.exchangeRate,
+        updated_at: new Date()
+      };
+      
+      if (entryDate !== undefined) updateData.entry_date = entryDate;
+      if (description !== undefined) updateData.description = description;
+      if (reference !== undefined) updateData.reference = reference;
+      if (autoReverseOn !== undefined) updateData.auto_reverse_on = autoReverseOn;
+      if (autoReversePost !== undefined) updateData.auto_reverse_post = autoReversePost;
+      
+      await trx('journal_entries')
+        .where('id', journalEntry.id)
+        .update(updateData);
+      
+      // Replace the lines, recomputing base amounts in case the exchange rates changed
+      await trx('journal_entry_items')
+        .where('journal_entry_id', journalEntry.id)
+        .del();
+      
+      await trx('journal_entry_items').insert(buildItemRows(journalEntry.id, converted.items));
+      
       // Commit transaction
       await trx.commit();
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+    
+    const journalEntry = await getJournalEntrySummary(journalEntryId);
+    
+    res.json({
+      success: true,
+      message: 'Journal entry updated successfully',
+      data: journalEntry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete draft journal entry
+router.delete('/:id', authorize(['journal_entries:delete']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const journalEntryId = req.params.id;
+    
+    // Start a transaction
+    const trx = await db.transaction();
+    
+    try {
+      // Lock the journal entry so it cannot be posted while being deleted
+      const journalEntry = await trx('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
       
-      res.json({
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+      
+      const statusError = getNotDraftError(journalEntry, 'delete') || getIntercompanyError(journalEntry, 'delete');
+      if (statusError) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: statusError
+        });
+      }
+      
+      // Numbering must stay gapless, so only the latest number of a series can be given back
+      const released = await releaseEntryNo(trx, journalEntry);
+      if (!released) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'ENTRY_NUMBER_IN_USE',
+            message: `Deleting ${journalEntry.entry_no} would leave a gap in entry numbering; void it instead`
+          }
+        });
+      }
+      
+      await trx('journal_entry_items')
+        .where('journal_entry_id', journalEntry.id)
+        .del();
+      
+      // Attachments are not linked by a foreign key, so remove them with the entry
+      const attachments = await deleteEntityAttachments(trx, journalEntry.organization_id, 'journal_entry', journalEntry.id);
+      
+      await trx('journal_entries')
+        .where('id', journalEntry.id)
+        .del();
+      
+      // Commit transaction
+      await trx.commit();
+      
+      // Stored files are only removed once the deletion is committed
+      await deleteStoredFiles(attachments);
+      
+      res.json({
         success: true,
-        message: 'Journal entry posted successfully',
+        message: 'Journal entry deleted successfully',
         data: {
+          id: journalEntry.id,
+          entryNo: journalEntry.entry_no
+        }
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submit draft journal entry for approval
+router.post('/:id/submit', authorize(['journal_entries:create']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const journalEntryId = req.params.id;
+    
+    // Start a transaction
+    const trx = await db.transaction();
+    
+    try {
+      const journalEntry = await trx('journal_entries')
+        .where({
           id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+      
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+      
+      const statusError = getNotDraftError(journalEntry, 'submit') || getIntercompanyError(journalEntry, 'submit');
+      if (statusError) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: statusError
+        });
+      }
+      
+      // Only complete, balanced entries go to approvers
+      const items = await trx('journal_entry_items')
+        .where('journal_entry_id', journalEntry.id)
+        .select('account_id', 'debit_amount', 'credit_amount', 'currency_code', 'exchange_rate');
+      
+      const validationError = await validateJournalEntry(orgId, {
+        fiscalPeriodId: journalEntry.fiscal_period_id,
+        entryDate: journalEntry.entry_date,
+        currencyCode: journalEntry.currency_code,
+        exchangeRate: parseFloat(journalEntry.exchange_rate),
+        items: items.map(item => ({
+          accountId: item.account_id,
+          debitAmount: parseFloat(item.debit_amount),
+          creditAmount: parseFloat(item.credit_amount),
+          currencyCode: item.currency_code,
+          exchangeRate: parseFloat(item.exchange_rate)
+        }))
+      }, trx);
+      
+      if (validationError) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      await trx('journal_entries')
+        .where('id', journalEntry.id)
+        .update({
+          status: 'submitted',
+          updated_at: new Date()
+        });
+      
+      await recordStatusChange(trx, journalEntry.id, journalEntry.status, 'submitted', req.user.id);
+      
+      // Commit transaction
+      await trx.commit();
+      
+      res.json({
+        success: true,
+        message: 'Journal entry submitted for approval',
+        data: {
+          id: journalEntry.id,
+          entryNo: journalEntry.entry_no,
+          status: 'submitted'
+        }
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve submitted journal entry
+router.post('/:id/approve', authorize(['journal_entries:approve']), validate(approveJournalEntrySchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const journalEntryId = req.params.id;
+    const { comment } = req.body;
+    
+    // Start a transaction
+    const trx = await db.transaction();
+    
+    try {
+      const journalEntry = await trx('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+      
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+      
+      if (journalEntry.status !== 'submitted') {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NOT_SUBMITTED',
+            message: 'Only submitted journal entries can be approved'
+          }
+        });
+      }
+      
+      // Check segregation of duties and the approver's amount limit
+      const settings = await getOrganizationSettings(orgId, trx);
+      const userOrg = req.user.organizations.find(org => org.id === parseInt(orgId));
+      const approvalError = await getApprovalError(journalEntry, { id: req.user.id, role: userOrg.role }, settings, trx);
+      
+      if (approvalError) {
+        await trx.rollback();
+        return res.status(403).json({
+          success: false,
+          error: approvalError
+        });
+      }
+      
+      await trx('journal_entries')
+        .where('id', journalEntry.id)
+        .update({
+          status: 'approved',
+          approved_by: req.user.id,
+          updated_at: new Date()
+        });
+      
+      await recordStatusChange(trx, journalEntry.id, journalEntry.status, 'approved', req.user.id, comment);
+      
+      // Commit transaction
+      await trx.commit();
+      
+      res.json({
+        success: true,
+        message: 'Journal entry approved successfully',
+        data: {
+          id: journalEntry.id,
+          entryNo: journalEntry.entry_no,
+          status: 'approved',
+          approvedBy: req.user.id
+        }
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reject submitted or approved journal entry back to draft
+router.post('/:id/reject', authorize(['journal_entries:approve']), validate(rejectJournalEntrySchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const journalEntryId = req.params.id;
+    const { reason } = req.body;
+    
+    // Start a transaction
+    const trx = await db.transaction();
+    
+    try {
+      const journalEntry = await trx('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+      
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+      
+      if (!['submitted', 'approved'].includes(journalEntry.status)) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NOT_SUBMITTED',
+            message: 'Only submitted or approved journal entries can be rejected'
+          }
+        });
+      }
+      
+      await trx('journal_entries')
+        .where('id', journalEntry.id)
+        .update({
+          status: 'draft',
+          approved_by: null,
+          updated_at: new Date()
+        });
+      
+      await recordStatusChange(trx, journalEntry.id, journalEntry.status, 'draft', req.user.id, reason);
+      
+      // Commit transaction
+      await trx.commit();
+      
+      res.json({
+        success: true,
+        message: 'Journal entry returned to draft',
+        data: {
+          id: journalEntry.id,
+          entryNo: journalEntry.entry_no,
+          status: 'draft'
+        }
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Post many journal entries, selected by ID or by filter
+router.post('/batch-post', authorize(['journal_entries:post']), validate(batchPostSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+    const { ids, filter, mode = 'atomic', limit } = req.body;
+    const userOrg = req.user.organizations.find(org => org.id === orgId);
+    
+    const report = await postJournalEntryBatch(orgId, {
+      ids: ids ? ids.map(id => parseInt(id)) : undefined,
+      filter,
+      mode,
+      limit: limit || MAX_BATCH_SIZE
+    }, { id: req.user.id, role: userOrg.role });
+    
+    if (mode === 'atomic' && !report.committed) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BATCH_POST_FAILED',
+          message: `${report.totals.failed} journal entr${report.totals.failed === 1 ? 'y' : 'ies'} could not be posted; nothing was posted`,
+          details: report
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `${report.totals.posted} journal entr${report.totals.posted === 1 ? 'y' : 'ies'} posted`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Post journal entry
+router.post('/:id/post', authorize(['journal_entries:post']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const journalEntryId = req.params.id;
+    
+    // Start a transaction
+    const trx = await db.transaction();
+    
+    try {
+      // Lock the journal entry so it cannot be posted twice concurrently
+      const journalEntry = await trx('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+      
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+      
+      const userOrg = req.user.organizations.find(org => org.id === parseInt(orgId));
+      const items = await trx('journal_entry_items').where('journal_entry_id', journalEntry.id).select('*');
+      const settings = await getOrganizationSettings(orgId, trx);
+      
+      // Check status, approval workflow, fiscal period, balance and blocked duplicates;
+      // the period stays locked against closing until the posting commits
+      const postingError = await getPostingError(journalEntry, {
+        items,
+        fiscalPeriod: await trx('fiscal_periods').where('id', journalEntry.fiscal_period_id).forShare().first(),
+        settings,
+        poster: { id: req.user.id, role: userOrg.role }
+      }, trx);
+      
+      if (postingError) {
+        await trx.rollback();
+        const { statusCode, ...error } = postingError;
+        return res.status(statusCode).json({
+          success: false,
+          error
+        });
+      }
+      
+      // Duplicates only warn unless the organization blocks them (checked above)
+      const duplicateCheck = settings.duplicateDetection === 'warn' && journalEntry.source !== 'system'
+        ? await checkDuplicates(parseInt(orgId), {
+          id: journalEntry.id,
+          entryDate: journalEntry.entry_date,
+          reference: journalEntry.reference,
+          items
+        }, settings, trx)
+        : null;
+      
+      // Update journal entry status and write it to the ledger
+      await postJournalEntry(trx, journalEntry, req.user.id);
+      
+      // Pick up the reversing entry created for auto-reversing accruals
+      const autoReversal = await trx('journal_entries')
+        .where('reversal_of_id', journalEntry.id)
+        .select('id', 'entry_no as entryNo', 'entry_date as entryDate', 'status')
+        .first();
+      
+      // Commit transaction
+      await trx.commit();
+      
+      res.json({
+        success: true,
+        message: 'Journal entry posted successfully',
+        data: {
+          id: journalEntry.id,
           entryNo: journalEntry.entry_no,
           status: 'posted',
-          postedAt: new Date()
+          postedAt: new Date(),
+          autoReversal: autoReversal || null
+        },
+        warnings: duplicateCheck ? [duplicateCheck.warning] : []
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Void journal entry
+router.post('/:id/void', authorize(['journal_entries:void']), validate(voidJournalEntrySchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const journalEntryId = req.params.id;
+    const { reason } = req.body;
+    
+    // Start a transaction
+    const trx = await db.transaction();
+    
+    try {
+      // Lock the journal entry so it cannot be voided or reversed twice concurrently
+      const journalEntry = await trx('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+      
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+      
+      const reversalError = await getReversalError(trx, journalEntry, 'void');
+      if (reversalError) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: reversalError
+        });
+      }
+      
+      // Posted entries are unwound by a reversing entry dated on the original date;
+      // drafts never reached the ledger and are simply marked as voided, as is a pending automatic reversal
+      const reversalEntry = await voidJournalEntry(trx, journalEntry, {
+        reason,
+        userId: req.user.id
+      });
+      
+      // Commit transaction
+      await trx.commit();
+      
+      res.json({
+        success: true,
+        message: 'Journal entry voided successfully',
+        data: {
+          id: journalEntry.id,
+          entryNo: journalEntry.entry_no,
+          status: 'voided',
+          reversalEntry: reversalEntry ? {
+            id: reversalEntry.id,
+            entryNo: reversalEntry.entry_no,
+            entryDate: reversalEntry.entry_date
+          } : null
+        }
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reverse posted journal entry into an open fiscal period
+router.post('/:id/reverse', authorize(['journal_entries:void']), validate(reverseJournalEntrySchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const journalEntryId = req.params.id;
+    const { entryDate, fiscalPeriodId, description } = req.body;
+    
+    // Start a transaction
+    const trx = await db.transaction();
+    
+    try {
+      // Lock the target period so it cannot be closed while the reversal is posted into it
+      const fiscalPeriod = await trx('fiscal_periods')
+        .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+        .where({ 
+          'fiscal_periods.id': fiscalPeriodId,
+          'fiscal_years.organization_id': orgId
+        })
+        .select('fiscal_periods.id', 'fiscal_periods.start_date', 'fiscal_periods.end_date', 'fiscal_periods.is_closed')
+        .forShare('fiscal_periods')
+        .first();
+      
+      if (!fiscalPeriod) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_FISCAL_PERIOD',
+            message: 'The specified fiscal period does not exist or does not belong to this organization'
+          }
+        });
+      }
+      
+      if (fiscalPeriod.is_closed) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'FISCAL_PERIOD_CLOSED',
+            message: 'Cannot reverse journal entries into a closed fiscal period'
+          }
+        });
+      }
+      
+      const reversalDate = toDateString(entryDate);
+      if (reversalDate < toDateString(fiscalPeriod.start_date) || reversalDate > toDateString(fiscalPeriod.end_date)) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DATE_OUTSIDE_PERIOD',
+            message: 'The reversal date must fall within the specified fiscal period'
+          }
+        });
+      }
+      
+      // Lock the journal entry so it cannot be voided or reversed twice concurrently
+      const journalEntry = await trx('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+      
+      if (!journalEntry) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+      
+      if (['draft', 'submitted', 'approved'].includes(journalEntry.status)) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NOT_POSTED',
+            message: 'Only posted journal entries can be reversed'
+          }
+        });
+      }
+      
+      const reversalError = getIntercompanyError(journalEntry, 'reverse') || await getReversalError(trx, journalEntry, 'reverse');
+      if (reversalError) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: reversalError
+        });
+      }
+      
+      const reversalEntry = await createReversal(trx, journalEntry, {
+        entryDate,
+        fiscalPeriodId,
+        description,
+        userId: req.user.id
+      });
+      
+      // Commit transaction
+      await trx.commit();
+      
+      res.status(201).json({
+        success: true,
+        message: 'Journal entry reversed successfully',
+        data: {
+          id: journalEntry.id,
+          entryNo: journalEntry.entry_no,
+          status: journalEntry.status,
+          reversalEntry: {
+            id: reversalEntry.id,
+            entryNo: reversalEntry.entry_no,
+            entryDate: reversalEntry.entry_date
+          }
         }
       });
     } catch (error) {
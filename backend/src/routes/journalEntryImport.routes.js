@@ -0,0 +1,261 @@
+// Journal entry import routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const multer = require('multer');
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const {
+  DEFAULT_COLUMN_MAPPING, getImportFormat, importJournalEntries, rollbackImportBatch
+} = require('../services/journalEntryImportService');
+
+// Uploaded files are kept in memory; imports are small enough to parse in one go
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+// Multipart fields arrive as text, so the column mapping is sent as a JSON string
+const importSchema = Joi.object({
+  dryRun: Joi.boolean(),
+  currencyCode: Joi.string().length(3),
+  exchangeRate: Joi.number().positive(),
+  mapping: Joi.string()
+});
+
+const rollbackImportSchema = Joi.object({
+  reason: Joi.string().allow('', null)
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Accept a single 'file' upload, reporting upload problems as validation errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILE',
+          message: error.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 5 MB' : error.message
+        }
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Parse the optional column mapping, returning null if it is not a JSON object of header names
+const parseMapping = (mapping) => {
+  if (!mapping) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(mapping);
+    const valid = parsed && !Array.isArray(parsed) && typeof parsed === 'object' &&
+      Object.entries(parsed).every(([field, header]) => field in DEFAULT_COLUMN_MAPPING && typeof header === 'string');
+    return valid ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Map a journal_entry_import_batches row to its API shape
+const formatImportBatch = (batch) => ({
+  id: batch.id,
+  fileName: batch.file_name,
+  format: batch.format,
+  status: batch.status,
+  entryCount: batch.entry_count,
+  rowCount: batch.row_count,
+  createdBy: batch.created_by,
+  createdAt: batch.created_at,
+  rolledBackAt: batch.rolled_back_at,
+  rolledBackBy: batch.rolled_back_by,
+  rollbackReason: batch.rollback_reason
+});
+
+// Get all import batches for an organization
+router.get('/', async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    const batches = await db('journal_entry_import_batches')
+      .where('organization_id', orgId)
+      .orderBy('created_at', 'desc');
+
+    res.json({
+      success: true,
+      data: batches.map(formatImportBatch)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import journal entries from a CSV or XLSX file (or only validate it with dryRun)
+router.post('/', authorize(['journal_entries:create']), uploadFile, validate(importSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A CSV or XLSX file is required in the file field'
+        }
+      });
+    }
+
+    const format = getImportFormat(req.file.originalname);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'UNSUPPORTED_FORMAT',
+          message: 'Only .csv and .xlsx files can be imported'
+        }
+      });
+    }
+
+    const mapping = parseMapping(req.body.mapping);
+    if (!mapping) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MAPPING',
+          message: `Mapping must be a JSON object of column headers for: ${Object.keys(DEFAULT_COLUMN_MAPPING).join(', ')}`
+        }
+      });
+    }
+
+    const report = await importJournalEntries(orgId, {
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      format,
+      mapping,
+      currencyCode: req.body.currencyCode || req.organization.baseCurrency || 'USD',
+      exchangeRate: req.body.exchangeRate ? parseFloat(req.body.exchangeRate) : undefined,
+      dryRun: String(req.body.dryRun) === 'true',
+      userId: req.user.id
+    });
+
+    if (!report.dryRun && !report.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'IMPORT_VALIDATION_FAILED',
+          message: `The file has ${report.totals.errors} error(s); nothing was imported`,
+          details: report
+        }
+      });
+    }
+
+    res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      message: report.dryRun ? 'Import file validated' : 'Journal entries imported successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get import batch by ID with the entries it created
+router.get('/:id', async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    const batch = await db('journal_entry_import_batches')
+      .where({
+        id: req.params.id,
+        organization_id: orgId
+      })
+      .first();
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Import batch not found'
+        }
+      });
+    }
+
+    const importBatch = formatImportBatch(batch);
+
+    importBatch.entries = await db('journal_entries')
+      .where('import_batch_id', batch.id)
+      .orderBy('id', 'asc')
+      .select(
+        'id',
+        'entry_no as entryNo',
+        'entry_date as entryDate',
+        'reference',
+        'description',
+        'status'
+      );
+
+    res.json({
+      success: true,
+      data: importBatch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Roll back an import batch, voiding every entry it created
+router.post('/:id/rollback', authorize(['journal_entries:void']), validate(rollbackImportSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const result = await rollbackImportBatch(orgId, req.params.id, {
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Import batch rolled back successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+// Journal entry template routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { getJournalEntrySummary } = require('../services/journalEntryService');
+const {
+  formatTemplate, getTemplateDetail, validateTemplateItems, buildTemplateItemRows,
+  getTemplateItemsFromEntry, instantiateTemplate
+} = require('../services/journalEntryTemplateService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const templateItemSchema = Joi.object({
+  accountId: Joi.number().integer().required(),
+  side: Joi.string().valid('debit', 'credit').required(),
+  amount: Joi.number().min(0).allow(null),
+  percentage: Joi.number().greater(0).max(100).allow(null),
+  description: Joi.string().allow('', null),
+  memo: Joi.string().allow('', null),
+  dimensions: Joi.object().allow(null),
+  currencyCode: Joi.string().length(3).allow(null), // Defaults to the entry currency
+  exchangeRate: Joi.number().positive().allow(null) // Looked up for the entry date when omitted
+}).oxor('amount', 'percentage');
+
+// A template is either written out line by line or saved from an existing journal entry
+const createTemplateSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow('', null),
+  reference: Joi.string().allow('', null),
+  currencyCode: Joi.string().length(3).allow(null),
+  items: Joi.array().items(templateItemSchema).min(2),
+  journalEntryId: Joi.number().integer()
+}).xor('items', 'journalEntryId');
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string(),
+  description: Joi.string().allow('', null),
+  reference: Joi.string().allow('', null),
+  currencyCode: Joi.string().length(3).allow(null),
+  items: Joi.array().items(templateItemSchema).min(2)
+});
+
+const instantiateTemplateSchema = Joi.object({
+  entryDate: Joi.date().required(),
+  fiscalPeriodId: Joi.number().integer(),
+  description: Joi.string().allow('', null),
+  reference: Joi.string().allow('', null),
+  totalAmount: Joi.number().positive(),
+  amounts: Joi.object().pattern(/^\d+$/, Joi.number().min(0)),
+  exchangeRate: Joi.number().positive()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Get all templates for an organization
+router.get('/', async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    const templates = await db('journal_entry_templates')
+      .where('organization_id', orgId)
+      .orderBy('name', 'asc');
+
+    const lineCounts = await db('journal_entry_template_items')
+      .whereIn('template_id', templates.map(template => template.id))
+      .groupBy('template_id')
+      .select('template_id')
+      .count('id as count');
+
+    res.json({
+      success: true,
+      data: templates.map(template => {
+        const lineCount = lineCounts.find(row => row.template_id === template.id);
+        return {
+          ...formatTemplate(template),
+          lineCount: lineCount ? parseInt(lineCount.count) : 0
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a new template, or save an existing journal entry as one
+router.post('/', authorize(['journal_entries:create']), validate(createTemplateSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { name, journalEntryId } = req.body;
+    let { description, reference, currencyCode, items } = req.body;
+
+    // Check if a template with the same name already exists in this organization
+    const existingTemplate = await db('journal_entry_templates')
+      .where({
+        organization_id: orgId,
+        name
+      })
+      .first();
+
+    if (existingTemplate) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_NAME',
+          message: 'A template with this name already exists in this organization'
+        }
+      });
+    }
+
+    if (journalEntryId) {
+      const journalEntry = await db('journal_entries')
+        .where({
+          id: journalEntryId,
+          organization_id: orgId
+        })
+        .first();
+
+      if (!journalEntry) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Journal entry not found'
+          }
+        });
+      }
+
+      items = await getTemplateItemsFromEntry(journalEntry.id);
+      description = description || journalEntry.description;
+      reference = reference || journalEntry.reference;
+      currencyCode = currencyCode || journalEntry.currency_code;
+    }
+
+    // Validate accounts and that the lines can balance
+    const validationError = await validateTemplateItems(orgId, items);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      const [template] = await trx('journal_entry_templates').insert({
+        organization_id: orgId,
+        name,
+        description,
+        reference,
+        currency_code: currencyCode || null,
+        created_by: req.user.id,
+        created_at: new Date(),
+        updated_at: new Date()
+      }).returning('*');
+
+      await trx('journal_entry_template_items').insert(buildTemplateItemRows(template.id, items));
+
+      // Commit transaction
+      await trx.commit();
+
+      res.status(201).json({
+        success: true,
+        message: 'Journal entry template created successfully',
+        data: await getTemplateDetail(orgId, template.id)
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get template by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const template = await getTemplateDetail(req.params.orgId, req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Journal entry template not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update template
+router.put('/:id', authorize(['journal_entries:edit']), validate(updateTemplateSchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const templateId = req.params.id;
+    const { name, description, reference, currencyCode, items } = req.body;
+
+    const template = await db('journal_entry_templates')
+      .where({
+        id: templateId,
+        organization_id: orgId
+      })
+      .first();
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Journal entry template not found'
+        }
+      });
+    }
+
+    if (name && name !== template.name) {
+      const existingTemplate = await db('journal_entry_templates')
+        .where({
+          organization_id: orgId,
+          name
+        })
+        .first();
+
+      if (existingTemplate) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DUPLICATE_NAME',
+            message: 'A template with this name already exists in this organization'
+          }
+        });
+      }
+    }
+
+    if (items) {
+      const validationError = await validateTemplateItems(orgId, items);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      const updateData = { updated_at: new Date() };
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (reference !== undefined) updateData.reference = reference;
+      if (currencyCode !== undefined) updateData.currency_code = currencyCode;
+
+      await trx('journal_entry_templates')
+        .where('id', template.id)
+        .update(updateData);
+
+      if (items) {
+        await trx('journal_entry_template_items')
+          .where('template_id', template.id)
+          .del();
+
+        await trx('journal_entry_template_items').insert(buildTemplateItemRows(template.id, items));
+      }
+
+      // Commit transaction
+      await trx.commit();
+
+      res.json({
+        success: true,
+        message: 'Journal entry template updated successfully',
+        data: await getTemplateDetail(orgId, template.id)
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete template (entries created from it keep their lines)
+router.delete('/:id', authorize(['journal_entries:delete']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    const deleted = await db('journal_entry_templates')
+      .where({
+        id: req.params.id,
+        organization_id: orgId
+      })
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Journal entry template not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Journal entry template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a draft journal entry from a template
+router.post('/:id/instantiate', authorize(['journal_entries:create']), validate(instantiateTemplateSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+    const {
+      entryDate, fiscalPeriodId, description, reference, totalAmount, amounts, exchangeRate
+    } = req.body;
+
+    const template = await getTemplateDetail(orgId, req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Journal entry template not found'
+        }
+      });
+    }
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      const { journalEntry, error } = await instantiateTemplate(trx, orgId, template, {
+        entryDate,
+        fiscalPeriodId,
+        description,
+        reference,
+        totalAmount,
+        amounts,
+        currencyCode: req.organization.baseCurrency || 'USD',
+        exchangeRate,
+        userId: req.user.id
+      });
+
+      if (error) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      // Commit transaction
+      await trx.commit();
+
+      res.status(201).json({
+        success: true,
+        message: 'Journal entry created from template',
+        data: await getJournalEntrySummary(journalEntry.id)
+      });
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+// Ledger integrity check, hash chain verification and rebuild routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { checkLedgerIntegrity, rebuildLedger } = require('../services/ledgerIntegrityService');
+const { verifyLedgerChain } = require('../services/ledgerChainService');
+const { getActor } = require('../services/activityLogService');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Check the ledger against the posted journal entries and report discrepancies
+router.get('/', authorize(['settings:edit']), async (req, res, next) => {
+  try {
+    const report = await checkLedgerIntegrity(parseInt(req.params.orgId));
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify the hash chain over the ledger rows, detecting edited, deleted or reordered rows
+router.get('/chain', authorize(['settings:edit']), async (req, res, next) => {
+  try {
+    const report = await verifyLedgerChain(parseInt(req.params.orgId));
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rebuild general_ledger and account_balances from the posted journal entries; administrators only,
+// since it replaces the hash chain
+router.post('/rebuild', authorize(['admin']), async (req, res, next) => {
+  try {
+    const result = await rebuildLedger(parseInt(req.params.orgId), getActor(req));
+
+    res.json({
+      success: true,
+      message: `Ledger rebuilt: ${result.ledgerRows} ledger rows, ${result.accountBalances} account balances; ${result.before.discrepancyCount} discrepancies before, ${result.after.discrepancyCount} after`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const db = require('../db');
 const authenticate = require('../middleware/authenticate');
 const validate = require('../middleware/validate');
 const Joi = require('joi');
+const { getOrganizationSettings, updateOrganizationSettings } = require('../services/organizationSettingsService');
+const { DUPLICATE_DETECTION_MODES } = require('../services/duplicateDetectionService');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -34,6 +36,19 @@ const updateOrganizationSchema = Joi.object({
   baseCurrency: Joi.string().length(3)
 });
 
+const updateSettingsSchema = Joi.object({
+  requireApproval: Joi.boolean(),
+  preventSelfApproval: Joi.boolean(),
+  approvalLimits: Joi.object().pattern(Joi.string(), Joi.number().min(0).allow(null)),
+  roundingAccountId: Joi.number().integer().allow(null),
+  roundingTolerance: Joi.number().min(0),
+  fxGainAccountId: Joi.number().integer().allow(null),
+  fxLossAccountId: Joi.number().integer().allow(null),
+  retainedEarningsAccountId: Joi.number().integer().allow(null),
+  duplicateDetection: Joi.string().valid(...DUPLICATE_DETECTION_MODES),
+  duplicateWindowDays: Joi.number().integer().min(0).max(366)
+});
+
 // Get all organizations for the current user
 router.get('/', async (req, res, next) => {
   try {
@@ -288,4 +303,94 @@ router.get('/:id/users', async (req, res, next) => {
   }
 });
 
+// Get organization settings
+router.get('/:id/settings', async (req, res, next) => {
+  try {
+    const organizationId = req.params.id;
+    
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(organizationId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+    
+    const settings = await getOrganizationSettings(organizationId);
+    
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update organization settings
+router.put('/:id/settings', validate(updateSettingsSchema), async (req, res, next) => {
+  try {
+    const organizationId = req.params.id;
+    
+    // Check if user can edit settings of this organization
+    const userOrg = req.user.organizations.find(org => org.id === parseInt(organizationId));
+    if (!userOrg) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+    
+    if (!userOrg.permissions.includes('settings:edit') && !userOrg.permissions.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have the required permissions for this action'
+        }
+      });
+    }
+    
+    // Rounding, FX and retained earnings accounts must be active accounts of this organization
+    for (const setting of ['roundingAccountId', 'fxGainAccountId', 'fxLossAccountId', 'retainedEarningsAccountId']) {
+      if (!req.body[setting]) continue;
+      
+      const account = await db('accounts')
+        .where({
+          id: req.body[setting],
+          organization_id: organizationId,
+          is_active: true
+        })
+        .first();
+      
+      if (!account) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_ACCOUNTS',
+            message: `The ${setting} account does not exist, is inactive or does not belong to this organization`
+          }
+        });
+      }
+    }
+    
+    const settings = await updateOrganizationSettings(organizationId, req.body);
+    
+    res.json({
+      success: true,
+      message: 'Organization settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
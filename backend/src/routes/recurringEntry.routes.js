@@ -0,0 +1,526 @@
+// Recurring journal entry routes
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access orgId from parent router
+const db = require('../db');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const Joi = require('joi');
+const { validateJournalEntryLines } = require('../services/journalEntryService');
+const {
+  FREQUENCIES, DAY_OF_MONTH_RULES, getFirstRunDate, runDueSchedules
+} = require('../services/recurringEntryService');
+const { toDateString } = require('../utils/dateUtils');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Validation schemas
+const recurringEntryItemSchema = Joi.object({
+  accountId: Joi.number().integer().required(),
+  description: Joi.string().allow('', null),
+  debitAmount: Joi.number().min(0).default(0),
+  creditAmount: Joi.number().min(0).default(0),
+  memo: Joi.string().allow('', null),
+  dimensions: Joi.object().allow(null)
+});
+
+const createRecurringEntrySchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow('', null),
+  reference: Joi.string().allow('', null),
+  frequency: Joi.string().valid(...FREQUENCIES).required(),
+  interval: Joi.number().integer().min(1).default(1),
+  dayOfMonthRule: Joi.string().valid(...DAY_OF_MONTH_RULES).default('same_day'),
+  dayOfMonth: Joi.number().integer().min(1).max(31).when('dayOfMonthRule', {
+    is: 'fixed_day',
+    then: Joi.required(),
+    otherwise: Joi.allow(null)
+  }),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().min(Joi.ref('startDate')).allow(null),
+  autoPost: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true),
+  currencyCode: Joi.string().length(3).default('USD'),
+  exchangeRate: Joi.number().positive().allow(null), // Looked up for each run date when omitted
+  items: Joi.array().items(recurringEntryItemSchema).min(2).required()
+});
+
+const updateRecurringEntrySchema = Joi.object({
+  name: Joi.string(),
+  description: Joi.string().allow('', null),
+  reference: Joi.string().allow('', null),
+  frequency: Joi.string().valid(...FREQUENCIES),
+  interval: Joi.number().integer().min(1),
+  dayOfMonthRule: Joi.string().valid(...DAY_OF_MONTH_RULES),
+  dayOfMonth: Joi.number().integer().min(1).max(31).allow(null),
+  startDate: Joi.date(),
+  endDate: Joi.date().allow(null),
+  autoPost: Joi.boolean(),
+  isActive: Joi.boolean(),
+  currencyCode: Joi.string().length(3),
+  exchangeRate: Joi.number().positive().allow(null), // Null to look the rate up for each run date
+  items: Joi.array().items(recurringEntryItemSchema).min(2)
+});
+
+const runRecurringEntriesSchema = Joi.object({
+  asOfDate: Joi.date()
+});
+
+// Middleware to check organization access
+const checkOrgAccess = async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+
+    // Check if user has access to this organization
+    const hasAccess = req.user.organizations.some(org => org.id === parseInt(orgId));
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this organization'
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(checkOrgAccess);
+
+// Map a recurring_journal_entries row to its API shape
+const formatRecurringEntry = (schedule) => ({
+  id: schedule.id,
+  name: schedule.name,
+  description: schedule.description,
+  reference: schedule.reference,
+  frequency: schedule.frequency,
+  interval: schedule.interval,
+  dayOfMonthRule: schedule.day_of_month_rule,
+  dayOfMonth: schedule.day_of_month,
+  startDate: schedule.start_date,
+  endDate: schedule.end_date,
+  nextRunDate: schedule.next_run_date,
+  lastRunDate: schedule.last_run_date,
+  autoPost: schedule.auto_post,
+  isActive: schedule.is_active,
+  currencyCode: schedule.currency_code,
+  exchangeRate: schedule.exchange_rate,
+  createdBy: schedule.created_by,
+  createdAt: schedule.created_at,
+  updatedAt: schedule.updated_at
+});
+
+// Map API lines to recurring_journal_entry_items rows
+const buildTemplateItemRows = (recurringEntryId, items) => items.map(item => ({
+  recurring_journal_entry_id: recurringEntryId,
+  account_id: item.accountId,
+  description: item.description,
+  debit_amount: item.debitAmount || 0,
+  credit_amount: item.creditAmount || 0,
+  memo: item.memo,
+  dimensions: item.dimensions ? JSON.stringify(item.dimensions) : null,
+  created_at: new Date()
+}));
+
+// Get a recurring entry with its lines and most recent runs
+const getRecurringEntryDetail = async (orgId, recurringEntryId) => {
+  const schedule = await db('recurring_journal_entries')
+    .where({
+      id: recurringEntryId,
+      organization_id: orgId
+    })
+    .first();
+
+  if (!schedule) {
+    return null;
+  }
+
+  const recurringEntry = formatRecurringEntry(schedule);
+
+  recurringEntry.items = await db('recurring_journal_entry_items')
+    .join('accounts', 'recurring_journal_entry_items.account_id', 'accounts.id')
+    .where('recurring_journal_entry_id', schedule.id)
+    .orderBy('recurring_journal_entry_items.id', 'asc')
+    .select(
+      'recurring_journal_entry_items.id',
+      'recurring_journal_entry_items.account_id as accountId',
+      'accounts.code as accountCode',
+      'accounts.name as accountName',
+      'recurring_journal_entry_items.description',
+      'recurring_journal_entry_items.debit_amount as debitAmount',
+      'recurring_journal_entry_items.credit_amount as creditAmount',
+      'recurring_journal_entry_items.memo',
+      'recurring_journal_entry_items.dimensions'
+    );
+
+  recurringEntry.runs = await db('recurring_journal_entry_runs')
+    .leftJoin('journal_entries', 'recurring_journal_entry_runs.journal_entry_id', 'journal_entries.id')
+    .where('recurring_journal_entry_runs.recurring_journal_entry_id', schedule.id)
+    .orderBy('recurring_journal_entry_runs.scheduled_date', 'desc')
+    .limit(50)
+    .select(
+      'recurring_journal_entry_runs.id',
+      'recurring_journal_entry_runs.scheduled_date as scheduledDate',
+      'recurring_journal_entry_runs.status',
+      'recurring_journal_entry_runs.reason_code as reasonCode',
+      'recurring_journal_entry_runs.message',
+      'recurring_journal_entry_runs.journal_entry_id as journalEntryId',
+      'journal_entries.entry_no as entryNo',
+      'recurring_journal_entry_runs.created_at as createdAt'
+    );
+
+  return recurringEntry;
+};
+
+// Get all recurring entries for an organization
+router.get('/', async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const { isActive } = req.query;
+
+    let query = db('recurring_journal_entries')
+      .where('organization_id', orgId)
+      .orderBy('name', 'asc');
+
+    if (isActive !== undefined) {
+      query = query.where('is_active', isActive === 'true');
+    }
+
+    const schedules = await query;
+
+    res.json({
+      success: true,
+      data: schedules.map(formatRecurringEntry)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run due recurring entries for an organization
+router.post('/run', authorize(['journal_entries:create']), validate(runRecurringEntriesSchema), async (req, res, next) => {
+  try {
+    const orgId = parseInt(req.params.orgId);
+
+    const report = await runDueSchedules({
+      organizationId: orgId,
+      asOfDate: req.body.asOfDate
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring journal entries processed',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a new recurring entry
+router.post('/', authorize(['journal_entries:create']), validate(createRecurringEntrySchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const {
+      name, description, reference, frequency, interval = 1, dayOfMonthRule = 'same_day', dayOfMonth,
+      startDate, endDate, autoPost = false, isActive = true, currencyCode = 'USD', exchangeRate, items
+    } = req.body;
+
+    // Check if a recurring entry with the same name already exists in this organization
+    const existingSchedule = await db('recurring_journal_entries')
+      .where({
+        organization_id: orgId,
+        name
+      })
+      .first();
+
+    if (existingSchedule) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_NAME',
+          message: 'A recurring entry with this name already exists in this organization'
+        }
+      });
+    }
+
+    // Validate currency, accounts and balance of the template lines
+    const validationError = await validateJournalEntryLines(orgId, { currencyCode, items });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const scheduleData = {
+      organization_id: orgId,
+      name,
+      description,
+      reference,
+      frequency,
+      interval,
+      day_of_month_rule: dayOfMonthRule,
+      day_of_month: dayOfMonthRule === 'fixed_day' ? dayOfMonth : null,
+      start_date: startDate,
+      end_date: endDate || null,
+      auto_post: autoPost,
+      is_active: isActive,
+      currency_code: currencyCode,
+      exchange_rate: exchangeRate || null,
+      created_by: req.user.id,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    scheduleData.next_run_date = getFirstRunDate(scheduleData);
+
+    // Start a transaction
+    const trx = await db.transaction();
+    let recurringEntryId;
+
+    try {
+      [{ id: recurringEntryId }] = await trx('recurring_journal_entries')
+        .insert(scheduleData)
+        .returning('id');
+
+      await trx('recurring_journal_entry_items').insert(buildTemplateItemRows(recurringEntryId, items));
+
+      // Commit transaction
+      await trx.commit();
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+
+    const recurringEntry = await getRecurringEntryDetail(orgId, recurringEntryId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring entry created successfully',
+      data: recurringEntry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get recurring entry by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const recurringEntry = await getRecurringEntryDetail(req.params.orgId, req.params.id);
+
+    if (!recurringEntry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Recurring entry not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: recurringEntry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update recurring entry
+router.put('/:id', authorize(['journal_entries:edit']), validate(updateRecurringEntrySchema), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const recurringEntryId = req.params.id;
+
+    // Start a transaction
+    const trx = await db.transaction();
+
+    try {
+      // Lock the schedule so a concurrent run does not materialise it mid-update
+      const schedule = await trx('recurring_journal_entries')
+        .where({
+          id: recurringEntryId,
+          organization_id: orgId
+        })
+        .forUpdate()
+        .first();
+
+      if (!schedule) {
+        await trx.rollback();
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Recurring entry not found'
+          }
+        });
+      }
+
+      const {
+        name, description, reference, frequency, interval, dayOfMonthRule, dayOfMonth,
+        startDate, endDate, autoPost, isActive, currencyCode, exchangeRate, items
+      } = req.body;
+
+      // If name is being changed, check if new name is already in use
+      if (name && name !== schedule.name) {
+        const duplicateName = await trx('recurring_journal_entries')
+          .where({
+            organization_id: orgId,
+            name
+          })
+          .whereNot({ id: schedule.id })
+          .first();
+
+        if (duplicateName) {
+          await trx.rollback();
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'DUPLICATE_NAME',
+              message: 'A recurring entry with this name already exists in this organization'
+            }
+          });
+        }
+      }
+
+      // Prepare update data
+      const updateData = {};
+
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (reference !== undefined) updateData.reference = reference;
+      if (frequency !== undefined) updateData.frequency = frequency;
+      if (interval !== undefined) updateData.interval = interval;
+      if (dayOfMonthRule !== undefined) updateData.day_of_month_rule = dayOfMonthRule;
+      if (dayOfMonth !== undefined) updateData.day_of_month = dayOfMonth;
+      if (startDate !== undefined) updateData.start_date = startDate;
+      if (endDate !== undefined) updateData.end_date = endDate;
+      if (autoPost !== undefined) updateData.auto_post = autoPost;
+      if (isActive !== undefined) updateData.is_active = isActive;
+      if (currencyCode !== undefined) updateData.currency_code = currencyCode;
+      if (exchangeRate !== undefined) updateData.exchange_rate = exchangeRate;
+
+      const updatedSchedule = { ...schedule, ...updateData };
+
+      if (updatedSchedule.day_of_month_rule === 'fixed_day' && !updatedSchedule.day_of_month) {
+        await trx.rollback();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'A day of month is required with the fixed_day rule'
+          }
+        });
+      }
+
+      // Re-validate the template lines against the resulting currency
+      if (items || currencyCode !== undefined) {
+        let templateItems = items;
+        if (!templateItems) {
+          const existingItems = await trx('recurring_journal_entry_items')
+            .where('recurring_journal_entry_id', schedule.id)
+            .select('account_id', 'debit_amount', 'credit_amount');
+
+          templateItems = existingItems.map(item => ({
+            accountId: item.account_id,
+            debitAmount: parseFloat(item.debit_amount),
+            creditAmount: parseFloat(item.credit_amount)
+          }));
+        }
+
+        const validationError = await validateJournalEntryLines(orgId, {
+          currencyCode: updatedSchedule.currency_code,
+          items: templateItems
+        }, trx);
+
+        if (validationError) {
+          await trx.rollback();
+          return res.status(400).json({
+            success: false,
+            error: validationError
+          });
+        }
+      }
+
+      // Timing changes move the next run to the first new occurrence after the last run
+      const timingFields = ['frequency', 'interval', 'day_of_month_rule', 'day_of_month', 'start_date', 'end_date'];
+      if (timingFields.some(field => updateData[field] !== undefined)) {
+        updateData.next_run_date = getFirstRunDate(updatedSchedule, toDateString(updatedSchedule.last_run_date));
+      }
+
+      updateData.updated_at = new Date();
+
+      await trx('recurring_journal_entries')
+        .where('id', schedule.id)
+        .update(updateData);
+
+      if (items) {
+        await trx('recurring_journal_entry_items')
+          .where('recurring_journal_entry_id', schedule.id)
+          .del();
+
+        await trx('recurring_journal_entry_items').insert(buildTemplateItemRows(schedule.id, items));
+      }
+
+      // Commit transaction
+      await trx.commit();
+    } catch (error) {
+      // Rollback transaction on error
+      await trx.rollback();
+      throw error;
+    }
+
+    const recurringEntry = await getRecurringEntryDetail(orgId, recurringEntryId);
+
+    res.json({
+      success: true,
+      message: 'Recurring entry updated successfully',
+      data: recurringEntry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete recurring entry (journal entries it already generated are kept)
+router.delete('/:id', authorize(['journal_entries:delete']), async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId;
+    const recurringEntryId = req.params.id;
+
+    const deleted = await db('recurring_journal_entries')
+      .where({
+        id: recurringEntryId,
+        organization_id: orgId
+      })
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Recurring entry not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring entry deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
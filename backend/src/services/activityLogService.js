@@ -0,0 +1,77 @@
+// Audit trail of user actions in activity_logs
+const db = require('../db');
+
+/**
+ * Get who is acting in a request, for logActivity
+ * @param {object} req - Express request
+ * @returns {object} The user ID, IP address and user agent
+ */
+const getActor = (req) => ({
+  userId: req.user.id,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * Record a user action in the organization's activity log
+ * @param {object} actor - Who took the action, from getActor
+ * @param {object} activity - The action
+ * @param {number} activity.organizationId - The organization ID
+ * @param {string} activity.action - What was done, e.g. 'close' or 'reopen'
+ * @param {string} activity.entityType - Type of the entity acted on, e.g. 'fiscal_period'
+ * @param {number} activity.entityId - ID of the entity acted on
+ * @param {string} [activity.description] - Human-readable description
+ * @param {object} [activity.changes] - Before/after values and other details of the action
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ */
+const logActivity = async (actor, { organizationId, action, entityType, entityId, description, changes }, trx = db) => {
+  await trx('activity_logs').insert({
+    organization_id: organizationId,
+    user_id: actor.userId,
+    action,
+    entity_type: entityType,
+    entity_id: entityId,
+    description,
+    changes: changes ? JSON.stringify(changes) : null,
+    ip_address: actor.ipAddress,
+    user_agent: actor.userAgent,
+    created_at: new Date()
+  });
+};
+
+/**
+ * Get the logged actions on an entity, latest first
+ * @param {number} organizationId - The organization ID
+ * @param {string} entityType - Type of the entity
+ * @param {number} entityId - ID of the entity
+ * @returns {Array} The actions with the names of the users who took them
+ */
+const getEntityActivity = async (organizationId, entityType, entityId) => {
+  return db('activity_logs')
+    .leftJoin('users', 'activity_logs.user_id', 'users.id')
+    .where({
+      'activity_logs.organization_id': organizationId,
+      'activity_logs.entity_type': entityType,
+      'activity_logs.entity_id': entityId
+    })
+    .orderBy([
+      { column: 'activity_logs.created_at', order: 'desc' },
+      { column: 'activity_logs.id', order: 'desc' }
+    ])
+    .select(
+      'activity_logs.id',
+      'activity_logs.action',
+      'activity_logs.description',
+      'activity_logs.changes',
+      'activity_logs.user_id as userId',
+      'users.first_name as userFirstName',
+      'users.last_name as userLastName',
+      'activity_logs.created_at as createdAt'
+    );
+};
+
+module.exports = {
+  getActor,
+  logActivity,
+  getEntityActivity
+};
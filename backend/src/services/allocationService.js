@@ -0,0 +1,458 @@
+// Cost allocation: spreading the period balance of a shared cost account over targets
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+const { validateJournalEntry, createJournalEntry, postJournalEntry, voidJournalEntry } = require('./journalEntryService');
+const { validateLineDimensions, applyDimensionFilter } = require('./dimensionService');
+
+const ALLOCATION_METHODS = ['fixed', 'driver'];
+
+/**
+ * Get an allocation rule of an organization with its targets in order
+ * @param {number} organizationId - The organization ID
+ * @param {number} ruleId - The allocation rule ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} The allocation_rules row with a targets array, or null if not found
+ */
+const getAllocationRule = async (organizationId, ruleId, trx = db) => {
+  const rule = await trx('allocation_rules')
+    .where({
+      id: ruleId,
+      organization_id: organizationId
+    })
+    .first();
+
+  if (!rule) {
+    return null;
+  }
+
+  rule.targets = await trx('allocation_rule_targets')
+    .where('allocation_rule_id', rule.id)
+    .orderBy(['sort_order', 'id']);
+
+  return rule;
+};
+
+/**
+ * Validate the accounts, dimensions and split of an allocation rule
+ * @param {number} organizationId - The organization ID
+ * @param {object} rule - The rule being created or edited
+ * @param {number} rule.sourceAccountId - Account whose balance is allocated
+ * @param {object} [rule.sourceDimensions] - Dimension values the source balance is limited to
+ * @param {number} [rule.creditAccountId] - Account credited instead of the source account
+ * @param {string} rule.method - 'fixed' or 'driver'
+ * @param {Array} rule.targets - Targets with accountId, dimensions and percentage or driverQuantity
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with code and message, or null if the rule is valid
+ */
+const validateAllocationRule = async (organizationId, { sourceAccountId, sourceDimensions, creditAccountId, method, targets }, trx = db) => {
+  const accountIds = [...new Set([sourceAccountId, creditAccountId, ...targets.map(target => target.accountId)].filter(Boolean))];
+  const accounts = await trx('accounts')
+    .whereIn('id', accountIds)
+    .where('organization_id', organizationId)
+    .select('id', 'name', 'is_active');
+
+  if (accounts.length !== accountIds.length) {
+    return {
+      code: 'INVALID_ACCOUNTS',
+      message: 'One or more specified accounts do not exist or do not belong to this organization'
+    };
+  }
+
+  const inactiveAccounts = accounts.filter(account => !account.is_active);
+  if (inactiveAccounts.length > 0) {
+    return {
+      code: 'INACTIVE_ACCOUNTS',
+      message: `Cannot use inactive accounts: ${inactiveAccounts.map(a => a.name).join(', ')}`
+    };
+  }
+
+  if (method === 'fixed') {
+    const totalPercentage = targets.reduce((sum, target) => sum + (target.percentage || 0), 0);
+    if (targets.some(target => !target.percentage) || Math.abs(totalPercentage - 100) > 0.0001) {
+      return {
+        code: 'INVALID_PERCENTAGES',
+        message: 'Every target of a fixed allocation needs a percentage, and they must add up to 100',
+        details: { totalPercentage }
+      };
+    }
+  }
+
+  // The credit line carries the source dimensions; every generated line must be postable
+  return validateLineDimensions(organizationId, [
+    { accountId: creditAccountId || sourceAccountId, dimensions: sourceDimensions },
+    ...targets.map(target => ({ accountId: target.accountId, dimensions: target.dimensions }))
+  ], trx);
+};
+
+/**
+ * Work out how the period balance of a rule's source is split over its targets.
+ * The balance is summed in base currency from the general ledger, limited to the source
+ * dimensions; the rounding remainder goes to the last target so the split adds up exactly.
+ * @param {number} organizationId - The organization ID
+ * @param {object} rule - The allocation rule with its targets
+ * @param {object} fiscalPeriod - The fiscal_periods row being allocated
+ * @param {object} [options] - Calculation options
+ * @param {Array} [options.excludeJournalEntryIds] - Journal entries to leave out of the source balance
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} Source amount, base currency, targets with their share and amount, and the journal entry lines
+ */
+const calculateAllocation = async (organizationId, rule, fiscalPeriod, { excludeJournalEntryIds = [] } = {}, trx = db) => {
+  const organization = await trx('organizations')
+    .where('id', organizationId)
+    .select('base_currency')
+    .first();
+  const baseCurrency = organization.base_currency;
+
+  const currency = await trx('currencies')
+    .where({ code: baseCurrency })
+    .first();
+  const factor = Math.pow(10, currency ? currency.decimal_places : 2);
+  const round = value => Math.round(value * factor) / factor;
+
+  let balanceQuery = trx('general_ledger')
+    .where({
+      'general_ledger.organization_id': organizationId,
+      'general_ledger.account_id': rule.source_account_id,
+      'general_ledger.fiscal_period_id': fiscalPeriod.id
+    })
+    .sum({
+      debit: 'general_ledger.base_debit_amount',
+      credit: 'general_ledger.base_credit_amount'
+    });
+
+  if (excludeJournalEntryIds.length) {
+    balanceQuery = balanceQuery.whereNotIn('general_ledger.journal_entry_id', excludeJournalEntryIds);
+  }
+
+  const [balance] = await applyDimensionFilter(balanceQuery, rule.source_dimensions);
+  const sourceAmount = round(parseFloat(balance.debit || 0) - parseFloat(balance.credit || 0));
+
+  // Weights are the fixed percentages, or the driver quantities of the period
+  let weights = rule.targets.map(target => parseFloat(target.percentage || 0));
+  if (rule.method === 'driver') {
+    const driverValues = await trx('allocation_driver_values')
+      .whereIn('allocation_rule_target_id', rule.targets.map(target => target.id))
+      .where('fiscal_period_id', fiscalPeriod.id);
+
+    weights = rule.targets.map(target => {
+      const driverValue = driverValues.find(value => value.allocation_rule_target_id === target.id);
+      return parseFloat(driverValue ? driverValue.quantity : target.driver_quantity || 0);
+    });
+  }
+
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) {
+    throw new ApiError(400, 'NO_DRIVER_VALUES', `Allocation rule ${rule.name} has no driver quantities for ${fiscalPeriod.name}`);
+  }
+
+  let allocated = 0;
+  const targets = rule.targets.map((target, index) => {
+    const amount = index === rule.targets.length - 1
+      ? round(sourceAmount - allocated)
+      : round(sourceAmount * weights[index] / totalWeight);
+    allocated = round(allocated + amount);
+
+    return {
+      targetId: target.id,
+      accountId: target.account_id,
+      dimensions: target.dimensions,
+      weight: weights[index],
+      share: Math.round(weights[index] / totalWeight * 1000000) / 10000,
+      amount
+    };
+  });
+
+  // A debit balance moves out of the source with a credit, a credit balance with a debit
+  const line = (accountId, dimensions, amount, description) => ({
+    accountId,
+    description,
+    dimensions,
+    debitAmount: amount > 0 ? amount : 0,
+    creditAmount: amount < 0 ? -amount : 0
+  });
+
+  const items = [
+    ...targets
+      .filter(target => target.amount !== 0)
+      .map(target => line(target.accountId, target.dimensions, target.amount, `Allocation: ${rule.name}`)),
+    line(rule.credit_account_id || rule.source_account_id, rule.source_dimensions, -sourceAmount, `Allocated out: ${rule.name}`)
+  ];
+
+  return {
+    baseCurrency,
+    sourceAmount,
+    targets,
+    items
+  };
+};
+
+/**
+ * Run an allocation rule for a fiscal period, posting a balanced system journal entry dated
+ * on the last day of the period. Running a rule again for the same period voids the earlier
+ * run first, so the period ends up allocated once.
+ * @param {number} organizationId - The organization ID
+ * @param {number} ruleId - The allocation rule ID
+ * @param {object} options - Run options
+ * @param {number} options.fiscalPeriodId - The fiscal period to allocate
+ * @param {boolean} [options.preview] - Only calculate the allocation
+ * @param {number} userId - The user running the allocation
+ * @returns {object} The allocation, with the run ID, journal entry and replaced run unless previewing
+ */
+const runAllocation = async (organizationId, ruleId, { fiscalPeriodId, preview = false }, userId) => {
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    // Lock the rule so the same period cannot be allocated twice concurrently
+    const lockedRule = await trx('allocation_rules')
+      .where({
+        id: ruleId,
+        organization_id: organizationId
+      })
+      .forUpdate()
+      .first();
+
+    if (!lockedRule) {
+      throw new ApiError(404, 'NOT_FOUND', 'Allocation rule not found');
+    }
+
+    if (!lockedRule.is_active) {
+      throw new ApiError(400, 'RULE_INACTIVE', `Allocation rule ${lockedRule.name} is inactive`);
+    }
+
+    const rule = await getAllocationRule(organizationId, ruleId, trx);
+
+    // Lock the period so it cannot be closed while the allocation is posted
+    const fiscalPeriod = await trx('fiscal_periods')
+      .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+      .where({
+        'fiscal_periods.id': fiscalPeriodId,
+        'fiscal_years.organization_id': organizationId
+      })
+      .select('fiscal_periods.*')
+      .forShare('fiscal_periods')
+      .first();
+
+    if (!fiscalPeriod) {
+      throw new ApiError(400, 'INVALID_FISCAL_PERIOD', 'The specified fiscal period does not exist or does not belong to this organization');
+    }
+
+    if (fiscalPeriod.is_closed && !preview) {
+      throw new ApiError(400, 'FISCAL_PERIOD_CLOSED', 'Cannot post an allocation to a closed fiscal period');
+    }
+
+    const previousRun = await trx('allocation_runs')
+      .where({
+        allocation_rule_id: rule.id,
+        fiscal_period_id: fiscalPeriod.id,
+        status: 'posted'
+      })
+      .first();
+
+    const allocation = await calculateAllocation(organizationId, rule, fiscalPeriod, {
+      excludeJournalEntryIds: previousRun ? [previousRun.journal_entry_id] : []
+    }, trx);
+
+    const result = {
+      preview,
+      ruleId: rule.id,
+      fiscalPeriodId: fiscalPeriod.id,
+      ...allocation,
+      id: null,
+      journalEntry: null,
+      replacedRunId: previousRun ? previousRun.id : null
+    };
+
+    if (preview) {
+      await trx.rollback();
+      return result;
+    }
+
+    if (allocation.sourceAmount === 0) {
+      throw new ApiError(400, 'NOTHING_TO_ALLOCATE', `The source of ${rule.name} has no balance in ${fiscalPeriod.name}`);
+    }
+
+    const entry = {
+      entryDate: toDateString(fiscalPeriod.end_date),
+      fiscalPeriodId: fiscalPeriod.id,
+      currencyCode: allocation.baseCurrency,
+      exchangeRate: 1,
+      items: allocation.items
+    };
+
+    const validationError = await validateJournalEntry(organizationId, entry, trx);
+    if (validationError) {
+      throw new ApiError(400, validationError.code, validationError.message, validationError.details);
+    }
+
+    if (previousRun) {
+      await reverseRun(trx, previousRun, { reason: 'Replaced by a new allocation run', userId });
+    }
+
+    const journalEntry = await createJournalEntry(trx, organizationId, {
+      ...entry,
+      description: `Allocation ${rule.name} for ${fiscalPeriod.name}`,
+      reference: `ALLOC-${rule.id}`,
+      source: 'system',
+      userId
+    });
+
+    const postedEntry = await postJournalEntry(trx, journalEntry, userId);
+
+    const [run] = await trx('allocation_runs').insert({
+      organization_id: organizationId,
+      allocation_rule_id: rule.id,
+      fiscal_period_id: fiscalPeriod.id,
+      journal_entry_id: postedEntry.id,
+      source_amount: allocation.sourceAmount,
+      status: 'posted',
+      created_by: userId,
+      created_at: new Date()
+    }).returning('*');
+
+    // Commit transaction
+    await trx.commit();
+
+    return {
+      ...result,
+      id: run.id,
+      journalEntry: {
+        id: postedEntry.id,
+        entryNo: postedEntry.entry_no,
+        entryDate: postedEntry.entry_date
+      }
+    };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Void the journal entry of a posted allocation run and mark the run as reversed
+ * @param {object} trx - Knex transaction object
+ * @param {object} run - The allocation_runs row
+ * @param {object} options - Reversal options
+ * @param {string} [options.reason] - Reason for reversing the run
+ * @param {number} options.userId - The user reversing the run
+ * @returns {object} The reversing journal_entries row
+ */
+const reverseRun = async (trx, run, { reason, userId }) => {
+  const journalEntry = await trx('journal_entries')
+    .where('id', run.journal_entry_id)
+    .forUpdate()
+    .first();
+
+  const reversalEntry = await voidJournalEntry(trx, journalEntry, {
+    reason: reason || 'Allocation run reversed',
+    userId
+  });
+
+  await trx('allocation_runs')
+    .where('id', run.id)
+    .update({
+      status: 'reversed',
+      reversal_entry_id: reversalEntry ? reversalEntry.id : null,
+      reversed_by: userId,
+      reversed_at: new Date()
+    });
+
+  return reversalEntry;
+};
+
+/**
+ * Reverse a posted allocation run
+ * @param {number} organizationId - The organization ID
+ * @param {number} runId - The allocation run ID
+ * @param {object} options - Reversal options
+ * @param {string} [options.reason] - Reason for reversing the run
+ * @param {number} userId - The user reversing the run
+ * @returns {object} The reversing journal_entries row
+ */
+const reverseAllocationRun = async (organizationId, runId, { reason }, userId) => {
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    const run = await trx('allocation_runs')
+      .where({
+        id: runId,
+        organization_id: organizationId
+      })
+      .forUpdate()
+      .first();
+
+    if (!run) {
+      throw new ApiError(404, 'NOT_FOUND', 'Allocation run not found');
+    }
+
+    if (run.status !== 'posted') {
+      throw new ApiError(400, 'RUN_REVERSED', 'This allocation run has already been reversed');
+    }
+
+    const reversalEntry = await reverseRun(trx, run, { reason, userId });
+
+    // Commit transaction
+    await trx.commit();
+
+    return reversalEntry;
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Run every active allocation rule of an organization for a fiscal period, in sequence order
+ * so that rules can allocate costs other rules allocated to them. Each rule is run on its own;
+ * a failing rule is reported and the remaining rules still run.
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Run options
+ * @param {number} options.fiscalPeriodId - The fiscal period to allocate
+ * @param {boolean} [options.preview] - Only calculate the allocations
+ * @param {number} userId - The user running the allocations
+ * @returns {Array} One { ruleId, ruleName, allocation } or { ruleId, ruleName, error } per rule
+ */
+const runAllocations = async (organizationId, { fiscalPeriodId, preview = false }, userId) => {
+  const rules = await db('allocation_rules')
+    .where({
+      organization_id: organizationId,
+      is_active: true
+    })
+    .orderBy(['sequence', 'id'])
+    .select('id', 'name');
+
+  const results = [];
+
+  for (const rule of rules) {
+    try {
+      const allocation = await runAllocation(organizationId, rule.id, { fiscalPeriodId, preview }, userId);
+      results.push({ ruleId: rule.id, ruleName: rule.name, allocation });
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+
+      results.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        error: { code: error.code, message: error.message, details: error.details }
+      });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  ALLOCATION_METHODS,
+  getAllocationRule,
+  validateAllocationRule,
+  calculateAllocation,
+  runAllocation,
+  reverseAllocationRun,
+  runAllocations
+};
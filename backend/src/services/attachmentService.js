@@ -0,0 +1,135 @@
+// Document attachments on journal entries and accounts
+const crypto = require('crypto');
+const path = require('path');
+const db = require('../db');
+const { getStorage } = require('./storage');
+
+// Records that can carry attachments, keyed by their URL segment
+const ATTACHMENT_ENTITIES = {
+  'journal-entries': {
+    entityType: 'journal_entry',
+    table: 'journal_entries',
+    uploadPermission: 'journal_entries:create',
+    deletePermission: 'journal_entries:edit',
+    deleteStatus: 'draft' // Attachments of submitted, posted or voided entries are part of the audit trail
+  },
+  accounts: {
+    entityType: 'account',
+    table: 'accounts',
+    uploadPermission: 'chart_of_accounts:edit',
+    deletePermission: 'chart_of_accounts:edit'
+  }
+};
+
+/**
+ * Map an attachments row to its API shape
+ * @param {object} attachment - The attachments row
+ * @returns {object} The attachment metadata
+ */
+const formatAttachment = (attachment) => ({
+  id: attachment.id,
+  entityType: attachment.entity_type,
+  entityId: attachment.entity_id,
+  fileName: attachment.file_name,
+  mimeType: attachment.mime_type,
+  size: attachment.size,
+  checksum: attachment.checksum,
+  uploadedBy: attachment.uploaded_by,
+  createdAt: attachment.created_at
+});
+
+/**
+ * Store an uploaded file and record it against a journal entry or account
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Upload options
+ * @param {string} options.entityType - 'journal_entry' or 'account'
+ * @param {number} options.entityId - ID of the record the file is attached to
+ * @param {object} options.file - Uploaded file with originalname, mimetype and buffer
+ * @param {number} options.userId - The uploading user
+ * @returns {object} The attachments row
+ */
+const createAttachment = async (organizationId, { entityType, entityId, file, userId }) => {
+  const storage = getStorage();
+  const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+  // Keys never contain the user-supplied name, only its extension
+  const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const storageKey = `${organizationId}/${entityType}/${entityId}/${crypto.randomUUID()}${extension}`;
+
+  await storage.putObject(storageKey, file.buffer, { contentType: file.mimetype });
+
+  try {
+    const [attachment] = await db('attachments').insert({
+      organization_id: organizationId,
+      entity_type: entityType,
+      entity_id: entityId,
+      file_name: file.originalname,
+      mime_type: file.mimetype || 'application/octet-stream',
+      size: file.buffer.length,
+      checksum,
+      storage_driver: storage.name,
+      storage_key: storageKey,
+      uploaded_by: userId,
+      created_at: new Date()
+    }).returning('*');
+
+    return attachment;
+  } catch (error) {
+    // Do not leave an orphaned file behind
+    await storage.deleteObject(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Open the stored contents of an attachment
+ * @param {object} attachment - The attachments row
+ * @returns {stream.Readable} The file contents
+ */
+const openAttachment = (attachment) => {
+  return getStorage(attachment.storage_driver).getObject(attachment.storage_key);
+};
+
+/**
+ * Remove the stored files of attachments whose records were deleted
+ * @param {Array} attachments - The deleted attachments rows
+ */
+const deleteStoredFiles = async (attachments) => {
+  for (const attachment of attachments) {
+    try {
+      await getStorage(attachment.storage_driver).deleteObject(attachment.storage_key);
+    } catch (error) {
+      // The record is gone either way; a leftover file is harmless
+      console.error(`Failed to delete stored file for attachment ${attachment.id}:`, error);
+    }
+  }
+};
+
+/**
+ * Delete the attachment records of a journal entry or account, e.g. when the record itself is deleted.
+ * Their stored files are left for deleteStoredFiles once the transaction commits.
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {string} entityType - 'journal_entry' or 'account'
+ * @param {number} entityId - ID of the record the files are attached to
+ * @returns {Array} The deleted attachments rows
+ */
+const deleteEntityAttachments = async (trx, organizationId, entityType, entityId) => {
+  return trx('attachments')
+    .where({
+      organization_id: organizationId,
+      entity_type: entityType,
+      entity_id: entityId
+    })
+    .del()
+    .returning('*');
+};
+
+module.exports = {
+  ATTACHMENT_ENTITIES,
+  formatAttachment,
+  createAttachment,
+  openAttachment,
+  deleteStoredFiles,
+  deleteEntityAttachments
+};
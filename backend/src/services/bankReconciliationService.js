@@ -0,0 +1,150 @@
+// Bank reconciliations: statement balances agreed to the ledger balances of bank accounts
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+const { roundAmount, getBalanceAsOf } = require('./postingService');
+
+/**
+ * Map a bank_reconciliations row to its API shape
+ * @param {object} reconciliation - The bank_reconciliations row
+ * @param {number} [ledgerBalance] - Current ledger balance at the statement date, when already known
+ * @returns {object} The reconciliation
+ */
+const formatBankReconciliation = (reconciliation, ledgerBalance = parseFloat(reconciliation.ledger_balance)) => {
+  const statementBalance = parseFloat(reconciliation.statement_balance);
+  const difference = roundAmount(statementBalance - ledgerBalance);
+
+  return {
+    id: reconciliation.id,
+    accountId: reconciliation.account_id,
+    statementDate: toDateString(reconciliation.statement_date),
+    currencyCode: reconciliation.currency_code,
+    statementBalance,
+    ledgerBalance,
+    difference,
+    isReconciled: difference === 0,
+    notes: reconciliation.notes,
+    reconciledBy: reconciliation.reconciled_by,
+    createdAt: reconciliation.created_at
+  };
+};
+
+/**
+ * Record a bank statement balance against the ledger balance of a bank account at the statement date
+ * @param {number} organizationId - The organization ID
+ * @param {object} reconciliation - The statement
+ * @param {number} reconciliation.accountId - The bank account
+ * @param {string} reconciliation.statementDate - Date of the statement balance
+ * @param {number} reconciliation.statementBalance - Balance on the statement
+ * @param {string} [reconciliation.currencyCode] - Currency of a foreign currency account; base currency otherwise
+ * @param {string} [reconciliation.notes] - Notes on reconciling items
+ * @param {number} userId - The reconciling user
+ * @returns {object} The reconciliation, with the difference between statement and ledger
+ */
+const recordBankReconciliation = async (organizationId, { accountId, statementDate, statementBalance, currencyCode, notes }, userId) => {
+  const account = await db('accounts')
+    .where({
+      id: accountId,
+      organization_id: organizationId
+    })
+    .first();
+
+  if (!account) {
+    throw new ApiError(400, 'INVALID_ACCOUNT', 'The specified account does not exist or does not belong to this organization');
+  }
+
+  if (!account.is_bank_account) {
+    throw new ApiError(400, 'NOT_A_BANK_ACCOUNT', `Account ${account.code} is not a bank account`);
+  }
+
+  const date = toDateString(statementDate);
+  const ledgerBalance = await getBalanceAsOf(db, organizationId, account.id, date, currencyCode);
+
+  const [reconciliation] = await db('bank_reconciliations').insert({
+    organization_id: organizationId,
+    account_id: account.id,
+    statement_date: date,
+    currency_code: currencyCode || null,
+    statement_balance: statementBalance,
+    ledger_balance: ledgerBalance,
+    notes,
+    reconciled_by: userId,
+    created_at: new Date()
+  }).returning('*');
+
+  return formatBankReconciliation(reconciliation);
+};
+
+/**
+ * Check that every bank account with ledger activity up to a date is reconciled to that date.
+ * An account counts as reconciled when its first statement on or after the date still agrees
+ * with the ledger, so entries back-dated after reconciling are caught.
+ * @param {number} organizationId - The organization ID
+ * @param {string} asOfDate - The date accounts must be reconciled to
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {Array} One status per bank account with accountId, code, name, status
+ *   ('reconciled', 'difference' or 'missing') and the reconciliation checked
+ */
+const getBankReconciliationStatus = async (organizationId, asOfDate, trx = db) => {
+  const bankAccounts = await trx('accounts')
+    .where({
+      organization_id: organizationId,
+      is_bank_account: true
+    })
+    .whereExists(function() {
+      this.select(1)
+        .from('general_ledger')
+        .whereRaw('general_ledger.account_id = accounts.id')
+        .where('general_ledger.transaction_date', '<=', asOfDate);
+    })
+    .orderBy('code', 'asc')
+    .select('id', 'code', 'name');
+
+  const statuses = [];
+
+  for (const account of bankAccounts) {
+    const reconciliation = await trx('bank_reconciliations')
+      .where({
+        organization_id: organizationId,
+        account_id: account.id
+      })
+      .where('statement_date', '>=', asOfDate)
+      .orderBy([
+        { column: 'statement_date', order: 'asc' },
+        { column: 'id', order: 'desc' }
+      ])
+      .first();
+
+    if (!reconciliation) {
+      statuses.push({
+        accountId: account.id,
+        accountCode: account.code,
+        accountName: account.name,
+        status: 'missing',
+        reconciliation: null
+      });
+      continue;
+    }
+
+    const ledgerBalance = await getBalanceAsOf(
+      trx, organizationId, account.id, toDateString(reconciliation.statement_date), reconciliation.currency_code
+    );
+    const current = formatBankReconciliation(reconciliation, ledgerBalance);
+
+    statuses.push({
+      accountId: account.id,
+      accountCode: account.code,
+      accountName: account.name,
+      status: current.isReconciled ? 'reconciled' : 'difference',
+      reconciliation: current
+    });
+  }
+
+  return statuses;
+};
+
+module.exports = {
+  formatBankReconciliation,
+  recordBankReconciliation,
+  getBankReconciliationStatus
+};
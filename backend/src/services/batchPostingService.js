@@ -0,0 +1,189 @@
+// Posting many journal entries in one request
+const db = require('../db');
+const { getPostingError, postJournalEntry } = require('./journalEntryService');
+const { getOrganizationSettings } = require('./organizationSettingsService');
+
+const BATCH_POST_MODES = ['atomic', 'best_effort'];
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Lock the journal entries selected for a batch post
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} selection - Either ids or a filter
+ * @param {Array} [selection.ids] - Journal entry IDs
+ * @param {object} [selection.filter] - status, source, importBatchId, fiscalPeriodId, startDate, endDate and createdBy
+ * @param {number} selection.limit - Maximum number of entries selected by a filter
+ * @param {object} settings - The organization settings
+ * @returns {Array} The locked journal_entries rows in posting order (by entry date)
+ */
+const lockBatchEntries = (trx, organizationId, { ids, filter, limit }, settings) => {
+  let query = trx('journal_entries')
+    .where('organization_id', organizationId)
+    .orderBy('entry_date', 'asc')
+    .orderBy('id', 'asc')
+    .forUpdate();
+
+  if (ids) {
+    return query.whereIn('id', ids);
+  }
+
+  // Without an explicit status, pick up every entry that is ready to post
+  const statuses = filter.status ? [filter.status] : (settings.requireApproval ? ['approved'] : ['draft', 'approved']);
+  query = query.whereIn('status', statuses).limit(limit);
+
+  // Intercompany mirrors are posted with their originating entry, not on their own
+  query = query.where(function() {
+    this.whereNull('intercompany_role').orWhereNot('intercompany_role', 'mirror');
+  });
+
+  if (filter.source) query = query.where('source', filter.source);
+  if (filter.importBatchId) query = query.where('import_batch_id', filter.importBatchId);
+  if (filter.fiscalPeriodId) query = query.where('fiscal_period_id', filter.fiscalPeriodId);
+  if (filter.startDate) query = query.where('entry_date', '>=', filter.startDate);
+  if (filter.endDate) query = query.where('entry_date', '<=', filter.endDate);
+  if (filter.createdBy) query = query.where('created_by', filter.createdBy);
+
+  return query;
+};
+
+/**
+ * Build the batch post report
+ * @param {string} mode - 'atomic' or 'best_effort'
+ * @param {boolean} committed - Whether the batch transaction was committed
+ * @param {Array} results - Posted and failed entries
+ * @param {Array} notPosted - Valid journal_entries rows left unposted because an atomic batch failed
+ * @returns {object} Report with totals and per-entry results
+ */
+const buildReport = (mode, committed, results, notPosted) => {
+  const allResults = [
+    ...results,
+    ...notPosted.map(entry => ({ id: entry.id, entryNo: entry.entry_no, status: 'not_posted' }))
+  ];
+
+  return {
+    mode,
+    committed,
+    totals: {
+      requested: allResults.length,
+      posted: allResults.filter(result => result.status === 'posted').length,
+      failed: allResults.filter(result => result.status === 'failed').length,
+      notPosted: notPosted.length
+    },
+    results: allResults
+  };
+};
+
+/**
+ * Post a batch of journal entries.
+ * Every entry is validated up front from lines and periods loaded in bulk. In 'atomic' mode
+ * nothing is posted unless every entry can be; in 'best_effort' mode valid entries are posted
+ * (each in its own savepoint) and the rest are reported.
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Batch options
+ * @param {Array} [options.ids] - Journal entry IDs to post
+ * @param {object} [options.filter] - Filter selecting the entries to post instead of IDs
+ * @param {string} [options.mode] - 'atomic' (default) or 'best_effort'
+ * @param {number} [options.limit] - Maximum number of entries selected by a filter
+ * @param {object} poster - The posting user's id and role in the organization
+ * @returns {object} Report with mode, whether anything was committed, totals and per-entry results
+ */
+const postJournalEntryBatch = async (organizationId, { ids, filter = {}, mode = 'atomic', limit = MAX_BATCH_SIZE }, poster) => {
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    const settings = await getOrganizationSettings(organizationId, trx);
+    const journalEntries = await lockBatchEntries(trx, organizationId, { ids, filter, limit }, settings);
+    const entryIds = journalEntries.map(entry => entry.id);
+
+    const items = await trx('journal_entry_items')
+      .whereIn('journal_entry_id', entryIds)
+      .select('*');
+
+    // Periods stay locked against closing until the batch commits
+    const fiscalPeriods = await trx('fiscal_periods')
+      .whereIn('id', [...new Set(journalEntries.map(entry => entry.fiscal_period_id))])
+      .orderBy('id', 'asc')
+      .select('*')
+      .forShare();
+
+    const results = [];
+
+    // Requested IDs that do not exist in this organization
+    if (ids) {
+      const foundIds = new Set(entryIds);
+      [...new Set(ids)].filter(id => !foundIds.has(id)).forEach(id => {
+        results.push({ id, status: 'failed', error: { code: 'NOT_FOUND', message: 'Journal entry not found' } });
+      });
+    }
+
+    const postable = [];
+    for (const journalEntry of journalEntries) {
+      const postingError = await getPostingError(journalEntry, {
+        items: items.filter(item => item.journal_entry_id === journalEntry.id),
+        fiscalPeriod: fiscalPeriods.find(period => period.id === journalEntry.fiscal_period_id),
+        settings,
+        poster
+      }, trx);
+
+      if (postingError) {
+        const { statusCode, ...error } = postingError;
+        results.push({ id: journalEntry.id, entryNo: journalEntry.entry_no, status: 'failed', error });
+      } else {
+        postable.push(journalEntry);
+      }
+    }
+
+    if (mode === 'atomic' && results.length > 0) {
+      await trx.rollback();
+      return buildReport(mode, false, results, postable);
+    }
+
+    for (const journalEntry of postable) {
+      try {
+        if (mode === 'atomic') {
+          await postJournalEntry(trx, journalEntry, poster.id);
+        } else {
+          await trx.transaction(savepoint => postJournalEntry(savepoint, journalEntry, poster.id));
+        }
+
+        results.push({ id: journalEntry.id, entryNo: journalEntry.entry_no, status: 'posted' });
+      } catch (error) {
+        // Business-rule failures (e.g. no open period for an auto-reversal) are reported per entry
+        if (error.name !== 'ApiError') {
+          throw error;
+        }
+
+        results.push({
+          id: journalEntry.id,
+          entryNo: journalEntry.entry_no,
+          status: 'failed',
+          error: { code: error.code, message: error.message, details: error.details }
+        });
+
+        if (mode === 'atomic') {
+          // Entries posted earlier in the batch are rolled back with it
+          await trx.rollback();
+          const failed = results.filter(result => result.status === 'failed');
+          return buildReport(mode, false, failed, postable.filter(entry => entry.id !== journalEntry.id));
+        }
+      }
+    }
+
+    // Commit transaction
+    await trx.commit();
+
+    return buildReport(mode, true, results, []);
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  BATCH_POST_MODES,
+  MAX_BATCH_SIZE,
+  postJournalEntryBatch
+};
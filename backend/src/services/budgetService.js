@@ -0,0 +1,610 @@
+// Budgets: line validation, file import, copying from prior-year actuals and budget-vs-actual reporting
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+const { parseImportFile, parseAmount } = require('./journalEntryImportService');
+const { applyDimensionFilter } = require('./dimensionService');
+
+// Column headers of a budget import file
+const BUDGET_COLUMNS = {
+  accountCode: 'account_code',
+  period: 'period', // Period name, or a date within the period
+  amount: 'amount',
+  dimension: 'dimension' // Optional 'type=value'
+};
+
+const round = value => Math.round(value * 10000) / 10000;
+
+// Identify the account, period and dimension value a budget line is for
+const lineKey = line => `${line.accountId}:${line.fiscalPeriodId}:${line.dimensionValueId || ''}`;
+
+/**
+ * Get a fiscal year of an organization with its periods in date order
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalYearId - The fiscal year ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} The fiscal_years row with a periods array, or null if not found
+ */
+const getFiscalYearWithPeriods = async (organizationId, fiscalYearId, trx = db) => {
+  const fiscalYear = await trx('fiscal_years')
+    .where({
+      id: fiscalYearId,
+      organization_id: organizationId
+    })
+    .first();
+
+  if (!fiscalYear) {
+    return null;
+  }
+
+  fiscalYear.periods = await trx('fiscal_periods')
+    .where('fiscal_year_id', fiscalYear.id)
+    .orderBy('start_date', 'asc');
+
+  return fiscalYear;
+};
+
+/**
+ * Build a query summing the base-currency ledger movement of periods of a fiscal year per account and period.
+ * The year-end closing entry is left out: it moves the revenue and expense balances into retained earnings,
+ * which would cancel the actuals of the period it is posted to.
+ * @param {object} trx - Knex transaction object or the shared connection
+ * @param {number} organizationId - The organization ID
+ * @param {object} fiscalYear - The fiscal_years row
+ * @param {Array} periodIds - Periods of that year to sum
+ * @returns {object} Query selecting account_id, fiscal_period_id, debit and credit
+ */
+const getActualsQuery = (trx, organizationId, fiscalYear, periodIds) => {
+  const query = trx('general_ledger')
+    .where('general_ledger.organization_id', organizationId)
+    .whereIn('general_ledger.fiscal_period_id', periodIds)
+    .groupBy('general_ledger.account_id', 'general_ledger.fiscal_period_id')
+    .select('general_ledger.account_id', 'general_ledger.fiscal_period_id')
+    .sum({ debit: 'general_ledger.base_debit_amount', credit: 'general_ledger.base_credit_amount' });
+
+  if (fiscalYear.closing_entry_id) {
+    query.whereNot('general_ledger.journal_entry_id', fiscalYear.closing_entry_id);
+  }
+
+  return query;
+};
+
+/**
+ * Check budget lines against the organization's accounts and dimension values and the
+ * periods of the budget's fiscal year
+ * @param {number} organizationId - The organization ID
+ * @param {object} fiscalYear - The budget's fiscal year with its periods
+ * @param {Array} lines - Lines with accountId, fiscalPeriodId, amount and optionally dimensionValueId
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {Array} One { index, code, message } per problem, where index is the position of the line
+ */
+const getBudgetLineErrors = async (organizationId, fiscalYear, lines, trx = db) => {
+  const accountIds = [...new Set(lines.map(line => line.accountId))];
+  const accounts = accountIds.length
+    ? await trx('accounts')
+      .whereIn('id', accountIds)
+      .where('organization_id', organizationId)
+      .select('id', 'code', 'name', 'is_active')
+    : [];
+
+  const dimensionValueIds = [...new Set(lines.map(line => line.dimensionValueId).filter(Boolean))];
+  const dimensionValues = dimensionValueIds.length
+    ? await trx('dimension_values')
+      .join('dimension_types', 'dimension_values.dimension_type_id', 'dimension_types.id')
+      .whereIn('dimension_values.id', dimensionValueIds)
+      .where('dimension_types.organization_id', organizationId)
+      .select('dimension_values.id')
+    : [];
+
+  const periodIds = fiscalYear.periods.map(period => period.id);
+  const seen = new Set();
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    const account = accounts.find(row => row.id === line.accountId);
+
+    if (!account) {
+      errors.push({ index, code: 'INVALID_ACCOUNTS', message: `Account ${line.accountId} does not exist or does not belong to this organization` });
+    } else if (!account.is_active) {
+      errors.push({ index, code: 'INACTIVE_ACCOUNTS', message: `Cannot budget for inactive account ${account.code} ${account.name}` });
+    }
+
+    if (!periodIds.includes(line.fiscalPeriodId)) {
+      errors.push({ index, code: 'INVALID_FISCAL_PERIOD', message: `Fiscal period ${line.fiscalPeriodId} is not part of fiscal year ${fiscalYear.name}` });
+    }
+
+    if (line.dimensionValueId && !dimensionValues.some(row => row.id === line.dimensionValueId)) {
+      errors.push({ index, code: 'INVALID_DIMENSION_VALUE', message: `Dimension value ${line.dimensionValueId} does not belong to this organization` });
+    }
+
+    if (seen.has(lineKey(line))) {
+      errors.push({ index, code: 'DUPLICATE_BUDGET_LINE', message: 'The same account, period and dimension value appear on more than one line' });
+    }
+    seen.add(lineKey(line));
+  });
+
+  return errors;
+};
+
+/**
+ * Validate budget lines, reporting the first problem found
+ * @param {number} organizationId - The organization ID
+ * @param {object} fiscalYear - The budget's fiscal year with its periods
+ * @param {Array} lines - Lines with accountId, fiscalPeriodId, amount and optionally dimensionValueId
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with code, message and the line number, or null if the lines are valid
+ */
+const validateBudgetLines = async (organizationId, fiscalYear, lines, trx = db) => {
+  const [error] = await getBudgetLineErrors(organizationId, fiscalYear, lines, trx);
+
+  if (!error) {
+    return null;
+  }
+
+  return {
+    code: error.code,
+    message: `Line ${error.index + 1}: ${error.message}`,
+    details: { line: error.index + 1 }
+  };
+};
+
+/**
+ * Store the lines of a budget, replacing all its lines or, when merging, only those for the
+ * same account, period and dimension value
+ * @param {object} trx - Knex transaction object
+ * @param {number} budgetId - The budget ID
+ * @param {Array} lines - Validated lines with accountId, fiscalPeriodId, amount and optionally dimensionValueId
+ * @param {object} [options] - Save options
+ * @param {boolean} [options.merge] - Keep existing lines the new ones do not replace
+ */
+const saveBudgetLines = async (trx, budgetId, lines, { merge = false } = {}) => {
+  if (!merge) {
+    await trx('budget_lines')
+      .where('budget_id', budgetId)
+      .del();
+  } else {
+    for (const line of lines) {
+      await trx('budget_lines')
+        .where({
+          budget_id: budgetId,
+          account_id: line.accountId,
+          fiscal_period_id: line.fiscalPeriodId
+        })
+        .where(function() {
+          if (line.dimensionValueId) {
+            this.where('dimension_value_id', line.dimensionValueId);
+          } else {
+            this.whereNull('dimension_value_id');
+          }
+        })
+        .del();
+    }
+  }
+
+  if (lines.length) {
+    await trx('budget_lines').insert(lines.map(line => ({
+      budget_id: budgetId,
+      account_id: line.accountId,
+      fiscal_period_id: line.fiscalPeriodId,
+      dimension_value_id: line.dimensionValueId || null,
+      amount: line.amount
+    })));
+  }
+
+  await trx('budgets')
+    .where('id', budgetId)
+    .update({ updated_at: new Date() });
+};
+
+/**
+ * Read budget lines from a CSV or XLSX file with account_code, period, amount and optional
+ * dimension columns. Periods are given by name or by a date within the period, dimensions as 'type=value'.
+ * @param {number} organizationId - The organization ID
+ * @param {object} fiscalYear - The budget's fiscal year with its periods
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {object} { rows, lines, errors } with the resolved lines and per-row errors
+ */
+const parseBudgetFile = async (organizationId, fiscalYear, buffer, format) => {
+  const rows = await parseImportFile(buffer, format);
+
+  const accounts = await db('accounts')
+    .where('organization_id', organizationId)
+    .select('id', 'code');
+
+  const dimensionValues = await db('dimension_values')
+    .join('dimension_types', 'dimension_values.dimension_type_id', 'dimension_types.id')
+    .where('dimension_types.organization_id', organizationId)
+    .select('dimension_values.id', 'dimension_values.code', 'dimension_types.code as type_code');
+
+  const errors = [];
+  const lines = [];
+
+  rows.forEach((row, index) => {
+    // The header is row 1
+    const rowNumber = index + 2;
+    const cell = field => String(row[BUDGET_COLUMNS[field]] === undefined ? '' : row[BUDGET_COLUMNS[field]]).trim();
+    const addError = (field, code, message) => errors.push({ row: rowNumber, field, code, message });
+    const errorCount = errors.length;
+
+    const account = accounts.find(candidate => candidate.code === cell('accountCode'));
+    if (!account) {
+      addError('accountCode', 'UNKNOWN_ACCOUNT', `Account code '${cell('accountCode')}' does not exist`);
+    }
+
+    // Cells holding a date (XLSX dates or 'YYYY-MM-DD' text) pick the period containing it
+    const periodCell = row[BUDGET_COLUMNS.period] instanceof Date ? row[BUDGET_COLUMNS.period] : cell('period');
+    const periodDate = periodCell instanceof Date || /^\d{4}-\d{2}-\d{2}$/.test(periodCell) ? toDateString(periodCell) : null;
+    const period = fiscalYear.periods.find(candidate => periodDate
+      ? periodDate >= toDateString(candidate.start_date) && periodDate <= toDateString(candidate.end_date)
+      : candidate.name === periodCell);
+    if (!period) {
+      addError('period', 'UNKNOWN_PERIOD', `'${cell('period')}' is not a period of fiscal year ${fiscalYear.name}`);
+    }
+
+    const amount = parseAmount(row[BUDGET_COLUMNS.amount]);
+    if (Number.isNaN(amount)) {
+      addError('amount', 'INVALID_AMOUNT', `'${cell('amount')}' is not a number`);
+    }
+
+    let dimensionValue = null;
+    if (cell('dimension')) {
+      const [typeCode, ...rest] = cell('dimension').split('=');
+      dimensionValue = dimensionValues.find(candidate => candidate.type_code === typeCode.trim() && candidate.code === rest.join('=').trim());
+      if (!dimensionValue) {
+        addError('dimension', 'INVALID_DIMENSION_VALUE', `'${cell('dimension')}' is not a dimension value of this organization (write it as type=value)`);
+      }
+    }
+
+    if (errors.length === errorCount) {
+      lines.push({
+        rowNumber,
+        accountId: account.id,
+        fiscalPeriodId: period.id,
+        dimensionValueId: dimensionValue ? dimensionValue.id : null,
+        amount: round(amount)
+      });
+    }
+  });
+
+  // Rows that resolved must also be usable together
+  const lineErrors = await getBudgetLineErrors(organizationId, fiscalYear, lines);
+  lineErrors.forEach(error => {
+    errors.push({ row: lines[error.index].rowNumber, field: 'row', code: error.code, message: error.message });
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+
+  return { rows: rows.length, lines, errors };
+};
+
+/**
+ * Import the lines of a budget from a CSV or XLSX file.
+ * Nothing is stored unless every row is valid and it is not a dry run.
+ * @param {number} organizationId - The organization ID
+ * @param {object} budget - The budgets row
+ * @param {object} options - Import options
+ * @param {Buffer} options.buffer - File contents
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {boolean} [options.merge] - Keep existing lines the file does not replace
+ * @param {boolean} [options.dryRun] - Only validate the file
+ * @returns {object} Import report with totals and per-row errors
+ */
+const importBudgetLines = async (organizationId, budget, { buffer, format, merge = false, dryRun = false }) => {
+  const fiscalYear = await getFiscalYearWithPeriods(organizationId, budget.fiscal_year_id);
+  const { rows, lines, errors } = await parseBudgetFile(organizationId, fiscalYear, buffer, format);
+
+  const report = {
+    dryRun,
+    merge,
+    valid: errors.length === 0,
+    totals: {
+      rows,
+      lines: lines.length,
+      amount: round(lines.reduce((sum, line) => sum + line.amount, 0)),
+      errors: errors.length
+    },
+    errors
+  };
+
+  if (dryRun || !report.valid) {
+    return report;
+  }
+
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    await saveBudgetLines(trx, budget.id, lines, { merge });
+
+    // Commit transaction
+    await trx.commit();
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+
+  return report;
+};
+
+/**
+ * Create a budget from the actuals of a prior fiscal year with a percentage uplift.
+ * Periods are matched by position, so both years must have the same number of periods.
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Copy options
+ * @param {number} options.fiscalYearId - The fiscal year being budgeted
+ * @param {number} options.sourceFiscalYearId - The fiscal year whose actuals are copied
+ * @param {string} options.name - Name of the budget version
+ * @param {string} [options.description] - Description of the budget
+ * @param {number} [options.upliftPercent] - Percentage added to every actual (negative to reduce)
+ * @param {Array} [options.accountIds] - Only copy these accounts
+ * @param {number} userId - The user creating the budget
+ * @returns {number} The ID of the new budget
+ */
+const copyBudgetFromActuals = async (organizationId, options, userId) => {
+  const { fiscalYearId, sourceFiscalYearId, name, description, upliftPercent = 0, accountIds } = options;
+
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    const fiscalYear = await getFiscalYearWithPeriods(organizationId, fiscalYearId, trx);
+    const sourceYear = await getFiscalYearWithPeriods(organizationId, sourceFiscalYearId, trx);
+
+    if (!fiscalYear || !sourceYear) {
+      throw new ApiError(400, 'INVALID_FISCAL_YEAR', 'The specified fiscal year does not exist or does not belong to this organization');
+    }
+
+    if (fiscalYear.periods.length !== sourceYear.periods.length) {
+      throw new ApiError(400, 'PERIOD_MISMATCH', `${sourceYear.name} has ${sourceYear.periods.length} periods but ${fiscalYear.name} has ${fiscalYear.periods.length}`);
+    }
+
+    const existingBudget = await trx('budgets')
+      .where({
+        organization_id: organizationId,
+        fiscal_year_id: fiscalYear.id,
+        name
+      })
+      .first();
+
+    if (existingBudget) {
+      throw new ApiError(400, 'DUPLICATE_NAME', `A budget named ${name} already exists for ${fiscalYear.name}`);
+    }
+
+    let query = getActualsQuery(trx, organizationId, sourceYear, sourceYear.periods.map(period => period.id))
+      .join('accounts', 'general_ledger.account_id', 'accounts.id')
+      .join('account_types', 'accounts.account_type_id', 'account_types.id')
+      .where('accounts.is_active', true)
+      .groupBy('account_types.normal_balance')
+      .select('account_types.normal_balance');
+
+    if (accountIds && accountIds.length) {
+      query = query.whereIn('general_ledger.account_id', accountIds);
+    }
+
+    const balances = await query;
+
+    // Budgets are positive in the account's normal balance direction
+    const factor = 1 + upliftPercent / 100;
+    const lines = balances.map(balance => {
+      const net = parseFloat(balance.debit) - parseFloat(balance.credit);
+      const actual = balance.normal_balance === 'credit' ? -net : net;
+      const position = sourceYear.periods.findIndex(period => period.id === balance.fiscal_period_id);
+
+      return {
+        accountId: balance.account_id,
+        fiscalPeriodId: fiscalYear.periods[position].id,
+        amount: Math.round(actual * factor * 100) / 100
+      };
+    }).filter(line => line.amount !== 0);
+
+    const [budget] = await trx('budgets').insert({
+      organization_id: organizationId,
+      fiscal_year_id: fiscalYear.id,
+      name,
+      description,
+      source: 'actuals',
+      source_fiscal_year_id: sourceYear.id,
+      uplift_percent: upliftPercent,
+      created_by: userId,
+      created_at: new Date(),
+      updated_at: new Date()
+    }).returning('*');
+
+    await saveBudgetLines(trx, budget.id, lines);
+
+    // Commit transaction
+    await trx.commit();
+
+    return budget.id;
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+// Variance of an actual against its budget; the percentage is of the budget and null without one
+const getVariance = (budget, actual) => {
+  const variance = round(actual - budget);
+
+  return {
+    budget: round(budget),
+    actual: round(actual),
+    variance,
+    variancePercent: budget ? Math.round(variance / Math.abs(budget) * 10000) / 100 : null
+  };
+};
+
+/**
+ * Compare a budget with the actual balances of its fiscal year, per account and period and year-to-date.
+ * Actuals are summed from the ledger without the year-end closing entry, optionally for a single dimension value.
+ * Budgets and actuals are in base currency and positive in the account's normal balance direction,
+ * so a positive variance means more revenue or more expense than budgeted.
+ * @param {number} organizationId - The organization ID
+ * @param {object} budget - The budgets row
+ * @param {object} [options] - Report options
+ * @param {number} [options.throughPeriodId] - Last period to report (defaults to the end of the year)
+ * @param {number} [options.dimensionValueId] - Only compare lines and ledger rows for this dimension value
+ * @param {Array} [options.accountIds] - Only report these accounts
+ * @returns {object} Periods, per-account comparisons and totals per account type
+ */
+const getBudgetVsActual = async (organizationId, budget, { throughPeriodId, dimensionValueId, accountIds } = {}) => {
+  const fiscalYear = await getFiscalYearWithPeriods(organizationId, budget.fiscal_year_id);
+
+  let periods = fiscalYear.periods;
+  if (throughPeriodId) {
+    const position = periods.findIndex(period => period.id === throughPeriodId);
+    if (position === -1) {
+      throw new ApiError(400, 'INVALID_FISCAL_PERIOD', `Fiscal period ${throughPeriodId} is not part of fiscal year ${fiscalYear.name}`);
+    }
+    periods = periods.slice(0, position + 1);
+  }
+  const periodIds = periods.map(period => period.id);
+
+  let dimension = null;
+  if (dimensionValueId) {
+    dimension = await db('dimension_values')
+      .join('dimension_types', 'dimension_values.dimension_type_id', 'dimension_types.id')
+      .where('dimension_values.id', dimensionValueId)
+      .where('dimension_types.organization_id', organizationId)
+      .select('dimension_values.id', 'dimension_values.code', 'dimension_values.name', 'dimension_types.code as type_code')
+      .first();
+
+    if (!dimension) {
+      throw new ApiError(400, 'INVALID_DIMENSION_VALUE', 'The specified dimension value does not belong to this organization');
+    }
+  }
+
+  let budgetQuery = db('budget_lines')
+    .where('budget_id', budget.id)
+    .whereIn('fiscal_period_id', periodIds)
+    .groupBy('account_id', 'fiscal_period_id')
+    .select('account_id', 'fiscal_period_id')
+    .sum({ amount: 'amount' });
+
+  if (dimension) {
+    budgetQuery = budgetQuery.where('dimension_value_id', dimension.id);
+  }
+
+  let actualQuery = getActualsQuery(db, organizationId, fiscalYear, periodIds);
+
+  if (dimension) {
+    actualQuery = applyDimensionFilter(actualQuery, { [dimension.type_code]: dimension.code });
+  }
+
+  if (accountIds && accountIds.length) {
+    budgetQuery = budgetQuery.whereIn('account_id', accountIds);
+    actualQuery = actualQuery.whereIn('general_ledger.account_id', accountIds);
+  }
+
+  const budgetRows = await budgetQuery;
+  const actualRows = await actualQuery;
+
+  const reportAccountIds = [...new Set([...budgetRows, ...actualRows].map(row => row.account_id))];
+  const accounts = reportAccountIds.length
+    ? await db('accounts')
+      .join('account_types', 'accounts.account_type_id', 'account_types.id')
+      .whereIn('accounts.id', reportAccountIds)
+      .orderBy('accounts.code', 'asc')
+      .select(
+        'accounts.id',
+        'accounts.code',
+        'accounts.name',
+        'account_types.id as account_type_id',
+        'account_types.name as account_type_name',
+        'account_types.category as account_type_category',
+        'account_types.normal_balance'
+      )
+    : [];
+
+  const totals = {};
+
+  const reportAccounts = accounts.map(account => {
+    let budgetToDate = 0;
+    let actualToDate = 0;
+
+    const accountPeriods = periods.map(period => {
+      const budgetRow = budgetRows.find(row => row.account_id === account.id && row.fiscal_period_id === period.id);
+      const actualRow = actualRows.find(row => row.account_id === account.id && row.fiscal_period_id === period.id);
+
+      const budgetAmount = budgetRow ? parseFloat(budgetRow.amount) : 0;
+      const net = actualRow ? parseFloat(actualRow.debit || 0) - parseFloat(actualRow.credit || 0) : 0;
+      const actualAmount = account.normal_balance === 'credit' ? -net : net;
+
+      budgetToDate += budgetAmount;
+      actualToDate += actualAmount;
+
+      // Accumulate the totals of the account type
+      const typeTotals = totals[account.account_type_id] = totals[account.account_type_id] || {
+        accountTypeId: account.account_type_id,
+        accountTypeName: account.account_type_name,
+        accountTypeCategory: account.account_type_category,
+        normalBalance: account.normal_balance,
+        periods: periods.map(() => ({ budget: 0, actual: 0, budgetToDate: 0, actualToDate: 0 }))
+      };
+      const typePeriod = typeTotals.periods[periods.indexOf(period)];
+      typePeriod.budget += budgetAmount;
+      typePeriod.actual += actualAmount;
+      typePeriod.budgetToDate += budgetToDate;
+      typePeriod.actualToDate += actualToDate;
+
+      return {
+        fiscalPeriodId: period.id,
+        ...getVariance(budgetAmount, actualAmount),
+        yearToDate: getVariance(budgetToDate, actualToDate)
+      };
+    });
+
+    return {
+      accountId: account.id,
+      accountCode: account.code,
+      accountName: account.name,
+      accountTypeName: account.account_type_name,
+      accountTypeCategory: account.account_type_category,
+      normalBalance: account.normal_balance,
+      periods: accountPeriods
+    };
+  });
+
+  return {
+    budget: {
+      id: budget.id,
+      name: budget.name,
+      fiscalYearId: fiscalYear.id,
+      fiscalYearName: fiscalYear.name
+    },
+    dimension: dimension && {
+      dimensionValueId: dimension.id,
+      type: dimension.type_code,
+      value: dimension.code,
+      name: dimension.name
+    },
+    periods: periods.map(period => ({
+      id: period.id,
+      name: period.name,
+      startDate: period.start_date,
+      endDate: period.end_date
+    })),
+    accounts: reportAccounts,
+    totals: Object.values(totals).map(typeTotals => ({
+      ...typeTotals,
+      periods: typeTotals.periods.map((typePeriod, index) => ({
+        fiscalPeriodId: periods[index].id,
+        ...getVariance(typePeriod.budget, typePeriod.actual),
+        yearToDate: getVariance(typePeriod.budgetToDate, typePeriod.actualToDate)
+      }))
+    }))
+  };
+};
+
+module.exports = {
+  BUDGET_COLUMNS,
+  getFiscalYearWithPeriods,
+  validateBudgetLines,
+  saveBudgetLines,
+  importBudgetLines,
+  copyBudgetFromActuals,
+  getBudgetVsActual
+};
@@ -0,0 +1,222 @@
+// Managed ledger dimensions: validation of line dimensions and dimension filters for ledger queries
+const db = require('../db');
+
+// A blank value means the line does not carry the dimension
+const isBlank = value => value === null || value === undefined || value === '';
+
+/**
+ * Check the dimensions of a set of lines against the dimension types and values of an
+ * organization, and against the dimensions their accounts require
+ * @param {number} organizationId - The organization ID
+ * @param {Array} items - Lines with accountId and dimensions keyed by dimension type code
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {Array} One { index, code, message } per problem, where index is the position of the line
+ */
+const getDimensionErrors = async (organizationId, items, trx = db) => {
+  const types = await trx('dimension_types')
+    .where('organization_id', organizationId)
+    .select('id', 'code', 'name', 'is_active');
+
+  const values = types.length
+    ? await trx('dimension_values')
+      .whereIn('dimension_type_id', types.map(type => type.id))
+      .select('dimension_type_id', 'code', 'is_active')
+    : [];
+
+  const accountIds = [...new Set(items.map(item => item.accountId).filter(Boolean))];
+  const requiredDimensions = accountIds.length
+    ? await trx('account_required_dimensions')
+      .join('dimension_types', 'account_required_dimensions.dimension_type_id', 'dimension_types.id')
+      .join('accounts', 'account_required_dimensions.account_id', 'accounts.id')
+      .whereIn('account_required_dimensions.account_id', accountIds)
+      .where('dimension_types.is_active', true)
+      .select(
+        'account_required_dimensions.account_id',
+        'accounts.code as account_code',
+        'accounts.name as account_name',
+        'dimension_types.code',
+        'dimension_types.name'
+      )
+    : [];
+
+  const typesByCode = new Map(types.map(type => [type.code, type]));
+  const valueKey = (typeId, code) => `${typeId}:${code}`;
+  const valuesByKey = new Map(values.map(value => [valueKey(value.dimension_type_id, value.code), value]));
+
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const dimensions = item.dimensions || {};
+
+    Object.entries(dimensions).forEach(([code, value]) => {
+      if (isBlank(value)) {
+        return;
+      }
+
+      const type = typesByCode.get(code);
+      if (!type) {
+        errors.push({ index, code: 'UNKNOWN_DIMENSION', message: `'${code}' is not a dimension of this organization` });
+        return;
+      }
+
+      if (!type.is_active) {
+        errors.push({ index, code: 'INACTIVE_DIMENSION', message: `Dimension ${type.name} is inactive` });
+        return;
+      }
+
+      const dimensionValue = valuesByKey.get(valueKey(type.id, String(value)));
+      if (!dimensionValue) {
+        errors.push({ index, code: 'INVALID_DIMENSION_VALUE', message: `'${value}' is not a value of dimension ${type.name}` });
+      } else if (!dimensionValue.is_active) {
+        errors.push({ index, code: 'INACTIVE_DIMENSION_VALUE', message: `Value '${value}' of dimension ${type.name} is inactive` });
+      }
+    });
+
+    requiredDimensions
+      .filter(required => required.account_id === item.accountId && isBlank(dimensions[required.code]))
+      .forEach(required => {
+        errors.push({
+          index,
+          code: 'DIMENSION_REQUIRED',
+          message: `Account ${required.account_code} ${required.account_name} requires a ${required.name} dimension`
+        });
+      });
+  });
+
+  return errors;
+};
+
+/**
+ * Validate the dimensions of a set of lines, reporting the first problem found
+ * @param {number} organizationId - The organization ID
+ * @param {Array} items - Lines with accountId and dimensions keyed by dimension type code
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with code, message and the line number, or null if the dimensions are valid
+ */
+const validateLineDimensions = async (organizationId, items, trx = db) => {
+  const [error] = await getDimensionErrors(organizationId, items, trx);
+
+  if (!error) {
+    return null;
+  }
+
+  return {
+    code: error.code,
+    message: `Line ${error.index + 1}: ${error.message}`,
+    details: { line: error.index + 1 }
+  };
+};
+
+/**
+ * Read the dimension filter and group-by query parameters of a ledger query.
+ * Filters are written as 'type:value' pairs and group-bys as type codes, both comma separated
+ * (e.g. dimensions=department:SALES,project:P-100&groupBy=department).
+ * @param {number} organizationId - The organization ID
+ * @param {object} query - The request query
+ * @param {string} [query.dimensions] - Dimension filters
+ * @param {string} [query.groupBy] - Dimension type codes to group by
+ * @param {Array} [allowedGroups] - Other group-by keys the query supports besides dimension types
+ * @returns {object} { filter, groupBy } with the dimension filter object and group-by codes, or { error }
+ */
+const parseDimensionQuery = async (organizationId, { dimensions, groupBy }, allowedGroups = []) => {
+  const filter = {};
+
+  for (const pair of (dimensions ? String(dimensions).split(',') : [])) {
+    const [code, ...rest] = pair.split(':');
+    const value = rest.join(':').trim();
+
+    if (!code.trim() || !value) {
+      return {
+        error: {
+          code: 'INVALID_DIMENSION_FILTER',
+          message: `Dimension filters must be written as type:value pairs (got '${pair}')`
+        }
+      };
+    }
+
+    filter[code.trim()] = value;
+  }
+
+  const groups = groupBy ? String(groupBy).split(',').map(code => code.trim()).filter(Boolean) : [];
+  const dimensionCodes = [...new Set([...Object.keys(filter), ...groups.filter(code => !allowedGroups.includes(code))])];
+
+  if (dimensionCodes.length) {
+    const types = await db('dimension_types')
+      .where('organization_id', organizationId)
+      .whereIn('code', dimensionCodes)
+      .select('code');
+
+    const unknownCodes = dimensionCodes.filter(code => !types.some(type => type.code === code));
+    if (unknownCodes.length) {
+      return {
+        error: {
+          code: 'UNKNOWN_DIMENSION',
+          message: `Not a dimension of this organization: ${unknownCodes.join(', ')}`
+        }
+      };
+    }
+  }
+
+  return { filter, groupBy: groups };
+};
+
+/**
+ * Restrict a general ledger query to rows carrying all the given dimension values
+ * @param {object} query - Knex query on general_ledger
+ * @param {object} filter - Dimension values keyed by dimension type code
+ * @param {string} [column] - The dimensions column, for queries on other tables (e.g. journal_entry_items.dimensions)
+ * @returns {object} The query
+ */
+const applyDimensionFilter = (query, filter, column = 'general_ledger.dimensions') => {
+  if (!filter || !Object.keys(filter).length) {
+    return query;
+  }
+
+  return query.whereRaw('?? @> ?::jsonb', [column, JSON.stringify(filter)]);
+};
+
+// Column alias a dimension is selected and grouped under
+const dimensionAlias = code => `dimension_${code}`;
+
+/**
+ * Group a general ledger query by the value of each given dimension type
+ * @param {object} query - Knex query on general_ledger
+ * @param {Array} codes - Dimension type codes
+ * @returns {object} The query
+ */
+const groupByDimensions = (query, codes) => {
+  codes.forEach(code => {
+    query = query
+      .select(db.raw('general_ledger.dimensions ->> ? as ??', [code, dimensionAlias(code)]))
+      .groupBy(dimensionAlias(code))
+      .orderBy(dimensionAlias(code), 'asc');
+  });
+
+  return query;
+};
+
+/**
+ * Move the grouped dimension columns of a result row into a dimensions object
+ * @param {object} row - Row of a query grouped with groupByDimensions
+ * @param {Array} codes - Dimension type codes the query was grouped by
+ * @returns {object} The row with a dimensions object in place of the dimension columns
+ */
+const readDimensionGroups = (row, codes) => {
+  const result = { ...row, dimensions: {} };
+
+  codes.forEach(code => {
+    result.dimensions[code] = row[dimensionAlias(code)];
+    delete result[dimensionAlias(code)];
+  });
+
+  return result;
+};
+
+module.exports = {
+  getDimensionErrors,
+  validateLineDimensions,
+  parseDimensionQuery,
+  applyDimensionFilter,
+  groupByDimensions,
+  readDimensionGroups
+};
@@ -0,0 +1,173 @@
+// Detection of journal entries that duplicate a recent entry of the organization
+const db = require('../db');
+const { toDateString, addDays } = require('../utils/dateUtils');
+const { roundAmount } = require('./postingService');
+
+// organizations.settings.duplicateDetection: ignore duplicates, warn about them, or refuse to create and post them
+const DUPLICATE_DETECTION_MODES = ['off', 'warn', 'block'];
+
+// Candidates compared per check; a duplicate is recent, so the nearest entries by date are enough
+const MAX_CANDIDATES = 200;
+
+/**
+ * Get the account/amount fingerprint of an entry's lines, independent of line order
+ * @param {Array} items - Lines with accountId, debitAmount and creditAmount, or journal_entry_items rows
+ * @returns {string} The fingerprint
+ */
+const getLineFingerprint = (items) => {
+  return items
+    .map(item => [
+      item.accountId || item.account_id,
+      parseFloat(item.debitAmount || item.debit_amount || 0).toFixed(4),
+      parseFloat(item.creditAmount || item.credit_amount || 0).toFixed(4)
+    ].join(':'))
+    .sort()
+    .join('|');
+};
+
+/**
+ * Get the dates an entry's duplicates can fall on
+ * @param {string|Date} entryDate - Date of the entry
+ * @param {number} windowDays - Days either side of the entry date that are compared
+ * @returns {Array} [first date, last date], both included
+ */
+const getDuplicateWindow = (entryDate, windowDays) => {
+  const date = toDateString(entryDate);
+  return [addDays(date, -windowDays), addDays(date, windowDays)];
+};
+
+/**
+ * Find recent entries an entry probably duplicates: entries dated within the organization's
+ * duplicate window of it that have the same reference or the same lines (accounts and amounts).
+ * Earlier occurrences of the recurring schedule an entry was generated by are expected to repeat it and are not compared.
+ * @param {number} organizationId - The organization ID
+ * @param {object} entry - The entry being created or posted
+ * @param {number} [entry.id] - The entry's own ID, once it exists
+ * @param {number} [entry.recurringEntryId] - The recurring schedule generating the entry (looked up from its ID when omitted)
+ * @param {string|Date} entry.entryDate - Date of the entry
+ * @param {string} [entry.reference] - Reference of the entry
+ * @param {Array} entry.items - Lines with accountId, debitAmount and creditAmount, or journal_entry_items rows
+ * @param {object} settings - The organization settings
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {Array} The likely duplicates, each with the criteria it matched on
+ */
+const findDuplicateEntries = async (organizationId, { id, entryDate, reference, items, recurringEntryId }, settings, trx = db) => {
+  const date = toDateString(entryDate);
+  const normalizedReference = reference ? String(reference).trim().toLowerCase() : null;
+  const fingerprint = getLineFingerprint(items);
+  const totalDebit = roundAmount(items.reduce((sum, item) => sum + parseFloat(item.debitAmount || item.debit_amount || 0), 0));
+
+  let query = trx('journal_entries')
+    .where('organization_id', organizationId)
+    .whereNot('status', 'voided')
+    .whereNull('reversal_of_id')
+    .whereBetween('entry_date', getDuplicateWindow(date, settings.duplicateWindowDays))
+    .where(function() {
+      // Same reference, or lines adding up to the same debit total (compared line by line below)
+      if (normalizedReference) {
+        this.whereRaw('LOWER(TRIM(reference)) = ?', [normalizedReference]);
+      }
+      this.orWhereExists(function() {
+        this.select(1)
+          .from('journal_entry_items')
+          .whereRaw('journal_entry_items.journal_entry_id = journal_entries.id')
+          .havingRaw('COUNT(*) = ? AND ROUND(SUM(journal_entry_items.debit_amount), 4) = ?', [items.length, totalDebit]);
+      });
+    })
+    .orderByRaw('ABS(entry_date - ?::date) ASC, id DESC', [date])
+    .limit(MAX_CANDIDATES)
+    .select('id', 'entry_no', 'entry_date', 'reference', 'description', 'status', 'source');
+
+  if (id) {
+    query = query.whereNot('id', id);
+  }
+
+  let scheduleId = recurringEntryId;
+  if (!scheduleId && id) {
+    const run = await trx('recurring_journal_entry_runs')
+      .where('journal_entry_id', id)
+      .first('recurring_journal_entry_id');
+    scheduleId = run ? run.recurring_journal_entry_id : null;
+  }
+
+  if (scheduleId) {
+    query = query.whereNotExists(function() {
+      this.select(1)
+        .from('recurring_journal_entry_runs')
+        .whereRaw('recurring_journal_entry_runs.journal_entry_id = journal_entries.id')
+        .where('recurring_journal_entry_runs.recurring_journal_entry_id', scheduleId);
+    });
+  }
+
+  const candidates = await query;
+  if (!candidates.length) {
+    return [];
+  }
+
+  const candidateItems = await trx('journal_entry_items')
+    .whereIn('journal_entry_id', candidates.map(candidate => candidate.id))
+    .select('journal_entry_id', 'account_id', 'debit_amount', 'credit_amount');
+
+  return candidates
+    .map(candidate => {
+      const matchedOn = [];
+
+      if (normalizedReference && candidate.reference && candidate.reference.trim().toLowerCase() === normalizedReference) {
+        matchedOn.push('reference');
+      }
+
+      if (getLineFingerprint(candidateItems.filter(item => item.journal_entry_id === candidate.id)) === fingerprint) {
+        matchedOn.push('lines');
+      }
+
+      return {
+        id: candidate.id,
+        entryNo: candidate.entry_no,
+        entryDate: toDateString(candidate.entry_date),
+        reference: candidate.reference,
+        description: candidate.description,
+        status: candidate.status,
+        source: candidate.source,
+        matchedOn,
+        url: `/api/v1/organizations/${organizationId}/journal-entries/${candidate.id}`
+      };
+    })
+    .filter(duplicate => duplicate.matchedOn.length > 0);
+};
+
+/**
+ * Check an entry for duplicates according to the organization's duplicate detection setting
+ * @param {number} organizationId - The organization ID
+ * @param {object} entry - The entry being created or posted (see findDuplicateEntries)
+ * @param {object} settings - The organization settings
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} { blocked, warning } where warning is a POSSIBLE_DUPLICATE payload listing the duplicates,
+ *   or null when detection is off or nothing matched
+ */
+const checkDuplicates = async (organizationId, entry, settings, trx = db) => {
+  if (settings.duplicateDetection === 'off') {
+    return null;
+  }
+
+  const duplicates = await findDuplicateEntries(organizationId, entry, settings, trx);
+  if (!duplicates.length) {
+    return null;
+  }
+
+  return {
+    blocked: settings.duplicateDetection === 'block',
+    warning: {
+      code: 'POSSIBLE_DUPLICATE',
+      message: `This entry looks like a duplicate of ${duplicates.map(duplicate => duplicate.entryNo).join(', ')}`,
+      duplicates
+    }
+  };
+};
+
+module.exports = {
+  DUPLICATE_DETECTION_MODES,
+  getLineFingerprint,
+  getDuplicateWindow,
+  findDuplicateEntries,
+  checkDuplicates
+};
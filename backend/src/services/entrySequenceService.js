@@ -0,0 +1,283 @@
+// Gapless journal entry numbering sequences
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+
+const ENTRY_SOURCES = ['manual', 'import', 'recurring', 'system'];
+
+// Series used until an organization configures its own; every source gets a distinct prefix
+// so its numbers never collide with another series (updateSequence keeps them distinct)
+const DEFAULT_SEQUENCES = {
+  manual: { prefix: 'JE-', padding: 4, resetPerFiscalYear: true },
+  import: { prefix: 'IMP-', padding: 4, resetPerFiscalYear: true },
+  recurring: { prefix: 'REC-', padding: 4, resetPerFiscalYear: true },
+  system: { prefix: 'SYS-', padding: 4, resetPerFiscalYear: true }
+};
+
+/**
+ * Get the numbering series an entry source draws from
+ * @param {string} source - Journal entry source
+ * @returns {string} One of ENTRY_SOURCES; other generated entries share the 'system' series
+ */
+const getSeriesSource = (source) => (ENTRY_SOURCES.includes(source) ? source : 'system');
+
+/**
+ * Map a journal_entry_sequences row to its API shape
+ * @param {object} sequence - The journal_entry_sequences row
+ * @returns {object} The sequence configuration
+ */
+const formatSequence = (sequence) => ({
+  id: sequence.id,
+  source: sequence.source,
+  prefix: sequence.prefix,
+  padding: sequence.padding,
+  resetPerFiscalYear: sequence.reset_per_fiscal_year,
+  updatedAt: sequence.updated_at
+});
+
+/**
+ * Get the part of an entry number that comes before the sequence number
+ * @param {object} sequence - The journal_entry_sequences row
+ * @param {object} [fiscalYear] - The fiscal_years row, for series that reset yearly
+ * @returns {string} The prefix, followed by the fiscal year for yearly series
+ */
+const getNumberPrefix = (sequence, fiscalYear) => {
+  if (!sequence.reset_per_fiscal_year) {
+    return sequence.prefix;
+  }
+
+  // Fiscal years are labelled by the calendar year they end in
+  return `${sequence.prefix}${toDateString(fiscalYear.end_date).slice(0, 4)}-`;
+};
+
+/**
+ * Format an entry number
+ * @param {object} sequence - The journal_entry_sequences row
+ * @param {object} [fiscalYear] - The fiscal_years row, for series that reset yearly
+ * @param {number} value - The sequence number
+ * @returns {string} The entry number, e.g. JE-2025-0042
+ */
+const formatEntryNo = (sequence, fiscalYear, value) => {
+  return `${getNumberPrefix(sequence, fiscalYear)}${String(value).padStart(sequence.padding, '0')}`;
+};
+
+/**
+ * Get the sequences of an organization, with defaults for sources that were never configured
+ * @param {number} organizationId - The organization ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {Array} One sequence per entry source
+ */
+const getSequences = async (organizationId, trx = db) => {
+  const sequences = await trx('journal_entry_sequences')
+    .where('organization_id', organizationId)
+    .select('*');
+
+  return ENTRY_SOURCES.map(source => {
+    const sequence = sequences.find(row => row.source === source);
+    return sequence ? formatSequence(sequence) : { id: null, source, ...DEFAULT_SEQUENCES[source], updatedAt: null };
+  });
+};
+
+/**
+ * Update the numbering rules of one series. Numbers already handed out keep their format.
+ * A prefix another series of the organization uses is refused, as both series would hand out the same numbers.
+ * @param {number} organizationId - The organization ID
+ * @param {string} source - One of ENTRY_SOURCES
+ * @param {object} changes - prefix, padding and/or resetPerFiscalYear
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} The updated sequence
+ */
+const updateSequence = async (organizationId, source, changes, trx = db) => {
+  const defaults = DEFAULT_SEQUENCES[source];
+
+  if (changes.prefix !== undefined) {
+    const sequences = await getSequences(organizationId, trx);
+    const clash = sequences.find(sequence => sequence.source !== source && sequence.prefix === changes.prefix);
+
+    if (clash) {
+      throw new ApiError(409, 'DUPLICATE_PREFIX', `The ${clash.source} series already uses the prefix '${changes.prefix}'`);
+    }
+  }
+  const values = {};
+
+  if (changes.prefix !== undefined) values.prefix = changes.prefix;
+  if (changes.padding !== undefined) values.padding = changes.padding;
+  if (changes.resetPerFiscalYear !== undefined) values.reset_per_fiscal_year = changes.resetPerFiscalYear;
+
+  const [sequence] = await trx('journal_entry_sequences')
+    .insert({
+      organization_id: organizationId,
+      source,
+      prefix: defaults.prefix,
+      padding: defaults.padding,
+      reset_per_fiscal_year: defaults.resetPerFiscalYear,
+      ...values,
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .onConflict(['organization_id', 'source'])
+    .merge({ ...values, updated_at: new Date() })
+    .returning('*');
+
+  return formatSequence(sequence);
+};
+
+/**
+ * Lock the sequence row of a series, creating it with the default rules on first use.
+ * Holding this lock serialises every allocation and release in the series.
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {string} source - One of ENTRY_SOURCES
+ * @returns {object} The locked journal_entry_sequences row
+ */
+const lockSequence = async (trx, organizationId, source) => {
+  const defaults = DEFAULT_SEQUENCES[source];
+
+  await trx('journal_entry_sequences')
+    .insert({
+      organization_id: organizationId,
+      source,
+      prefix: defaults.prefix,
+      padding: defaults.padding,
+      reset_per_fiscal_year: defaults.resetPerFiscalYear
+    })
+    .onConflict(['organization_id', 'source'])
+    .ignore();
+
+  return trx('journal_entry_sequences')
+    .where({
+      organization_id: organizationId,
+      source
+    })
+    .forUpdate()
+    .first();
+};
+
+/**
+ * Get the highest number already used with a prefix, so a new counter continues after
+ * entries numbered before it existed (or under a previous configuration)
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {string} numberPrefix - Everything in the entry number before the sequence number
+ * @returns {number} The highest number in use, or 0
+ */
+const getHighestUsedNumber = async (trx, organizationId, numberPrefix) => {
+  const pattern = `^${numberPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[0-9]+$`;
+
+  const [{ maxNumber }] = await trx('journal_entries')
+    .where('organization_id', organizationId)
+    .whereRaw('entry_no ~ ?', [pattern])
+    .select(trx.raw('MAX(CAST(SUBSTRING(entry_no FROM ?) AS INTEGER)) AS "maxNumber"', [numberPrefix.length + 1]));
+
+  return maxNumber || 0;
+};
+
+/**
+ * Allocate the next entry number of a series.
+ * Must run in the transaction that inserts the entry: the number is only taken
+ * if that transaction commits, so numbers are never skipped.
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Allocation options
+ * @param {string} options.source - Source of the entry being numbered
+ * @param {number} options.fiscalPeriodId - Fiscal period of the entry
+ * @returns {object} entryNo, sequenceCounterId and sequenceNumber for the journal_entries row
+ */
+const allocateEntryNo = async (trx, organizationId, { source, fiscalPeriodId }) => {
+  const sequence = await lockSequence(trx, organizationId, getSeriesSource(source));
+
+  let fiscalYear = null;
+  if (sequence.reset_per_fiscal_year) {
+    fiscalYear = await trx('fiscal_years')
+      .join('fiscal_periods', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+      .where('fiscal_periods.id', fiscalPeriodId)
+      .select('fiscal_years.*')
+      .first();
+  }
+
+  let counter = await trx('journal_entry_sequence_counters')
+    .where('sequence_id', sequence.id)
+    .where(function() {
+      if (fiscalYear) {
+        this.where('fiscal_year_id', fiscalYear.id);
+      } else {
+        this.whereNull('fiscal_year_id');
+      }
+    })
+    .first();
+
+  if (!counter) {
+    [counter] = await trx('journal_entry_sequence_counters').insert({
+      sequence_id: sequence.id,
+      fiscal_year_id: fiscalYear ? fiscalYear.id : null,
+      last_value: await getHighestUsedNumber(trx, organizationId, getNumberPrefix(sequence, fiscalYear)),
+      updated_at: new Date()
+    }).returning('*');
+  }
+
+  const sequenceNumber = counter.last_value + 1;
+
+  await trx('journal_entry_sequence_counters')
+    .where('id', counter.id)
+    .update({
+      last_value: sequenceNumber,
+      updated_at: new Date()
+    });
+
+  return {
+    entryNo: formatEntryNo(sequence, fiscalYear, sequenceNumber),
+    sequenceCounterId: counter.id,
+    sequenceNumber
+  };
+};
+
+/**
+ * Give back the number of a draft that is about to be deleted.
+ * Only the most recently allocated number of a series can be released without leaving a gap.
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The journal_entries row being deleted
+ * @returns {boolean} Whether the entry may be deleted
+ */
+const releaseEntryNo = async (trx, journalEntry) => {
+  // Entries numbered before sequences existed are not tracked by any counter
+  if (!journalEntry.sequence_counter_id) {
+    return true;
+  }
+
+  const counter = await trx('journal_entry_sequence_counters')
+    .where('id', journalEntry.sequence_counter_id)
+    .first();
+
+  await trx('journal_entry_sequences')
+    .where('id', counter.sequence_id)
+    .forUpdate()
+    .first();
+
+  const { last_value: lastValue } = await trx('journal_entry_sequence_counters')
+    .where('id', counter.id)
+    .first();
+
+  if (lastValue !== journalEntry.sequence_number) {
+    return false;
+  }
+
+  await trx('journal_entry_sequence_counters')
+    .where('id', counter.id)
+    .update({
+      last_value: lastValue - 1,
+      updated_at: new Date()
+    });
+
+  return true;
+};
+
+module.exports = {
+  ENTRY_SOURCES,
+  DEFAULT_SEQUENCES,
+  getSeriesSource,
+  formatEntryNo,
+  getSequences,
+  updateSequence,
+  allocateEntryNo,
+  releaseEntryNo
+};
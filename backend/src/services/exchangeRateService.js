@@ -0,0 +1,91 @@
+// Exchange rate lookup
+const db = require('../db');
+const { toDateString } = require('../utils/dateUtils');
+
+/**
+ * Find the latest rate stored for a currency pair on or before a date, using the
+ * inverse pair when only that is stored
+ * @param {number} organizationId - The organization ID
+ * @param {string} fromCurrency - Currency converted from
+ * @param {string} toCurrency - Currency converted to
+ * @param {string} date - Calendar date in 'YYYY-MM-DD' form
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} { rate, effectiveDate }, or null if neither pair has a rate
+ */
+const findStoredRate = async (organizationId, fromCurrency, toCurrency, date, trx = db) => {
+  const rates = await trx('exchange_rates')
+    .where('organization_id', organizationId)
+    .where('effective_date', '<=', date)
+    .where(function() {
+      this.where({ from_currency: fromCurrency, to_currency: toCurrency })
+        .orWhere({ from_currency: toCurrency, to_currency: fromCurrency });
+    })
+    .orderBy('effective_date', 'desc')
+    .select('from_currency', 'rate', 'effective_date');
+
+  // The nearest prior date wins; on the same date a direct rate is preferred over an inverse one
+  const nearest = rates.filter(rate => toDateString(rate.effective_date) === toDateString(rates[0] && rates[0].effective_date));
+  const stored = nearest.find(rate => rate.from_currency === fromCurrency) || nearest[0];
+
+  if (!stored) {
+    return null;
+  }
+
+  const rate = parseFloat(stored.rate);
+  return {
+    rate: stored.from_currency === fromCurrency ? rate : 1 / rate,
+    effectiveDate: toDateString(stored.effective_date)
+  };
+};
+
+/**
+ * Resolve the rate converting one currency to another on a date.
+ * The nearest rate on or before the date is used, read directly or inverted; pairs with
+ * no stored rate are triangulated through the organization's base currency.
+ * @param {number} organizationId - The organization ID
+ * @param {string} fromCurrency - Currency converted from
+ * @param {string} toCurrency - Currency converted to
+ * @param {string|Date} date - Date the rate must be effective on
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} { rate, effectiveDate, via }, or null if no rate can be found
+ */
+const findExchangeRate = async (organizationId, fromCurrency, toCurrency, date, trx = db) => {
+  const rateDate = toDateString(date);
+
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, effectiveDate: rateDate, via: null };
+  }
+
+  const stored = await findStoredRate(organizationId, fromCurrency, toCurrency, rateDate, trx);
+  if (stored) {
+    return { ...stored, via: null };
+  }
+
+  const organization = await trx('organizations')
+    .where('id', organizationId)
+    .select('base_currency')
+    .first();
+  const baseCurrency = organization && organization.base_currency;
+
+  if (!baseCurrency || baseCurrency === fromCurrency || baseCurrency === toCurrency) {
+    return null;
+  }
+
+  const toBase = await findStoredRate(organizationId, fromCurrency, baseCurrency, rateDate, trx);
+  const fromBase = toBase && await findStoredRate(organizationId, baseCurrency, toCurrency, rateDate, trx);
+
+  if (!fromBase) {
+    return null;
+  }
+
+  // The older of the two legs is the date the triangulated rate is effective from
+  return {
+    rate: toBase.rate * fromBase.rate,
+    effectiveDate: toBase.effectiveDate < fromBase.effectiveDate ? toBase.effectiveDate : fromBase.effectiveDate,
+    via: baseCurrency
+  };
+};
+
+module.exports = {
+  findExchangeRate
+};
@@ -0,0 +1,47 @@
+// Fiscal period lookup helpers
+const db = require('../db');
+
+/**
+ * Find the regular fiscal period of an organization that contains a date; adjustment periods are only used when chosen explicitly
+ * @param {number} organizationId - The organization ID
+ * @param {string} date - Calendar date in 'YYYY-MM-DD' form
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|undefined} The fiscal_periods row, if one covers the date
+ */
+const findFiscalPeriodForDate = async (organizationId, date, trx = db) => {
+  return trx('fiscal_periods')
+    .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+    .where('fiscal_years.organization_id', organizationId)
+    .where('fiscal_periods.start_date', '<=', date)
+    .where('fiscal_periods.end_date', '>=', date)
+    .where('fiscal_periods.is_adjustment', false)
+    .orderBy('fiscal_periods.start_date', 'asc')
+    .select('fiscal_periods.*')
+    .first();
+};
+
+/**
+ * Find the first open regular fiscal period of an organization that ends on or after a date.
+ * The period is locked against closing until the transaction ends, so entries can be posted into it.
+ * @param {number} organizationId - The organization ID
+ * @param {string} date - Calendar date in 'YYYY-MM-DD' form
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|undefined} The fiscal_periods row, if an open one exists
+ */
+const findOpenFiscalPeriodFrom = async (organizationId, date, trx = db) => {
+  return trx('fiscal_periods')
+    .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+    .where('fiscal_years.organization_id', organizationId)
+    .where('fiscal_periods.end_date', '>=', date)
+    .where('fiscal_periods.is_closed', false)
+    .where('fiscal_periods.is_adjustment', false)
+    .orderBy('fiscal_periods.start_date', 'asc')
+    .select('fiscal_periods.*')
+    .forShare('fiscal_periods')
+    .first();
+};
+
+module.exports = {
+  findFiscalPeriodForDate,
+  findOpenFiscalPeriodFrom
+};
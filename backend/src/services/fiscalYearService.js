@@ -0,0 +1,475 @@
+// Fiscal year creation with generated periods, and the checks that keep an organization's calendar whole
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString, makeDate, daysInMonth, addDays, addMonths, daysBetween } = require('../utils/dateUtils');
+
+// Schemes periods can be generated with; 'custom' years list their own periods
+const FISCAL_PERIOD_TYPES = ['monthly', 'quarterly', '4-4-5', '52-53-week'];
+
+// Weeks in each period of the week-based schemes; the extra week of a 53-week year goes to the last period
+const PERIOD_WEEKS = {
+  '4-4-5': [4, 4, 5, 4, 4, 5, 4, 4, 5, 4, 4, 5],
+  '52-53-week': [4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4]
+};
+
+// A week-based year ends on the day nearest the end of the calendar fiscal year, so its start drifts by up to 3 days
+const MAX_START_DRIFT_DAYS = 3;
+
+/**
+ * Get the month and day fiscal years of an organization start on
+ * @param {object} organization - The organizations row
+ * @returns {object} { month, day } from organizations.fiscal_year_start, January 1 when it is not set
+ */
+const getYearStartAnchor = (organization) => {
+  if (!organization.fiscal_year_start) {
+    return { month: 1, day: 1 };
+  }
+
+  const [, month, day] = toDateString(organization.fiscal_year_start).split('-').map(Number);
+  return { month, day };
+};
+
+/**
+ * Get the date a calendar fiscal year starts on in a given year
+ * @param {object} anchor - { month, day } from getYearStartAnchor
+ * @param {number} year - Full year
+ * @returns {string} The start date, on the month's last day when the year has no such day (February 29)
+ */
+const getAnniversary = (anchor, year) => {
+  return makeDate(year, anchor.month, Math.min(anchor.day, daysInMonth(year, anchor.month)));
+};
+
+/**
+ * Find the calendar fiscal year start nearest a date
+ * @param {object} anchor - { month, day } from getYearStartAnchor
+ * @param {string} date - Calendar date in 'YYYY-MM-DD' form
+ * @returns {string} The nearest start date
+ */
+const getNearestAnniversary = (anchor, date) => {
+  const year = parseInt(date.slice(0, 4));
+
+  return [year - 1, year, year + 1]
+    .map(candidate => getAnniversary(anchor, candidate))
+    .reduce((nearest, candidate) => {
+      return Math.abs(daysBetween(candidate, date)) < Math.abs(daysBetween(nearest, date)) ? candidate : nearest;
+    });
+};
+
+/**
+ * Work out the end date of a fiscal year and check its start date against the organization's fiscal year start.
+ * Monthly and quarterly years start exactly on it; week-based years run 52 or 53 whole weeks and end on the
+ * day nearest the end of the calendar fiscal year.
+ * @param {object} anchor - { month, day } from getYearStartAnchor
+ * @param {string} periodType - One of FISCAL_PERIOD_TYPES, or 'custom'
+ * @param {string} startDate - Start date of the year
+ * @param {string} [endDate] - End date of a custom year
+ * @returns {string} The end date of the year
+ */
+const resolveYearEnd = (anchor, periodType, startDate, endDate) => {
+  const anniversary = getNearestAnniversary(anchor, startDate);
+  const drift = daysBetween(anniversary, startDate);
+  const allowedDrift = periodType === 'monthly' || periodType === 'quarterly' ? 0 : MAX_START_DRIFT_DAYS;
+  const anchorLabel = `${String(anchor.month).padStart(2, '0')}-${String(anchor.day).padStart(2, '0')}`;
+
+  if (Math.abs(drift) > allowedDrift) {
+    throw new ApiError(400, 'INVALID_START_DATE', allowedDrift
+      ? `Fiscal years of this organization start within ${allowedDrift} days of ${anchorLabel}`
+      : `Fiscal years of this organization start on ${anchorLabel}`);
+  }
+
+  const calendarEnd = addDays(getAnniversary(anchor, parseInt(anniversary.slice(0, 4)) + 1), -1);
+
+  if (periodType === 'custom') {
+    if (endDate <= startDate) {
+      throw new ApiError(400, 'INVALID_DATES', 'The fiscal year must end after it starts');
+    }
+    return endDate;
+  }
+
+  if (!PERIOD_WEEKS[periodType]) {
+    return calendarEnd;
+  }
+
+  // 52 weeks, or 53 when 52 would end more than 3 days before the calendar year end
+  const weeksEnd = addDays(startDate, 52 * 7 - 1);
+  return daysBetween(weeksEnd, calendarEnd) > MAX_START_DRIFT_DAYS ? addDays(weeksEnd, 7) : weeksEnd;
+};
+
+/**
+ * Generate the periods of a fiscal year
+ * @param {string} periodType - One of FISCAL_PERIOD_TYPES
+ * @param {string} startDate - Start date of the year
+ * @param {string} endDate - End date of the year
+ * @param {boolean} adjustmentPeriod - Whether to add an adjustment period on the last day of the year
+ * @returns {Array} Periods with periodNumber, name, startDate, endDate and isAdjustment
+ */
+const generatePeriods = (periodType, startDate, endDate, adjustmentPeriod) => {
+  const periods = [];
+
+  if (periodType === 'monthly' || periodType === 'quarterly') {
+    const months = periodType === 'monthly' ? 1 : 3;
+
+    for (let index = 0; index < 12 / months; index++) {
+      const periodStart = addMonths(startDate, index * months);
+      const [year, month] = periodStart.split('-').map(Number);
+
+      periods.push({
+        periodNumber: index + 1,
+        name: periodType === 'monthly'
+          ? new Date(year, month - 1, 1).toLocaleString('en-US', { month: 'long', year: 'numeric' })
+          : `Q${index + 1}`,
+        startDate: periodStart,
+        endDate: addDays(addMonths(startDate, (index + 1) * months), -1),
+        isAdjustment: false
+      });
+    }
+  } else {
+    let periodStart = startDate;
+
+    PERIOD_WEEKS[periodType].forEach((weeks, index) => {
+      periods.push({
+        periodNumber: index + 1,
+        name: `Period ${index + 1}`,
+        startDate: periodStart,
+        endDate: addDays(periodStart, weeks * 7 - 1),
+        isAdjustment: false
+      });
+      periodStart = addDays(periodStart, weeks * 7);
+    });
+
+    periods[periods.length - 1].endDate = endDate;
+  }
+
+  if (adjustmentPeriod) {
+    periods.push({
+      periodNumber: periods.length + 1,
+      name: 'Adjustment',
+      startDate: endDate,
+      endDate,
+      isAdjustment: true
+    });
+  }
+
+  return periods;
+};
+
+/**
+ * Check that the regular periods of a fiscal year cover it day by day without overlapping,
+ * and that adjustment periods fall on its last day
+ * @param {string} startDate - Start date of the year
+ * @param {string} endDate - End date of the year
+ * @param {Array} periods - Periods with name, startDate, endDate and isAdjustment
+ * @returns {Array} Errors with index, code and message; empty when the periods are valid
+ */
+const getPeriodErrors = (startDate, endDate, periods) => {
+  const errors = [];
+  const names = new Set();
+
+  periods.forEach((period, index) => {
+    if (names.has(period.name.toLowerCase())) {
+      errors.push({ index, code: 'DUPLICATE_NAME', message: `More than one period is named ${period.name}` });
+    }
+    names.add(period.name.toLowerCase());
+
+    if (period.endDate < period.startDate) {
+      errors.push({ index, code: 'INVALID_DATES', message: `${period.name} ends before it starts` });
+    } else if (period.isAdjustment && (period.startDate !== endDate || period.endDate !== endDate)) {
+      errors.push({ index, code: 'INVALID_ADJUSTMENT_PERIOD', message: `Adjustment period ${period.name} must start and end on ${endDate}` });
+    }
+  });
+
+  const regularPeriods = periods
+    .map((period, index) => ({ ...period, index }))
+    .filter(period => !period.isAdjustment)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  if (!regularPeriods.length) {
+    errors.push({ index: null, code: 'NO_PERIODS', message: 'A fiscal year needs at least one regular period' });
+    return errors;
+  }
+
+  // Each period starts the day after the previous one ends, from the first day of the year to the last
+  let expectedStart = startDate;
+
+  for (const period of regularPeriods) {
+    if (period.startDate < expectedStart) {
+      errors.push({ index: period.index, code: 'PERIOD_OVERLAP', message: `${period.name} starts before ${expectedStart}, overlapping the previous period or the start of the year` });
+    } else if (period.startDate > expectedStart) {
+      errors.push({ index: period.index, code: 'PERIOD_GAP', message: `No period covers ${expectedStart} to ${addDays(period.startDate, -1)}` });
+    }
+
+    expectedStart = addDays(period.endDate, 1);
+  }
+
+  if (expectedStart < addDays(endDate, 1)) {
+    errors.push({ index: null, code: 'PERIOD_GAP', message: `No period covers ${expectedStart} to ${endDate}` });
+  } else if (expectedStart > addDays(endDate, 1)) {
+    errors.push({ index: null, code: 'PERIOD_OVERLAP', message: `The last period runs past the end of the year on ${endDate}` });
+  }
+
+  return errors;
+};
+
+/**
+ * Check that a new fiscal year neither overlaps the organization's other years nor leaves a gap next to them
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {string} startDate - Start date of the new year
+ * @param {string} endDate - End date of the new year
+ */
+const checkAdjacentYears = async (trx, organizationId, startDate, endDate) => {
+  const overlapping = await trx('fiscal_years')
+    .where('organization_id', organizationId)
+    .where('start_date', '<=', endDate)
+    .where('end_date', '>=', startDate)
+    .first();
+
+  if (overlapping) {
+    throw new ApiError(400, 'FISCAL_YEAR_OVERLAP', `The fiscal year overlaps ${overlapping.name}`);
+  }
+
+  const [bounds] = await trx('fiscal_years')
+    .where('organization_id', organizationId)
+    .min('start_date as firstStart')
+    .max('end_date as lastEnd');
+
+  if (!bounds.firstStart) {
+    return;
+  }
+
+  const lastEnd = toDateString(bounds.lastEnd);
+  const firstStart = toDateString(bounds.firstStart);
+
+  if (startDate > lastEnd && startDate !== addDays(lastEnd, 1)) {
+    throw new ApiError(400, 'FISCAL_YEAR_GAP', `The next fiscal year must start on ${addDays(lastEnd, 1)}`);
+  }
+
+  if (endDate < firstStart && endDate !== addDays(firstStart, -1)) {
+    throw new ApiError(400, 'FISCAL_YEAR_GAP', `A fiscal year before the first one must end on ${addDays(firstStart, -1)}`);
+  }
+};
+
+/**
+ * Work out a fiscal year and its periods without saving them
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Fiscal year options (see createFiscalYear)
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} The fiscal year with name, startDate, endDate, periodType and periods
+ */
+const buildFiscalYear = async (organizationId, options, trx = db) => {
+  const { periodType = 'monthly', adjustmentPeriod = false } = options;
+
+  const organization = await trx('organizations')
+    .where('id', organizationId)
+    .first();
+
+  let startDate = options.startDate ? toDateString(options.startDate) : null;
+
+  // Without a start date, the year follows the latest one, or is the organization's current fiscal year
+  if (!startDate) {
+    const [{ lastEnd }] = await trx('fiscal_years')
+      .where('organization_id', organizationId)
+      .max('end_date as lastEnd');
+
+    if (lastEnd) {
+      startDate = addDays(toDateString(lastEnd), 1);
+    } else {
+      const anchor = getYearStartAnchor(organization);
+      const today = toDateString(new Date());
+      const thisYearStart = getAnniversary(anchor, parseInt(today.slice(0, 4)));
+      startDate = thisYearStart <= today ? thisYearStart : getAnniversary(anchor, parseInt(today.slice(0, 4)) - 1);
+    }
+  }
+
+  const endDate = resolveYearEnd(getYearStartAnchor(organization), periodType, startDate, options.endDate && toDateString(options.endDate));
+
+  // Custom periods are numbered in date order, adjustment periods after the regular period they share a day with
+  const periods = periodType === 'custom'
+    ? options.periods
+      .map(period => ({
+        name: period.name,
+        startDate: toDateString(period.startDate),
+        endDate: toDateString(period.endDate),
+        isAdjustment: Boolean(period.isAdjustment)
+      }))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.isAdjustment - b.isAdjustment)
+      .map((period, index) => ({ periodNumber: index + 1, ...period }))
+    : generatePeriods(periodType, startDate, endDate, adjustmentPeriod);
+
+  const errors = getPeriodErrors(startDate, endDate, periods);
+  if (errors.length) {
+    throw new ApiError(400, 'INVALID_PERIODS', errors[0].message, { errors });
+  }
+
+  await checkAdjacentYears(trx, organizationId, startDate, endDate);
+
+  return {
+    name: options.name || `FY${endDate.slice(0, 4)}`,
+    startDate,
+    endDate,
+    periodType,
+    periods
+  };
+};
+
+/**
+ * Create a fiscal year with its periods
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Fiscal year options
+ * @param {string} [options.name] - Name of the year, 'FY' and the year it ends in by default
+ * @param {string} [options.startDate] - Start date, by default the day after the latest year ends
+ *   or the start of the organization's current fiscal year
+ * @param {string} [options.endDate] - End date of a custom year
+ * @param {string} [options.periodType] - One of FISCAL_PERIOD_TYPES (default 'monthly'), or 'custom' with periods
+ * @param {boolean} [options.adjustmentPeriod] - Add an adjustment period on the last day of the year
+ * @param {Array} [options.periods] - Periods of a custom year with name, startDate, endDate and optionally isAdjustment
+ * @returns {number} The ID of the new fiscal year
+ */
+const createFiscalYear = async (organizationId, options) => {
+  const trx = await db.transaction();
+
+  try {
+    // Serialise calendar changes of the organization so two new years cannot both take the same dates
+    await trx('organizations')
+      .where('id', organizationId)
+      .forUpdate()
+      .first();
+
+    const fiscalYear = await buildFiscalYear(organizationId, options, trx);
+
+    const existingYear = await trx('fiscal_years')
+      .where({
+        organization_id: organizationId,
+        name: fiscalYear.name
+      })
+      .first();
+
+    if (existingYear) {
+      throw new ApiError(400, 'DUPLICATE_NAME', `A fiscal year named ${fiscalYear.name} already exists`);
+    }
+
+    const [{ id }] = await trx('fiscal_years').insert({
+      organization_id: organizationId,
+      name: fiscalYear.name,
+      start_date: fiscalYear.startDate,
+      end_date: fiscalYear.endDate,
+      period_type: fiscalYear.periodType,
+      created_at: new Date(),
+      updated_at: new Date()
+    }).returning('id');
+
+    await trx('fiscal_periods').insert(fiscalYear.periods.map(period => ({
+      fiscal_year_id: id,
+      period_number: period.periodNumber,
+      name: period.name,
+      start_date: period.startDate,
+      end_date: period.endDate,
+      is_adjustment: period.isAdjustment,
+      created_at: new Date(),
+      updated_at: new Date()
+    })));
+
+    // Commit transaction
+    await trx.commit();
+
+    return id;
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Delete a fiscal year and its periods. Only the first or last year can go, so no gap is left,
+ * and only while nothing has been recorded in it.
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalYearId - The fiscal year ID
+ * @returns {boolean} False if the fiscal year does not exist
+ */
+const deleteFiscalYear = async (organizationId, fiscalYearId) => {
+  const trx = await db.transaction();
+
+  try {
+    await trx('organizations')
+      .where('id', organizationId)
+      .forUpdate()
+      .first();
+
+    const fiscalYear = await trx('fiscal_years')
+      .where({
+        id: fiscalYearId,
+        organization_id: organizationId
+      })
+      .first();
+
+    if (!fiscalYear) {
+      await trx.rollback();
+      return false;
+    }
+
+    if (fiscalYear.is_closed) {
+      throw new ApiError(400, 'FISCAL_YEAR_CLOSED', `${fiscalYear.name} is closed and cannot be deleted`);
+    }
+
+    const [neighbours] = await trx('fiscal_years')
+      .where('organization_id', organizationId)
+      .select(
+        trx.raw('COUNT(*) FILTER (WHERE end_date < ?) AS years_before', [toDateString(fiscalYear.start_date)]),
+        trx.raw('COUNT(*) FILTER (WHERE start_date > ?) AS years_after', [toDateString(fiscalYear.end_date)])
+      );
+
+    if (parseInt(neighbours.years_before) > 0 && parseInt(neighbours.years_after) > 0) {
+      throw new ApiError(400, 'FISCAL_YEAR_GAP', `Deleting ${fiscalYear.name} would leave a gap between fiscal years`);
+    }
+
+    const periodIds = trx('fiscal_periods')
+      .where('fiscal_year_id', fiscalYear.id)
+      .select('id');
+
+    const [{ count: entryCount }] = await trx('journal_entries')
+      .whereIn('fiscal_period_id', periodIds)
+      .count('id as count');
+
+    const [{ count: budgetCount }] = await trx('budgets')
+      .where('fiscal_year_id', fiscalYear.id)
+      .count('id as count');
+
+    if (parseInt(entryCount) > 0 || parseInt(budgetCount) > 0) {
+      throw new ApiError(409, 'FISCAL_YEAR_IN_USE', `${fiscalYear.name} has journal entries or budgets and cannot be deleted`, {
+        journalEntryCount: parseInt(entryCount),
+        budgetCount: parseInt(budgetCount)
+      });
+    }
+
+    try {
+      await trx('fiscal_years')
+        .where('id', fiscalYear.id)
+        .delete();
+    } catch (error) {
+      // Anything else recorded against its periods (balances, revaluations, allocation runs) keeps the year
+      if (error.code === '23503') {
+        throw new ApiError(409, 'FISCAL_YEAR_IN_USE', `${fiscalYear.name} has records in its periods and cannot be deleted`);
+      }
+      throw error;
+    }
+
+    // Commit transaction
+    await trx.commit();
+
+    return true;
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  FISCAL_PERIOD_TYPES,
+  generatePeriods,
+  getPeriodErrors,
+  buildFiscalYear,
+  createFiscalYear,
+  deleteFiscalYear
+};
@@ -0,0 +1,281 @@
+// Period-end revaluation of foreign currency balances
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString, addDays } = require('../utils/dateUtils');
+const { findExchangeRate } = require('./exchangeRateService');
+const { createJournalEntry, postJournalEntry } = require('./journalEntryService');
+const { getOrganizationSettings } = require('./organizationSettingsService');
+
+/**
+ * Work out the unrealized gain or loss on every foreign currency balance of the accounts
+ * marked for revaluation, as of the end of a fiscal period.
+ * Balances are summed from the general ledger per account and currency; the carried base
+ * balance includes earlier revaluations, so running a period again only books the change.
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Revaluation options
+ * @param {object} options.fiscalPeriod - The fiscal_periods row being revalued
+ * @param {string} options.rateDate - Date the exchange rates must be effective on
+ * @param {Array} [options.accountIds] - Only revalue these accounts
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} Base currency, rate date, per-account lines and gain/loss totals
+ */
+const calculateRevaluation = async (organizationId, { fiscalPeriod, rateDate, accountIds }, trx = db) => {
+  const organization = await trx('organizations')
+    .where('id', organizationId)
+    .select('base_currency')
+    .first();
+  const baseCurrency = organization.base_currency;
+
+  const currency = await trx('currencies')
+    .where({ code: baseCurrency })
+    .first();
+  const factor = Math.pow(10, currency ? currency.decimal_places : 2);
+  const round = value => Math.round(value * factor) / factor;
+
+  let query = trx('general_ledger')
+    .join('accounts', 'general_ledger.account_id', 'accounts.id')
+    .where('general_ledger.organization_id', organizationId)
+    .where('accounts.revalue_foreign_currency', true)
+    .whereNot('general_ledger.currency_code', baseCurrency)
+    .where('general_ledger.transaction_date', '<=', toDateString(fiscalPeriod.end_date))
+    .groupBy('general_ledger.account_id', 'accounts.code', 'accounts.name', 'general_ledger.currency_code')
+    .orderBy('accounts.code', 'asc')
+    .orderBy('general_ledger.currency_code', 'asc')
+    .select(
+      'general_ledger.account_id as accountId',
+      'accounts.code as accountCode',
+      'accounts.name as accountName',
+      'general_ledger.currency_code as currencyCode'
+    )
+    .sum({
+      debitAmount: 'general_ledger.debit_amount',
+      creditAmount: 'general_ledger.credit_amount',
+      baseDebitAmount: 'general_ledger.base_debit_amount',
+      baseCreditAmount: 'general_ledger.base_credit_amount'
+    });
+
+  if (accountIds && accountIds.length) {
+    query = query.whereIn('general_ledger.account_id', accountIds);
+  }
+
+  const balances = await query;
+
+  // Look up each currency once, reporting every missing rate together
+  const rates = {};
+  const missingCurrencies = [];
+  for (const currencyCode of [...new Set(balances.map(balance => balance.currencyCode))]) {
+    const found = await findExchangeRate(organizationId, currencyCode, baseCurrency, rateDate, trx);
+    if (found) {
+      rates[currencyCode] = Math.round(found.rate * 1000000) / 1000000;
+    } else {
+      missingCurrencies.push(currencyCode);
+    }
+  }
+
+  if (missingCurrencies.length) {
+    throw new ApiError(400, 'EXCHANGE_RATE_NOT_FOUND', `No exchange rate to ${baseCurrency} is effective on ${rateDate} for: ${missingCurrencies.join(', ')}`, {
+      currencies: missingCurrencies,
+      toCurrency: baseCurrency,
+      date: rateDate
+    });
+  }
+
+  // Balances are in debit-positive terms, so a positive adjustment is a gain on either side
+  const lines = balances.map(balance => {
+    const foreignBalance = round(parseFloat(balance.debitAmount || 0) - parseFloat(balance.creditAmount || 0));
+    const carriedBaseBalance = round(parseFloat(balance.baseDebitAmount || 0) - parseFloat(balance.baseCreditAmount || 0));
+    const exchangeRate = rates[balance.currencyCode];
+    const revaluedBaseBalance = round(foreignBalance * exchangeRate);
+
+    return {
+      accountId: balance.accountId,
+      accountCode: balance.accountCode,
+      accountName: balance.accountName,
+      currencyCode: balance.currencyCode,
+      foreignBalance,
+      carriedBaseBalance,
+      exchangeRate,
+      revaluedBaseBalance,
+      adjustment: round(revaluedBaseBalance - carriedBaseBalance)
+    };
+  }).filter(line => line.adjustment !== 0);
+
+  return {
+    baseCurrency,
+    rateDate,
+    lines,
+    totals: {
+      gain: round(lines.filter(line => line.adjustment > 0).reduce((sum, line) => sum + line.adjustment, 0)),
+      loss: round(lines.filter(line => line.adjustment < 0).reduce((sum, line) => sum - line.adjustment, 0))
+    }
+  };
+};
+
+/**
+ * Build the journal entry lines of a revaluation: each revalued balance moves in base currency
+ * only, against the unrealized gain and loss accounts
+ * @param {object} revaluation - The result of calculateRevaluation
+ * @param {object} settings - The organization settings with fxGainAccountId and fxLossAccountId
+ * @returns {Array} Journal entry lines with base amounts
+ */
+const buildRevaluationItems = (revaluation, settings) => {
+  const items = revaluation.lines.map(line => ({
+    accountId: line.accountId,
+    description: `Unrealized FX revaluation of ${line.currencyCode} ${line.foreignBalance} at ${line.exchangeRate}`,
+    currencyCode: line.currencyCode,
+    exchangeRate: line.exchangeRate,
+    debitAmount: 0,
+    creditAmount: 0,
+    baseDebitAmount: line.adjustment > 0 ? line.adjustment : 0,
+    baseCreditAmount: line.adjustment < 0 ? -line.adjustment : 0
+  }));
+
+  if (revaluation.totals.gain > 0) {
+    items.push({
+      accountId: settings.fxGainAccountId,
+      description: 'Unrealized FX gain',
+      currencyCode: revaluation.baseCurrency,
+      exchangeRate: 1,
+      debitAmount: 0,
+      creditAmount: revaluation.totals.gain
+    });
+  }
+
+  if (revaluation.totals.loss > 0) {
+    items.push({
+      accountId: settings.fxLossAccountId,
+      description: 'Unrealized FX loss',
+      currencyCode: revaluation.baseCurrency,
+      exchangeRate: 1,
+      debitAmount: revaluation.totals.loss,
+      creditAmount: 0
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Revalue the foreign currency balances of an organization at the end of a fiscal period.
+ * Unless previewing, the adjustment is posted as a system journal entry dated on the last day
+ * of the period that reverses itself on the first day of the next period.
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Revaluation options
+ * @param {number} options.fiscalPeriodId - The fiscal period to revalue
+ * @param {string} [options.rateDate] - Date the exchange rates must be effective on (defaults to the period end)
+ * @param {Array} [options.accountIds] - Only revalue these accounts
+ * @param {boolean} [options.preview] - Only calculate the adjustment
+ * @param {number} userId - The user running the revaluation
+ * @returns {object} The revaluation, with the posted journal entry and run ID unless previewing
+ */
+const runRevaluation = async (organizationId, { fiscalPeriodId, rateDate, accountIds, preview = false }, userId) => {
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    const fiscalPeriod = await trx('fiscal_periods')
+      .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+      .where({
+        'fiscal_periods.id': fiscalPeriodId,
+        'fiscal_years.organization_id': organizationId
+      })
+      .select('fiscal_periods.*')
+      .forShare('fiscal_periods')
+      .first();
+
+    if (!fiscalPeriod) {
+      throw new ApiError(404, 'NOT_FOUND', 'Fiscal period not found');
+    }
+
+    if (fiscalPeriod.is_closed && !preview) {
+      throw new ApiError(400, 'FISCAL_PERIOD_CLOSED', 'Cannot post a revaluation to a closed fiscal period');
+    }
+
+    const periodEnd = toDateString(fiscalPeriod.end_date);
+    const revaluation = await calculateRevaluation(organizationId, {
+      fiscalPeriod,
+      rateDate: rateDate ? toDateString(rateDate) : periodEnd,
+      accountIds
+    }, trx);
+
+    const result = {
+      preview,
+      fiscalPeriodId: fiscalPeriod.id,
+      periodEndDate: periodEnd,
+      ...revaluation,
+      id: null,
+      journalEntry: null
+    };
+
+    if (preview || !revaluation.lines.length) {
+      await trx.rollback();
+      return result;
+    }
+
+    const settings = await getOrganizationSettings(organizationId, trx);
+    if ((revaluation.totals.gain > 0 && !settings.fxGainAccountId) || (revaluation.totals.loss > 0 && !settings.fxLossAccountId)) {
+      throw new ApiError(400, 'FX_ACCOUNTS_NOT_CONFIGURED', 'Set fxGainAccountId and fxLossAccountId in the organization settings before running a revaluation');
+    }
+
+    const journalEntry = await createJournalEntry(trx, organizationId, {
+      entryDate: periodEnd,
+      fiscalPeriodId: fiscalPeriod.id,
+      description: `Unrealized FX revaluation for ${fiscalPeriod.name} at rates of ${revaluation.rateDate}`,
+      source: 'system',
+      currencyCode: revaluation.baseCurrency,
+      exchangeRate: 1,
+      autoReverseOn: addDays(periodEnd, 1),
+      autoReversePost: true,
+      items: buildRevaluationItems(revaluation, settings),
+      userId
+    });
+
+    const postedEntry = await postJournalEntry(trx, journalEntry, userId);
+
+    const [run] = await trx('fx_revaluations').insert({
+      organization_id: organizationId,
+      fiscal_period_id: fiscalPeriod.id,
+      rate_date: revaluation.rateDate,
+      journal_entry_id: postedEntry.id,
+      base_currency: revaluation.baseCurrency,
+      total_gain: revaluation.totals.gain,
+      total_loss: revaluation.totals.loss,
+      created_by: userId,
+      created_at: new Date()
+    }).returning('*');
+
+    await trx('fx_revaluation_lines').insert(revaluation.lines.map(line => ({
+      fx_revaluation_id: run.id,
+      account_id: line.accountId,
+      currency_code: line.currencyCode,
+      foreign_balance: line.foreignBalance,
+      carried_base_balance: line.carriedBaseBalance,
+      exchange_rate: line.exchangeRate,
+      revalued_base_balance: line.revaluedBaseBalance,
+      adjustment: line.adjustment
+    })));
+
+    // Commit transaction
+    await trx.commit();
+
+    return {
+      ...result,
+      id: run.id,
+      journalEntry: {
+        id: postedEntry.id,
+        entryNo: postedEntry.entry_no,
+        entryDate: postedEntry.entry_date,
+        autoReverseOn: postedEntry.auto_reverse_on
+      }
+    };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  calculateRevaluation,
+  runRevaluation
+};
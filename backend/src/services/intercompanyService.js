@@ -0,0 +1,372 @@
+// Intercompany entries between two organizations and their reconciliation
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+const { findFiscalPeriodForDate } = require('./fiscalPeriodService');
+const { validateJournalEntry, createJournalEntry } = require('./journalEntryService');
+
+// Amounts are stored with 4 decimals
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Get the due-from and due-to accounts an organization uses for a counterparty
+ * @param {number} organizationId - The organization ID
+ * @param {number} counterpartyOrganizationId - The other organization
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|undefined} The intercompany_relationships row, if configured
+ */
+const getRelationship = async (organizationId, counterpartyOrganizationId, trx = db) => {
+  return trx('intercompany_relationships')
+    .where({
+      organization_id: organizationId,
+      counterparty_organization_id: counterpartyOrganizationId
+    })
+    .first();
+};
+
+/**
+ * Set the due-from and due-to accounts an organization uses for a counterparty
+ * @param {number} organizationId - The organization ID
+ * @param {number} counterpartyOrganizationId - The other organization
+ * @param {object} accounts - The accounts to use
+ * @param {number} accounts.dueFromAccountId - Receivable from the counterparty
+ * @param {number} accounts.dueToAccountId - Payable to the counterparty
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} The saved intercompany_relationships row
+ */
+const saveRelationship = async (organizationId, counterpartyOrganizationId, { dueFromAccountId, dueToAccountId }, trx = db) => {
+  const existing = await getRelationship(organizationId, counterpartyOrganizationId, trx);
+
+  if (existing) {
+    const [relationship] = await trx('intercompany_relationships')
+      .where('id', existing.id)
+      .update({
+        due_from_account_id: dueFromAccountId,
+        due_to_account_id: dueToAccountId,
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    return relationship;
+  }
+
+  const [relationship] = await trx('intercompany_relationships')
+    .insert({
+      organization_id: organizationId,
+      counterparty_organization_id: counterpartyOrganizationId,
+      due_from_account_id: dueFromAccountId,
+      due_to_account_id: dueToAccountId,
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .returning('*');
+
+  return relationship;
+};
+
+// Net of a set of lines in debit-positive terms
+const getNetAmount = (items) => {
+  return round(items.reduce((sum, item) => sum + (item.debitAmount || 0) - (item.creditAmount || 0), 0));
+};
+
+// Balance one side with its due-from (when it is owed) or due-to (when it owes) account
+const addIntercompanyLine = (items, relationship, counterpartyName) => {
+  const net = getNetAmount(items);
+
+  return [
+    ...items,
+    net < 0
+      ? { accountId: relationship.due_from_account_id, description: `Due from ${counterpartyName}`, debitAmount: -net, creditAmount: 0 }
+      : { accountId: relationship.due_to_account_id, description: `Due to ${counterpartyName}`, debitAmount: 0, creditAmount: net }
+  ];
+};
+
+/**
+ * Create an intercompany entry as a draft in the originating organization and a linked mirror
+ * draft in the counterparty. Each side lists its own lines; the due-from/due-to line balancing
+ * each side is added from the relationship accounts, so the two sides must net to the same
+ * amount in opposite directions. The mirror is posted when the originating entry is posted.
+ * @param {number} organizationId - The originating organization
+ * @param {object} entry - The intercompany entry
+ * @param {number} entry.counterpartyOrganizationId - The other organization
+ * @param {string|Date} entry.entryDate - Date of both sides
+ * @param {number} [entry.fiscalPeriodId] - Fiscal period of the originating side (found from the date when omitted)
+ * @param {string} [entry.description] - Description of both sides
+ * @param {string} [entry.reference] - Reference of both sides
+ * @param {string} entry.currencyCode - Transaction currency of both sides
+ * @param {number} [entry.exchangeRate] - Rate to the base currency of the originating organization
+ * @param {number} [entry.counterpartyExchangeRate] - Rate to the base currency of the counterparty
+ * @param {Array} entry.items - Lines of the originating side
+ * @param {Array} entry.counterpartyItems - Lines of the counterparty side
+ * @param {number} userId - The user creating the entry
+ * @returns {object} IDs of the originating and mirror journal entries
+ */
+const createIntercompanyEntry = async (organizationId, entry, userId) => {
+  const {
+    counterpartyOrganizationId, entryDate, description, reference,
+    currencyCode, exchangeRate, counterpartyExchangeRate, items, counterpartyItems
+  } = entry;
+
+  if (counterpartyOrganizationId === organizationId) {
+    throw new ApiError(400, 'INVALID_COUNTERPARTY', 'An intercompany entry needs two different organizations');
+  }
+
+  // Both sides are compared in the entry currency, so lines cannot carry their own
+  const foreignLine = [...items, ...counterpartyItems].find(item => item.currencyCode && item.currencyCode !== currencyCode);
+  if (foreignLine) {
+    throw new ApiError(400, 'INTERCOMPANY_CURRENCY', `All lines of an intercompany entry must be in ${currencyCode}`);
+  }
+
+  const net = getNetAmount(items);
+  const counterpartyNet = getNetAmount(counterpartyItems);
+  if (net === 0 || round(net + counterpartyNet) !== 0) {
+    throw new ApiError(400, 'INTERCOMPANY_MISMATCH', 'Each side must leave the same intercompany amount, owed by one organization to the other', {
+      amount: net,
+      counterpartyAmount: counterpartyNet
+    });
+  }
+
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    const organizations = await trx('organizations')
+      .whereIn('id', [organizationId, counterpartyOrganizationId])
+      .select('id', 'name');
+    const organization = organizations.find(org => org.id === organizationId);
+    const counterparty = organizations.find(org => org.id === counterpartyOrganizationId);
+
+    if (!counterparty) {
+      throw new ApiError(404, 'NOT_FOUND', 'Counterparty organization not found');
+    }
+
+    const relationship = await getRelationship(organizationId, counterpartyOrganizationId, trx);
+    const counterpartyRelationship = await getRelationship(counterpartyOrganizationId, organizationId, trx);
+
+    if (!relationship || !counterpartyRelationship) {
+      throw new ApiError(400, 'INTERCOMPANY_NOT_CONFIGURED', `Due-from and due-to accounts must be set up in both ${organization.name} and ${counterparty.name} before recording entries between them`, {
+        missing: [
+          ...(relationship ? [] : [organizationId]),
+          ...(counterpartyRelationship ? [] : [counterpartyOrganizationId])
+        ]
+      });
+    }
+
+    const date = toDateString(entryDate);
+    let fiscalPeriodId = entry.fiscalPeriodId;
+    if (!fiscalPeriodId) {
+      const fiscalPeriod = await findFiscalPeriodForDate(organizationId, date, trx);
+      fiscalPeriodId = fiscalPeriod && fiscalPeriod.id;
+    }
+
+    const counterpartyPeriod = await findFiscalPeriodForDate(counterpartyOrganizationId, date, trx);
+    if (!fiscalPeriodId || !counterpartyPeriod) {
+      throw new ApiError(400, 'NO_FISCAL_PERIOD', `Both organizations need a fiscal period covering ${date}`, {
+        organizationId: fiscalPeriodId ? counterpartyOrganizationId : organizationId
+      });
+    }
+
+    const sides = [
+      {
+        organizationId,
+        fiscalPeriodId,
+        exchangeRate,
+        items: addIntercompanyLine(items, relationship, counterparty.name)
+      },
+      {
+        organizationId: counterpartyOrganizationId,
+        fiscalPeriodId: counterpartyPeriod.id,
+        exchangeRate: counterpartyExchangeRate,
+        items: addIntercompanyLine(counterpartyItems, counterpartyRelationship, organization.name)
+      }
+    ];
+
+    for (const side of sides) {
+      const validationError = await validateJournalEntry(side.organizationId, {
+        fiscalPeriodId: side.fiscalPeriodId,
+        entryDate: date,
+        currencyCode,
+        exchangeRate: side.exchangeRate,
+        items: side.items
+      }, trx);
+
+      if (validationError) {
+        throw new ApiError(400, validationError.code, validationError.message, {
+          ...validationError.details,
+          organizationId: side.organizationId
+        });
+      }
+    }
+
+    const originatingEntry = await createJournalEntry(trx, organizationId, {
+      entryDate: date,
+      fiscalPeriodId,
+      description,
+      reference,
+      source: 'manual',
+      currencyCode,
+      exchangeRate,
+      counterpartyOrganizationId,
+      intercompanyRole: 'originator',
+      items: sides[0].items,
+      userId
+    });
+
+    const mirrorEntry = await createJournalEntry(trx, counterpartyOrganizationId, {
+      entryDate: date,
+      fiscalPeriodId: counterpartyPeriod.id,
+      description: description || `Intercompany entry ${originatingEntry.entry_no} of ${organization.name}`,
+      reference: reference || originatingEntry.entry_no,
+      source: 'system',
+      currencyCode,
+      exchangeRate: counterpartyExchangeRate,
+      counterpartyOrganizationId: organizationId,
+      intercompanyRole: 'mirror',
+      items: sides[1].items,
+      userId
+    });
+
+    // Link both sides to each other
+    await trx('journal_entries')
+      .where('id', originatingEntry.id)
+      .update({ intercompany_entry_id: mirrorEntry.id });
+
+    await trx('journal_entries')
+      .where('id', mirrorEntry.id)
+      .update({ intercompany_entry_id: originatingEntry.id });
+
+    // Commit transaction
+    await trx.commit();
+
+    return {
+      journalEntryId: originatingEntry.id,
+      mirrorEntryId: mirrorEntry.id
+    };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Sum the due-from and due-to balances one organization carries for a counterparty, per currency.
+ * Entries without a counterparty (manual adjustments and reversals) on those accounts count too.
+ * @param {number} organizationId - The organization ID
+ * @param {object} relationship - Its intercompany_relationships row for the counterparty
+ * @param {string} asOfDate - Include ledger rows up to this date
+ * @returns {object} Debit-positive balances keyed by currency, in transaction and base currency
+ */
+const getDueBalances = async (organizationId, relationship, asOfDate) => {
+  const rows = await db('general_ledger')
+    .join('journal_entries', 'general_ledger.journal_entry_id', 'journal_entries.id')
+    .where('general_ledger.organization_id', organizationId)
+    .whereIn('general_ledger.account_id', [relationship.due_from_account_id, relationship.due_to_account_id])
+    .where('general_ledger.transaction_date', '<=', asOfDate)
+    .where(function() {
+      this.where('journal_entries.counterparty_organization_id', relationship.counterparty_organization_id)
+        .orWhereNull('journal_entries.counterparty_organization_id');
+    })
+    .groupBy('general_ledger.currency_code')
+    .select('general_ledger.currency_code as currencyCode')
+    .sum({
+      debitAmount: 'general_ledger.debit_amount',
+      creditAmount: 'general_ledger.credit_amount',
+      baseDebitAmount: 'general_ledger.base_debit_amount',
+      baseCreditAmount: 'general_ledger.base_credit_amount'
+    });
+
+  const balances = {};
+  rows.forEach(row => {
+    balances[row.currencyCode] = {
+      balance: round(parseFloat(row.debitAmount || 0) - parseFloat(row.creditAmount || 0)),
+      baseBalance: round(parseFloat(row.baseDebitAmount || 0) - parseFloat(row.baseCreditAmount || 0))
+    };
+  });
+
+  return balances;
+};
+
+/**
+ * Reconcile the intercompany balances of an organization with each of its counterparties.
+ * What one side carries as due from the other should equal what the other carries as due to it,
+ * so per currency the two debit-positive balances should add up to zero. Linked entries whose
+ * sides are in a different status are listed as unmatched.
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Report options
+ * @param {string} options.asOfDate - Reconcile balances up to this date
+ * @param {Array} options.accessibleOrganizationIds - Counterparties the user may see
+ * @returns {Array} One reconciliation per counterparty
+ */
+const getIntercompanyReconciliation = async (organizationId, { asOfDate, accessibleOrganizationIds }) => {
+  const relationships = await db('intercompany_relationships')
+    .join('organizations', 'intercompany_relationships.counterparty_organization_id', 'organizations.id')
+    .where('intercompany_relationships.organization_id', organizationId)
+    .whereIn('intercompany_relationships.counterparty_organization_id', accessibleOrganizationIds)
+    .orderBy('organizations.name', 'asc')
+    .select('intercompany_relationships.*', 'organizations.name as counterparty_name');
+
+  const reconciliations = [];
+
+  for (const relationship of relationships) {
+    const counterpartyId = relationship.counterparty_organization_id;
+    const counterpartyRelationship = await getRelationship(counterpartyId, organizationId);
+
+    const balances = await getDueBalances(organizationId, relationship, asOfDate);
+    const counterpartyBalances = counterpartyRelationship
+      ? await getDueBalances(counterpartyId, counterpartyRelationship, asOfDate)
+      : {};
+
+    const currencies = [...new Set([...Object.keys(balances), ...Object.keys(counterpartyBalances)])].sort();
+    const lines = currencies.map(currencyCode => {
+      const balance = balances[currencyCode] ? balances[currencyCode].balance : 0;
+      const counterpartyBalance = counterpartyBalances[currencyCode] ? counterpartyBalances[currencyCode].balance : 0;
+
+      return {
+        currencyCode,
+        balance,
+        baseBalance: balances[currencyCode] ? balances[currencyCode].baseBalance : 0,
+        counterpartyBalance,
+        counterpartyBaseBalance: counterpartyBalances[currencyCode] ? counterpartyBalances[currencyCode].baseBalance : 0,
+        difference: round(balance + counterpartyBalance)
+      };
+    });
+
+    // Either side may be the originator
+    const unmatchedEntries = await db('journal_entries')
+      .join('journal_entries as linked', 'journal_entries.intercompany_entry_id', 'linked.id')
+      .where('journal_entries.organization_id', organizationId)
+      .where('journal_entries.counterparty_organization_id', counterpartyId)
+      .where('journal_entries.entry_date', '<=', asOfDate)
+      .whereRaw('journal_entries.status <> linked.status')
+      .orderBy('journal_entries.entry_date', 'asc')
+      .select(
+        'journal_entries.id',
+        'journal_entries.entry_no as entryNo',
+        'journal_entries.entry_date as entryDate',
+        'journal_entries.status',
+        'journal_entries.intercompany_role as intercompanyRole',
+        'linked.id as counterpartyEntryId',
+        'linked.entry_no as counterpartyEntryNo',
+        'linked.status as counterpartyStatus'
+      );
+
+    reconciliations.push({
+      counterpartyOrganizationId: counterpartyId,
+      counterpartyName: relationship.counterparty_name,
+      configured: !!counterpartyRelationship,
+      matched: !!counterpartyRelationship && lines.every(line => line.difference === 0) && !unmatchedEntries.length,
+      lines,
+      unmatchedEntries
+    });
+  }
+
+  return reconciliations;
+};
+
+module.exports = {
+  getRelationship,
+  saveRelationship,
+  createIntercompanyEntry,
+  getIntercompanyReconciliation
+};
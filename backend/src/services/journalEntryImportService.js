@@ -0,0 +1,637 @@
+// Journal entry import from CSV and XLSX files
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+const { findFiscalPeriodForDate } = require('./fiscalPeriodService');
+const { convertJournalEntryLines, createJournalEntry, voidJournalEntry } = require('./journalEntryService');
+const { getDimensionErrors } = require('./dimensionService');
+const { getOrganizationSettings } = require('./organizationSettingsService');
+const { getLineFingerprint, checkDuplicates } = require('./duplicateDetectionService');
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+// Journal entry fields an import file can provide, with the column header used when no mapping is given.
+// Rows sharing an entry key (or, without one, the same entry date and reference) form one journal entry.
+const DEFAULT_COLUMN_MAPPING = {
+  entryKey: 'entry',
+  entryDate: 'entry_date',
+  reference: 'reference',
+  description: 'description',
+  accountCode: 'account_code',
+  debit: 'debit',
+  credit: 'credit',
+  memo: 'memo',
+  dimensions: 'dimensions'
+};
+
+/**
+ * Get the import format of an uploaded file from its name
+ * @param {string} fileName - Original file name
+ * @returns {string|null} 'csv' or 'xlsx', or null for unsupported files
+ */
+const getImportFormat = (fileName) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return IMPORT_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Convert an XLSX cell value to the plain value a CSV cell would hold
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} A string, number or Date
+ */
+const getCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date || typeof value !== 'object') {
+    return value;
+  }
+
+  // Formula cells carry their computed result, rich text cells a list of runs
+  if (value.result !== undefined) {
+    return getCellValue(value.result);
+  }
+
+  if (value.richText) {
+    return value.richText.map(run => run.text).join('');
+  }
+
+  return value.text !== undefined ? value.text : String(value);
+};
+
+/**
+ * Read the rows of an import file as objects keyed by column header
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Array} Rows in file order
+ */
+const parseImportFile = async (buffer, format) => {
+  if (format === 'csv') {
+    try {
+      return parse(buffer, {
+        columns: header => header.map(column => column.trim()),
+        bom: true,
+        skip_empty_lines: true,
+        trim: true
+      });
+    } catch (error) {
+      throw new ApiError(400, 'INVALID_FILE', `Could not read CSV file: ${error.message}`);
+    }
+  }
+
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ApiError(400, 'INVALID_FILE', `Could not read XLSX file: ${error.message}`);
+  }
+
+  // Only the first worksheet is imported; its first row holds the column headers
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    headers[columnNumber] = String(getCellValue(cell.value)).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+
+    const values = {};
+    headers.forEach((header, columnNumber) => {
+      if (header) {
+        values[header] = getCellValue(row.getCell(columnNumber).value);
+      }
+    });
+    rows.push(values);
+  });
+
+  return rows;
+};
+
+/**
+ * Parse an amount cell, treating blank cells as zero
+ * @param {*} value - Cell value
+ * @returns {number} The amount, or NaN if the cell is not a number
+ */
+const parseAmount = (value) => {
+  if (value === '' || value === null || value === undefined) {
+    return 0;
+  }
+
+  return typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+};
+
+/**
+ * Parse a dimensions cell written as JSON or as 'key=value; key=value' pairs
+ * @param {*} value - Cell value
+ * @returns {object|null} The dimensions, or null for a blank cell
+ */
+const parseDimensions = (value) => {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  if (text.startsWith('{')) {
+    const dimensions = JSON.parse(text);
+    if (!dimensions || Array.isArray(dimensions) || typeof dimensions !== 'object') {
+      throw new Error('Dimensions must be an object');
+    }
+    return dimensions;
+  }
+
+  return text.split(';').reduce((dimensions, pair) => {
+    if (!pair.trim()) {
+      return dimensions;
+    }
+
+    const [key, ...rest] = pair.split('=');
+    if (!key.trim() || !rest.length) {
+      throw new Error(`Expected key=value but got '${pair.trim()}'`);
+    }
+
+    dimensions[key.trim()] = rest.join('=').trim();
+    return dimensions;
+  }, {});
+};
+
+/**
+ * Parse an entry date cell
+ * @param {*} value - Cell value (a Date from XLSX, or text from CSV)
+ * @returns {string|null} The calendar date, or null if the cell is not a valid date
+ */
+const parseEntryDate = (value) => {
+  if (value instanceof Date) {
+    // XLSX dates carry no time zone and are read back as UTC midnight
+    return isNaN(value) ? null : value.toISOString().slice(0, 10);
+  }
+
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return null;
+  }
+
+  const date = new Date(`${text}T00:00:00`);
+  return isNaN(date) || toDateString(date) !== text ? null : text;
+};
+
+/**
+ * Map raw file rows to import lines and collect per-row errors
+ * @param {Array} rawRows - Rows keyed by column header
+ * @param {object} mapping - Column header for each import field
+ * @returns {Array} Lines with the row number, parsed values and their errors
+ */
+const mapImportRows = (rawRows, mapping) => {
+  // Spreadsheet row numbers: the header is row 1
+  return rawRows.map((rawRow, index) => {
+    const cell = field => {
+      const value = rawRow[mapping[field]];
+      return value === undefined || value === null ? '' : value;
+    };
+    const text = field => String(cell(field)).trim();
+
+    const line = {
+      rowNumber: index + 2,
+      entryKey: text('entryKey'),
+      entryDate: parseEntryDate(cell('entryDate')),
+      reference: text('reference') || null,
+      description: text('description') || null,
+      accountCode: text('accountCode'),
+      debitAmount: parseAmount(cell('debit')),
+      creditAmount: parseAmount(cell('credit')),
+      memo: text('memo') || null,
+      dimensions: null,
+      errors: []
+    };
+
+    const addError = (field, code, message) => line.errors.push({ row: line.rowNumber, field, code, message });
+
+    if (!line.entryDate) {
+      addError('entryDate', 'INVALID_DATE', `Entry date '${text('entryDate')}' is not a valid YYYY-MM-DD date`);
+    }
+
+    if (!line.accountCode) {
+      addError('accountCode', 'MISSING_ACCOUNT_CODE', 'Account code is required');
+    }
+
+    if (isNaN(line.debitAmount) || line.debitAmount < 0) {
+      addError('debit', 'INVALID_AMOUNT', `Debit '${text('debit')}' is not a positive number`);
+    }
+
+    if (isNaN(line.creditAmount) || line.creditAmount < 0) {
+      addError('credit', 'INVALID_AMOUNT', `Credit '${text('credit')}' is not a positive number`);
+    }
+
+    if (line.debitAmount > 0 && line.creditAmount > 0) {
+      addError('debit', 'DEBIT_AND_CREDIT', 'A line cannot have both a debit and a credit amount');
+    } else if (line.debitAmount === 0 && line.creditAmount === 0) {
+      addError('debit', 'ZERO_AMOUNT', 'A line needs a debit or a credit amount');
+    }
+
+    try {
+      line.dimensions = parseDimensions(cell('dimensions'));
+    } catch (error) {
+      addError('dimensions', 'INVALID_DIMENSIONS', `Dimensions could not be read: ${error.message}`);
+    }
+
+    return line;
+  });
+};
+
+/**
+ * Group import lines into journal entries
+ * @param {Array} lines - Mapped import lines
+ * @returns {Array} Entries with their key, date, reference, description and lines
+ */
+const groupImportLines = (lines) => {
+  const entries = new Map();
+
+  lines.forEach(line => {
+    const key = line.entryKey || `${line.entryDate || ''}|${line.reference || ''}`;
+
+    if (!entries.has(key)) {
+      entries.set(key, {
+        key,
+        entryDate: line.entryDate,
+        reference: line.reference,
+        description: line.description,
+        lines: []
+      });
+    }
+
+    const entry = entries.get(key);
+    entry.lines.push(line);
+    entry.description = entry.description || line.description;
+  });
+
+  return [...entries.values()];
+};
+
+/**
+ * Validate grouped import entries against the organization's accounts, dimensions and fiscal periods,
+ * and check them for duplicates of recent entries and of each other.
+ * Errors are attached to the rows they concern; entry-level errors go on every row of the entry.
+ * @param {number} organizationId - The organization ID
+ * @param {Array} entries - Grouped import entries
+ * @param {object} currency - Currency of the imported entries
+ * @param {string} currency.currencyCode - Transaction currency of the imported entries
+ * @param {number} [currency.exchangeRate] - Rate converting the transaction currency to base currency
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ */
+const validateImportEntries = async (organizationId, entries, { currencyCode, exchangeRate }, trx = db) => {
+  const lines = entries.flatMap(entry => entry.lines);
+  const accountCodes = [...new Set(lines.map(line => line.accountCode).filter(Boolean))];
+
+  const accounts = await trx('accounts')
+    .where('organization_id', organizationId)
+    .whereIn('code', accountCodes)
+    .select('id', 'code', 'name', 'is_active');
+  const accountsByCode = new Map(accounts.map(account => [account.code, account]));
+
+  lines.forEach(line => {
+    if (!line.accountCode) {
+      return;
+    }
+
+    const account = accountsByCode.get(line.accountCode);
+    if (!account) {
+      line.errors.push({ row: line.rowNumber, field: 'accountCode', code: 'UNKNOWN_ACCOUNT', message: `Account code '${line.accountCode}' does not exist` });
+    } else if (!account.is_active) {
+      line.errors.push({ row: line.rowNumber, field: 'accountCode', code: 'INACTIVE_ACCOUNT', message: `Account ${account.code} ${account.name} is inactive` });
+    } else {
+      line.accountId = account.id;
+    }
+  });
+
+  const dimensionErrors = await getDimensionErrors(organizationId, lines, trx);
+  dimensionErrors.forEach(error => {
+    const line = lines[error.index];
+    line.errors.push({ row: line.rowNumber, field: 'dimensions', code: error.code, message: error.message });
+  });
+
+  const settings = await getOrganizationSettings(organizationId, trx);
+  const fileFingerprints = new Map();
+
+  for (const entry of entries) {
+    const addEntryError = (field, code, message) => entry.lines.forEach(line => {
+      line.errors.push({ row: line.rowNumber, field, code, message });
+    });
+    entry.warnings = [];
+
+    entry.totalDebit = entry.lines.reduce((sum, line) => sum + (line.debitAmount || 0), 0);
+    entry.totalCredit = entry.lines.reduce((sum, line) => sum + (line.creditAmount || 0), 0);
+
+    if (entry.lines.some(line => line.entryDate !== entry.entryDate)) {
+      addEntryError('entryDate', 'MIXED_ENTRY_DATES', `Rows of entry '${entry.key}' have different entry dates`);
+    }
+
+    if (entry.lines.length < 2) {
+      addEntryError('entry', 'TOO_FEW_LINES', 'A journal entry needs at least two lines');
+    }
+
+    // Allow for small rounding differences (0.01)
+    if (Math.abs(entry.totalDebit - entry.totalCredit) > 0.01) {
+      addEntryError('entry', 'UNBALANCED_ENTRY', `Entry does not balance: debits ${entry.totalDebit.toFixed(2)}, credits ${entry.totalCredit.toFixed(2)}`);
+    }
+
+    if (entry.entryDate) {
+      const fiscalPeriod = await findFiscalPeriodForDate(organizationId, entry.entryDate, trx);
+
+      if (!fiscalPeriod) {
+        addEntryError('entryDate', 'NO_FISCAL_PERIOD', `No fiscal period covers ${entry.entryDate}`);
+      } else if (fiscalPeriod.is_closed) {
+        addEntryError('entryDate', 'FISCAL_PERIOD_CLOSED', `Fiscal period ${fiscalPeriod.name} is closed`);
+      } else {
+        entry.fiscalPeriodId = fiscalPeriod.id;
+      }
+    }
+
+    // Entries that are otherwise valid must also have a rate for their date and balance in base currency
+    if (entry.lines.every(line => !line.errors.length)) {
+      const { error } = await convertJournalEntryLines(organizationId, {
+        entryDate: entry.entryDate,
+        currencyCode,
+        exchangeRate,
+        items: entry.lines
+      }, trx);
+
+      if (error) {
+        addEntryError('entry', error.code, error.message);
+      }
+    }
+
+    // Valid entries that repeat a recent entry or an earlier entry of the file warn, or fail if the organization blocks duplicates
+    if (settings.duplicateDetection !== 'off' && entry.lines.every(line => !line.errors.length)) {
+      const rows = entry.lines.map(line => line.rowNumber);
+      const fileKey = `${entry.entryDate}|${getLineFingerprint(entry.lines)}`;
+      const earlierEntry = fileFingerprints.get(fileKey);
+
+      if (earlierEntry) {
+        const message = `Entry '${entry.key}' repeats entry '${earlierEntry.key}' of this file`;
+        if (settings.duplicateDetection === 'block') {
+          addEntryError('entry', 'DUPLICATE_IN_FILE', message);
+        } else {
+          entry.warnings.push({ rows, code: 'DUPLICATE_IN_FILE', message });
+        }
+      } else {
+        fileFingerprints.set(fileKey, entry);
+      }
+
+      const duplicateCheck = await checkDuplicates(organizationId, {
+        entryDate: entry.entryDate,
+        reference: entry.reference,
+        items: entry.lines
+      }, settings, trx);
+
+      if (duplicateCheck && duplicateCheck.blocked) {
+        addEntryError('entry', 'DUPLICATE_ENTRY', duplicateCheck.warning.message);
+      } else if (duplicateCheck) {
+        entry.warnings.push({ rows, ...duplicateCheck.warning });
+      }
+    }
+  }
+};
+
+/**
+ * Summarise validated import entries for the API response
+ * @param {Array} entries - Validated import entries
+ * @returns {object} Totals, entries, per-row errors and per-entry warnings (such as likely duplicates)
+ */
+const getImportReport = (entries) => {
+  const lines = entries.flatMap(entry => entry.lines);
+  const errors = lines.flatMap(line => line.errors).sort((a, b) => a.row - b.row);
+  const warnings = entries.flatMap(entry => entry.warnings || []);
+
+  return {
+    valid: errors.length === 0,
+    totals: {
+      rows: lines.length,
+      entries: entries.length,
+      errors: errors.length,
+      warnings: warnings.length
+    },
+    entries: entries.map(entry => ({
+      key: entry.key,
+      entryDate: entry.entryDate,
+      reference: entry.reference,
+      description: entry.description,
+      rows: entry.lines.map(line => line.rowNumber),
+      totalDebit: entry.totalDebit,
+      totalCredit: entry.totalCredit,
+      valid: entry.lines.every(line => !line.errors.length)
+    })),
+    errors,
+    warnings
+  };
+};
+
+/**
+ * Import journal entries from a CSV or XLSX file.
+ * The file is fully validated first; entries are only created, all in one transaction
+ * and as drafts of a single import batch, when no row has an error and it is not a dry run.
+ * @param {number} organizationId - The organization ID
+ * @param {object} options - Import options
+ * @param {Buffer} options.buffer - File contents
+ * @param {string} options.fileName - Original file name
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {object} [options.mapping] - Column header for each import field, overriding the defaults
+ * @param {string} options.currencyCode - Transaction currency of the imported entries
+ * @param {number} [options.exchangeRate] - Rate converting the transaction currency to base currency (looked up per entry date when omitted)
+ * @param {boolean} [options.dryRun] - Only validate the file
+ * @param {number} options.userId - The user importing the file
+ * @returns {object} Import report with per-row errors, plus the created batch unless it was a dry run
+ */
+const importJournalEntries = async (organizationId, options) => {
+  const {
+    buffer, fileName, format, mapping = {}, currencyCode, exchangeRate, dryRun = false, userId
+  } = options;
+
+  const currency = await db('currencies').where({ code: currencyCode }).first();
+  if (!currency) {
+    throw new ApiError(400, 'INVALID_CURRENCY', 'The specified currency does not exist');
+  }
+
+  const rawRows = await parseImportFile(buffer, format);
+  if (!rawRows.length) {
+    throw new ApiError(400, 'EMPTY_FILE', 'The file does not contain any rows to import');
+  }
+
+  const lines = mapImportRows(rawRows, { ...DEFAULT_COLUMN_MAPPING, ...mapping });
+  const entries = groupImportLines(lines);
+  await validateImportEntries(organizationId, entries, { currencyCode, exchangeRate });
+
+  const report = { dryRun, ...getImportReport(entries), batch: null };
+
+  if (dryRun || !report.valid) {
+    return report;
+  }
+
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    const [batch] = await trx('journal_entry_import_batches').insert({
+      organization_id: organizationId,
+      file_name: fileName,
+      format,
+      status: 'imported',
+      entry_count: entries.length,
+      row_count: lines.length,
+      created_by: userId,
+      created_at: new Date()
+    }).returning('*');
+
+    const createdEntries = [];
+    for (const entry of entries) {
+      const journalEntry = await createJournalEntry(trx, organizationId, {
+        entryDate: entry.entryDate,
+        fiscalPeriodId: entry.fiscalPeriodId,
+        description: entry.description,
+        reference: entry.reference,
+        source: 'import',
+        currencyCode,
+        exchangeRate,
+        importBatchId: batch.id,
+        items: entry.lines.map(line => ({
+          accountId: line.accountId,
+          debitAmount: line.debitAmount,
+          creditAmount: line.creditAmount,
+          memo: line.memo,
+          dimensions: line.dimensions
+        })),
+        userId
+      });
+
+      createdEntries.push({ key: entry.key, id: journalEntry.id, entryNo: journalEntry.entry_no });
+    }
+
+    // Commit transaction
+    await trx.commit();
+
+    return {
+      ...report,
+      batch: {
+        id: batch.id,
+        status: batch.status,
+        entryCount: batch.entry_count,
+        rowCount: batch.row_count,
+        entries: createdEntries
+      }
+    };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Roll back an import batch by voiding every entry it created.
+ * Posted entries get a reversing entry, so the whole rollback fails if any of them sits in a closed period.
+ * Entries already voided or reversed since the import are left as they are.
+ * @param {number} organizationId - The organization ID
+ * @param {number} batchId - The import batch ID
+ * @param {object} options - Rollback options
+ * @param {string} [options.reason] - Reason for the rollback
+ * @param {number} options.userId - The user rolling back the batch
+ * @returns {object} The batch ID with the voided and skipped entries
+ */
+const rollbackImportBatch = async (organizationId, batchId, { reason, userId }) => {
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    const batch = await trx('journal_entry_import_batches')
+      .where({
+        id: batchId,
+        organization_id: organizationId
+      })
+      .forUpdate()
+      .first();
+
+    if (!batch) {
+      throw new ApiError(404, 'NOT_FOUND', 'Import batch not found');
+    }
+
+    if (batch.status === 'rolled_back') {
+      throw new ApiError(400, 'ALREADY_ROLLED_BACK', 'Import batch has already been rolled back');
+    }
+
+    const journalEntries = await trx('journal_entries')
+      .where('import_batch_id', batch.id)
+      .orderBy('id', 'asc')
+      .forUpdate()
+      .select('*');
+
+    // Entries with a pending automatic reversal are voided along with it
+    const reversedIds = new Set((await trx('journal_entries')
+      .whereIn('reversal_of_id', journalEntries.map(entry => entry.id))
+      .where('status', 'posted')
+      .select('reversal_of_id')).map(entry => entry.reversal_of_id));
+
+    const voided = [];
+    const skipped = [];
+    const voidReason = `Import batch ${batch.id} rolled back${reason ? `: ${reason}` : ''}`;
+
+    for (const journalEntry of journalEntries) {
+      if (journalEntry.status === 'voided' || reversedIds.has(journalEntry.id)) {
+        skipped.push({ id: journalEntry.id, entryNo: journalEntry.entry_no, status: journalEntry.status });
+        continue;
+      }
+
+      const reversalEntry = await voidJournalEntry(trx, journalEntry, { reason: voidReason, userId });
+
+      voided.push({
+        id: journalEntry.id,
+        entryNo: journalEntry.entry_no,
+        reversalEntryId: reversalEntry ? reversalEntry.id : null
+      });
+    }
+
+    await trx('journal_entry_import_batches')
+      .where('id', batch.id)
+      .update({
+        status: 'rolled_back',
+        rolled_back_at: new Date(),
+        rolled_back_by: userId,
+        rollback_reason: reason || null
+      });
+
+    // Commit transaction
+    await trx.commit();
+
+    return {
+      id: batch.id,
+      status: 'rolled_back',
+      voided,
+      skipped
+    };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  DEFAULT_COLUMN_MAPPING,
+  getImportFormat,
+  parseImportFile,
+  parseAmount,
+  mapImportRows,
+  groupImportLines,
+  importJournalEntries,
+  rollbackImportBatch
+};
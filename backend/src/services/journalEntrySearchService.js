@@ -0,0 +1,260 @@
+// Journal entry search: text search, filters, sorting and cursor pagination
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { applyDimensionFilter } = require('./dimensionService');
+
+// Sortable columns; each sort also orders by entry ID so the order is total and cursors are stable
+const SORT_EXPRESSIONS = {
+  entryDate: '"journal_entries"."entry_date"',
+  entryNo: '"journal_entries"."entry_no"',
+  createdAt: '"journal_entries"."created_at"',
+  amount: 'COALESCE("entry_totals"."amount", 0)'
+};
+
+// A search term like '$4,312.17' also matches entries of that amount
+const AMOUNT_TERM = /^\$?\s*\d[\d,]*(\.\d{1,4})?$/;
+
+/**
+ * Encode the position after a result row as an opaque cursor
+ * @param {object} position - The sort value (as text) and entry ID of the row
+ * @returns {string} The base64url cursor
+ */
+const encodeCursor = ({ sortValue, id }) => {
+  return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - The cursor
+ * @returns {object} The sort value and entry ID the next page starts after
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [sortValue, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sortValue !== 'string' || !Number.isInteger(id)) {
+      throw new Error('Malformed cursor');
+    }
+    return { sortValue, id };
+  } catch (error) {
+    throw new ApiError(400, 'INVALID_CURSOR', 'The pagination cursor is not valid for this search');
+  }
+};
+
+/**
+ * Escape the LIKE wildcards of a search term
+ * @param {string} term - The search term
+ * @returns {string} The term as an ILIKE pattern matching it anywhere
+ */
+const toLikePattern = (term) => `%${term.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+
+/**
+ * Subquery of the IDs of an account and, optionally, all accounts below it via parent_account_id
+ * @param {number} organizationId - The organization ID
+ * @param {number} accountId - The account ID
+ * @param {boolean} includeSubaccounts - Whether to include descendant accounts
+ * @returns {object} Knex raw subquery selecting account IDs
+ */
+const accountTreeQuery = (organizationId, accountId, includeSubaccounts) => {
+  if (!includeSubaccounts) {
+    return db('accounts')
+      .where({
+        id: accountId,
+        organization_id: organizationId
+      })
+      .select('id');
+  }
+
+  return db.raw(`
+    WITH RECURSIVE account_tree AS (
+      SELECT id FROM accounts WHERE id = ? AND organization_id = ?
+      UNION
+      SELECT accounts.id FROM accounts JOIN account_tree ON accounts.parent_account_id = account_tree.id
+    )
+    SELECT id FROM account_tree
+  `, [accountId, organizationId]);
+};
+
+/**
+ * Apply the search filters to a journal entry query
+ * @param {object} query - Knex query on journal_entries joined to entry_totals
+ * @param {number} organizationId - The organization ID
+ * @param {object} filters - The search filters (see searchJournalEntries)
+ * @returns {object} The query
+ */
+const applySearchFilters = (query, organizationId, filters) => {
+  const {
+    search, status, source, createdBy, startDate, endDate, fiscalPeriodId, reference,
+    minAmount, maxAmount, accountId, includeSubaccounts, dimensions
+  } = filters;
+
+  query = query.where('journal_entries.organization_id', organizationId);
+
+  if (search) {
+    const pattern = toLikePattern(search);
+    const amount = AMOUNT_TERM.test(search) ? Number(search.replace(/[$,\s]/g, '')) : null;
+
+    query = query.where(function() {
+      this.whereILike('journal_entries.entry_no', pattern)
+        .orWhereILike('journal_entries.description', pattern)
+        .orWhereILike('journal_entries.reference', pattern)
+        .orWhereExists(function() {
+          this.select(1)
+            .from('journal_entry_items')
+            .whereRaw('journal_entry_items.journal_entry_id = journal_entries.id')
+            .where(function() {
+              this.whereILike('journal_entry_items.description', pattern)
+                .orWhereILike('journal_entry_items.memo', pattern);
+
+              if (amount !== null) {
+                this.orWhere('journal_entry_items.debit_amount', amount)
+                  .orWhere('journal_entry_items.credit_amount', amount);
+              }
+            });
+        });
+
+      if (amount !== null) {
+        this.orWhereRaw(`${SORT_EXPRESSIONS.amount} = ?`, [amount]);
+      }
+    });
+  }
+
+  if (status && status.length) query = query.whereIn('journal_entries.status', status);
+  if (source && source.length) query = query.whereIn('journal_entries.source', source);
+  if (createdBy) query = query.where('journal_entries.created_by', createdBy);
+  if (startDate) query = query.where('journal_entries.entry_date', '>=', startDate);
+  if (endDate) query = query.where('journal_entries.entry_date', '<=', endDate);
+  if (fiscalPeriodId) query = query.where('journal_entries.fiscal_period_id', fiscalPeriodId);
+  if (reference) query = query.whereILike('journal_entries.reference', toLikePattern(reference));
+
+  // Amounts are entry totals in base currency
+  if (minAmount !== undefined) query = query.whereRaw(`${SORT_EXPRESSIONS.amount} >= ?`, [minAmount]);
+  if (maxAmount !== undefined) query = query.whereRaw(`${SORT_EXPRESSIONS.amount} <= ?`, [maxAmount]);
+
+  if (accountId) {
+    query = query.whereExists(function() {
+      this.select(1)
+        .from('journal_entry_items')
+        .whereRaw('journal_entry_items.journal_entry_id = journal_entries.id')
+        .whereIn('journal_entry_items.account_id', accountTreeQuery(organizationId, accountId, includeSubaccounts));
+    });
+  }
+
+  if (dimensions && Object.keys(dimensions).length) {
+    query = query.whereExists(function() {
+      applyDimensionFilter(
+        this.select(1)
+          .from('journal_entry_items')
+          .whereRaw('journal_entry_items.journal_entry_id = journal_entries.id'),
+        dimensions,
+        'journal_entry_items.dimensions'
+      );
+    });
+  }
+
+  return query;
+};
+
+/**
+ * Search the journal entries of an organization.
+ * Pages are read either by page number or, for stable deep paging, by the cursor returned with the previous page.
+ * @param {number} organizationId - The organization ID
+ * @param {object} filters - Search filters
+ * @param {string} [filters.search] - Text found in the entry number, description, reference, or a line's description or memo;
+ *   an amount such as '$4,312.17' also matches entry totals and line amounts
+ * @param {Array} [filters.status] - Entry statuses
+ * @param {Array} [filters.source] - Entry sources
+ * @param {number} [filters.createdBy] - Creator user ID
+ * @param {string} [filters.startDate] - Earliest entry date
+ * @param {string} [filters.endDate] - Latest entry date
+ * @param {number} [filters.fiscalPeriodId] - Fiscal period
+ * @param {string} [filters.reference] - Text found in the reference
+ * @param {number} [filters.minAmount] - Smallest entry total in base currency
+ * @param {number} [filters.maxAmount] - Largest entry total in base currency
+ * @param {number} [filters.accountId] - Account at least one line posts to
+ * @param {boolean} [filters.includeSubaccounts] - Also match lines on the account's descendants
+ * @param {object} [filters.dimensions] - Dimension values at least one line carries, keyed by type code
+ * @param {string} [filters.sort] - One of the SORT_EXPRESSIONS keys
+ * @param {string} [filters.order] - 'asc' or 'desc'
+ * @param {number} [filters.limit] - Page size
+ * @param {number} [filters.page] - Page number, when not paging by cursor
+ * @param {string} [filters.cursor] - Cursor from the previous page
+ * @returns {object} The journal entries of the page and pagination info with the next page's cursor
+ */
+const searchJournalEntries = async (organizationId, filters) => {
+  const { sort = 'entryDate', order = 'desc', limit = 20, page = 1, cursor } = filters;
+  const sortExpression = SORT_EXPRESSIONS[sort];
+  const direction = order === 'asc' ? 'asc' : 'desc';
+  const comparison = direction === 'asc' ? '>' : '<';
+
+  const baseQuery = () => {
+    const entryTotals = db('journal_entry_items')
+      .select('journal_entry_id')
+      .sum('base_debit_amount as amount')
+      .groupBy('journal_entry_id')
+      .as('entry_totals');
+
+    return applySearchFilters(
+      db('journal_entries').leftJoin(entryTotals, 'entry_totals.journal_entry_id', 'journal_entries.id'),
+      organizationId,
+      filters
+    );
+  };
+
+  let query = baseQuery()
+    .select(
+      'journal_entries.id',
+      'journal_entries.entry_no as entryNo',
+      'journal_entries.entry_date as entryDate',
+      'journal_entries.description',
+      'journal_entries.reference',
+      'journal_entries.status',
+      'journal_entries.source',
+      'journal_entries.currency_code as currencyCode',
+      db.raw(`${SORT_EXPRESSIONS.amount} as "totalAmount"`),
+      'journal_entries.created_by as createdBy',
+      'journal_entries.created_at as createdAt',
+      'journal_entries.posted_at as postedAt',
+      db.raw(`(${sortExpression})::text as "sortValue"`)
+    )
+    .orderByRaw(`${sortExpression} ${direction}, "journal_entries"."id" ${direction}`)
+    .limit(limit + 1); // One extra row tells whether there is a next page
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    query = query.whereRaw(
+      `(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND "journal_entries"."id" ${comparison} ?))`,
+      [position.sortValue, position.sortValue, position.id]
+    );
+  } else {
+    query = query.offset((page - 1) * limit);
+  }
+
+  const [rows, [{ count }]] = await Promise.all([
+    query,
+    baseQuery().count('journal_entries.id as count')
+  ]);
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const lastRow = pageRows[pageRows.length - 1];
+
+  return {
+    journalEntries: pageRows.map(({ sortValue, ...entry }) => ({
+      ...entry,
+      totalAmount: parseFloat(entry.totalAmount)
+    })),
+    pagination: {
+      total: parseInt(count),
+      page: cursor ? null : page,
+      limit,
+      pages: Math.ceil(count / limit),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ sortValue: lastRow.sortValue, id: lastRow.id }) : null
+    }
+  };
+};
+
+module.exports = {
+  SORT_EXPRESSIONS,
+  searchJournalEntries
+};
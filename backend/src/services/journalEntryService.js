@@ -0,0 +1,911 @@
+// Journal entry validation, ledger posting and reversal helpers
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+const { findOpenFiscalPeriodFrom } = require('./fiscalPeriodService');
+const { allocateEntryNo } = require('./entrySequenceService');
+const { findExchangeRate } = require('./exchangeRateService');
+const { getOrganizationSettings } = require('./organizationSettingsService');
+const { validateLineDimensions } = require('./dimensionService');
+const { postToLedger } = require('./postingService');
+const { checkDuplicates } = require('./duplicateDetectionService');
+
+/**
+ * Validate the fiscal period, currencies, exchange rates, accounts and balance of a journal entry
+ * @param {number} organizationId - The organization ID
+ * @param {object} entry - The entry being created or edited
+ * @param {number} entry.fiscalPeriodId - Fiscal period of the entry
+ * @param {string|Date} entry.entryDate - Date of the entry, used to look up missing exchange rates
+ * @param {string} entry.currencyCode - Transaction currency of the entry
+ * @param {number} [entry.exchangeRate] - Rate converting the transaction currency to base currency
+ * @param {Array} entry.items - Lines with accountId, debitAmount, creditAmount and optionally currencyCode and exchangeRate
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with code and message, or null if the entry is valid
+ */
+const validateJournalEntry = async (organizationId, { fiscalPeriodId, entryDate, currencyCode, exchangeRate, items }, trx = db) => {
+  // Check if fiscal period exists and belongs to this organization
+  const fiscalPeriod = await trx('fiscal_periods')
+    .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+    .where({
+      'fiscal_periods.id': fiscalPeriodId,
+      'fiscal_years.organization_id': organizationId
+    })
+    .select('fiscal_periods.id', 'fiscal_periods.is_closed')
+    .first();
+
+  if (!fiscalPeriod) {
+    return {
+      code: 'INVALID_FISCAL_PERIOD',
+      message: 'The specified fiscal period does not exist or does not belong to this organization'
+    };
+  }
+
+  // Check if fiscal period is closed
+  if (fiscalPeriod.is_closed) {
+    return {
+      code: 'FISCAL_PERIOD_CLOSED',
+      message: 'Cannot record journal entries in a closed fiscal period'
+    };
+  }
+
+  const linesError = await validateJournalEntryLines(organizationId, { currencyCode, items }, trx);
+  if (linesError) {
+    return linesError;
+  }
+
+  // Lines must convert to a balanced entry in base currency
+  const { error } = await convertJournalEntryLines(organizationId, { entryDate, currencyCode, exchangeRate, items }, trx);
+  return error || null;
+};
+
+/**
+ * Validate the currencies, accounts, dimensions and balance of a set of journal entry lines.
+ * Lines in other currencies than the entry can only be balanced once converted to base currency.
+ * @param {number} organizationId - The organization ID
+ * @param {object} entry - The entry or template being validated
+ * @param {string} entry.currencyCode - Transaction currency of the lines
+ * @param {Array} entry.items - Lines with accountId, debitAmount, creditAmount and optionally currencyCode and dimensions
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with code and message, or null if the lines are valid
+ */
+const validateJournalEntryLines = async (organizationId, { currencyCode, items }, trx = db) => {
+  // Check if the entry currency and every line currency exist
+  const currencyCodes = [...new Set([currencyCode, ...items.map(item => item.currencyCode || currencyCode)])];
+  const currencies = await trx('currencies')
+    .whereIn('code', currencyCodes)
+    .select('code');
+
+  if (currencies.length !== currencyCodes.length) {
+    return {
+      code: 'INVALID_CURRENCY',
+      message: 'The specified currency does not exist'
+    };
+  }
+
+  // Validate accounts (the same account may appear on several lines)
+  const accountIds = [...new Set(items.map(item => item.accountId))];
+  const accounts = await trx('accounts')
+    .whereIn('id', accountIds)
+    .where('organization_id', organizationId)
+    .select('id', 'name', 'is_active');
+
+  // Check if all accounts exist and belong to this organization
+  if (accounts.length !== accountIds.length) {
+    return {
+      code: 'INVALID_ACCOUNTS',
+      message: 'One or more specified accounts do not exist or do not belong to this organization'
+    };
+  }
+
+  // Check if all accounts are active
+  const inactiveAccounts = accounts.filter(account => !account.is_active);
+  if (inactiveAccounts.length > 0) {
+    return {
+      code: 'INACTIVE_ACCOUNTS',
+      message: `Cannot use inactive accounts: ${inactiveAccounts.map(a => a.name).join(', ')}`
+    };
+  }
+
+  // Check dimension values and the dimensions each account requires
+  const dimensionError = await validateLineDimensions(organizationId, items, trx);
+  if (dimensionError) {
+    return dimensionError;
+  }
+
+  if (currencyCodes.length > 1) {
+    return null;
+  }
+
+  // Check if journal entry balances (total debits = total credits)
+  const totalDebits = items.reduce((sum, item) => sum + parseFloat(item.debitAmount || 0), 0);
+  const totalCredits = items.reduce((sum, item) => sum + parseFloat(item.creditAmount || 0), 0);
+
+  // Allow for small rounding differences (0.01)
+  if (Math.abs(totalDebits - totalCredits) > 0.01) {
+    return {
+      code: 'UNBALANCED_ENTRY',
+      message: 'Journal entry must balance (total debits must equal total credits)',
+      details: {
+        totalDebits,
+        totalCredits,
+        difference: totalDebits - totalCredits
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Convert journal entry lines to base currency.
+ * Each line is in its own currency (the entry currency by default) at its own rate; rates that
+ * are not given are looked up for the entry date. Base amounts are rounded to the base currency's
+ * decimals, and a difference within the organization's rounding tolerance is booked to its
+ * rounding account so the entry balances in base currency.
+ * @param {number} organizationId - The organization ID
+ * @param {object} entry - The entry being converted
+ * @param {string|Date} entry.entryDate - Date the exchange rates must be effective on
+ * @param {string} entry.currencyCode - Transaction currency of the entry
+ * @param {number} [entry.exchangeRate] - Rate converting the transaction currency to base currency
+ * @param {Array} entry.items - Lines with debitAmount, creditAmount and optionally currencyCode, exchangeRate,
+ *   and baseDebitAmount and baseCreditAmount to use instead of converting
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} { exchangeRate, items } with base amounts and any rounding line, or { error }
+ */
+const convertJournalEntryLines = async (organizationId, { entryDate, currencyCode, exchangeRate, items }, trx = db) => {
+  const organization = await trx('organizations')
+    .where('id', organizationId)
+    .select('base_currency')
+    .first();
+  const baseCurrency = organization.base_currency;
+
+  const currency = await trx('currencies')
+    .where({ code: baseCurrency })
+    .first();
+  const factor = Math.pow(10, currency ? currency.decimal_places : 2);
+  const round = value => Math.round(value * factor) / factor;
+  // Rates are stored with six decimals, so base amounts are computed from the stored rate
+  const roundRate = value => Math.round(value * 1000000) / 1000000;
+
+  const rates = new Map();
+  const resolveRate = async (fromCurrency) => {
+    if (!rates.has(fromCurrency)) {
+      const found = await findExchangeRate(organizationId, fromCurrency, baseCurrency, entryDate, trx);
+      rates.set(fromCurrency, found ? roundRate(found.rate) : null);
+    }
+
+    return rates.get(fromCurrency);
+  };
+
+  const noRateError = (fromCurrency) => ({
+    error: {
+      code: 'EXCHANGE_RATE_NOT_FOUND',
+      message: `No exchange rate from ${fromCurrency} to ${baseCurrency} is effective on ${toDateString(entryDate)}`,
+      details: {
+        fromCurrency,
+        toCurrency: baseCurrency,
+        date: toDateString(entryDate)
+      }
+    }
+  });
+
+  const entryRate = exchangeRate ? parseFloat(exchangeRate) : await resolveRate(currencyCode);
+  if (!entryRate) {
+    return noRateError(currencyCode);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const lineCurrency = item.currencyCode || currencyCode;
+    let lineRate = item.exchangeRate ? parseFloat(item.exchangeRate) : null;
+
+    if (!lineRate) {
+      lineRate = lineCurrency === currencyCode ? entryRate : await resolveRate(lineCurrency);
+    }
+
+    if (!lineRate) {
+      return noRateError(lineCurrency);
+    }
+
+    // System adjustments such as revaluations move only the base amount and give it directly
+    const hasBaseAmounts = item.baseDebitAmount !== undefined || item.baseCreditAmount !== undefined;
+
+    lines.push({
+      ...item,
+      currencyCode: lineCurrency,
+      exchangeRate: lineRate,
+      baseDebitAmount: round(hasBaseAmounts ? parseFloat(item.baseDebitAmount || 0) : parseFloat(item.debitAmount || 0) * lineRate),
+      baseCreditAmount: round(hasBaseAmounts ? parseFloat(item.baseCreditAmount || 0) : parseFloat(item.creditAmount || 0) * lineRate)
+    });
+  }
+
+  const totalDebits = round(lines.reduce((sum, line) => sum + line.baseDebitAmount, 0));
+  const totalCredits = round(lines.reduce((sum, line) => sum + line.baseCreditAmount, 0));
+  const difference = round(totalDebits - totalCredits);
+
+  if (difference === 0) {
+    return { exchangeRate: entryRate, items: lines };
+  }
+
+  const settings = await getOrganizationSettings(organizationId, trx);
+
+  if (Math.abs(difference) > settings.roundingTolerance) {
+    return {
+      error: {
+        code: 'UNBALANCED_ENTRY',
+        message: `Journal entry must balance in base currency (${baseCurrency})`,
+        details: {
+          baseCurrency,
+          totalDebits,
+          totalCredits,
+          difference
+        }
+      }
+    };
+  }
+
+  const roundingAccount = settings.roundingAccountId && await trx('accounts')
+    .where({
+      id: settings.roundingAccountId,
+      organization_id: organizationId,
+      is_active: true
+    })
+    .first();
+
+  if (!roundingAccount) {
+    return {
+      error: {
+        code: 'ROUNDING_ACCOUNT_NOT_CONFIGURED',
+        message: `The entry is off by ${Math.abs(difference)} ${baseCurrency} after conversion and the organization has no active rounding account`,
+        details: {
+          baseCurrency,
+          difference
+        }
+      }
+    };
+  }
+
+  // The rounding line is in base currency, on whichever side brings the entry into balance
+  const roundingAmount = Math.abs(difference);
+  lines.push({
+    accountId: roundingAccount.id,
+    description: 'Currency rounding',
+    currencyCode: baseCurrency,
+    exchangeRate: 1,
+    debitAmount: difference < 0 ? roundingAmount : 0,
+    creditAmount: difference > 0 ? roundingAmount : 0,
+    baseDebitAmount: difference < 0 ? roundingAmount : 0,
+    baseCreditAmount: difference > 0 ? roundingAmount : 0,
+    isRounding: true
+  });
+
+  return { exchangeRate: entryRate, items: lines };
+};
+
+/**
+ * Record a journal entry status transition in the status history
+ * @param {object} trx - Knex transaction object
+ * @param {number} journalEntryId - The journal entry ID
+ * @param {string|null} fromStatus - Status before the transition (null on creation)
+ * @param {string} toStatus - Status after the transition
+ * @param {number} userId - The user making the transition
+ * @param {string} [comment] - Reason or note for the transition
+ */
+const recordStatusChange = async (trx, journalEntryId, fromStatus, toStatus, userId, comment = null) => {
+  await trx('journal_entry_status_history').insert({
+    journal_entry_id: journalEntryId,
+    from_status: fromStatus,
+    to_status: toStatus,
+    user_id: userId,
+    comment,
+    created_at: new Date()
+  });
+};
+
+/**
+ * Get the amount of a journal entry in base currency (its total debits)
+ * @param {number} journalEntryId - The journal entry ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {number} The entry amount
+ */
+const getEntryAmount = async (journalEntryId, trx = db) => {
+  const [{ amount }] = await trx('journal_entry_items')
+    .where('journal_entry_id', journalEntryId)
+    .sum('base_debit_amount as amount');
+
+  return parseFloat(amount || 0);
+};
+
+/**
+ * Check segregation of duties and the approver's amount limit for a journal entry
+ * @param {object} journalEntry - The journal_entries row being approved
+ * @param {object} approver - The approving user's membership of the organization
+ * @param {number} approver.id - The approving user ID
+ * @param {string} approver.role - The approving user's role name
+ * @param {object} settings - The organization settings
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with code and message, or null if the user may approve
+ */
+const getApprovalError = async (journalEntry, approver, settings, trx = db) => {
+  if (settings.preventSelfApproval && journalEntry.created_by === approver.id) {
+    return {
+      code: 'SELF_APPROVAL_FORBIDDEN',
+      message: 'The creator of a journal entry cannot approve it'
+    };
+  }
+
+  const limit = settings.approvalLimits[approver.role];
+  if (limit !== undefined && limit !== null) {
+    const amount = await getEntryAmount(journalEntry.id, trx);
+
+    if (amount > limit) {
+      return {
+        code: 'APPROVAL_LIMIT_EXCEEDED',
+        message: `The ${approver.role} role may only approve journal entries up to ${limit}`,
+        details: {
+          amount,
+          limit
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a journal entry can be posted: its status, the approval workflow,
+ * its fiscal period, its balance and, when the organization blocks them, duplicates
+ * @param {object} journalEntry - The journal_entries row to post
+ * @param {object} context - What the checks need, loaded by the caller
+ * @param {Array} context.items - The entry's journal_entry_items rows
+ * @param {object} context.fiscalPeriod - The entry's fiscal_periods row
+ * @param {object} context.settings - The organization settings
+ * @param {object} context.poster - The posting user's id and role in the organization
+ * @param {boolean} [context.withOriginator] - The entry is an intercompany mirror posted along with its originating entry
+ * @param {number} [context.recurringEntryId] - The recurring schedule that generated the entry, before its run is recorded
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with statusCode, code and message, or null if the entry can be posted
+ */
+const getPostingError = async (journalEntry, {
+  items, fiscalPeriod, settings, poster, withOriginator = false, recurringEntryId
+}, trx = db) => {
+  if (journalEntry.status === 'posted') {
+    return {
+      statusCode: 400,
+      code: 'ALREADY_POSTED',
+      message: 'Journal entry is already posted'
+    };
+  }
+
+  if (journalEntry.status === 'voided') {
+    return {
+      statusCode: 400,
+      code: 'ENTRY_VOIDED',
+      message: 'Cannot post a voided journal entry'
+    };
+  }
+
+  if (journalEntry.intercompany_role === 'mirror' && !withOriginator) {
+    return {
+      statusCode: 400,
+      code: 'INTERCOMPANY_MIRROR',
+      message: 'This entry mirrors an intercompany entry of another organization and is posted together with it'
+    };
+  }
+
+  if (settings.requireApproval && journalEntry.status !== 'approved') {
+    return {
+      statusCode: 400,
+      code: 'APPROVAL_REQUIRED',
+      message: 'Journal entry must be submitted and approved before it can be posted'
+    };
+  }
+
+  // Without a prior approval, posting the entry is its approval
+  if (journalEntry.status !== 'approved') {
+    const approvalError = await getApprovalError(journalEntry, poster, settings, trx);
+    if (approvalError) {
+      return { statusCode: 403, ...approvalError };
+    }
+  }
+
+  if (fiscalPeriod.is_closed) {
+    return {
+      statusCode: 400,
+      code: 'FISCAL_PERIOD_CLOSED',
+      message: 'Cannot post journal entries to a closed fiscal period'
+    };
+  }
+
+  // Lines may be in different currencies, so the entry must balance in base currency
+  const totalDebits = items.reduce((sum, item) => sum + parseFloat(item.base_debit_amount || 0), 0);
+  const totalCredits = items.reduce((sum, item) => sum + parseFloat(item.base_credit_amount || 0), 0);
+
+  // Allow for small rounding differences (0.01)
+  if (Math.abs(totalDebits - totalCredits) > 0.01) {
+    return {
+      statusCode: 400,
+      code: 'UNBALANCED_ENTRY',
+      message: 'Journal entry must balance (total debits must equal total credits)',
+      details: {
+        totalDebits,
+        totalCredits,
+        difference: totalDebits - totalCredits
+      }
+    };
+  }
+
+  // Generated entries (reversals, allocations, revaluations) are expected to repeat
+  if (settings.duplicateDetection === 'block' && journalEntry.source !== 'system') {
+    const duplicateCheck = await checkDuplicates(journalEntry.organization_id, {
+      id: journalEntry.id,
+      entryDate: journalEntry.entry_date,
+      reference: journalEntry.reference,
+      items,
+      recurringEntryId
+    }, settings, trx);
+
+    if (duplicateCheck) {
+      return {
+        statusCode: 409,
+        code: 'DUPLICATE_ENTRY',
+        message: duplicateCheck.warning.message,
+        details: { duplicates: duplicateCheck.warning.duplicates }
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Map converted journal entry lines to journal_entry_items rows
+ * @param {number} journalEntryId - The journal entry the lines belong to
+ * @param {Array} items - Lines as returned by convertJournalEntryLines
+ * @returns {Array} Rows ready to insert into journal_entry_items
+ */
+const buildItemRows = (journalEntryId, items) => {
+  return items.map(item => ({
+    journal_entry_id: journalEntryId,
+    account_id: item.accountId,
+    description: item.description,
+    currency_code: item.currencyCode,
+    exchange_rate: item.exchangeRate,
+    debit_amount: item.debitAmount || 0,
+    credit_amount: item.creditAmount || 0,
+    base_debit_amount: item.baseDebitAmount,
+    base_credit_amount: item.baseCreditAmount,
+    is_rounding: Boolean(item.isRounding),
+    memo: item.memo,
+    dimensions: item.dimensions ? JSON.stringify(item.dimensions) : null,
+    created_at: new Date()
+  }));
+};
+
+/**
+ * Insert a journal entry and its lines
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} entry - The validated entry
+ * @param {string|Date} entry.entryDate - Date of the entry
+ * @param {number} entry.fiscalPeriodId - Fiscal period of the entry
+ * @param {string} [entry.description] - Description of the entry
+ * @param {string} [entry.reference] - External reference of the entry
+ * @param {string} [entry.source] - Origin of the entry ('manual', 'import', 'recurring', 'system')
+ * @param {string} entry.currencyCode - Transaction currency of the entry
+ * @param {number} [entry.exchangeRate] - Rate converting the transaction currency to base currency (looked up when omitted)
+ * @param {string|Date} [entry.autoReverseOn] - Date to reverse the entry on once it is posted
+ * @param {boolean} [entry.autoReversePost] - Post the automatic reversal instead of leaving it as a draft
+ * @param {number} [entry.importBatchId] - Import batch the entry was created by
+ * @param {number} [entry.templateId] - Template the entry was started from
+ * @param {number} [entry.counterpartyOrganizationId] - Other organization of an intercompany entry
+ * @param {string} [entry.intercompanyRole] - 'originator' or 'mirror' for intercompany entries
+ * @param {Array} entry.items - Lines with accountId, description, debitAmount, creditAmount, memo, dimensions
+ *   and optionally their own currencyCode and exchangeRate
+ * @param {number} entry.userId - The user creating the entry
+ * @returns {object} The inserted draft journal_entries row
+ */
+const createJournalEntry = async (trx, organizationId, entry) => {
+  const {
+    entryDate, fiscalPeriodId, description, reference, source = 'manual',
+    currencyCode, exchangeRate, autoReverseOn, autoReversePost = false, importBatchId, templateId,
+    counterpartyOrganizationId, intercompanyRole, items, userId
+  } = entry;
+
+  // Callers validate first, so a conversion error here means the rates changed in between
+  const converted = await convertJournalEntryLines(organizationId, { entryDate, currencyCode, exchangeRate, items }, trx);
+  if (converted.error) {
+    throw new ApiError(400, converted.error.code, converted.error.message, converted.error.details);
+  }
+
+  const { entryNo, sequenceCounterId, sequenceNumber } = await allocateEntryNo(trx, organizationId, { source, fiscalPeriodId });
+
+  const [journalEntry] = await trx('journal_entries').insert({
+    organization_id: organizationId,
+    entry_no: entryNo,
+    sequence_counter_id: sequenceCounterId,
+    sequence_number: sequenceNumber,
+    entry_date: entryDate,
+    fiscal_period_id: fiscalPeriodId,
+    description,
+    reference,
+    source,
+    status: 'draft',
+    currency_code: currencyCode,
+    exchange_rate: converted.exchangeRate,
+    auto_reverse_on: autoReverseOn || null,
+    auto_reverse_post: autoReverseOn ? autoReversePost : false,
+    import_batch_id: importBatchId || null,
+    template_id: templateId || null,
+    counterparty_organization_id: counterpartyOrganizationId || null,
+    intercompany_role: intercompanyRole || null,
+    created_by: userId,
+    created_at: new Date(),
+    updated_at: new Date()
+  }).returning('*');
+
+  await trx('journal_entry_items').insert(buildItemRows(journalEntry.id, converted.items));
+
+  await recordStatusChange(trx, journalEntry.id, null, 'draft', userId);
+
+  return journalEntry;
+};
+
+/**
+ * Mark a validated draft journal entry as posted and write it to the ledger.
+ * Entries with an auto-reverse date get their reversing entry created in the
+ * first open fiscal period on or after that date, and the originating side of an
+ * intercompany entry posts its mirror in the counterparty organization.
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The journal_entries row to post
+ * @param {number} userId - The user posting the entry
+ * @returns {object} The posted journal_entries row
+ */
+const postJournalEntry = async (trx, journalEntry, userId) => {
+  const journalEntryItems = await trx('journal_entry_items')
+    .where('journal_entry_id', journalEntry.id)
+    .orderBy('id', 'asc')
+    .select('*');
+
+  // Entries that went through the approval workflow keep their approver
+  const [postedEntry] = await trx('journal_entries')
+    .where('id', journalEntry.id)
+    .update({
+      status: 'posted',
+      posted_at: new Date(),
+      approved_by: journalEntry.approved_by || userId,
+      updated_at: new Date()
+    })
+    .returning('*');
+
+  await recordStatusChange(trx, journalEntry.id, journalEntry.status, 'posted', userId);
+
+  // Write general ledger rows and update account balances
+  await postToLedger(trx, postedEntry, journalEntryItems);
+
+  if (postedEntry.auto_reverse_on) {
+    await createAutoReversal(trx, postedEntry, userId);
+  }
+
+  if (postedEntry.intercompany_role === 'originator') {
+    await postIntercompanyMirror(trx, postedEntry, userId);
+  }
+
+  return postedEntry;
+};
+
+/**
+ * Post the mirrored side of an intercompany entry in the counterparty organization.
+ * The poster must be a member of the counterparty allowed to post there, and the mirror
+ * goes through the counterparty's own posting checks (approval workflow, limits, period, duplicates).
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The posted originating journal_entries row
+ * @param {number} userId - The user posting the entry
+ * @returns {object} The posted mirror journal_entries row
+ */
+const postIntercompanyMirror = async (trx, journalEntry, userId) => {
+  const mirrorEntry = await trx('journal_entries')
+    .where('id', journalEntry.intercompany_entry_id)
+    .forUpdate()
+    .first();
+
+  if (mirrorEntry.status === 'posted') {
+    return mirrorEntry;
+  }
+
+  if (mirrorEntry.status === 'voided') {
+    throw new ApiError(400, 'INTERCOMPANY_MIRROR_VOIDED', `The counterparty side ${mirrorEntry.entry_no} of ${journalEntry.entry_no} is voided`);
+  }
+
+  const membership = await trx('user_organizations')
+    .join('roles', 'user_organizations.role_id', 'roles.id')
+    .where({
+      'user_organizations.user_id': userId,
+      'user_organizations.organization_id': mirrorEntry.organization_id
+    })
+    .select('roles.name as role', 'roles.permissions')
+    .first();
+
+  const permissions = membership && membership.permissions ? JSON.parse(membership.permissions) : [];
+  if (!permissions.includes('journal_entries:post') && !permissions.includes('admin')) {
+    throw new ApiError(403, 'COUNTERPARTY_FORBIDDEN', `You do not have permission to post the counterparty side ${mirrorEntry.entry_no} of ${journalEntry.entry_no}`, {
+      organizationId: mirrorEntry.organization_id
+    });
+  }
+
+  const postingError = await getPostingError(mirrorEntry, {
+    items: await trx('journal_entry_items').where('journal_entry_id', mirrorEntry.id).select('*'),
+    fiscalPeriod: await trx('fiscal_periods').where('id', mirrorEntry.fiscal_period_id).forShare().first(),
+    settings: await getOrganizationSettings(mirrorEntry.organization_id, trx),
+    poster: { id: userId, role: membership.role },
+    withOriginator: true
+  }, trx);
+
+  if (postingError) {
+    throw new ApiError(postingError.statusCode, postingError.code, `Cannot post the counterparty side ${mirrorEntry.entry_no} of ${journalEntry.entry_no}: ${postingError.message}`, {
+      organizationId: mirrorEntry.organization_id,
+      journalEntryId: mirrorEntry.id,
+      ...postingError.details
+    });
+  }
+
+  return postJournalEntry(trx, mirrorEntry, userId);
+};
+
+/**
+ * Create the automatic reversal of a posted accrual entry
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The posted journal_entries row with auto_reverse_on set
+ * @param {number} userId - The user posting the original entry
+ * @returns {object} The reversing journal_entries row
+ */
+const createAutoReversal = async (trx, journalEntry, userId) => {
+  const reverseOn = toDateString(journalEntry.auto_reverse_on);
+
+  // Date the reversal on the requested day, or the start of the next open period if that one is closed
+  const fiscalPeriod = await findOpenFiscalPeriodFrom(journalEntry.organization_id, reverseOn, trx);
+  if (!fiscalPeriod) {
+    throw new ApiError(400, 'NO_OPEN_FISCAL_PERIOD', `No open fiscal period on or after ${reverseOn} to auto-reverse ${journalEntry.entry_no} into`);
+  }
+
+  const periodStart = toDateString(fiscalPeriod.start_date);
+
+  return createReversal(trx, journalEntry, {
+    entryDate: reverseOn > periodStart ? reverseOn : periodStart,
+    fiscalPeriodId: fiscalPeriod.id,
+    description: `Auto-reversal of ${journalEntry.entry_no}`,
+    userId,
+    post: journalEntry.auto_reverse_post
+  });
+};
+
+/**
+ * Create a mirror entry that reverses a posted journal entry.
+ * Debits and credits of every line are swapped, so posting the mirror
+ * writes offsetting general ledger rows and unwinds the account balances.
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The posted journal_entries row to reverse
+ * @param {object} options - Reversal options
+ * @param {string|Date} options.entryDate - Date of the reversing entry
+ * @param {number} options.fiscalPeriodId - Open fiscal period of the reversing entry
+ * @param {string} [options.description] - Description of the reversing entry
+ * @param {number} options.userId - The user performing the reversal
+ * @param {boolean} [options.post] - Post the reversing entry (true) or leave it as a draft
+ * @returns {object} The reversing journal_entries row
+ */
+const createReversal = async (trx, journalEntry, { entryDate, fiscalPeriodId, description, userId, post = true }) => {
+  const originalItems = await trx('journal_entry_items')
+    .where('journal_entry_id', journalEntry.id)
+    .orderBy('id', 'asc')
+    .select('*');
+
+  const { entryNo, sequenceCounterId, sequenceNumber } = await allocateEntryNo(trx, journalEntry.organization_id, {
+    source: 'system',
+    fiscalPeriodId
+  });
+
+  const [reversalEntry] = await trx('journal_entries').insert({
+    organization_id: journalEntry.organization_id,
+    entry_no: entryNo,
+    sequence_counter_id: sequenceCounterId,
+    sequence_number: sequenceNumber,
+    entry_date: entryDate,
+    fiscal_period_id: fiscalPeriodId,
+    description: description || `Reversal of ${journalEntry.entry_no}`,
+    reference: journalEntry.reference,
+    source: 'system',
+    status: post ? 'posted' : 'draft',
+    currency_code: journalEntry.currency_code,
+    exchange_rate: journalEntry.exchange_rate,
+    reversal_of_id: journalEntry.id,
+    created_by: userId,
+    approved_by: post ? userId : null,
+    created_at: new Date(),
+    updated_at: new Date(),
+    posted_at: post ? new Date() : null
+  }).returning('*');
+
+  const reversalItems = await trx('journal_entry_items').insert(originalItems.map(item => ({
+    journal_entry_id: reversalEntry.id,
+    account_id: item.account_id,
+    description: item.description,
+    currency_code: item.currency_code,
+    exchange_rate: item.exchange_rate,
+    debit_amount: item.credit_amount,
+    credit_amount: item.debit_amount,
+    base_debit_amount: item.base_credit_amount,
+    base_credit_amount: item.base_debit_amount,
+    is_rounding: item.is_rounding,
+    memo: item.memo,
+    dimensions: item.dimensions ? JSON.stringify(item.dimensions) : null,
+    created_at: new Date()
+  }))).returning('*');
+
+  await recordStatusChange(trx, reversalEntry.id, null, reversalEntry.status, userId, `Reversal of ${journalEntry.entry_no}`);
+
+  if (post) {
+    await postToLedger(trx, reversalEntry, reversalItems);
+  }
+
+  return reversalEntry;
+};
+
+/**
+ * Get a journal entry with its lines in the shape returned after create and update
+ * @param {number} journalEntryId - The journal entry ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} The journal entry with its items
+ */
+const getJournalEntrySummary = async (journalEntryId, trx = db) => {
+  const journalEntry = await trx('journal_entries')
+    .where({ id: journalEntryId })
+    .select(
+      'id',
+      'entry_no as entryNo',
+      'entry_date as entryDate',
+      'fiscal_period_id as fiscalPeriodId',
+      'description',
+      'reference',
+      'status',
+      'currency_code as currencyCode',
+      'exchange_rate as exchangeRate',
+      'auto_reverse_on as autoReverseOn',
+      'auto_reverse_post as autoReversePost',
+      'counterparty_organization_id as counterpartyOrganizationId',
+      'intercompany_entry_id as intercompanyEntryId',
+      'intercompany_role as intercompanyRole',
+      'created_at as createdAt',
+      'updated_at as updatedAt'
+    )
+    .first();
+
+  const journalEntryItems = await trx('journal_entry_items')
+    .join('accounts', 'journal_entry_items.account_id', 'accounts.id')
+    .where('journal_entry_id', journalEntryId)
+    .orderBy('journal_entry_items.id', 'asc')
+    .select(
+      'journal_entry_items.id',
+      'journal_entry_items.account_id as accountId',
+      'accounts.code as accountCode',
+      'accounts.name as accountName',
+      'journal_entry_items.description',
+      'journal_entry_items.currency_code as currencyCode',
+      'journal_entry_items.exchange_rate as exchangeRate',
+      'journal_entry_items.debit_amount as debitAmount',
+      'journal_entry_items.credit_amount as creditAmount',
+      'journal_entry_items.base_debit_amount as baseDebitAmount',
+      'journal_entry_items.base_credit_amount as baseCreditAmount',
+      'journal_entry_items.is_rounding as isRounding',
+      'journal_entry_items.memo',
+      'journal_entry_items.dimensions'
+    );
+
+  // Parse dimensions if present
+  journalEntryItems.forEach(item => {
+    if (typeof item.dimensions === 'string') {
+      item.dimensions = JSON.parse(item.dimensions);
+    }
+  });
+
+  journalEntry.items = journalEntryItems;
+
+  return journalEntry;
+};
+
+/**
+ * Void a journal entry. Posted entries are unwound by a reversing entry dated on
+ * the original date; entries that never reached the ledger are simply marked as voided.
+ * An automatic reversal of the entry that is not posted yet is voided with it, and
+ * voiding the originating side of an intercompany entry also voids its mirror.
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The locked journal_entries row to void
+ * @param {object} options - Void options
+ * @param {string} [options.reason] - Reason for voiding the entry
+ * @param {number} options.userId - The user voiding the entry
+ * @param {boolean} [options.withOriginator] - Set when voiding a mirror together with its originating entry
+ * @returns {object|null} The reversing journal_entries row, or null for entries that were never posted
+ */
+const voidJournalEntry = async (trx, journalEntry, { reason, userId, withOriginator = false }) => {
+  if (journalEntry.intercompany_role === 'mirror' && !withOriginator) {
+    throw new ApiError(400, 'INTERCOMPANY_MIRROR', `${journalEntry.entry_no} mirrors an intercompany entry of another organization; void the originating entry instead`);
+  }
+
+  // A pending automatic reversal must not post once the entry it reverses is voided
+  const pendingReversals = await trx('journal_entries')
+    .where('reversal_of_id', journalEntry.id)
+    .whereIn('status', ['draft', 'submitted', 'approved'])
+    .forUpdate();
+
+  for (const pendingReversal of pendingReversals) {
+    await voidJournalEntry(trx, pendingReversal, {
+      reason: reason || `Void of ${journalEntry.entry_no}`,
+      userId
+    });
+  }
+
+  let reversalEntry = null;
+
+  if (journalEntry.status === 'posted') {
+    const fiscalPeriod = await trx('fiscal_periods')
+      .where('id', journalEntry.fiscal_period_id)
+      .forShare()
+      .first();
+
+    if (fiscalPeriod.is_closed) {
+      throw new ApiError(400, 'FISCAL_PERIOD_CLOSED', `Cannot void ${journalEntry.entry_no} in a closed fiscal period; reverse it into an open period instead`);
+    }
+
+    reversalEntry = await createReversal(trx, journalEntry, {
+      entryDate: journalEntry.entry_date,
+      fiscalPeriodId: journalEntry.fiscal_period_id,
+      description: `Void of ${journalEntry.entry_no}${reason ? `: ${reason}` : ''}`,
+      userId
+    });
+  }
+
+  await trx('journal_entries')
+    .where('id', journalEntry.id)
+    .update({
+      status: 'voided',
+      voided_at: new Date(),
+      voided_by: userId,
+      void_reason: reason,
+      updated_at: new Date()
+    });
+
+  await recordStatusChange(trx, journalEntry.id, journalEntry.status, 'voided', userId, reason);
+
+  if (journalEntry.intercompany_role === 'originator') {
+    const mirrorEntry = await trx('journal_entries')
+      .where('id', journalEntry.intercompany_entry_id)
+      .forUpdate()
+      .first();
+
+    if (mirrorEntry.status !== 'voided') {
+      await voidJournalEntry(trx, mirrorEntry, {
+        reason: reason || `Void of intercompany entry ${journalEntry.entry_no}`,
+        userId,
+        withOriginator: true
+      });
+    }
+  }
+
+  return reversalEntry;
+};
+
+module.exports = {
+  validateJournalEntry,
+  validateJournalEntryLines,
+  convertJournalEntryLines,
+  recordStatusChange,
+  getEntryAmount,
+  getApprovalError,
+  getPostingError,
+  buildItemRows,
+  createJournalEntry,
+  postJournalEntry,
+  createReversal,
+  voidJournalEntry,
+  getJournalEntrySummary
+};
@@ -0,0 +1,352 @@
+// Memorized journal entry templates
+const db = require('../db');
+const { findFiscalPeriodForDate } = require('./fiscalPeriodService');
+const { validateJournalEntry, createJournalEntry } = require('./journalEntryService');
+const { validateLineDimensions } = require('./dimensionService');
+
+/**
+ * Map a journal_entry_templates row to its API shape
+ * @param {object} template - The journal_entry_templates row
+ * @returns {object} The template
+ */
+const formatTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  reference: template.reference,
+  currencyCode: template.currency_code,
+  createdBy: template.created_by,
+  createdAt: template.created_at,
+  updatedAt: template.updated_at
+});
+
+/**
+ * Get a template with its lines
+ * @param {number} organizationId - The organization ID
+ * @param {number} templateId - The template ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} The template, or null if it does not exist in the organization
+ */
+const getTemplateDetail = async (organizationId, templateId, trx = db) => {
+  const template = await trx('journal_entry_templates')
+    .where({
+      id: templateId,
+      organization_id: organizationId
+    })
+    .first();
+
+  if (!template) {
+    return null;
+  }
+
+  const items = await trx('journal_entry_template_items')
+    .join('accounts', 'journal_entry_template_items.account_id', 'accounts.id')
+    .where('journal_entry_template_items.template_id', template.id)
+    .orderBy('journal_entry_template_items.sort_order', 'asc')
+    .select(
+      'journal_entry_template_items.id',
+      'journal_entry_template_items.account_id as accountId',
+      'accounts.code as accountCode',
+      'accounts.name as accountName',
+      'journal_entry_template_items.side',
+      'journal_entry_template_items.amount',
+      'journal_entry_template_items.percentage',
+      'journal_entry_template_items.description',
+      'journal_entry_template_items.memo',
+      'journal_entry_template_items.dimensions',
+      'journal_entry_template_items.currency_code as currencyCode',
+      'journal_entry_template_items.exchange_rate as exchangeRate'
+    );
+
+  return {
+    ...formatTemplate(template),
+    items: items.map(item => ({
+      ...item,
+      amount: item.amount === null ? null : parseFloat(item.amount),
+      percentage: item.percentage === null ? null : parseFloat(item.percentage),
+      exchangeRate: item.exchangeRate === null ? null : parseFloat(item.exchangeRate)
+    }))
+  };
+};
+
+/**
+ * Check that template lines use valid accounts and dimensions and can produce a balanced entry
+ * @param {number} organizationId - The organization ID
+ * @param {Array} items - Lines with accountId, side, amount, percentage, dimensions and optionally currencyCode
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object|null} An error payload with code and message, or null if the lines are valid
+ */
+const validateTemplateItems = async (organizationId, items, trx = db) => {
+  // Check if every line currency exists
+  const currencyCodes = [...new Set(items.map(item => item.currencyCode).filter(Boolean))];
+  if (currencyCodes.length) {
+    const currencies = await trx('currencies')
+      .whereIn('code', currencyCodes)
+      .select('code');
+
+    if (currencies.length !== currencyCodes.length) {
+      return {
+        code: 'INVALID_CURRENCY',
+        message: 'The specified currency does not exist'
+      };
+    }
+  }
+
+  const accountIds = [...new Set(items.map(item => item.accountId))];
+  const accounts = await trx('accounts')
+    .whereIn('id', accountIds)
+    .where('organization_id', organizationId)
+    .select('id', 'name', 'is_active');
+
+  if (accounts.length !== accountIds.length) {
+    return {
+      code: 'INVALID_ACCOUNTS',
+      message: 'One or more specified accounts do not exist or do not belong to this organization'
+    };
+  }
+
+  const inactiveAccounts = accounts.filter(account => !account.is_active);
+  if (inactiveAccounts.length > 0) {
+    return {
+      code: 'INACTIVE_ACCOUNTS',
+      message: `Cannot use inactive accounts: ${inactiveAccounts.map(a => a.name).join(', ')}`
+    };
+  }
+
+  const dimensionError = await validateLineDimensions(organizationId, items, trx);
+  if (dimensionError) {
+    return dimensionError;
+  }
+
+  const sum = (side, field) => items
+    .filter(item => item.side === side && item[field] !== null && item[field] !== undefined)
+    .reduce((total, item) => total + parseFloat(item[field]), 0);
+
+  // Percentage lines split one total, so both sides must take the same share of it
+  if (Math.abs(sum('debit', 'percentage') - sum('credit', 'percentage')) > 0.0001) {
+    return {
+      code: 'UNBALANCED_PERCENTAGES',
+      message: 'Debit and credit percentages must add up to the same total'
+    };
+  }
+
+  // Allow for small rounding differences (0.01); lines in other currencies only balance once converted
+  const allFixed = items.every(item => item.amount !== null && item.amount !== undefined);
+  const oneCurrency = new Set(items.map(item => item.currencyCode || null)).size === 1;
+  if (allFixed && oneCurrency && Math.abs(sum('debit', 'amount') - sum('credit', 'amount')) > 0.01) {
+    return {
+      code: 'UNBALANCED_ENTRY',
+      message: 'Default amounts must balance (total debits must equal total credits)'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Map API template lines to journal_entry_template_items rows
+ * @param {number} templateId - The template the lines belong to
+ * @param {Array} items - Lines with accountId, side, amount, percentage, description, memo, dimensions
+ *   and optionally their own currencyCode and exchangeRate
+ * @returns {Array} Rows ready to insert
+ */
+const buildTemplateItemRows = (templateId, items) => items.map((item, index) => ({
+  template_id: templateId,
+  account_id: item.accountId,
+  side: item.side,
+  amount: item.amount === undefined ? null : item.amount,
+  percentage: item.percentage === undefined ? null : item.percentage,
+  description: item.description,
+  memo: item.memo,
+  dimensions: item.dimensions ? JSON.stringify(item.dimensions) : null,
+  currency_code: item.currencyCode || null,
+  exchange_rate: item.exchangeRate || null,
+  sort_order: index,
+  created_at: new Date()
+}));
+
+/**
+ * Turn the lines of an existing journal entry into template lines with default amounts
+ * @param {number} journalEntryId - The journal entry ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {Array} Template lines
+ */
+const getTemplateItemsFromEntry = async (journalEntryId, trx = db) => {
+  const journalEntry = await trx('journal_entries')
+    .where('id', journalEntryId)
+    .first('currency_code');
+
+  // Rounding lines depend on the rates of the day and are recalculated for each new entry
+  const items = await trx('journal_entry_items')
+    .where({
+      journal_entry_id: journalEntryId,
+      is_rounding: false
+    })
+    .orderBy('id', 'asc')
+    .select('*');
+
+  return items.map(item => {
+    const debitAmount = parseFloat(item.debit_amount);
+    // Lines in the entry currency follow the currency of the template; others keep their own currency and rate
+    const ownCurrency = item.currency_code && item.currency_code !== journalEntry.currency_code;
+    return {
+      accountId: item.account_id,
+      side: debitAmount > 0 ? 'debit' : 'credit',
+      amount: debitAmount > 0 ? debitAmount : parseFloat(item.credit_amount),
+      percentage: null,
+      description: item.description,
+      memo: item.memo,
+      dimensions: item.dimensions,
+      currencyCode: ownCurrency ? item.currency_code : null,
+      exchangeRate: ownCurrency && item.exchange_rate ? parseFloat(item.exchange_rate) : null
+    };
+  });
+};
+
+/**
+ * Work out the amount of every line when a template is used.
+ * An explicit amount wins, then a percentage of the total, then the default amount.
+ * Percentage lines are rounded to cents with the rounding difference put on the last
+ * percentage line of each side, so the sides still balance.
+ * @param {Array} items - Template lines as returned by getTemplateDetail
+ * @param {object} options - Amount options
+ * @param {number} [options.totalAmount] - Total the percentage lines split
+ * @param {object} [options.amounts] - Amounts keyed by template line ID
+ * @returns {object} { items } with debit and credit amounts, or { error } when a total is missing
+ */
+const calculateTemplateLines = (items, { totalAmount, amounts = {} }) => {
+  const round = value => Math.round(value * 100) / 100;
+
+  const needsTotal = items.some(item => item.percentage !== null && amounts[item.id] === undefined);
+  if (needsTotal && !totalAmount) {
+    return {
+      error: {
+        code: 'TOTAL_AMOUNT_REQUIRED',
+        message: 'This template splits a total by percentage; totalAmount is required'
+      }
+    };
+  }
+
+  const lineAmounts = items.map(item => {
+    if (amounts[item.id] !== undefined) {
+      return parseFloat(amounts[item.id]);
+    }
+
+    if (item.percentage !== null) {
+      return round(totalAmount * item.percentage / 100);
+    }
+
+    return item.amount || 0;
+  });
+
+  ['debit', 'credit'].forEach(side => {
+    const percentageIndexes = items
+      .map((item, index) => index)
+      .filter(index => items[index].side === side && items[index].percentage !== null && amounts[items[index].id] === undefined);
+
+    if (!percentageIndexes.length) {
+      return;
+    }
+
+    const share = percentageIndexes.reduce((total, index) => total + items[index].percentage, 0);
+    const allocated = percentageIndexes.reduce((total, index) => total + lineAmounts[index], 0);
+    const lastIndex = percentageIndexes[percentageIndexes.length - 1];
+    lineAmounts[lastIndex] = round(lineAmounts[lastIndex] + round(totalAmount * share / 100) - allocated);
+  });
+
+  return {
+    items: items.map((item, index) => ({
+      accountId: item.accountId,
+      description: item.description,
+      debitAmount: item.side === 'debit' ? lineAmounts[index] : 0,
+      creditAmount: item.side === 'credit' ? lineAmounts[index] : 0,
+      memo: item.memo,
+      dimensions: item.dimensions,
+      currencyCode: item.currencyCode || undefined,
+      exchangeRate: item.exchangeRate || undefined
+    }))
+  };
+};
+
+/**
+ * Create a draft journal entry from a template
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} template - The template as returned by getTemplateDetail
+ * @param {object} options - Entry options
+ * @param {string} options.entryDate - Date of the entry
+ * @param {number} [options.fiscalPeriodId] - Fiscal period (defaults to the period covering the date)
+ * @param {string} [options.description] - Overrides the template description
+ * @param {string} [options.reference] - Overrides the template reference
+ * @param {number} [options.totalAmount] - Total the percentage lines split
+ * @param {object} [options.amounts] - Amounts keyed by template line ID
+ * @param {string} options.currencyCode - Currency used when the template has none
+ * @param {number} [options.exchangeRate] - Rate converting the transaction currency to base currency (looked up when omitted)
+ * @param {number} options.userId - The user creating the entry
+ * @returns {object} { journalEntry } with the draft, or { error } if the entry would be invalid
+ */
+const instantiateTemplate = async (trx, organizationId, template, options) => {
+  const {
+    entryDate, description, reference, totalAmount, amounts, exchangeRate, userId
+  } = options;
+
+  let { fiscalPeriodId } = options;
+  if (!fiscalPeriodId) {
+    const fiscalPeriod = await findFiscalPeriodForDate(organizationId, entryDate, trx);
+    if (!fiscalPeriod) {
+      return {
+        error: {
+          code: 'NO_FISCAL_PERIOD',
+          message: `No fiscal period covers ${entryDate}`
+        }
+      };
+    }
+    fiscalPeriodId = fiscalPeriod.id;
+  }
+
+  const calculated = calculateTemplateLines(template.items, { totalAmount, amounts });
+  if (calculated.error) {
+    return { error: calculated.error };
+  }
+
+  // Lines left at zero are dropped, so a template can carry lines that are not used every time
+  const items = calculated.items.filter(item => item.debitAmount > 0 || item.creditAmount > 0);
+  if (items.length < 2) {
+    return {
+      error: {
+        code: 'TOO_FEW_LINES',
+        message: 'A journal entry needs at least two lines with an amount'
+      }
+    };
+  }
+
+  const entry = {
+    entryDate,
+    fiscalPeriodId,
+    description: description || template.description || template.name,
+    reference: reference || template.reference,
+    source: 'manual',
+    currencyCode: template.currencyCode || options.currencyCode,
+    exchangeRate,
+    templateId: template.id,
+    items,
+    userId
+  };
+
+  const validationError = await validateJournalEntry(organizationId, entry, trx);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  return { journalEntry: await createJournalEntry(trx, organizationId, entry) };
+};
+
+module.exports = {
+  formatTemplate,
+  getTemplateDetail,
+  validateTemplateItems,
+  buildTemplateItemRows,
+  getTemplateItemsFromEntry,
+  calculateTemplateLines,
+  instantiateTemplate
+};
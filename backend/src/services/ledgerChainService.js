@@ -0,0 +1,219 @@
+// Per-organization hash chain over general ledger rows: appending rows and verifying the chain
+const db = require('../db');
+const { hashLedgerRow } = require('../utils/ledgerHash');
+
+// Rows read per query while verifying
+const VERIFY_BATCH_SIZE = 1000;
+
+// Breaks listed in a verification report; breakCount always covers all of them
+const MAX_REPORTED_BREAKS = 500;
+
+/**
+ * Lock the chain head of an organization, creating it on first use.
+ * Holding this lock serialises every append to the organization's chain.
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @returns {object} The locked ledger_chain_heads row
+ */
+const lockChainHead = async (trx, organizationId) => {
+  await trx('ledger_chain_heads')
+    .insert({
+      organization_id: organizationId,
+      last_sequence: 0
+    })
+    .onConflict('organization_id')
+    .ignore();
+
+  return trx('ledger_chain_heads')
+    .where('organization_id', organizationId)
+    .forUpdate()
+    .first();
+};
+
+/**
+ * Link general ledger rows into the organization's chain before they are inserted.
+ * Sets chain_sequence, previous_hash and row_hash on each row, in array order, and moves the chain head.
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {Array} ledgerRows - The general_ledger rows about to be inserted
+ * @returns {Array} The same rows, chained
+ */
+const appendToChain = async (trx, organizationId, ledgerRows) => {
+  const head = await lockChainHead(trx, organizationId);
+
+  let sequence = parseInt(head.last_sequence);
+  let previousHash = head.last_hash;
+
+  for (const row of ledgerRows) {
+    row.chain_sequence = ++sequence;
+    row.previous_hash = previousHash;
+    row.row_hash = hashLedgerRow(row);
+    previousHash = row.row_hash;
+  }
+
+  await trx('ledger_chain_heads')
+    .where('organization_id', organizationId)
+    .update({
+      last_sequence: sequence,
+      last_hash: previousHash,
+      updated_at: new Date()
+    });
+
+  return ledgerRows;
+};
+
+/**
+ * Start an organization's chain over, for a ledger rebuild that replaces every row.
+ * The head keeps the replaced chain's last sequence and hash and its row count, so a verification
+ * shows that the chain was restarted and what it replaced.
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} rebuild - The rebuild
+ * @param {number} rebuild.replacedRowCount - Ledger rows the rebuild replaced
+ * @param {number} [rebuild.userId] - The user rebuilding the ledger
+ * @returns {object} The replaced chain's last sequence, last hash and row count
+ */
+const resetChain = async (trx, organizationId, { replacedRowCount, userId }) => {
+  const head = await lockChainHead(trx, organizationId);
+
+  const replaced = {
+    lastSequence: parseInt(head.last_sequence),
+    lastHash: head.last_hash,
+    rowCount: replacedRowCount
+  };
+
+  await trx('ledger_chain_heads')
+    .where('organization_id', organizationId)
+    .update({
+      last_sequence: 0,
+      last_hash: null,
+      rebuilt_at: new Date(),
+      rebuilt_by: userId || null,
+      replaced_last_sequence: replaced.lastSequence,
+      replaced_last_hash: replaced.lastHash,
+      replaced_row_count: replaced.rowCount,
+      updated_at: new Date()
+    });
+
+  return replaced;
+};
+
+/**
+ * Verify an organization's ledger chain. Edited rows fail their hash, deleted rows leave a gap in
+ * the sequence or a broken link, reordered rows fail both, and rows removed from the end of the
+ * chain no longer reach the chain head.
+ * @param {number} organizationId - The organization ID
+ * @returns {object} Report with the number of rows checked and the breaks found
+ */
+const verifyLedgerChain = async (organizationId) => {
+  const head = await db('ledger_chain_heads')
+    .where('organization_id', organizationId)
+    .first();
+
+  const breaks = [];
+  const addBreak = (chainBreak) => {
+    if (breaks.length < MAX_REPORTED_BREAKS) breaks.push(chainBreak);
+  };
+  let breakCount = 0;
+
+  const [{ count: unchained }] = await db('general_ledger')
+    .where('organization_id', organizationId)
+    .whereNull('chain_sequence')
+    .count('id as count');
+
+  if (parseInt(unchained) > 0) {
+    breakCount++;
+    addBreak({ type: 'UNCHAINED_ROWS', rowCount: parseInt(unchained) });
+  }
+
+  let expectedSequence = 1;
+  let previousHash = null;
+  let rowsChecked = 0;
+
+  for (;;) {
+    const rows = await db('general_ledger')
+      .where('organization_id', organizationId)
+      .where('chain_sequence', '>=', expectedSequence)
+      .orderBy('chain_sequence', 'asc')
+      .limit(VERIFY_BATCH_SIZE)
+      .select('*');
+
+    for (const row of rows) {
+      const sequence = parseInt(row.chain_sequence);
+      rowsChecked++;
+
+      if (sequence !== expectedSequence) {
+        breakCount++;
+        addBreak({
+          type: 'MISSING_ROWS',
+          fromSequence: expectedSequence,
+          toSequence: sequence - 1
+        });
+      }
+
+      if ((row.previous_hash || null) !== previousHash) {
+        breakCount++;
+        addBreak({
+          type: 'BROKEN_LINK',
+          ledgerId: row.id,
+          chainSequence: sequence
+        });
+      }
+
+      if (hashLedgerRow(row) !== row.row_hash) {
+        breakCount++;
+        addBreak({
+          type: 'HASH_MISMATCH',
+          ledgerId: row.id,
+          chainSequence: sequence,
+          journalEntryId: row.journal_entry_id
+        });
+      }
+
+      expectedSequence = sequence + 1;
+      previousHash = row.row_hash;
+    }
+
+    if (rows.length < VERIFY_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  const lastSequence = head ? parseInt(head.last_sequence) : 0;
+  const lastHash = head ? head.last_hash : null;
+
+  if (expectedSequence - 1 !== lastSequence || previousHash !== lastHash) {
+    breakCount++;
+    addBreak({
+      type: 'HEAD_MISMATCH',
+      lastSequence: expectedSequence - 1,
+      headSequence: lastSequence
+    });
+  }
+
+  return {
+    organizationId,
+    verifiedAt: new Date(),
+    intact: breakCount === 0,
+    rowsChecked,
+    headSequence: lastSequence,
+    headHash: lastHash,
+    rebuiltAt: head ? head.rebuilt_at : null,
+    rebuiltBy: head ? head.rebuilt_by : null,
+    // The chain the last rebuild replaced; rows and hashes from before it are no longer verifiable
+    replacedChain: head && head.rebuilt_at ? {
+      lastSequence: head.replaced_last_sequence === null ? null : parseInt(head.replaced_last_sequence),
+      lastHash: head.replaced_last_hash,
+      rowCount: head.replaced_row_count
+    } : null,
+    breakCount,
+    breaks,
+    truncated: breakCount > breaks.length
+  };
+};
+
+module.exports = {
+  appendToChain,
+  resetChain,
+  verifyLedgerChain
+};
@@ -0,0 +1,525 @@
+// Integrity checks and rebuilds of the derived ledger tables (general_ledger, account_balances)
+// from the lines of posted journal entries
+const db = require('../db');
+const { toDateString } = require('../utils/dateUtils');
+const { roundAmount, getSignedAmount } = require('./postingService');
+const ApiError = require('../utils/apiError');
+const { appendToChain, resetChain } = require('./ledgerChainService');
+const { logActivity } = require('./activityLogService');
+
+// Discrepancies listed in a report; the per-type counts always cover all of them
+const MAX_REPORTED_DISCREPANCIES = 500;
+
+// Rows inserted per statement when rebuilding
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * Load the lines of every journal entry that reached the ledger: posted entries, and voided
+ * entries that were posted before being voided (their ledger rows stay, offset by the void reversal)
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @returns {Array} journal_entry_items rows with their entry's organization, number, date, period, description and currency,
+ *   in the order they are posted in: entry date, then posting time
+ */
+const loadLedgerItems = async (trx, organizationId) => {
+  return trx('journal_entry_items')
+    .join('journal_entries', 'journal_entry_items.journal_entry_id', 'journal_entries.id')
+    .where('journal_entries.organization_id', organizationId)
+    .where(function() {
+      this.where('journal_entries.status', 'posted')
+        .orWhere(function() {
+          this.where('journal_entries.status', 'voided')
+            .whereNotNull('journal_entries.posted_at');
+        });
+    })
+    .orderBy([
+      { column: 'journal_entries.entry_date', order: 'asc' },
+      { column: 'journal_entries.posted_at', order: 'asc' },
+      { column: 'journal_entries.id', order: 'asc' },
+      { column: 'journal_entry_items.id', order: 'asc' }
+    ])
+    .select(
+      'journal_entry_items.*',
+      'journal_entries.organization_id',
+      'journal_entries.entry_no',
+      'journal_entries.entry_date',
+      'journal_entries.fiscal_period_id',
+      'journal_entries.description as entry_description',
+      'journal_entries.currency_code as entry_currency_code',
+      'journal_entries.posted_at'
+    );
+};
+
+/**
+ * Compute the general ledger rows and account balances the posted lines of an organization should produce
+ * @param {Array} items - Lines from loadLedgerItems, in posting order
+ * @param {Map} accounts - Accounts with their normal balance, keyed by ID
+ * @param {Map} periods - Fiscal periods with their start date, keyed by ID
+ * @param {string} baseCurrency - The organization's base currency, which account_balances are kept in
+ * @returns {object} The expected general_ledger rows, and the expected account_balances rows keyed by 'accountId:periodId'
+ */
+const buildExpectedLedger = (items, accounts, periods, baseCurrency) => {
+  const baseBalances = new Map();
+  const currencyBalances = new Map();
+  const movements = new Map();
+
+  const ledgerRows = items.map(item => {
+    const { normal_balance: normalBalance } = accounts.get(item.account_id);
+    const currencyCode = item.currency_code || item.entry_currency_code;
+    const currencyKey = `${item.account_id}:${currencyCode}`;
+
+    const baseBalance = roundAmount((baseBalances.get(item.account_id) || 0) +
+      getSignedAmount(normalBalance, item.base_debit_amount, item.base_credit_amount));
+    const balance = roundAmount((currencyBalances.get(currencyKey) || 0) +
+      getSignedAmount(normalBalance, item.debit_amount, item.credit_amount));
+
+    baseBalances.set(item.account_id, baseBalance);
+    currencyBalances.set(currencyKey, balance);
+
+    const movementKey = `${item.account_id}:${item.fiscal_period_id}`;
+    const movement = movements.get(movementKey) || {
+      accountId: item.account_id,
+      fiscalPeriodId: item.fiscal_period_id,
+      debit: 0,
+      credit: 0
+    };
+
+    movement.debit += parseFloat(item.base_debit_amount || 0);
+    movement.credit += parseFloat(item.base_credit_amount || 0);
+    movements.set(movementKey, movement);
+
+    return {
+      organization_id: item.organization_id,
+      fiscal_period_id: item.fiscal_period_id,
+      account_id: item.account_id,
+      journal_entry_id: item.journal_entry_id,
+      journal_entry_item_id: item.id,
+      transaction_date: toDateString(item.entry_date),
+      description: item.description || item.entry_description,
+      debit_amount: item.debit_amount,
+      credit_amount: item.credit_amount,
+      balance,
+      currency_code: currencyCode,
+      base_debit_amount: item.base_debit_amount,
+      base_credit_amount: item.base_credit_amount,
+      base_balance: baseBalance,
+      dimensions: item.dimensions,
+      created_at: item.posted_at || new Date()
+    };
+  });
+
+  // Each account's periods open at the closing balance of its previous period, in base currency
+  const accountBalances = new Map();
+  const byAccount = new Map();
+  for (const movement of movements.values()) {
+    byAccount.set(movement.accountId, [...(byAccount.get(movement.accountId) || []), movement]);
+  }
+
+  for (const [accountId, accountMovements] of byAccount) {
+    const { normal_balance: normalBalance } = accounts.get(accountId);
+    let closing = 0;
+
+    accountMovements.sort((a, b) => {
+      const startA = toDateString(periods.get(a.fiscalPeriodId).start_date);
+      const startB = toDateString(periods.get(b.fiscalPeriodId).start_date);
+      return startA < startB ? -1 : startA > startB ? 1 : 0;
+    });
+
+    for (const movement of accountMovements) {
+      const opening = closing;
+      const debit = roundAmount(movement.debit);
+      const credit = roundAmount(movement.credit);
+
+      closing = roundAmount(opening + getSignedAmount(normalBalance, debit, credit));
+
+      accountBalances.set(`${accountId}:${movement.fiscalPeriodId}`, {
+        fiscal_period_id: movement.fiscalPeriodId,
+        account_id: accountId,
+        opening_balance: opening,
+        debit_amount: debit,
+        credit_amount: credit,
+        closing_balance: closing,
+        currency_code: baseCurrency,
+        base_opening_balance: opening,
+        base_debit_amount: debit,
+        base_credit_amount: credit,
+        base_closing_balance: closing
+      });
+    }
+  }
+
+  return { ledgerRows, accountBalances };
+};
+
+/**
+ * Get the names of the fields whose amounts differ between an expected and an actual row
+ * @param {object} expected - The expected row
+ * @param {object} actual - The stored row
+ * @param {Array} fields - Amount columns to compare
+ * @returns {Array} The differing columns
+ */
+const getAmountMismatches = (expected, actual, fields) => {
+  return fields.filter(field => roundAmount(parseFloat(expected[field] || 0)) !== roundAmount(parseFloat(actual[field] || 0)));
+};
+
+/**
+ * Load everything an integrity check of an organization compares
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @returns {object} Posted lines, base currency, accounts, fiscal periods, stored ledger rows and account balances
+ */
+const loadLedgerState = async (trx, organizationId) => {
+  const [items, organization, accountRows, periodRows, ledgerRows, balanceRows] = await Promise.all([
+    loadLedgerItems(trx, organizationId),
+    trx('organizations')
+      .where('id', organizationId)
+      .select('base_currency')
+      .first(),
+    trx('accounts')
+      .join('account_types', 'accounts.account_type_id', 'account_types.id')
+      .where('accounts.organization_id', organizationId)
+      .select('accounts.id', 'accounts.code', 'account_types.normal_balance'),
+    trx('fiscal_periods')
+      .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+      .where('fiscal_years.organization_id', organizationId)
+      .select('fiscal_periods.id', 'fiscal_periods.start_date'),
+    trx('general_ledger')
+      .where('organization_id', organizationId)
+      .orderBy([
+        { column: 'transaction_date', order: 'asc' },
+        { column: 'id', order: 'asc' }
+      ])
+      .select('*'),
+    trx('account_balances')
+      .where('organization_id', organizationId)
+      .select('*')
+  ]);
+
+  return {
+    items,
+    baseCurrency: organization.base_currency,
+    accounts: new Map(accountRows.map(account => [account.id, account])),
+    periods: new Map(periodRows.map(period => [period.id, period])),
+    ledgerRows,
+    balanceRows
+  };
+};
+
+/**
+ * Compare the stored ledger of an organization with what its posted journal entries should produce
+ * @param {object} state - The result of loadLedgerState
+ * @param {object} expected - The result of buildExpectedLedger
+ * @returns {Array} Discrepancies, each with a type and the IDs and amounts involved
+ */
+const findDiscrepancies = ({ items, accounts, ledgerRows, balanceRows }, expected) => {
+  const discrepancies = [];
+
+  // Every posted entry balances in base currency
+  const entryTotals = new Map();
+  for (const item of items) {
+    const totals = entryTotals.get(item.journal_entry_id) || { entryNo: item.entry_no, debit: 0, credit: 0 };
+    totals.debit += parseFloat(item.base_debit_amount || 0);
+    totals.credit += parseFloat(item.base_credit_amount || 0);
+    entryTotals.set(item.journal_entry_id, totals);
+  }
+
+  for (const [journalEntryId, totals] of entryTotals) {
+    if (roundAmount(totals.debit) !== roundAmount(totals.credit)) {
+      discrepancies.push({
+        type: 'UNBALANCED_ENTRY',
+        journalEntryId,
+        entryNo: totals.entryNo,
+        baseDebit: roundAmount(totals.debit),
+        baseCredit: roundAmount(totals.credit)
+      });
+    }
+  }
+
+  // Every posted line has exactly one ledger row with its amounts
+  const ledgerByItem = new Map();
+  for (const row of ledgerRows) {
+    ledgerByItem.set(row.journal_entry_item_id, [...(ledgerByItem.get(row.journal_entry_item_id) || []), row]);
+  }
+
+  for (const expectedRow of expected.ledgerRows) {
+    const rows = ledgerByItem.get(expectedRow.journal_entry_item_id) || [];
+    const reference = {
+      journalEntryId: expectedRow.journal_entry_id,
+      journalEntryItemId: expectedRow.journal_entry_item_id
+    };
+
+    if (!rows.length) {
+      discrepancies.push({ type: 'MISSING_LEDGER_ROW', ...reference });
+      continue;
+    }
+
+    if (rows.length > 1) {
+      discrepancies.push({ type: 'DUPLICATE_LEDGER_ROW', ...reference, ledgerIds: rows.map(row => row.id) });
+    }
+
+    const [row] = rows;
+    const fields = getAmountMismatches(expectedRow, row, ['debit_amount', 'credit_amount', 'base_debit_amount', 'base_credit_amount']);
+    ['account_id', 'fiscal_period_id', 'currency_code'].forEach(field => {
+      if (expectedRow[field] !== row[field]) fields.push(field);
+    });
+    if (expectedRow.transaction_date !== toDateString(row.transaction_date)) fields.push('transaction_date');
+
+    if (fields.length) {
+      discrepancies.push({ type: 'LEDGER_ROW_MISMATCH', ...reference, ledgerId: row.id, fields });
+    }
+  }
+
+  const postedItemIds = new Set(expected.ledgerRows.map(row => row.journal_entry_item_id));
+  for (const row of ledgerRows) {
+    if (!postedItemIds.has(row.journal_entry_item_id)) {
+      discrepancies.push({
+        type: 'ORPHAN_LEDGER_ROW',
+        ledgerId: row.id,
+        journalEntryId: row.journal_entry_id,
+        journalEntryItemId: row.journal_entry_item_id
+      });
+    }
+  }
+
+  // Running balances follow from the stored rows in (transaction date, ID) order; report the first break per account
+  const baseBalances = new Map();
+  const currencyBalances = new Map();
+  const brokenAccounts = new Map();
+
+  for (const row of ledgerRows) {
+    const account = accounts.get(row.account_id);
+    if (!account) continue;
+
+    const currencyKey = `${row.account_id}:${row.currency_code}`;
+    const baseBalance = roundAmount((baseBalances.get(row.account_id) || 0) +
+      getSignedAmount(account.normal_balance, row.base_debit_amount, row.base_credit_amount));
+    const balance = roundAmount((currencyBalances.get(currencyKey) || 0) +
+      getSignedAmount(account.normal_balance, row.debit_amount, row.credit_amount));
+
+    baseBalances.set(row.account_id, baseBalance);
+    currencyBalances.set(currencyKey, balance);
+
+    if (baseBalance !== roundAmount(parseFloat(row.base_balance)) || balance !== roundAmount(parseFloat(row.balance))) {
+      const broken = brokenAccounts.get(row.account_id);
+      if (broken) {
+        broken.rowsAffected++;
+      } else {
+        brokenAccounts.set(row.account_id, {
+          type: 'RUNNING_BALANCE_MISMATCH',
+          accountId: row.account_id,
+          accountCode: account.code,
+          ledgerId: row.id,
+          transactionDate: toDateString(row.transaction_date),
+          expectedBaseBalance: baseBalance,
+          baseBalance: parseFloat(row.base_balance),
+          expectedBalance: balance,
+          balance: parseFloat(row.balance),
+          rowsAffected: 1
+        });
+      }
+    }
+  }
+  discrepancies.push(...brokenAccounts.values());
+
+  // Period balances match the posted movements, carried forward from period to period
+  const balanceFields = [
+    'opening_balance', 'debit_amount', 'credit_amount', 'closing_balance',
+    'base_opening_balance', 'base_debit_amount', 'base_credit_amount', 'base_closing_balance'
+  ];
+  const storedBalances = new Map(balanceRows.map(row => [`${row.account_id}:${row.fiscal_period_id}`, row]));
+
+  for (const [key, expectedBalance] of expected.accountBalances) {
+    const reference = {
+      accountId: expectedBalance.account_id,
+      fiscalPeriodId: expectedBalance.fiscal_period_id
+    };
+    const stored = storedBalances.get(key);
+
+    if (!stored) {
+      discrepancies.push({ type: 'MISSING_ACCOUNT_BALANCE', ...reference });
+      continue;
+    }
+
+    const fields = getAmountMismatches(expectedBalance, stored, balanceFields);
+    if (fields.length) {
+      discrepancies.push({
+        type: 'ACCOUNT_BALANCE_MISMATCH',
+        ...reference,
+        accountBalanceId: stored.id,
+        fields,
+        expected: Object.fromEntries(fields.map(field => [field, expectedBalance[field]])),
+        actual: Object.fromEntries(fields.map(field => [field, parseFloat(stored[field])]))
+      });
+    }
+  }
+
+  for (const [key, stored] of storedBalances) {
+    if (!expected.accountBalances.has(key)) {
+      discrepancies.push({
+        type: 'ORPHAN_ACCOUNT_BALANCE',
+        accountId: stored.account_id,
+        fiscalPeriodId: stored.fiscal_period_id,
+        accountBalanceId: stored.id
+      });
+    }
+  }
+
+  return discrepancies;
+};
+
+/**
+ * Summarise discrepancies as a report
+ * @param {number} organizationId - The organization ID
+ * @param {object} state - The result of loadLedgerState
+ * @param {Array} discrepancies - The result of findDiscrepancies
+ * @returns {object} Counts, discrepancies per type and the first MAX_REPORTED_DISCREPANCIES discrepancies
+ */
+const buildReport = (organizationId, state, discrepancies) => {
+  const byType = {};
+  discrepancies.forEach(discrepancy => {
+    byType[discrepancy.type] = (byType[discrepancy.type] || 0) + 1;
+  });
+
+  return {
+    organizationId,
+    checkedAt: new Date(),
+    consistent: discrepancies.length === 0,
+    entries: new Set(state.items.map(item => item.journal_entry_id)).size,
+    postedLines: state.items.length,
+    ledgerRows: state.ledgerRows.length,
+    accountBalances: state.balanceRows.length,
+    discrepancyCount: discrepancies.length,
+    byType,
+    discrepancies: discrepancies.slice(0, MAX_REPORTED_DISCREPANCIES),
+    truncated: discrepancies.length > MAX_REPORTED_DISCREPANCIES
+  };
+};
+
+/**
+ * Check that every posted entry balances, that the ledger rows match the posted lines, and that
+ * running balances and period balances are consistent with them
+ * @param {number} organizationId - The organization ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} The integrity report
+ */
+const checkLedgerIntegrity = async (organizationId, trx = db) => {
+  const state = await loadLedgerState(trx, organizationId);
+  const expected = buildExpectedLedger(state.items, state.accounts, state.periods, state.baseCurrency);
+
+  return buildReport(organizationId, state, findDiscrepancies(state, expected));
+};
+
+/**
+ * Rebuild general_ledger and account_balances of an organization from its posted journal entries,
+ * in one transaction. The organization's accounts are locked throughout, so nothing posts meanwhile.
+ * The rebuilt rows start a new hash chain; the chain head records when, by whom and the chain it
+ * replaced, and the rebuild is kept in the activity log.
+ * Only organization admins may rebuild; actors without a user are operators running the command line script.
+ * Unbalanced entries are source data and are still reported after the rebuild.
+ * @param {number} organizationId - The organization ID
+ * @param {object} actor - Who is rebuilding, from getActor
+ * @returns {object} The integrity reports from before and after the rebuild, the rows written and the replaced chain
+ */
+const rebuildLedger = async (organizationId, actor) => {
+  if (actor.userId) {
+    const membership = await db('user_organizations')
+      .join('roles', 'user_organizations.role_id', 'roles.id')
+      .where({
+        'user_organizations.user_id': actor.userId,
+        'user_organizations.organization_id': organizationId
+      })
+      .select('roles.permissions')
+      .first();
+
+    const permissions = membership && membership.permissions ? JSON.parse(membership.permissions) : [];
+    if (!permissions.includes('admin')) {
+      throw new ApiError(403, 'FORBIDDEN', 'Only administrators can rebuild the ledger');
+    }
+  }
+
+  // Start a transaction
+  const trx = await db.transaction();
+
+  try {
+    await trx('accounts')
+      .where('organization_id', organizationId)
+      .orderBy('id', 'asc')
+      .select('id')
+      .forUpdate();
+
+    const state = await loadLedgerState(trx, organizationId);
+    const expected = buildExpectedLedger(state.items, state.accounts, state.periods, state.baseCurrency);
+    const before = buildReport(organizationId, state, findDiscrepancies(state, expected));
+
+    // Ledger rows and the chain head are protected against deletion and rewinding; lift that for
+    // this organization in this transaction only
+    await trx.raw('SELECT begin_ledger_rebuild(?)', [organizationId]);
+
+    await trx('general_ledger')
+      .where('organization_id', organizationId)
+      .del();
+
+    await trx('account_balances')
+      .where('organization_id', organizationId)
+      .del();
+
+    // The rebuilt rows start a new hash chain
+    const replacedChain = await resetChain(trx, organizationId, {
+      replacedRowCount: state.ledgerRows.length,
+      userId: actor.userId
+    });
+    await appendToChain(trx, organizationId, expected.ledgerRows);
+
+    for (let i = 0; i < expected.ledgerRows.length; i += INSERT_CHUNK_SIZE) {
+      await trx('general_ledger').insert(expected.ledgerRows.slice(i, i + INSERT_CHUNK_SIZE));
+    }
+
+    const balanceRows = [...expected.accountBalances.values()].map(balance => ({
+      organization_id: organizationId,
+      ...balance,
+      last_updated_at: new Date()
+    }));
+
+    for (let i = 0; i < balanceRows.length; i += INSERT_CHUNK_SIZE) {
+      await trx('account_balances').insert(balanceRows.slice(i, i + INSERT_CHUNK_SIZE));
+    }
+
+    const after = await checkLedgerIntegrity(organizationId, trx);
+
+    await logActivity(actor, {
+      organizationId,
+      action: 'rebuild',
+      entityType: 'ledger',
+      entityId: organizationId,
+      description: `Ledger rebuilt: ${replacedChain.rowCount} ledger rows replaced by ${expected.ledgerRows.length}`,
+      changes: {
+        replacedChain,
+        ledgerRows: expected.ledgerRows.length,
+        accountBalances: balanceRows.length,
+        discrepanciesBefore: before.discrepancyCount,
+        discrepanciesAfter: after.discrepancyCount
+      }
+    }, trx);
+
+    // Commit transaction
+    await trx.commit();
+
+    return {
+      before,
+      after,
+      ledgerRows: expected.ledgerRows.length,
+      accountBalances: balanceRows.length,
+      replacedChain
+    };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_REPORTED_DISCREPANCIES,
+  checkLedgerIntegrity,
+  rebuildLedger
+};
@@ -0,0 +1,81 @@
+// Organization settings stored in organizations.settings
+const db = require('../db');
+
+// Settings every organization starts with; stored values override these
+const DEFAULT_SETTINGS = {
+  // Require draft -> submitted -> approved before an entry can be posted
+  requireApproval: false,
+  // Forbid the creator of an entry from approving (or, without the workflow, posting) it
+  preventSelfApproval: false,
+  // Maximum entry amount in base currency each role may approve, keyed by role name; unlisted roles are unlimited
+  approvalLimits: {},
+  // Account that takes the base-currency difference left after converting entry lines
+  roundingAccountId: null,
+  // Largest base-currency difference that may be booked to the rounding account
+  roundingTolerance: 0.05,
+  // Accounts taking unrealized gains and losses from foreign currency revaluation
+  fxGainAccountId: null,
+  fxLossAccountId: null,
+  // Equity account the year-end close moves revenue and expense balances into
+  retainedEarningsAccountId: null,
+  // 'off', 'warn' or 'block' entries that look like a recent entry (same reference or same lines)
+  duplicateDetection: 'warn',
+  // Days either side of an entry's date searched for duplicates
+  duplicateWindowDays: 7
+};
+
+/**
+ * Get the settings of an organization merged over the defaults
+ * @param {number} organizationId - The organization ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} The organization settings
+ */
+const getOrganizationSettings = async (organizationId, trx = db) => {
+  const organization = await trx('organizations')
+    .where('id', organizationId)
+    .select('settings')
+    .first();
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...(organization && organization.settings)
+  };
+};
+
+/**
+ * Merge changes into the stored settings of an organization
+ * @param {number} organizationId - The organization ID
+ * @param {object} changes - Settings to change
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} The updated organization settings
+ */
+const updateOrganizationSettings = async (organizationId, changes, trx = db) => {
+  const organization = await trx('organizations')
+    .where('id', organizationId)
+    .select('settings')
+    .forUpdate()
+    .first();
+
+  const settings = {
+    ...(organization && organization.settings),
+    ...changes
+  };
+
+  await trx('organizations')
+    .where('id', organizationId)
+    .update({
+      settings: JSON.stringify(settings),
+      updated_at: new Date()
+    });
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings
+  };
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getOrganizationSettings,
+  updateOrganizationSettings
+};
@@ -0,0 +1,256 @@
+// Closing and reopening fiscal periods, with the checks a period must pass before it closes
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString } = require('../utils/dateUtils');
+const { roundAmount } = require('./postingService');
+const { getBankReconciliationStatus } = require('./bankReconciliationService');
+const { logActivity } = require('./activityLogService');
+
+// Unposted entries listed in the pre-close checks; the count covers all of them
+const MAX_LISTED_ENTRIES = 50;
+
+/**
+ * Get a fiscal period of an organization with its fiscal year
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalPeriodId - The fiscal period ID
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @param {boolean} [forUpdate] - Lock the period row
+ * @returns {object|undefined} The fiscal_periods row with fiscal_year_name and fiscal_year_is_closed
+ */
+const getFiscalPeriod = async (organizationId, fiscalPeriodId, trx = db, forUpdate = false) => {
+  let query = trx('fiscal_periods')
+    .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+    .where({
+      'fiscal_periods.id': fiscalPeriodId,
+      'fiscal_years.organization_id': organizationId
+    })
+    .select(
+      'fiscal_periods.*',
+      'fiscal_years.name as fiscal_year_name',
+      'fiscal_years.is_closed as fiscal_year_is_closed'
+    )
+    .first();
+
+  if (forUpdate) {
+    query = query.forUpdate('fiscal_periods');
+  }
+
+  return query;
+};
+
+/**
+ * Run the checks a fiscal period must pass before it is closed:
+ * no unposted entries in it, a trial balance in balance at its end, and bank accounts reconciled to its end
+ * @param {number} organizationId - The organization ID
+ * @param {object} fiscalPeriod - The fiscal_periods row
+ * @param {object} trx - Knex transaction object (defaults to the shared connection)
+ * @returns {object} { passed, checks } where each check has code, passed, message and details
+ */
+const runPreCloseChecks = async (organizationId, fiscalPeriod, trx = db) => {
+  const endDate = toDateString(fiscalPeriod.end_date);
+  const checks = [];
+
+  // Drafts and entries still in approval would land in a closed period
+  const unpostedQuery = trx('journal_entries')
+    .where({
+      organization_id: organizationId,
+      fiscal_period_id: fiscalPeriod.id
+    })
+    .whereNotIn('status', ['posted', 'voided']);
+
+  const [{ count: unpostedCount }] = await unpostedQuery.clone().count('id as count');
+  const unpostedEntries = await unpostedQuery.clone()
+    .orderBy('entry_date', 'asc')
+    .limit(MAX_LISTED_ENTRIES)
+    .select('id', 'entry_no as entryNo', 'entry_date as entryDate', 'status', 'description');
+
+  checks.push({
+    code: 'UNPOSTED_ENTRIES',
+    passed: parseInt(unpostedCount) === 0,
+    message: parseInt(unpostedCount) === 0
+      ? 'All journal entries in the period are posted or voided'
+      : `${unpostedCount} journal entries in the period are not posted`,
+    details: {
+      count: parseInt(unpostedCount),
+      entries: unpostedEntries.map(entry => ({ ...entry, entryDate: toDateString(entry.entryDate) }))
+    }
+  });
+
+  // Trial balance in base currency over everything posted up to the end of the period
+  const [totals] = await trx('general_ledger')
+    .where('organization_id', organizationId)
+    .where('transaction_date', '<=', endDate)
+    .sum({ debit: 'base_debit_amount', credit: 'base_credit_amount' });
+
+  const totalDebit = roundAmount(parseFloat(totals.debit || 0));
+  const totalCredit = roundAmount(parseFloat(totals.credit || 0));
+  const difference = roundAmount(totalDebit - totalCredit);
+
+  checks.push({
+    code: 'TRIAL_BALANCE',
+    passed: difference === 0,
+    message: difference === 0
+      ? `The trial balance at ${endDate} is in balance`
+      : `The trial balance at ${endDate} is out of balance by ${difference}`,
+    details: {
+      asOfDate: endDate,
+      totalDebit,
+      totalCredit,
+      difference
+    }
+  });
+
+  const bankAccounts = await getBankReconciliationStatus(organizationId, endDate, trx);
+  const unreconciled = bankAccounts.filter(account => account.status !== 'reconciled');
+
+  checks.push({
+    code: 'BANK_RECONCILIATION',
+    passed: unreconciled.length === 0,
+    message: unreconciled.length === 0
+      ? `All bank accounts are reconciled to ${endDate}`
+      : `${unreconciled.length} bank accounts are not reconciled to ${endDate}: ${unreconciled.map(account => account.accountCode).join(', ')}`,
+    details: {
+      asOfDate: endDate,
+      accounts: bankAccounts
+    }
+  });
+
+  return {
+    passed: checks.every(check => check.passed),
+    checks
+  };
+};
+
+/**
+ * Close a fiscal period once it passes the pre-close checks, so no more entries are recorded or posted in it
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalPeriodId - The fiscal period ID
+ * @param {object} options - Close options
+ * @param {string} [options.notes] - Notes recorded in the activity log
+ * @param {object} actor - Who is closing the period, from activityLogService.getActor
+ * @returns {object} The closed fiscal_periods row and the checks it passed
+ */
+const closeFiscalPeriod = async (organizationId, fiscalPeriodId, { notes }, actor) => {
+  const trx = await db.transaction();
+
+  try {
+    const fiscalPeriod = await getFiscalPeriod(organizationId, fiscalPeriodId, trx, true);
+
+    if (!fiscalPeriod) {
+      throw new ApiError(404, 'NOT_FOUND', 'Fiscal period not found');
+    }
+
+    if (fiscalPeriod.is_closed) {
+      throw new ApiError(400, 'FISCAL_PERIOD_CLOSED', `${fiscalPeriod.name} is already closed`);
+    }
+
+    const { passed, checks } = await runPreCloseChecks(organizationId, fiscalPeriod, trx);
+
+    if (!passed) {
+      throw new ApiError(400, 'PRE_CLOSE_CHECKS_FAILED', `${fiscalPeriod.name} cannot be closed: ${checks.filter(check => !check.passed).map(check => check.message).join('; ')}`, { checks });
+    }
+
+    const [closedPeriod] = await trx('fiscal_periods')
+      .where('id', fiscalPeriod.id)
+      .update({
+        is_closed: true,
+        closed_at: new Date(),
+        closed_by: actor.userId,
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    await logActivity(actor, {
+      organizationId,
+      action: 'close',
+      entityType: 'fiscal_period',
+      entityId: fiscalPeriod.id,
+      description: notes
+        ? `Closed ${fiscalPeriod.name} (${fiscalPeriod.fiscal_year_name}): ${notes}`
+        : `Closed ${fiscalPeriod.name} (${fiscalPeriod.fiscal_year_name})`,
+      changes: {
+        isClosed: { from: false, to: true },
+        notes: notes || null,
+        checks: checks.map(check => ({ code: check.code, passed: check.passed, message: check.message }))
+      }
+    }, trx);
+
+    // Commit transaction
+    await trx.commit();
+
+    return { fiscalPeriod: closedPeriod, checks };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Reopen a closed fiscal period of a fiscal year that is still open
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalPeriodId - The fiscal period ID
+ * @param {object} options - Reopen options
+ * @param {string} options.reason - Why the period is reopened, recorded in the activity log
+ * @param {object} actor - Who is reopening the period, from activityLogService.getActor
+ * @returns {object} The reopened fiscal_periods row
+ */
+const reopenFiscalPeriod = async (organizationId, fiscalPeriodId, { reason }, actor) => {
+  const trx = await db.transaction();
+
+  try {
+    const fiscalPeriod = await getFiscalPeriod(organizationId, fiscalPeriodId, trx, true);
+
+    if (!fiscalPeriod) {
+      throw new ApiError(404, 'NOT_FOUND', 'Fiscal period not found');
+    }
+
+    if (!fiscalPeriod.is_closed) {
+      throw new ApiError(400, 'FISCAL_PERIOD_OPEN', `${fiscalPeriod.name} is not closed`);
+    }
+
+    if (fiscalPeriod.fiscal_year_is_closed) {
+      throw new ApiError(400, 'FISCAL_YEAR_CLOSED', `${fiscalPeriod.fiscal_year_name} is closed; its periods cannot be reopened`);
+    }
+
+    const [reopenedPeriod] = await trx('fiscal_periods')
+      .where('id', fiscalPeriod.id)
+      .update({
+        is_closed: false,
+        closed_at: null,
+        closed_by: null,
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    await logActivity(actor, {
+      organizationId,
+      action: 'reopen',
+      entityType: 'fiscal_period',
+      entityId: fiscalPeriod.id,
+      description: `Reopened ${fiscalPeriod.name} (${fiscalPeriod.fiscal_year_name}): ${reason}`,
+      changes: {
+        isClosed: { from: true, to: false },
+        reason,
+        closedAt: fiscalPeriod.closed_at,
+        closedBy: fiscalPeriod.closed_by
+      }
+    }, trx);
+
+    // Commit transaction
+    await trx.commit();
+
+    return reopenedPeriod;
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  getFiscalPeriod,
+  runPreCloseChecks,
+  closeFiscalPeriod,
+  reopenFiscalPeriod
+};
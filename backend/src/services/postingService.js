@@ -0,0 +1,339 @@
+// Ledger posting engine: general ledger rows, running balances and period account balances
+const { toDateString } = require('../utils/dateUtils');
+const { appendToChain } = require('./ledgerChainService');
+
+/**
+ * Round an amount to the 4 decimals the ledger columns store
+ * @param {number} amount - The amount to round
+ * @returns {number} The rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 10000) / 10000;
+
+/**
+ * Get the movement of an amount on the normal-balance side of its account
+ * @param {string} normalBalance - 'debit' or 'credit'
+ * @param {number|string} debitAmount - Debit amount
+ * @param {number|string} creditAmount - Credit amount
+ * @returns {number} The debit minus the credit for debit-normal accounts, the credit minus the debit otherwise
+ */
+const getSignedAmount = (normalBalance, debitAmount, creditAmount) => {
+  const debit = parseFloat(debitAmount || 0);
+  const credit = parseFloat(creditAmount || 0);
+  return normalBalance === 'credit' ? credit - debit : debit - credit;
+};
+
+/**
+ * Lock the accounts an entry posts to, so concurrent postings to the same account run one after another.
+ * Rows are locked in ID order so two postings sharing several accounts cannot deadlock on each other.
+ * @param {object} trx - Knex transaction object
+ * @param {Array} accountIds - IDs of the accounts to lock
+ * @returns {Map} The locked accounts with their normal balance, keyed by account ID
+ */
+const lockAccounts = async (trx, accountIds) => {
+  const accounts = await trx('accounts')
+    .join('account_types', 'accounts.account_type_id', 'account_types.id')
+    .whereIn('accounts.id', [...new Set(accountIds)])
+    .orderBy('accounts.id', 'asc')
+    .select('accounts.id', 'account_types.normal_balance')
+    .forUpdate('accounts');
+
+  return new Map(accounts.map(account => [account.id, account]));
+};
+
+/**
+ * Get the running balance of an account as of a date: that of its last general ledger row
+ * in (transaction date, ID) order on or before the date
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {number} accountId - The account ID
+ * @param {string} asOfDate - Calendar date in 'YYYY-MM-DD' form
+ * @param {string} [currencyCode] - Transaction currency; omit for the base currency balance
+ * @returns {number} The running balance, or 0 if the account has no rows by then
+ */
+const getBalanceAsOf = async (trx, organizationId, accountId, asOfDate, currencyCode) => {
+  let query = trx('general_ledger')
+    .where({
+      organization_id: organizationId,
+      account_id: accountId
+    })
+    .where('transaction_date', '<=', asOfDate)
+    .orderBy([
+      { column: 'transaction_date', order: 'desc' },
+      { column: 'id', order: 'desc' }
+    ])
+    .select(currencyCode ? 'balance' : 'base_balance as balance')
+    .first();
+
+  if (currencyCode) {
+    query = query.where('currency_code', currencyCode);
+  }
+
+  const row = await query;
+  return row ? parseFloat(row.balance) : 0;
+};
+
+/**
+ * Recompute the running balances of an account's general ledger rows dated after a back-dated posting
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} account - The locked account, with its normal balance
+ * @param {string} afterDate - Transaction date of the posting, in 'YYYY-MM-DD' form
+ * @param {number} baseBalance - Base currency running balance at the end of that date
+ * @param {Map} currencyBalances - Running balances at the end of that date, keyed by 'accountId:currency'
+ * @returns {number} The number of rows whose balances changed
+ */
+const resequenceLaterRows = async (trx, organizationId, account, afterDate, baseBalance, currencyBalances) => {
+  const laterRows = await trx('general_ledger')
+    .where({
+      organization_id: organizationId,
+      account_id: account.id
+    })
+    .where('transaction_date', '>', afterDate)
+    .orderBy([
+      { column: 'transaction_date', order: 'asc' },
+      { column: 'id', order: 'asc' }
+    ])
+    .select('id', 'currency_code', 'debit_amount', 'credit_amount', 'base_debit_amount', 'base_credit_amount', 'balance', 'base_balance');
+
+  let updated = 0;
+
+  for (const row of laterRows) {
+    const currencyKey = `${account.id}:${row.currency_code}`;
+    if (!currencyBalances.has(currencyKey)) {
+      currencyBalances.set(currencyKey, await getBalanceAsOf(trx, organizationId, account.id, afterDate, row.currency_code));
+    }
+
+    baseBalance = roundAmount(baseBalance + getSignedAmount(account.normal_balance, row.base_debit_amount, row.base_credit_amount));
+    const balance = roundAmount(currencyBalances.get(currencyKey) + getSignedAmount(account.normal_balance, row.debit_amount, row.credit_amount));
+    currencyBalances.set(currencyKey, balance);
+
+    if (parseFloat(row.base_balance) !== baseBalance || parseFloat(row.balance) !== balance) {
+      await trx('general_ledger')
+        .where('id', row.id)
+        .update({
+          balance,
+          base_balance: baseBalance
+        });
+      updated++;
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Write general ledger rows and update account balances for a journal entry.
+ * Must run inside the transaction that posts the entry: the accounts stay locked until it commits.
+ *
+ * Running balances are kept on the normal-balance side of each account: general_ledger.base_balance
+ * per account, general_ledger.balance per account and transaction currency. They run in
+ * (transaction date, ID) order, so a back-dated entry takes its balance from the rows dated on or
+ * before it and the rows dated after it are recomputed. Period balances in account_balances are
+ * signed the same way, kept in base currency and carried forward from period to period.
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The journal_entries row being posted
+ * @param {Array} journalEntryItems - The journal_entry_items rows of the entry
+ * @returns {Array} The inserted general_ledger rows
+ */
+const postToLedger = async (trx, journalEntry, journalEntryItems) => {
+  const orgId = journalEntry.organization_id;
+  const entryDate = toDateString(journalEntry.entry_date);
+
+  if (!journalEntryItems.length) {
+    return [];
+  }
+
+  const accounts = await lockAccounts(trx, journalEntryItems.map(item => item.account_id));
+
+  // Running balances carried from line to line, so several lines on one account build on each other
+  const baseBalances = new Map();
+  const currencyBalances = new Map();
+
+  const generalLedgerEntries = [];
+
+  for (const item of journalEntryItems) {
+    const account = accounts.get(item.account_id);
+    const currencyCode = item.currency_code || journalEntry.currency_code;
+    const currencyKey = `${item.account_id}:${currencyCode}`;
+
+    if (!baseBalances.has(item.account_id)) {
+      baseBalances.set(item.account_id, await getBalanceAsOf(trx, orgId, item.account_id, entryDate));
+    }
+
+    if (!currencyBalances.has(currencyKey)) {
+      currencyBalances.set(currencyKey, await getBalanceAsOf(trx, orgId, item.account_id, entryDate, currencyCode));
+    }
+
+    const baseBalance = roundAmount(baseBalances.get(item.account_id) +
+      getSignedAmount(account.normal_balance, item.base_debit_amount, item.base_credit_amount));
+    const balance = roundAmount(currencyBalances.get(currencyKey) +
+      getSignedAmount(account.normal_balance, item.debit_amount, item.credit_amount));
+
+    baseBalances.set(item.account_id, baseBalance);
+    currencyBalances.set(currencyKey, balance);
+
+    generalLedgerEntries.push({
+      organization_id: orgId,
+      fiscal_period_id: journalEntry.fiscal_period_id,
+      account_id: item.account_id,
+      journal_entry_id: journalEntry.id,
+      journal_entry_item_id: item.id,
+      transaction_date: entryDate,
+      description: item.description || journalEntry.description,
+      debit_amount: item.debit_amount,
+      credit_amount: item.credit_amount,
+      balance,
+      currency_code: currencyCode,
+      base_debit_amount: item.base_debit_amount,
+      base_credit_amount: item.base_credit_amount,
+      base_balance: baseBalance,
+      dimensions: item.dimensions,
+      created_at: new Date()
+    });
+  }
+
+  await appendToChain(trx, orgId, generalLedgerEntries);
+
+  const ledgerRows = await trx('general_ledger').insert(generalLedgerEntries).returning('*');
+
+  // The new rows sort after every row dated on or before the entry; only rows dated after it need recomputing
+  for (const [accountId, baseBalance] of baseBalances) {
+    await resequenceLaterRows(trx, orgId, accounts.get(accountId), entryDate, baseBalance, currencyBalances);
+  }
+
+  await updateAccountBalances(trx, journalEntry, journalEntryItems, accounts);
+
+  return ledgerRows;
+};
+
+/**
+ * Add the lines of a posted entry to the period balances of their accounts.
+ * A period's opening balance is the closing balance of the account's previous period, so the
+ * entry's movement is also carried into the opening and closing balances of every later period.
+ * An account can be posted to in several currencies, so period balances are kept in base currency:
+ * the transaction-currency columns repeat the base amounts in the organization's base currency, and
+ * per-currency balances are the running balances of general_ledger.
+ * @param {object} trx - Knex transaction object
+ * @param {object} journalEntry - The journal_entries row being posted
+ * @param {Array} journalEntryItems - The journal_entry_items rows of the entry
+ * @param {Map} accounts - The locked accounts keyed by ID, from lockAccounts
+ */
+const updateAccountBalances = async (trx, journalEntry, journalEntryItems, accounts) => {
+  const orgId = journalEntry.organization_id;
+
+  const fiscalPeriod = await trx('fiscal_periods')
+    .where('id', journalEntry.fiscal_period_id)
+    .select('id', 'start_date')
+    .first();
+
+  const organization = await trx('organizations')
+    .where('id', orgId)
+    .select('base_currency')
+    .first();
+
+  // Fiscal periods of the organization that come before or after the entry's period
+  const periodsOf = (operator) => trx('fiscal_periods')
+    .join('fiscal_years', 'fiscal_periods.fiscal_year_id', 'fiscal_years.id')
+    .where('fiscal_years.organization_id', orgId)
+    .where('fiscal_periods.start_date', operator, fiscalPeriod.start_date)
+    .select('fiscal_periods.id');
+
+  // One update per account, however many lines the entry has on it
+  const movements = new Map();
+  for (const item of journalEntryItems) {
+    const movement = movements.get(item.account_id) || {
+      debit: 0,
+      credit: 0
+    };
+
+    movement.debit += parseFloat(item.base_debit_amount || 0);
+    movement.credit += parseFloat(item.base_credit_amount || 0);
+    movements.set(item.account_id, movement);
+  }
+
+  for (const [accountId, movement] of movements) {
+    const { normal_balance: normalBalance } = accounts.get(accountId);
+
+    const accountBalance = await trx('account_balances')
+      .where({
+        organization_id: orgId,
+        fiscal_period_id: fiscalPeriod.id,
+        account_id: accountId
+      })
+      .first();
+
+    // A period the account has no balance row for yet opens at the closing balance of its latest earlier period
+    const previousBalance = accountBalance ? null : await trx('account_balances')
+      .join('fiscal_periods', 'account_balances.fiscal_period_id', 'fiscal_periods.id')
+      .where({
+        'account_balances.organization_id': orgId,
+        'account_balances.account_id': accountId
+      })
+      .whereIn('account_balances.fiscal_period_id', periodsOf('<'))
+      .orderBy('fiscal_periods.start_date', 'desc')
+      .select('account_balances.base_closing_balance')
+      .first();
+
+    const opening = accountBalance
+      ? parseFloat(accountBalance.base_opening_balance)
+      : parseFloat(previousBalance ? previousBalance.base_closing_balance : 0);
+
+    const debit = roundAmount((accountBalance ? parseFloat(accountBalance.base_debit_amount) : 0) + movement.debit);
+    const credit = roundAmount((accountBalance ? parseFloat(accountBalance.base_credit_amount) : 0) + movement.credit);
+    const closing = roundAmount(opening + getSignedAmount(normalBalance, debit, credit));
+
+    const balanceData = {
+      debit_amount: debit,
+      credit_amount: credit,
+      closing_balance: closing,
+      currency_code: organization.base_currency,
+      base_debit_amount: debit,
+      base_credit_amount: credit,
+      base_closing_balance: closing,
+      last_updated_at: new Date()
+    };
+
+    if (accountBalance) {
+      await trx('account_balances')
+        .where('id', accountBalance.id)
+        .update(balanceData);
+    } else {
+      await trx('account_balances').insert({
+        organization_id: orgId,
+        fiscal_period_id: fiscalPeriod.id,
+        account_id: accountId,
+        opening_balance: opening,
+        base_opening_balance: opening,
+        ...balanceData
+      });
+    }
+
+    // Carry the movement into the periods after a back-dated entry
+    const signedMovement = roundAmount(getSignedAmount(normalBalance, movement.debit, movement.credit));
+
+    if (signedMovement !== 0) {
+      await trx('account_balances')
+        .where({
+          organization_id: orgId,
+          account_id: accountId
+        })
+        .whereIn('fiscal_period_id', periodsOf('>'))
+        .increment({
+          opening_balance: signedMovement,
+          closing_balance: signedMovement,
+          base_opening_balance: signedMovement,
+          base_closing_balance: signedMovement
+        })
+        .update('last_updated_at', new Date());
+    }
+  }
+};
+
+module.exports = {
+  roundAmount,
+  getSignedAmount,
+  lockAccounts,
+  getBalanceAsOf,
+  resequenceLaterRows,
+  postToLedger
+};
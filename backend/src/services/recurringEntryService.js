@@ -0,0 +1,355 @@
+// Recurring journal entry scheduling and materialisation
+const db = require('../db');
+const { toDateString, makeDate, daysInMonth, addDays } = require('../utils/dateUtils');
+const { findFiscalPeriodForDate } = require('./fiscalPeriodService');
+const {
+  validateJournalEntry, createJournalEntry, getPostingError, postJournalEntry, recordStatusChange
+} = require('./journalEntryService');
+const { getOrganizationSettings } = require('./organizationSettingsService');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+const DAY_OF_MONTH_RULES = ['same_day', 'fixed_day', 'last_day'];
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, yearly: 12 };
+
+/**
+ * Get the scheduled date within a month according to the schedule's day-of-month rule.
+ * Days past the end of a short month are clamped to its last day.
+ * @param {object} schedule - The recurring_journal_entries row
+ * @param {number} year - Full year
+ * @param {number} month - Month number (1-12, may overflow)
+ * @returns {string} The scheduled calendar date
+ */
+const getMonthlyRunDate = (schedule, year, month) => {
+  const firstOfMonth = makeDate(year, month, 1);
+  const [normalisedYear, normalisedMonth] = firstOfMonth.split('-').map(Number);
+  const lastDay = daysInMonth(normalisedYear, normalisedMonth);
+
+  let day;
+  if (schedule.day_of_month_rule === 'last_day') {
+    day = lastDay;
+  } else if (schedule.day_of_month_rule === 'fixed_day') {
+    day = Math.min(schedule.day_of_month, lastDay);
+  } else {
+    day = Math.min(Number(toDateString(schedule.start_date).split('-')[2]), lastDay);
+  }
+
+  return makeDate(normalisedYear, normalisedMonth, day);
+};
+
+/**
+ * Get the date that follows a scheduled run
+ * @param {object} schedule - The recurring_journal_entries row
+ * @param {string} previousRunDate - The previous scheduled date
+ * @returns {string|null} The next scheduled date, or null once past the end date
+ */
+const getNextRunDate = (schedule, previousRunDate) => {
+  const interval = schedule.interval || 1;
+  let nextRunDate;
+
+  if (schedule.frequency === 'daily') {
+    nextRunDate = addDays(previousRunDate, interval);
+  } else if (schedule.frequency === 'weekly') {
+    nextRunDate = addDays(previousRunDate, 7 * interval);
+  } else {
+    const [year, month] = previousRunDate.split('-').map(Number);
+    nextRunDate = getMonthlyRunDate(schedule, year, month + MONTHS_PER_PERIOD[schedule.frequency] * interval);
+  }
+
+  const endDate = toDateString(schedule.end_date);
+  return endDate && nextRunDate > endDate ? null : nextRunDate;
+};
+
+/**
+ * Get the first scheduled date of a schedule that falls after a given date
+ * @param {object} schedule - The recurring_journal_entries row
+ * @param {string} [afterDate] - Only dates after this one are considered (e.g. the last run date)
+ * @returns {string|null} The first scheduled date, or null if the schedule has already ended
+ */
+const getFirstRunDate = (schedule, afterDate = null) => {
+  const startDate = toDateString(schedule.start_date);
+  let runDate = startDate;
+
+  if (MONTHS_PER_PERIOD[schedule.frequency]) {
+    const [year, month] = startDate.split('-').map(Number);
+    runDate = getMonthlyRunDate(schedule, year, month);
+
+    if (runDate < startDate) {
+      runDate = getNextRunDate(schedule, runDate);
+    }
+  }
+
+  while (runDate && afterDate && runDate <= afterDate) {
+    runDate = getNextRunDate(schedule, runDate);
+  }
+
+  const endDate = toDateString(schedule.end_date);
+  return runDate && endDate && runDate > endDate ? null : runDate;
+};
+
+/**
+ * Turn one scheduled occurrence into a journal entry, or explain why it was not
+ * @param {object} trx - Knex transaction object
+ * @param {object} schedule - The locked recurring_journal_entries row
+ * @param {string} runDate - The scheduled date being materialised
+ * @returns {object} Run outcome with status, reasonCode, message and journalEntry; an auto-post entry
+ *   that fails the posting checks is left as a draft with the reason
+ */
+const materialiseRun = async (trx, schedule, runDate) => {
+  const orgId = schedule.organization_id;
+
+  const fiscalPeriod = await findFiscalPeriodForDate(orgId, runDate, trx);
+
+  if (!fiscalPeriod) {
+    return {
+      status: 'skipped',
+      reasonCode: 'NO_FISCAL_PERIOD',
+      message: `No fiscal period covers ${runDate}`
+    };
+  }
+
+  if (fiscalPeriod.is_closed) {
+    return {
+      status: 'skipped',
+      reasonCode: 'FISCAL_PERIOD_CLOSED',
+      message: `Fiscal period ${fiscalPeriod.name} is closed`
+    };
+  }
+
+  const templateItems = await trx('recurring_journal_entry_items')
+    .where('recurring_journal_entry_id', schedule.id)
+    .orderBy('id', 'asc')
+    .select('*');
+
+  const items = templateItems.map(item => ({
+    accountId: item.account_id,
+    description: item.description,
+    debitAmount: parseFloat(item.debit_amount),
+    creditAmount: parseFloat(item.credit_amount),
+    memo: item.memo,
+    dimensions: item.dimensions
+  }));
+
+  const entry = {
+    entryDate: runDate,
+    fiscalPeriodId: fiscalPeriod.id,
+    description: schedule.description || schedule.name,
+    reference: schedule.reference,
+    source: 'recurring',
+    currencyCode: schedule.currency_code,
+    // Without a fixed rate on the schedule, the rate of the run date is looked up
+    exchangeRate: schedule.exchange_rate ? parseFloat(schedule.exchange_rate) : null,
+    items,
+    userId: schedule.created_by
+  };
+
+  // Accounts may have been deactivated since the schedule was set up
+  const validationError = await validateJournalEntry(orgId, entry, trx);
+  if (validationError) {
+    return {
+      status: 'failed',
+      reasonCode: validationError.code,
+      message: validationError.message
+    };
+  }
+
+  let journalEntry = await createJournalEntry(trx, orgId, entry);
+
+  if (!schedule.auto_post) {
+    return { status: 'created', journalEntry };
+  }
+
+  // Organizations that require approval get the entry queued for an approver instead
+  const settings = await getOrganizationSettings(orgId, trx);
+
+  if (settings.requireApproval) {
+    await trx('journal_entries')
+      .where('id', journalEntry.id)
+      .update({ status: 'submitted', updated_at: new Date() });
+
+    await recordStatusChange(trx, journalEntry.id, 'draft', 'submitted', schedule.created_by);
+
+    return {
+      status: 'submitted',
+      journalEntry: { ...journalEntry, status: 'submitted' }
+    };
+  }
+
+  // Posting as the schedule's creator goes through the same checks as posting by hand
+  const poster = await trx('user_organizations')
+    .join('roles', 'user_organizations.role_id', 'roles.id')
+    .where({
+      'user_organizations.user_id': schedule.created_by,
+      'user_organizations.organization_id': orgId
+    })
+    .select('roles.name as role', 'roles.permissions')
+    .first();
+
+  const permissions = poster && poster.permissions ? JSON.parse(poster.permissions) : [];
+  const canPost = permissions.includes('journal_entries:post') || permissions.includes('admin');
+
+  const postingError = canPost
+    ? await getPostingError(journalEntry, {
+      items: await trx('journal_entry_items').where('journal_entry_id', journalEntry.id).select('*'),
+      fiscalPeriod: await trx('fiscal_periods').where('id', fiscalPeriod.id).forShare().first(),
+      settings,
+      poster: { id: schedule.created_by, role: poster.role },
+      recurringEntryId: schedule.id
+    }, trx)
+    : { code: 'FORBIDDEN', message: 'The creator of the schedule may no longer post journal entries' };
+
+  if (postingError) {
+    return {
+      status: 'created',
+      reasonCode: postingError.code,
+      message: `Left as a draft: ${postingError.message}`,
+      journalEntry
+    };
+  }
+
+  journalEntry = await postJournalEntry(trx, journalEntry, schedule.created_by);
+
+  return { status: 'posted', journalEntry };
+};
+
+/**
+ * Materialise every due occurrence of one schedule up to a date.
+ * Each occurrence is handled in its own transaction with the schedule row locked,
+ * so concurrent runners never create the same occurrence twice. A failed occurrence
+ * stops the schedule without advancing it, so it is retried once the cause is fixed.
+ * @param {number} scheduleId - The recurring_journal_entries ID
+ * @param {string} asOfDate - Materialise occurrences scheduled on or before this date
+ * @returns {Array} Run results for the report
+ */
+const runSchedule = async (scheduleId, asOfDate) => {
+  const results = [];
+
+  for (;;) {
+    const trx = await db.transaction();
+
+    try {
+      const schedule = await trx('recurring_journal_entries')
+        .where('id', scheduleId)
+        .forUpdate()
+        .first();
+
+      const runDate = schedule && schedule.is_active ? toDateString(schedule.next_run_date) : null;
+
+      if (!runDate || runDate > asOfDate) {
+        await trx.commit();
+        break;
+      }
+
+      const outcome = await materialiseRun(trx, schedule, runDate);
+
+      await trx('recurring_journal_entry_runs')
+        .insert({
+          recurring_journal_entry_id: schedule.id,
+          organization_id: schedule.organization_id,
+          scheduled_date: runDate,
+          status: outcome.status,
+          reason_code: outcome.reasonCode || null,
+          message: outcome.message || null,
+          journal_entry_id: outcome.journalEntry ? outcome.journalEntry.id : null,
+          created_at: new Date()
+        })
+        .onConflict(['recurring_journal_entry_id', 'scheduled_date'])
+        .merge();
+
+      if (outcome.status !== 'failed') {
+        await trx('recurring_journal_entries')
+          .where('id', schedule.id)
+          .update({
+            next_run_date: getNextRunDate(schedule, runDate),
+            last_run_date: runDate,
+            updated_at: new Date()
+          });
+      }
+
+      await trx.commit();
+
+      results.push({
+        recurringEntryId: schedule.id,
+        name: schedule.name,
+        scheduledDate: runDate,
+        status: outcome.status,
+        reasonCode: outcome.reasonCode,
+        message: outcome.message,
+        journalEntryId: outcome.journalEntry ? outcome.journalEntry.id : null,
+        entryNo: outcome.journalEntry ? outcome.journalEntry.entry_no : null
+      });
+
+      if (outcome.status === 'failed') {
+        break;
+      }
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Materialise all due recurring journal entries
+ * @param {object} options - Runner options
+ * @param {number} [options.organizationId] - Limit the run to one organization
+ * @param {string} [options.asOfDate] - Materialise occurrences scheduled on or before this date (defaults to today)
+ * @returns {object} Report with per-occurrence results, totals per status, skipped runs and auto-post entries left as drafts
+ */
+const runDueSchedules = async ({ organizationId, asOfDate } = {}) => {
+  const runUntil = toDateString(asOfDate || new Date());
+
+  let query = db('recurring_journal_entries')
+    .where('is_active', true)
+    .whereNotNull('next_run_date')
+    .where('next_run_date', '<=', runUntil)
+    .orderBy('id', 'asc')
+    .select('id', 'name');
+
+  if (organizationId) {
+    query = query.where('organization_id', organizationId);
+  }
+
+  const schedules = await query;
+  const runs = [];
+
+  for (const schedule of schedules) {
+    try {
+      runs.push(...await runSchedule(schedule.id, runUntil));
+    } catch (error) {
+      // Keep going with the other schedules; the failed one is retried next time
+      console.error(`Recurring journal entry ${schedule.id} failed:`, error);
+      runs.push({
+        recurringEntryId: schedule.id,
+        name: schedule.name,
+        status: 'failed',
+        reasonCode: 'SERVER_ERROR',
+        message: error.message
+      });
+    }
+  }
+
+  const totals = { created: 0, submitted: 0, posted: 0, skipped: 0, failed: 0 };
+  runs.forEach(run => {
+    totals[run.status] += 1;
+  });
+
+  return {
+    asOfDate: runUntil,
+    schedules: schedules.length,
+    totals,
+    runs,
+    skipped: runs.filter(run => run.status === 'skipped'),
+    // Auto-post entries that failed the posting checks and were left as drafts
+    notPosted: runs.filter(run => run.status === 'created' && run.reasonCode)
+  };
+};
+
+module.exports = {
+  FREQUENCIES,
+  DAY_OF_MONTH_RULES,
+  getFirstRunDate,
+  getNextRunDate,
+  runDueSchedules
+};
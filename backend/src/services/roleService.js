@@ -20,8 +20,11 @@ const createDefaultRoles = async (organizationId, trx) => {
       description: 'Can manage all accounting functions',
       permissions: JSON.stringify([
         'chart_of_accounts:view', 'chart_of_accounts:create', 'chart_of_accounts:edit',
-        'journal_entries:view', 'journal_entries:create', 'journal_entries:post',
+        'journal_entries:view', 'journal_entries:create', 'journal_entries:edit', 'journal_entries:delete',
+        'journal_entries:approve', 'journal_entries:post', 'journal_entries:void',
         'general_ledger:view',
+        'budgets:view', 'budgets:edit',
+        'bank_reconciliations:edit', 'fiscal_periods:close',
         'reports:view'
       ]),
       is_system: true
@@ -31,7 +34,7 @@ const createDefaultRoles = async (organizationId, trx) => {
       description: 'Can enter transactions but cannot post them',
       permissions: JSON.stringify([
         'chart_of_accounts:view',
-        'journal_entries:view', 'journal_entries:create',
+        'journal_entries:view', 'journal_entries:create', 'journal_entries:edit', 'journal_entries:delete',
         'general_ledger:view'
       ]),
       is_system: true
@@ -43,6 +46,7 @@ const createDefaultRoles = async (organizationId, trx) => {
         'chart_of_accounts:view',
         'journal_entries:view',
         'general_ledger:view',
+        'budgets:view',
         'reports:view'
       ]),
       is_system: true
@@ -128,7 +132,9 @@ const getAllPermissions = () => {
         { name: 'journal_entries:create', description: 'Create journal entries' },
         { name: 'journal_entries:edit', description: 'Edit draft journal entries' },
         { name: 'journal_entries:delete', description: 'Delete draft journal entries' },
-        { name: 'journal_entries:post', description: 'Post journal entries' }
+        { name: 'journal_entries:approve', description: 'Approve or reject submitted journal entries' },
+        { name: 'journal_entries:post', description: 'Post journal entries' },
+        { name: 'journal_entries:void', description: 'Void and reverse posted journal entries' }
       ]
     },
     {
@@ -137,6 +143,25 @@ const getAllPermissions = () => {
         { name: 'general_ledger:view', description: 'View general ledger' }
       ]
     },
+    {
+      category: 'Fiscal Periods',
+      permissions: [
+        { name: 'fiscal_periods:close', description: 'Close and reopen fiscal periods and fiscal years' }
+      ]
+    },
+    {
+      category: 'Bank Reconciliations',
+      permissions: [
+        { name: 'bank_reconciliations:edit', description: 'Record bank statement reconciliations' }
+      ]
+    },
+    {
+      category: 'Budgets',
+      permissions: [
+        { name: 'budgets:view', description: 'View budgets and budget-vs-actual reports' },
+        { name: 'budgets:edit', description: 'Create, import and edit budgets' }
+      ]
+    },
     {
       category: 'Reports',
       permissions: [
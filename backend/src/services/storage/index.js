@@ -0,0 +1,43 @@
+// Attachment storage driver selection
+// STORAGE_DRIVER picks where new files go ('local' by default, or 's3'); existing files
+// are always read back through the driver they were written with
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+const drivers = {};
+
+/**
+ * Get a storage driver, configured from the environment on first use
+ * @param {string} [name] - Driver name (defaults to STORAGE_DRIVER)
+ * @returns {object} Storage driver with putObject, getObject and deleteObject
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!STORAGE_DRIVERS.includes(name)) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!drivers[name]) {
+    drivers[name] = name === 's3'
+      ? createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      })
+      : createLocalStorage({
+        rootPath: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '../../../uploads')
+      });
+  }
+
+  return drivers[name];
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorage
+};
@@ -0,0 +1,56 @@
+// Local filesystem storage driver
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage driver that keeps objects as files under a root directory
+ * @param {object} options - Driver options
+ * @param {string} options.rootPath - Directory objects are stored in
+ * @returns {object} Storage driver with putObject, getObject and deleteObject
+ */
+const createLocalStorage = ({ rootPath }) => {
+  // Keys are generated by the application, but never let one escape the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootPath, key);
+    if (!filePath.startsWith(path.resolve(rootPath) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Store an object
+     * @param {string} key - Object key
+     * @param {Buffer} body - Object contents
+     */
+    putObject: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    /**
+     * Open an object for reading
+     * @param {string} key - Object key
+     * @returns {stream.Readable} The object contents
+     */
+    getObject: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    /**
+     * Delete an object; deleting a missing object is not an error
+     * @param {string} key - Object key
+     */
+    deleteObject: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,69 @@
+// S3-compatible object storage driver (AWS S3, MinIO, DigitalOcean Spaces, ...)
+const {
+  S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Create a storage driver backed by an S3-compatible bucket
+ * @param {object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region] - Bucket region
+ * @param {string} [options.endpoint] - Endpoint URL for non-AWS providers
+ * @param {string} [options.accessKeyId] - Access key (defaults to the SDK credential chain)
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs, as MinIO requires
+ * @returns {object} Storage driver with putObject, getObject and deleteObject
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    /**
+     * Store an object
+     * @param {string} key - Object key
+     * @param {Buffer} body - Object contents
+     * @param {object} [options] - contentType of the object
+     */
+    putObject: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    /**
+     * Open an object for reading
+     * @param {string} key - Object key
+     * @returns {stream.Readable} The object contents
+     */
+    getObject: async (key) => {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+      return response.Body;
+    },
+
+    /**
+     * Delete an object; deleting a missing object is not an error
+     * @param {string} key - Object key
+     */
+    deleteObject: async (key) => {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
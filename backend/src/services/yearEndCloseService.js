@@ -0,0 +1,492 @@
+// Year-end close: moving revenue and expense balances into retained earnings and closing the fiscal year
+const db = require('../db');
+const ApiError = require('../utils/apiError');
+const { toDateString, addDays } = require('../utils/dateUtils');
+const { roundAmount } = require('./postingService');
+const { getOrganizationSettings } = require('./organizationSettingsService');
+const { createJournalEntry, postJournalEntry, voidJournalEntry } = require('./journalEntryService');
+const { runPreCloseChecks } = require('./periodCloseService');
+const { logActivity } = require('./activityLogService');
+
+// Account type categories whose balances start every fiscal year at zero
+const INCOME_STATEMENT_CATEGORIES = ['revenue', 'expense'];
+
+/**
+ * Get a fiscal year of an organization with its periods in date order
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalYearId - The fiscal year ID
+ * @param {boolean} [forUpdate] - Lock the fiscal year row
+ * @returns {object|null} The fiscal_years row with a periods array, or null if not found
+ */
+const getFiscalYear = async (trx, organizationId, fiscalYearId, forUpdate = false) => {
+  let query = trx('fiscal_years')
+    .where({
+      id: fiscalYearId,
+      organization_id: organizationId
+    })
+    .first();
+
+  if (forUpdate) {
+    query = query.forUpdate();
+  }
+
+  const fiscalYear = await query;
+  if (!fiscalYear) {
+    return null;
+  }
+
+  fiscalYear.periods = await trx('fiscal_periods')
+    .where('fiscal_year_id', fiscalYear.id)
+    .orderBy(['start_date', 'period_number']);
+
+  return fiscalYear;
+};
+
+/**
+ * Get the period the closing entry is recorded in: the year's adjustment period, or its last period
+ * @param {object} fiscalYear - The fiscal year with its periods in date order
+ * @returns {object} The fiscal_periods row
+ */
+const getClosingPeriod = (fiscalYear) => {
+  const adjustmentPeriods = fiscalYear.periods.filter(period => period.is_adjustment);
+  return adjustmentPeriods.length
+    ? adjustmentPeriods[adjustmentPeriods.length - 1]
+    : fiscalYear.periods[fiscalYear.periods.length - 1];
+};
+
+/**
+ * Calculate the closing entry lines of a fiscal year from account_balances: every revenue and expense account
+ * with a base currency balance at the year end is brought to zero, and the net goes to retained earnings.
+ * An account's balance is the closing balance of its latest period up to the year end, which carries
+ * everything since the previous year was closed.
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} fiscalYear - The fiscal_years row
+ * @param {number} retainedEarningsAccountId - The retained earnings account
+ * @returns {object} { accounts, items, netIncome } with items ready for createJournalEntry
+ */
+const calculateClosingLines = async (trx, organizationId, fiscalYear, retainedEarningsAccountId) => {
+  const balances = await trx('account_balances')
+    .join('fiscal_periods', 'account_balances.fiscal_period_id', 'fiscal_periods.id')
+    .join('accounts', 'account_balances.account_id', 'accounts.id')
+    .join('account_types', 'accounts.account_type_id', 'account_types.id')
+    .where('account_balances.organization_id', organizationId)
+    .whereIn('account_types.category', INCOME_STATEMENT_CATEGORIES)
+    .where('fiscal_periods.start_date', '<=', toDateString(fiscalYear.end_date))
+    .distinctOn('account_balances.account_id')
+    .orderBy([
+      { column: 'account_balances.account_id', order: 'asc' },
+      { column: 'fiscal_periods.start_date', order: 'desc' },
+      { column: 'fiscal_periods.period_number', order: 'desc' }
+    ])
+    .select(
+      'account_balances.account_id',
+      'accounts.code',
+      'accounts.name',
+      'account_types.name as account_type',
+      'account_types.normal_balance',
+      'account_balances.base_closing_balance'
+    );
+
+  const accounts = balances
+    .map(balance => ({
+      accountId: balance.account_id,
+      accountCode: balance.code,
+      accountName: balance.name,
+      accountType: balance.account_type,
+      normalBalance: balance.normal_balance,
+      balance: roundAmount(parseFloat(balance.base_closing_balance))
+    }))
+    .filter(account => account.balance !== 0)
+    .sort((a, b) => a.accountCode.localeCompare(b.accountCode));
+
+  // Balances are positive on the account's normal side, so closing posts them to the other side
+  const items = accounts.map(account => {
+    const debitsToClose = (account.normalBalance === 'credit') === (account.balance > 0);
+    const amount = Math.abs(account.balance);
+
+    return {
+      accountId: account.accountId,
+      description: `Close ${account.accountCode} ${account.accountName}`,
+      debitAmount: debitsToClose ? amount : 0,
+      creditAmount: debitsToClose ? 0 : amount
+    };
+  });
+
+  const totalDebits = roundAmount(items.reduce((sum, item) => sum + item.debitAmount, 0));
+  const totalCredits = roundAmount(items.reduce((sum, item) => sum + item.creditAmount, 0));
+
+  // Closing revenue debits more than closing expenses credits when the year made a profit
+  const netIncome = roundAmount(totalDebits - totalCredits);
+
+  if (netIncome !== 0) {
+    items.push({
+      accountId: retainedEarningsAccountId,
+      description: netIncome > 0 ? 'Net income for the year' : 'Net loss for the year',
+      debitAmount: netIncome < 0 ? -netIncome : 0,
+      creditAmount: netIncome > 0 ? netIncome : 0
+    });
+  }
+
+  return { accounts, items, netIncome };
+};
+
+/**
+ * Check that a fiscal year can be closed and work out its closing entry
+ * @param {object} trx - Knex transaction object
+ * @param {number} organizationId - The organization ID
+ * @param {object} fiscalYear - The fiscal year with its periods
+ * @param {number} [retainedEarningsAccountId] - Retained earnings account, instead of the organization setting
+ * @returns {object} The closing period, retained earnings account, pre-close checks of the open periods and closing lines
+ */
+const prepareYearEndClose = async (trx, organizationId, fiscalYear, retainedEarningsAccountId) => {
+  if (fiscalYear.is_closed) {
+    throw new ApiError(400, 'FISCAL_YEAR_CLOSED', `${fiscalYear.name} is already closed`);
+  }
+
+  if (!fiscalYear.periods.length) {
+    throw new ApiError(400, 'NO_PERIODS', `${fiscalYear.name} has no fiscal periods`);
+  }
+
+  // Years close in order, so each close starts from a previous year already brought to zero
+  const previousYear = await trx('fiscal_years')
+    .where('organization_id', organizationId)
+    .where('end_date', '<', toDateString(fiscalYear.start_date))
+    .where('is_closed', false)
+    .orderBy('end_date', 'desc')
+    .first();
+
+  if (previousYear) {
+    throw new ApiError(400, 'PREVIOUS_YEAR_OPEN', `Close ${previousYear.name} before ${fiscalYear.name}`);
+  }
+
+  const settings = await getOrganizationSettings(organizationId, trx);
+  const accountId = retainedEarningsAccountId || settings.retainedEarningsAccountId;
+
+  if (!accountId) {
+    throw new ApiError(400, 'RETAINED_EARNINGS_NOT_CONFIGURED', 'Set retainedEarningsAccountId in the organization settings before closing the year');
+  }
+
+  const retainedEarningsAccount = await trx('accounts')
+    .join('account_types', 'accounts.account_type_id', 'account_types.id')
+    .where({
+      'accounts.id': accountId,
+      'accounts.organization_id': organizationId,
+      'accounts.is_active': true
+    })
+    .select('accounts.id', 'accounts.code', 'accounts.name', 'account_types.category as account_type_category')
+    .first();
+
+  // An account whose type has no category cannot be shown to be on the balance sheet
+  if (!retainedEarningsAccount || !retainedEarningsAccount.account_type_category ||
+      INCOME_STATEMENT_CATEGORIES.includes(retainedEarningsAccount.account_type_category)) {
+    throw new ApiError(400, 'INVALID_RETAINED_EARNINGS_ACCOUNT', 'The retained earnings account must be an active balance sheet account of this organization');
+  }
+
+  // Accounts of an unclassified type would be left out of the close without notice
+  const unclassified = await trx('accounts')
+    .join('account_types', 'accounts.account_type_id', 'account_types.id')
+    .where('accounts.organization_id', organizationId)
+    .whereNull('account_types.category')
+    .distinct('account_types.name')
+    .orderBy('account_types.name', 'asc');
+
+  if (unclassified.length) {
+    throw new ApiError(400, 'UNCLASSIFIED_ACCOUNT_TYPES', 'Set the category of every account type in use before closing the year', {
+      accountTypes: unclassified.map(type => type.name)
+    });
+  }
+
+  const periodChecks = [];
+  for (const period of fiscalYear.periods.filter(candidate => !candidate.is_closed)) {
+    const { passed, checks } = await runPreCloseChecks(organizationId, period, trx);
+    periodChecks.push({
+      fiscalPeriodId: period.id,
+      name: period.name,
+      passed,
+      checks
+    });
+  }
+
+  const closing = await calculateClosingLines(trx, organizationId, fiscalYear, retainedEarningsAccount.id);
+
+  return {
+    closingPeriod: getClosingPeriod(fiscalYear),
+    retainedEarningsAccount: {
+      id: retainedEarningsAccount.id,
+      code: retainedEarningsAccount.code,
+      name: retainedEarningsAccount.name
+    },
+    periodChecks,
+    ...closing
+  };
+};
+
+/**
+ * Preview the year-end close of a fiscal year without changing anything
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalYearId - The fiscal year ID
+ * @param {object} options - Close options
+ * @param {number} [options.retainedEarningsAccountId] - Retained earnings account, instead of the organization setting
+ * @returns {object|null} The closing lines, net income and pre-close checks, or null if the year does not exist
+ */
+const previewYearEndClose = async (organizationId, fiscalYearId, { retainedEarningsAccountId }) => {
+  const fiscalYear = await getFiscalYear(db, organizationId, fiscalYearId);
+  if (!fiscalYear) {
+    return null;
+  }
+
+  const preparation = await prepareYearEndClose(db, organizationId, fiscalYear, retainedEarningsAccountId);
+
+  return {
+    fiscalYearId: fiscalYear.id,
+    closingPeriodId: preparation.closingPeriod.id,
+    entryDate: toDateString(fiscalYear.end_date),
+    retainedEarningsAccount: preparation.retainedEarningsAccount,
+    canClose: preparation.periodChecks.every(period => period.passed),
+    periodChecks: preparation.periodChecks,
+    accounts: preparation.accounts,
+    netIncome: preparation.netIncome
+  };
+};
+
+/**
+ * Close a fiscal year: post the closing entry into its adjustment or last period, close its remaining
+ * open periods once they pass the pre-close checks, and mark the year closed
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalYearId - The fiscal year ID
+ * @param {object} options - Close options
+ * @param {number} [options.retainedEarningsAccountId] - Retained earnings account, instead of the organization setting
+ * @param {object} actor - Who is closing the year, from activityLogService.getActor
+ * @returns {object|null} The closed fiscal_years row, the closing entry and net income, or null if the year does not exist
+ */
+const closeFiscalYear = async (organizationId, fiscalYearId, { retainedEarningsAccountId }, actor) => {
+  const trx = await db.transaction();
+
+  try {
+    const fiscalYear = await getFiscalYear(trx, organizationId, fiscalYearId, true);
+    if (!fiscalYear) {
+      await trx.rollback();
+      return null;
+    }
+
+    const preparation = await prepareYearEndClose(trx, organizationId, fiscalYear, retainedEarningsAccountId);
+    const failedPeriods = preparation.periodChecks.filter(period => !period.passed);
+
+    if (failedPeriods.length) {
+      throw new ApiError(400, 'PRE_CLOSE_CHECKS_FAILED', `${failedPeriods.map(period => period.name).join(', ')} cannot be closed`, {
+        periods: failedPeriods
+      });
+    }
+
+    let closingEntry = null;
+
+    if (preparation.items.length) {
+      const organization = await trx('organizations')
+        .where('id', organizationId)
+        .select('base_currency')
+        .first();
+
+      const journalEntry = await createJournalEntry(trx, organizationId, {
+        entryDate: toDateString(fiscalYear.end_date),
+        fiscalPeriodId: preparation.closingPeriod.id,
+        description: `Year-end close of ${fiscalYear.name}`,
+        reference: `YEAR-END ${fiscalYear.name}`,
+        source: 'system',
+        currencyCode: organization.base_currency,
+        exchangeRate: 1,
+        items: preparation.items,
+        userId: actor.userId
+      });
+
+      // The closing entry goes into its period even when that period is already closed
+      closingEntry = await postJournalEntry(trx, journalEntry, actor.userId);
+    }
+
+    const closedPeriods = await trx('fiscal_periods')
+      .where({
+        fiscal_year_id: fiscalYear.id,
+        is_closed: false
+      })
+      .update({
+        is_closed: true,
+        closed_at: new Date(),
+        closed_by: actor.userId,
+        updated_at: new Date()
+      })
+      .returning('id');
+
+    const closedPeriodIds = closedPeriods.map(period => period.id);
+
+    const [closedYear] = await trx('fiscal_years')
+      .where('id', fiscalYear.id)
+      .update({
+        is_closed: true,
+        closed_at: new Date(),
+        closed_by: actor.userId,
+        closing_entry_id: closingEntry ? closingEntry.id : null,
+        retained_earnings_account_id: preparation.retainedEarningsAccount.id,
+        year_end_closed_period_ids: JSON.stringify(closedPeriodIds),
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    await logActivity(actor, {
+      organizationId,
+      action: 'year_end_close',
+      entityType: 'fiscal_year',
+      entityId: fiscalYear.id,
+      description: closingEntry
+        ? `Closed ${fiscalYear.name} with closing entry ${closingEntry.entry_no}`
+        : `Closed ${fiscalYear.name}; no revenue or expense balances to close`,
+      changes: {
+        isClosed: { from: false, to: true },
+        closingEntryId: closingEntry ? closingEntry.id : null,
+        retainedEarningsAccountId: preparation.retainedEarningsAccount.id,
+        netIncome: preparation.netIncome,
+        closedPeriodIds
+      }
+    }, trx);
+
+    // Commit transaction
+    await trx.commit();
+
+    return {
+      fiscalYear: closedYear,
+      closingEntry,
+      netIncome: preparation.netIncome,
+      accounts: preparation.accounts
+    };
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Undo the year-end close of a fiscal year as a unit: void the closing entry, reopen the periods the
+ * close closed and reopen the year. Only possible while the following year is still open.
+ * @param {number} organizationId - The organization ID
+ * @param {number} fiscalYearId - The fiscal year ID
+ * @param {object} options - Undo options
+ * @param {string} options.reason - Why the close is undone, recorded on the void and in the activity log
+ * @param {object} actor - Who is undoing the close, from activityLogService.getActor
+ * @returns {object|null} The reopened fiscal_years row, or null if the year does not exist
+ */
+const undoYearEndClose = async (organizationId, fiscalYearId, { reason }, actor) => {
+  const trx = await db.transaction();
+
+  try {
+    const fiscalYear = await getFiscalYear(trx, organizationId, fiscalYearId, true);
+    if (!fiscalYear) {
+      await trx.rollback();
+      return null;
+    }
+
+    if (!fiscalYear.is_closed || !fiscalYear.closed_at) {
+      throw new ApiError(400, 'FISCAL_YEAR_OPEN', `${fiscalYear.name} has not been closed`);
+    }
+
+    const nextYear = await trx('fiscal_years')
+      .where({
+        organization_id: organizationId,
+        start_date: addDays(toDateString(fiscalYear.end_date), 1)
+      })
+      .first();
+
+    if (nextYear && nextYear.is_closed) {
+      throw new ApiError(400, 'NEXT_YEAR_CLOSED', `${nextYear.name} is closed; undo its close before reopening ${fiscalYear.name}`);
+    }
+
+    const closedPeriodIds = fiscalYear.year_end_closed_period_ids || [];
+
+    if (closedPeriodIds.length) {
+      await trx('fiscal_periods')
+        .whereIn('id', closedPeriodIds)
+        .update({
+          is_closed: false,
+          closed_at: null,
+          closed_by: null,
+          updated_at: new Date()
+        });
+    }
+
+    let voidEntry = null;
+
+    if (fiscalYear.closing_entry_id) {
+      const closingEntry = await trx('journal_entries')
+        .where('id', fiscalYear.closing_entry_id)
+        .forUpdate()
+        .first();
+
+      // A closing period that was closed before the year-end close is opened just long enough to void the entry
+      const closingPeriodWasClosed = !closedPeriodIds.includes(closingEntry.fiscal_period_id);
+
+      if (closingPeriodWasClosed) {
+        await trx('fiscal_periods')
+          .where('id', closingEntry.fiscal_period_id)
+          .update({ is_closed: false });
+      }
+
+      voidEntry = await voidJournalEntry(trx, closingEntry, {
+        reason: `Year-end close of ${fiscalYear.name} undone: ${reason}`,
+        userId: actor.userId
+      });
+
+      if (closingPeriodWasClosed) {
+        await trx('fiscal_periods')
+          .where('id', closingEntry.fiscal_period_id)
+          .update({ is_closed: true });
+      }
+    }
+
+    const [reopenedYear] = await trx('fiscal_years')
+      .where('id', fiscalYear.id)
+      .update({
+        is_closed: false,
+        closed_at: null,
+        closed_by: null,
+        closing_entry_id: null,
+        retained_earnings_account_id: null,
+        year_end_closed_period_ids: null,
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    await logActivity(actor, {
+      organizationId,
+      action: 'undo_year_end_close',
+      entityType: 'fiscal_year',
+      entityId: fiscalYear.id,
+      description: `Reopened ${fiscalYear.name}: ${reason}`,
+      changes: {
+        isClosed: { from: true, to: false },
+        reason,
+        closedAt: fiscalYear.closed_at,
+        closedBy: fiscalYear.closed_by,
+        closingEntryId: fiscalYear.closing_entry_id,
+        voidEntryId: voidEntry ? voidEntry.id : null,
+        reopenedPeriodIds: closedPeriodIds
+      }
+    }, trx);
+
+    // Commit transaction
+    await trx.commit();
+
+    return reopenedYear;
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  INCOME_STATEMENT_CATEGORIES,
+  calculateClosingLines,
+  previewYearEndClose,
+  closeFiscalYear,
+  undoYearEndClose
+};
@@ -0,0 +1,20 @@
+// Error raised by services for expected business-rule failures
+// Rendered by the error handling middleware in the standard { success, error } shape
+
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status to respond with
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable error message
+   * @param {object} [details] - Additional error details
+   */
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,84 @@
+// Calendar date helpers working on 'YYYY-MM-DD' strings
+// DATE columns come back from pg as local-midnight Date objects, so local getters are used throughout
+
+/**
+ * Format a Date or date string as 'YYYY-MM-DD'
+ * @param {Date|string} value - The date to format
+ * @returns {string|null} The calendar date, or null when no value is given
+ */
+const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Build a 'YYYY-MM-DD' string, normalising month and day overflow
+ * @param {number} year - Full year
+ * @param {number} month - Month number (1-12, may overflow)
+ * @param {number} day - Day of month (may overflow)
+ * @returns {string} The calendar date
+ */
+const makeDate = (year, month, day) => toDateString(new Date(year, month - 1, day));
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month number (1-12, may overflow)
+ * @returns {number} Days in the month
+ */
+const daysInMonth = (year, month) => new Date(year, month, 0).getDate();
+
+/**
+ * Add days to a calendar date
+ * @param {Date|string} value - The starting date
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} The resulting calendar date
+ */
+const addDays = (value, days) => {
+  const [year, month, day] = toDateString(value).split('-').map(Number);
+  return makeDate(year, month, day + days);
+};
+
+/**
+ * Add months to a calendar date, keeping the day of month where the target month has it
+ * @param {Date|string} value - The starting date
+ * @param {number} months - Number of months to add (may be negative)
+ * @returns {string} The resulting calendar date, on the target month's last day when it is shorter
+ */
+const addMonths = (value, months) => {
+  const [year, month, day] = toDateString(value).split('-').map(Number);
+  return makeDate(year, month + months, Math.min(day, daysInMonth(year, month + months)));
+};
+
+/**
+ * Count the days from one calendar date to another
+ * @param {Date|string} from - The earlier date
+ * @param {Date|string} to - The later date
+ * @returns {number} Days between the dates (negative when 'to' comes first)
+ */
+const daysBetween = (from, to) => {
+  const toUtc = (value) => {
+    const [year, month, day] = toDateString(value).split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / (24 * 60 * 60 * 1000));
+};
+
+module.exports = {
+  toDateString,
+  makeDate,
+  daysInMonth,
+  addDays,
+  addMonths,
+  daysBetween
+};
@@ -0,0 +1,57 @@
+// Changes to the permissions of the default roles organizations already have
+// Used by migrations that introduce permissions createDefaultRoles now grants
+
+/**
+ * Add or remove permissions on the system roles with the given names, in every organization
+ * @param {object} knex - Knex instance or transaction
+ * @param {Array} roleNames - Names of the default roles to change (e.g. 'Accountant')
+ * @param {Function} change - Takes a role's permission list and returns the new list
+ */
+const updateSystemRolePermissions = async (knex, roleNames, change) => {
+  const roles = await knex('roles')
+    .where('is_system', true)
+    .whereIn('name', roleNames)
+    .select('id', 'permissions');
+
+  for (const role of roles) {
+    const permissions = role.permissions ? JSON.parse(role.permissions) : [];
+    const updated = change(permissions);
+
+    if (updated.length !== permissions.length) {
+      await knex('roles')
+        .where('id', role.id)
+        .update({
+          permissions: JSON.stringify(updated),
+          updated_at: new Date()
+        });
+    }
+  }
+};
+
+/**
+ * Grant permissions to the system roles with the given names that do not have them yet
+ * @param {object} knex - Knex instance or transaction
+ * @param {Array} roleNames - Names of the default roles
+ * @param {Array} permissions - Permissions to grant
+ */
+const grantSystemRolePermissions = (knex, roleNames, permissions) => {
+  return updateSystemRolePermissions(knex, roleNames, current => [
+    ...current,
+    ...permissions.filter(permission => !current.includes(permission))
+  ]);
+};
+
+/**
+ * Take permissions away from the system roles with the given names
+ * @param {object} knex - Knex instance or transaction
+ * @param {Array} roleNames - Names of the default roles
+ * @param {Array} permissions - Permissions to revoke
+ */
+const revokeSystemRolePermissions = (knex, roleNames, permissions) => {
+  return updateSystemRolePermissions(knex, roleNames, current => current.filter(permission => !permissions.includes(permission)));
+};
+
+module.exports = {
+  grantSystemRolePermissions,
+  revokeSystemRolePermissions
+};
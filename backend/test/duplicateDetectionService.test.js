@@ -0,0 +1,194 @@
+// Duplicate detection tests; they run against the database configured in .env
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('dotenv').config();
+const db = require('../src/db');
+const { getLineFingerprint, getDuplicateWindow, findDuplicateEntries } = require('../src/services/duplicateDetectionService');
+
+// Detection as organizations get it by default: a week either side of the entry
+const SETTINGS = { duplicateDetection: 'block', duplicateWindowDays: 7 };
+
+// Create an organization with a rent expense and a cash account and a weekly rent schedule
+const createFixture = async () => {
+  const suffix = `${process.pid}-${Date.now()}`;
+
+  await db('currencies')
+    .insert({ code: 'USD', name: 'US Dollar', symbol: '$' })
+    .onConflict('code')
+    .ignore();
+
+  const [organization] = await db('organizations')
+    .insert({ name: `Duplicate test ${suffix}`, base_currency: 'USD' })
+    .returning('*');
+
+  const [accountType] = await db('account_types')
+    .insert({ name: `Asset ${suffix}`, normal_balance: 'debit', category: 'asset' })
+    .returning('*');
+
+  const [rent, cash] = await db('accounts')
+    .insert([
+      { organization_id: organization.id, code: '6000', name: 'Rent', account_type_id: accountType.id },
+      { organization_id: organization.id, code: '1000', name: 'Cash', account_type_id: accountType.id }
+    ])
+    .returning('*');
+
+  const [schedule] = await db('recurring_journal_entries')
+    .insert({
+      organization_id: organization.id,
+      name: 'Weekly rent',
+      reference: 'RENT',
+      frequency: 'weekly',
+      start_date: '2025-03-03',
+      currency_code: 'USD'
+    })
+    .returning('*');
+
+  return { organization, accountTypeId: accountType.id, rent, cash, schedule };
+};
+
+// Remove everything the fixture and the tests created; schedules go first, taking their runs with them
+const removeFixture = async ({ organization, accountTypeId }) => {
+  await db('recurring_journal_entries').where('organization_id', organization.id).del();
+  await db('journal_entries').where('organization_id', organization.id).del();
+  await db('accounts').where('organization_id', organization.id).del();
+  await db('organizations').where('id', organization.id).del();
+  await db('account_types').where('id', accountTypeId).del();
+};
+
+// Record an entry as an occurrence of the schedule, as the recurring entry runner does once it is created
+const recordRun = (fixture, journalEntry) => {
+  return db('recurring_journal_entry_runs').insert({
+    recurring_journal_entry_id: fixture.schedule.id,
+    organization_id: fixture.organization.id,
+    scheduled_date: journalEntry.entry_date,
+    status: 'created',
+    journal_entry_id: journalEntry.id
+  });
+};
+
+// Save a draft paying 500 of rent, recording it as a run of the schedule when asked to
+const saveRentEntry = async (fixture, { entryNo, entryDate, source = 'recurring', recorded = false }) => {
+  const [journalEntry] = await db('journal_entries')
+    .insert({
+      organization_id: fixture.organization.id,
+      entry_no: entryNo,
+      entry_date: entryDate,
+      reference: 'RENT',
+      source,
+      status: 'draft',
+      currency_code: 'USD'
+    })
+    .returning('*');
+
+  const items = await db('journal_entry_items')
+    .insert([
+      { account_id: fixture.rent.id, debit_amount: 500, credit_amount: 0 },
+      { account_id: fixture.cash.id, debit_amount: 0, credit_amount: 500 }
+    ].map(item => ({ journal_entry_id: journalEntry.id, ...item })))
+    .returning('*');
+
+  if (recorded) {
+    await recordRun(fixture, journalEntry);
+  }
+
+  return { journalEntry, items };
+};
+
+describe('findDuplicateEntries with recurring entries', () => {
+  let available = false;
+  let fixture;
+
+  before(async () => {
+    try {
+      await db.raw('SELECT 1');
+      available = true;
+    } catch (error) {
+      return;
+    }
+
+    fixture = await createFixture();
+  });
+
+  after(async () => {
+    if (fixture) {
+      await removeFixture(fixture);
+    }
+    await db.destroy();
+  });
+
+  it('does not flag a weekly occurrence as a duplicate of the previous one', async (t) => {
+    if (!available) return t.skip('database unavailable');
+
+    await saveRentEntry(fixture, { entryNo: 'REC-1', entryDate: '2025-03-03', recorded: true });
+
+    // The next occurrence is exactly one window away, before its run is recorded
+    const { journalEntry, items } = await saveRentEntry(fixture, { entryNo: 'REC-2', entryDate: '2025-03-10' });
+
+    const duplicates = await findDuplicateEntries(fixture.organization.id, {
+      id: journalEntry.id,
+      entryDate: journalEntry.entry_date,
+      reference: journalEntry.reference,
+      items,
+      recurringEntryId: fixture.schedule.id
+    }, SETTINGS);
+
+    assert.deepEqual(duplicates, []);
+
+    await recordRun(fixture, journalEntry);
+  });
+
+  it('finds the schedule of an occurrence posted later from its recorded run', async (t) => {
+    if (!available) return t.skip('database unavailable');
+
+    const { journalEntry, items } = await saveRentEntry(fixture, { entryNo: 'REC-3', entryDate: '2025-03-17', recorded: true });
+
+    const duplicates = await findDuplicateEntries(fixture.organization.id, {
+      id: journalEntry.id,
+      entryDate: journalEntry.entry_date,
+      reference: journalEntry.reference,
+      items
+    }, SETTINGS);
+
+    assert.deepEqual(duplicates, []);
+  });
+
+  it('still flags a manual entry repeating a recurring one', async (t) => {
+    if (!available) return t.skip('database unavailable');
+
+    const { journalEntry, items } = await saveRentEntry(fixture, { entryNo: 'MAN-1', entryDate: '2025-03-18', source: 'manual' });
+
+    const duplicates = await findDuplicateEntries(fixture.organization.id, {
+      id: journalEntry.id,
+      entryDate: journalEntry.entry_date,
+      reference: journalEntry.reference,
+      items
+    }, SETTINGS);
+
+    assert.ok(duplicates.some(duplicate => duplicate.entryNo === 'REC-3'));
+    assert.deepEqual(duplicates.find(duplicate => duplicate.entryNo === 'REC-3').matchedOn, ['reference', 'lines']);
+  });
+});
+
+describe('duplicate fingerprint and window', () => {
+  it('fingerprints lines regardless of their order or how they are keyed', () => {
+    const fromRequest = [
+      { accountId: 3, debitAmount: 100, creditAmount: 0 },
+      { accountId: 7, debitAmount: 0, creditAmount: 100 }
+    ];
+    const fromDatabase = [
+      { account_id: 7, debit_amount: '0.0000', credit_amount: '100.0000' },
+      { account_id: 3, debit_amount: '100.0000', credit_amount: '0.0000' }
+    ];
+
+    assert.equal(getLineFingerprint(fromRequest), '3:100.0000:0.0000|7:0.0000:100.0000');
+    assert.equal(getLineFingerprint(fromDatabase), getLineFingerprint(fromRequest));
+    assert.notEqual(getLineFingerprint([{ ...fromRequest[0], debitAmount: 100.01 }, fromRequest[1]]), getLineFingerprint(fromRequest));
+  });
+
+  it('compares entries dated the window either side of the entry, across month and year ends', () => {
+    assert.deepEqual(getDuplicateWindow('2025-03-15', 7), ['2025-03-08', '2025-03-22']);
+    assert.deepEqual(getDuplicateWindow('2025-01-03', 7), ['2024-12-27', '2025-01-10']);
+    assert.deepEqual(getDuplicateWindow(new Date(2024, 1, 29), 1), ['2024-02-28', '2024-03-01']);
+    assert.deepEqual(getDuplicateWindow('2025-03-15', 0), ['2025-03-15', '2025-03-15']);
+  });
+});
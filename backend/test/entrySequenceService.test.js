@@ -0,0 +1,49 @@
+// Unit tests for entry number formatting; no database needed
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const { DEFAULT_SEQUENCES, getSeriesSource, formatEntryNo } = require('../src/services/entrySequenceService');
+
+// journal_entry_sequences row with the given rules
+const sequence = (prefix, padding, resetPerFiscalYear) => ({ prefix, padding, reset_per_fiscal_year: resetPerFiscalYear });
+
+// Services open a connection pool when loaded; close it so the run can end
+after(() => db.destroy());
+
+describe('formatEntryNo', () => {
+  it('labels yearly series with the calendar year the fiscal year ends in', () => {
+    assert.equal(formatEntryNo(sequence('JE-', 4, true), { end_date: '2025-12-31' }, 42), 'JE-2025-0042');
+    assert.equal(formatEntryNo(sequence('JE-', 4, true), { end_date: new Date(2026, 2, 31) }, 42), 'JE-2026-0042');
+  });
+
+  it('starts a yearly series again in each fiscal year', () => {
+    const yearly = sequence('JE-', 4, true);
+
+    assert.notEqual(
+      formatEntryNo(yearly, { end_date: '2025-12-31' }, 1),
+      formatEntryNo(yearly, { end_date: '2026-12-31' }, 1)
+    );
+  });
+
+  it('leaves the year out of series that never reset', () => {
+    assert.equal(formatEntryNo(sequence('JE-', 4, false), null, 42), 'JE-0042');
+    assert.equal(formatEntryNo(sequence('', 6, false), null, 7), '000007');
+  });
+
+  it('does not cut numbers longer than the padding', () => {
+    assert.equal(formatEntryNo(sequence('JE-', 2, false), null, 1234), 'JE-1234');
+  });
+});
+
+describe('getSeriesSource', () => {
+  it('gives every configurable source its own series and the others the system series', () => {
+    assert.equal(getSeriesSource('manual'), 'manual');
+    assert.equal(getSeriesSource('recurring'), 'recurring');
+    assert.equal(getSeriesSource('allocation'), 'system');
+  });
+
+  it('uses a distinct default prefix for every series', () => {
+    const prefixes = Object.values(DEFAULT_SEQUENCES).map(defaults => defaults.prefix);
+    assert.equal(new Set(prefixes).size, prefixes.length);
+  });
+});
@@ -0,0 +1,79 @@
+// Unit tests for generating and checking the periods of a fiscal year; no database needed
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const { generatePeriods, getPeriodErrors } = require('../src/services/fiscalYearService');
+
+// Services open a connection pool when loaded; close it so the run can end
+after(() => db.destroy());
+
+// Period ranges as 'start..end'
+const ranges = periods => periods.map(period => `${period.startDate}..${period.endDate}`);
+
+describe('generatePeriods', () => {
+  it('generates calendar months of a year that does not start in January, plus an adjustment period', () => {
+    const periods = generatePeriods('monthly', '2025-04-01', '2026-03-31', true);
+
+    assert.equal(periods.length, 13);
+    assert.deepEqual(periods[0], { periodNumber: 1, name: 'April 2025', startDate: '2025-04-01', endDate: '2025-04-30', isAdjustment: false });
+    assert.equal(periods[10].endDate, '2026-02-28');
+    assert.deepEqual(periods[12], { periodNumber: 13, name: 'Adjustment', startDate: '2026-03-31', endDate: '2026-03-31', isAdjustment: true });
+    assert.deepEqual(getPeriodErrors('2025-04-01', '2026-03-31', periods), []);
+  });
+
+  it('generates quarters', () => {
+    assert.deepEqual(ranges(generatePeriods('quarterly', '2025-01-01', '2025-12-31', false)), [
+      '2025-01-01..2025-03-31', '2025-04-01..2025-06-30', '2025-07-01..2025-09-30', '2025-10-01..2025-12-31'
+    ]);
+  });
+
+  it('generates 4-4-5 periods of whole weeks', () => {
+    const periods = generatePeriods('4-4-5', '2025-01-05', '2026-01-03', false);
+
+    assert.deepEqual(ranges(periods).slice(0, 3), ['2025-01-05..2025-02-01', '2025-02-02..2025-03-01', '2025-03-02..2025-04-05']);
+    assert.equal(periods.length, 12);
+    assert.deepEqual(getPeriodErrors('2025-01-05', '2026-01-03', periods), []);
+  });
+
+  it('gives the extra week of a 53-week year to the last period', () => {
+    const periods = generatePeriods('52-53-week', '2023-01-01', '2023-12-30', false);
+    const weeks53 = generatePeriods('52-53-week', '2023-12-31', '2025-01-04', false);
+
+    assert.equal(periods[12].endDate, '2023-12-30');
+    assert.deepEqual(ranges(weeks53).slice(-1), ['2024-12-01..2025-01-04']);
+    assert.deepEqual(getPeriodErrors('2023-12-31', '2025-01-04', weeks53), []);
+  });
+});
+
+describe('getPeriodErrors', () => {
+  it('reports gaps and overlaps against the period they occur before', () => {
+    const errors = getPeriodErrors('2025-01-01', '2025-12-31', [
+      { name: 'H1', startDate: '2025-01-01', endDate: '2025-06-29' },
+      { name: 'H2', startDate: '2025-07-01', endDate: '2025-12-15' },
+      { name: 'December', startDate: '2025-12-01', endDate: '2025-12-31' }
+    ]);
+
+    assert.deepEqual(errors.map(error => [error.index, error.code]), [
+      [1, 'PERIOD_GAP'],
+      [2, 'PERIOD_OVERLAP']
+    ]);
+    assert.equal(errors[0].message, 'No period covers 2025-06-30 to 2025-06-30');
+  });
+
+  it('reports a last period running past the end of the year', () => {
+    const errors = getPeriodErrors('2025-01-01', '2025-12-31', [
+      { name: 'Year', startDate: '2025-01-01', endDate: '2026-01-02' }
+    ]);
+
+    assert.deepEqual(errors.map(error => [error.index, error.code]), [[null, 'PERIOD_OVERLAP']]);
+  });
+
+  it('requires adjustment periods on the last day of the year and unique names', () => {
+    const errors = getPeriodErrors('2025-01-01', '2025-12-31', [
+      { name: 'Year', startDate: '2025-01-01', endDate: '2025-12-31' },
+      { name: 'year', startDate: '2025-12-30', endDate: '2025-12-31', isAdjustment: true }
+    ]);
+
+    assert.deepEqual(errors.map(error => error.code), ['DUPLICATE_NAME', 'INVALID_ADJUSTMENT_PERIOD']);
+  });
+});
@@ -0,0 +1,97 @@
+// Unit tests for reading journal entry import files; no database needed
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const {
+  DEFAULT_COLUMN_MAPPING, getImportFormat, parseImportFile, parseAmount, mapImportRows, groupImportLines
+} = require('../src/services/journalEntryImportService');
+
+// Services open a connection pool when loaded; close it so the run can end
+after(() => db.destroy());
+
+// Read a CSV file and map its rows with the default columns
+const readCsv = async (text) => mapImportRows(await parseImportFile(Buffer.from(text), 'csv'), DEFAULT_COLUMN_MAPPING);
+
+// Codes of the errors on a line
+const errorCodes = line => line.errors.map(error => error.code);
+
+describe('parseImportFile', () => {
+  it('reads CSV rows keyed by their trimmed headers, skipping a BOM and blank lines', async () => {
+    const rows = await parseImportFile(Buffer.from('﻿entry_date , account_code,debit\n2025-03-01,1000, 12.50\n\n'), 'csv');
+
+    assert.deepEqual(rows, [{ entry_date: '2025-03-01', account_code: '1000', debit: '12.50' }]);
+  });
+
+  it('reports unreadable files as INVALID_FILE', async () => {
+    await assert.rejects(parseImportFile(Buffer.from('a,b\n"1,2\n'), 'csv'), { code: 'INVALID_FILE' });
+  });
+
+  it('recognises the supported formats by file name', () => {
+    assert.equal(getImportFormat('Journal.CSV'), 'csv');
+    assert.equal(getImportFormat('journal.xlsx'), 'xlsx');
+    assert.equal(getImportFormat('journal.pdf'), null);
+  });
+});
+
+describe('parseAmount', () => {
+  it('treats blank cells as zero and strips thousands separators', () => {
+    assert.equal(parseAmount(''), 0);
+    assert.equal(parseAmount(null), 0);
+    assert.equal(parseAmount('1,234.56'), 1234.56);
+    assert.equal(parseAmount(7), 7);
+    assert.ok(Number.isNaN(parseAmount('abc')));
+  });
+});
+
+describe('mapImportRows', () => {
+  it('numbers rows as in the spreadsheet and reads dimensions written as pairs or JSON', async () => {
+    const lines = await readCsv([
+      'entry,entry_date,account_code,debit,credit,dimensions',
+      'A,2025-03-01,6000,100,,department=SALES; project=P1',
+      'A,2025-03-01,1000,,100,"{""department"":""SALES""}"'
+    ].join('\n'));
+
+    assert.equal(lines[0].rowNumber, 2);
+    assert.deepEqual(lines[0].dimensions, { department: 'SALES', project: 'P1' });
+    assert.deepEqual(lines[1].dimensions, { department: 'SALES' });
+    assert.equal(lines[1].creditAmount, 100);
+    assert.deepEqual(lines.map(errorCodes), [[], []]);
+  });
+
+  it('reports invalid dates, amounts and dimensions on the row they occur in', async () => {
+    const lines = await readCsv([
+      'entry_date,account_code,debit,credit,dimensions',
+      '2025-02-30,6000,100,,',
+      '2025-03-01,,-5,,',
+      '2025-03-01,6000,10,10,',
+      '2025-03-01,6000,,,department'
+    ].join('\n'));
+
+    assert.deepEqual(errorCodes(lines[0]), ['INVALID_DATE']);
+    assert.deepEqual(errorCodes(lines[1]), ['MISSING_ACCOUNT_CODE', 'INVALID_AMOUNT']);
+    assert.deepEqual(errorCodes(lines[2]), ['DEBIT_AND_CREDIT']);
+    assert.deepEqual(errorCodes(lines[3]), ['ZERO_AMOUNT', 'INVALID_DIMENSIONS']);
+    assert.equal(lines[3].errors[0].row, 5);
+  });
+});
+
+describe('groupImportLines', () => {
+  it('groups rows by entry key, or by date and reference without one', async () => {
+    const lines = await readCsv([
+      'entry,entry_date,reference,description,account_code,debit,credit',
+      'A,2025-03-01,INV-1,,6000,100,',
+      ',2025-03-02,INV-2,Rent,6100,50,',
+      'A,2025-03-01,INV-1,Supplies,1000,,100',
+      ',2025-03-02,INV-2,,1000,,50'
+    ].join('\n'));
+
+    const entries = groupImportLines(lines);
+
+    assert.deepEqual(entries.map(entry => [entry.key, entry.lines.map(line => line.rowNumber)]), [
+      ['A', [2, 4]],
+      ['2025-03-02|INV-2', [3, 5]]
+    ]);
+    assert.equal(entries[0].description, 'Supplies');
+    assert.equal(entries[1].description, 'Rent');
+  });
+});
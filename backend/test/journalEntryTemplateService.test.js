@@ -0,0 +1,73 @@
+// Unit tests for working out the lines of an entry made from a template; no database needed
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const { calculateTemplateLines } = require('../src/services/journalEntryTemplateService');
+
+// Services open a connection pool when loaded; close it so the run can end
+after(() => db.destroy());
+
+// Template line as returned by getTemplateDetail
+const line = (id, side, { amount = null, percentage = null, currencyCode = null, exchangeRate = null } = {}) => ({
+  id,
+  accountId: id * 10,
+  side,
+  amount,
+  percentage,
+  description: null,
+  memo: null,
+  dimensions: null,
+  currencyCode,
+  exchangeRate
+});
+
+// Debit and credit amounts of the calculated lines
+const amounts = ({ items }) => items.map(item => [item.debitAmount, item.creditAmount]);
+
+describe('calculateTemplateLines', () => {
+  it('puts the rounding difference of a percentage split on the last percentage line of each side', () => {
+    const items = [
+      line(1, 'debit', { percentage: 33.3333 }),
+      line(2, 'debit', { percentage: 33.3333 }),
+      line(3, 'debit', { percentage: 33.3334 }),
+      line(4, 'credit', { percentage: 100 })
+    ];
+
+    const result = calculateTemplateLines(items, { totalAmount: 100 });
+
+    assert.deepEqual(amounts(result), [[33.33, 0], [33.33, 0], [33.34, 0], [0, 100]]);
+  });
+
+  it('uses default amounts for fixed lines and lets explicit amounts win', () => {
+    const items = [
+      line(1, 'debit', { amount: 250 }),
+      line(2, 'debit', { amount: 50 }),
+      line(3, 'credit', { amount: 300 })
+    ];
+
+    const result = calculateTemplateLines(items, { amounts: { 2: 75, 3: 325 } });
+
+    assert.deepEqual(amounts(result), [[250, 0], [75, 0], [0, 325]]);
+  });
+
+  it('requires a total when a percentage line has no explicit amount', () => {
+    const items = [line(1, 'debit', { percentage: 100 }), line(2, 'credit', { percentage: 100 })];
+
+    assert.equal(calculateTemplateLines(items, {}).error.code, 'TOTAL_AMOUNT_REQUIRED');
+    assert.deepEqual(amounts(calculateTemplateLines(items, { amounts: { 1: 10, 2: 10 } })), [[10, 0], [0, 10]]);
+  });
+
+  it('keeps the currency and rate of lines in another currency', () => {
+    const items = [
+      line(1, 'debit', { amount: 100, currencyCode: 'EUR', exchangeRate: 1.1 }),
+      line(2, 'credit', { amount: 110 })
+    ];
+
+    const [foreign, own] = calculateTemplateLines(items, {}).items;
+
+    assert.equal(foreign.currencyCode, 'EUR');
+    assert.equal(foreign.exchangeRate, 1.1);
+    assert.equal(own.currencyCode, undefined);
+    assert.equal(own.exchangeRate, undefined);
+  });
+});
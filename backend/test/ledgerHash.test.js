@@ -0,0 +1,62 @@
+// Unit tests for hashing general ledger rows into the hash chain
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashLedgerRow } = require('../src/utils/ledgerHash');
+
+// general_ledger row as inserted by the posting engine
+const ledgerRow = (changes = {}) => ({
+  chain_sequence: 3,
+  previous_hash: 'a'.repeat(64),
+  organization_id: 1,
+  fiscal_period_id: 2,
+  account_id: 3,
+  journal_entry_id: 4,
+  journal_entry_item_id: 5,
+  transaction_date: '2025-03-15',
+  description: 'Sale',
+  debit_amount: 100,
+  credit_amount: 0,
+  currency_code: 'USD',
+  base_debit_amount: 100,
+  base_credit_amount: 0,
+  balance: 100,
+  base_balance: 100,
+  dimensions: { department: 'SALES', project: 'P1' },
+  ...changes
+});
+
+describe('hashLedgerRow', () => {
+  it('hashes a row to a SHA-256 hex digest, the same every time', () => {
+    const hash = hashLedgerRow(ledgerRow());
+
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(hashLedgerRow(ledgerRow()), hash);
+  });
+
+  it('hashes a row read back from the database like the row that was inserted', () => {
+    const readBack = ledgerRow({
+      chain_sequence: '3',
+      transaction_date: new Date(2025, 2, 15),
+      debit_amount: '100.0000',
+      credit_amount: '0.0000',
+      base_debit_amount: '100.0000',
+      base_credit_amount: '0.0000',
+      dimensions: '{"project": "P1", "department": "SALES"}'
+    });
+
+    assert.equal(hashLedgerRow(readBack), hashLedgerRow(ledgerRow()));
+  });
+
+  it('leaves the running balances out', () => {
+    assert.equal(hashLedgerRow(ledgerRow({ balance: 250, base_balance: 250 })), hashLedgerRow(ledgerRow()));
+  });
+
+  it('changes when the amounts, the account or the place in the chain change', () => {
+    const hash = hashLedgerRow(ledgerRow());
+
+    assert.notEqual(hashLedgerRow(ledgerRow({ debit_amount: 100.01 })), hash);
+    assert.notEqual(hashLedgerRow(ledgerRow({ account_id: 30 })), hash);
+    assert.notEqual(hashLedgerRow(ledgerRow({ chain_sequence: 4 })), hash);
+    assert.notEqual(hashLedgerRow(ledgerRow({ previous_hash: 'b'.repeat(64) })), hash);
+  });
+});
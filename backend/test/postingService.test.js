@@ -0,0 +1,247 @@
+// Concurrency tests for the posting engine; they run against the database configured in .env
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('dotenv').config();
+const db = require('../src/db');
+const { roundAmount, getSignedAmount, postToLedger } = require('../src/services/postingService');
+const { checkLedgerIntegrity } = require('../src/services/ledgerIntegrityService');
+
+// Entries posted at the same time by each test
+const CONCURRENT_POSTINGS = 12;
+
+// Create an organization with a cash and a revenue account and one open period covering 2025
+const createFixture = async () => {
+  const suffix = `${process.pid}-${Date.now()}`;
+
+  await db('currencies')
+    .insert([
+      { code: 'USD', name: 'US Dollar', symbol: '$' },
+      { code: 'EUR', name: 'Euro', symbol: '€' }
+    ])
+    .onConflict('code')
+    .ignore();
+
+  const [organization] = await db('organizations')
+    .insert({ name: `Posting test ${suffix}`, base_currency: 'USD' })
+    .returning('*');
+
+  const [debitType, creditType] = await db('account_types')
+    .insert([
+      { name: `Asset ${suffix}`, normal_balance: 'debit', category: 'asset' },
+      { name: `Revenue ${suffix}`, normal_balance: 'credit', category: 'revenue' }
+    ])
+    .returning('*');
+
+  const [cash, revenue] = await db('accounts')
+    .insert([
+      { organization_id: organization.id, code: '1000', name: 'Cash', account_type_id: debitType.id },
+      { organization_id: organization.id, code: '4000', name: 'Sales', account_type_id: creditType.id }
+    ])
+    .returning('*');
+
+  const [fiscalYear] = await db('fiscal_years')
+    .insert({ organization_id: organization.id, name: 'FY2025', start_date: '2025-01-01', end_date: '2025-12-31' })
+    .returning('*');
+
+  const [fiscalPeriod] = await db('fiscal_periods')
+    .insert({ fiscal_year_id: fiscalYear.id, name: '2025', start_date: '2025-01-01', end_date: '2025-12-31' })
+    .returning('*');
+
+  return {
+    organization,
+    accountTypeIds: [debitType.id, creditType.id],
+    cash,
+    revenue,
+    fiscalPeriod
+  };
+};
+
+// Remove everything the fixture and the tests created; ledger rows may only be deleted as in a rebuild
+const removeFixture = async ({ organization, accountTypeIds }) => {
+  await db.transaction(async trx => {
+    await trx.raw('SELECT begin_ledger_rebuild(?)', [organization.id]);
+    await trx('general_ledger').where('organization_id', organization.id).del();
+    await trx('account_balances').where('organization_id', organization.id).del();
+    await trx('ledger_chain_heads').where('organization_id', organization.id).del();
+    await trx('journal_entries').where('organization_id', organization.id).del();
+    await trx('accounts').where('organization_id', organization.id).del();
+    await trx('fiscal_years').where('organization_id', organization.id).del();
+    await trx('organizations').where('id', organization.id).del();
+    await trx('account_types').whereIn('id', accountTypeIds).del();
+  });
+};
+
+// Save a posted entry debiting cash and crediting revenue, then post it to the ledger in its own transaction
+const postSale = async (fixture, { entryNo, entryDate, amount, currencyCode = 'USD', exchangeRate = 1 }) => {
+  const baseAmount = roundAmount(amount * exchangeRate);
+
+  const trx = await db.transaction();
+
+  try {
+    const [journalEntry] = await trx('journal_entries')
+      .insert({
+        organization_id: fixture.organization.id,
+        entry_no: entryNo,
+        entry_date: entryDate,
+        fiscal_period_id: fixture.fiscalPeriod.id,
+        description: `Sale ${entryNo}`,
+        source: 'manual',
+        status: 'posted',
+        currency_code: currencyCode,
+        exchange_rate: exchangeRate,
+        posted_at: new Date()
+      })
+      .returning('*');
+
+    const items = await trx('journal_entry_items')
+      .insert([
+        { account_id: fixture.cash.id, debit_amount: amount, base_debit_amount: baseAmount },
+        { account_id: fixture.revenue.id, credit_amount: amount, base_credit_amount: baseAmount }
+      ].map(item => ({
+        journal_entry_id: journalEntry.id,
+        currency_code: currencyCode,
+        exchange_rate: exchangeRate,
+        ...item
+      })))
+      .returning('*');
+
+    await postToLedger(trx, journalEntry, items);
+
+    // Commit transaction
+    await trx.commit();
+  } catch (error) {
+    // Rollback transaction on error
+    await trx.rollback();
+    throw error;
+  }
+};
+
+// Check that an account's running balances follow from its rows in (transaction date, ID) order
+const assertRunningBalances = async (organizationId, account, normalBalance) => {
+  const rows = await db('general_ledger')
+    .where({
+      organization_id: organizationId,
+      account_id: account.id
+    })
+    .orderBy([
+      { column: 'transaction_date', order: 'asc' },
+      { column: 'id', order: 'asc' }
+    ]);
+
+  let baseBalance = 0;
+  const balances = new Map();
+
+  for (const row of rows) {
+    baseBalance = roundAmount(baseBalance + getSignedAmount(normalBalance, row.base_debit_amount, row.base_credit_amount));
+    const balance = roundAmount((balances.get(row.currency_code) || 0) + getSignedAmount(normalBalance, row.debit_amount, row.credit_amount));
+    balances.set(row.currency_code, balance);
+
+    assert.equal(parseFloat(row.base_balance), baseBalance, `base balance of ledger row ${row.id}`);
+    assert.equal(parseFloat(row.balance), balance, `${row.currency_code} balance of ledger row ${row.id}`);
+  }
+
+  return { rows, baseBalance, balances };
+};
+
+const getAccountBalance = (fixture, account) => {
+  return db('account_balances')
+    .where({
+      organization_id: fixture.organization.id,
+      fiscal_period_id: fixture.fiscalPeriod.id,
+      account_id: account.id
+    });
+};
+
+describe('postToLedger under concurrent postings', () => {
+  let available = false;
+  let fixture;
+
+  before(async () => {
+    try {
+      await db.raw('SELECT 1');
+      available = true;
+    } catch (error) {
+      return;
+    }
+
+    fixture = await createFixture();
+  });
+
+  after(async () => {
+    if (fixture) {
+      await removeFixture(fixture);
+    }
+    await db.destroy();
+  });
+
+  it('keeps running balances and period balances of one account consistent', async (t) => {
+    if (!available) return t.skip('database unavailable');
+
+    // Same date, so every posting appends after the others; mixed amounts catch lost updates
+    await Promise.all(Array.from({ length: CONCURRENT_POSTINGS }, (_, i) => postSale(fixture, {
+      entryNo: `SAME-${i + 1}`,
+      entryDate: '2025-03-15',
+      amount: 100 + i * 0.25
+    })));
+
+    const expectedTotal = roundAmount(Array.from({ length: CONCURRENT_POSTINGS }, (_, i) => 100 + i * 0.25)
+      .reduce((sum, amount) => sum + amount, 0));
+
+    const cash = await assertRunningBalances(fixture.organization.id, fixture.cash, 'debit');
+    const revenue = await assertRunningBalances(fixture.organization.id, fixture.revenue, 'credit');
+    assert.equal(cash.rows.length, CONCURRENT_POSTINGS);
+    assert.equal(cash.baseBalance, expectedTotal);
+    assert.equal(revenue.baseBalance, expectedTotal);
+
+    const [cashBalance] = await getAccountBalance(fixture, fixture.cash);
+    assert.equal(parseFloat(cashBalance.base_debit_amount), expectedTotal);
+    assert.equal(parseFloat(cashBalance.base_closing_balance), expectedTotal);
+  });
+
+  it('resequences later rows when back-dated entries post at the same time', async (t) => {
+    if (!available) return t.skip('database unavailable');
+
+    const previous = await assertRunningBalances(fixture.organization.id, fixture.cash, 'debit');
+
+    // Dates before, between and after the existing rows, posted at once
+    const dates = ['2025-01-10', '2025-03-15', '2025-06-30', '2025-02-01'];
+    await Promise.all(Array.from({ length: CONCURRENT_POSTINGS }, (_, i) => postSale(fixture, {
+      entryNo: `BACK-${i + 1}`,
+      entryDate: dates[i % dates.length],
+      amount: 50
+    })));
+
+    const cash = await assertRunningBalances(fixture.organization.id, fixture.cash, 'debit');
+    assert.equal(cash.baseBalance, roundAmount(previous.baseBalance + CONCURRENT_POSTINGS * 50));
+
+    const [cashBalance] = await getAccountBalance(fixture, fixture.cash);
+    assert.equal(parseFloat(cashBalance.base_closing_balance), cash.baseBalance);
+  });
+
+  it('keeps period balances in base currency when an account is posted to in several currencies', async (t) => {
+    if (!available) return t.skip('database unavailable');
+
+    const previous = await assertRunningBalances(fixture.organization.id, fixture.cash, 'debit');
+
+    await Promise.all(Array.from({ length: CONCURRENT_POSTINGS }, (_, i) => postSale(fixture, {
+      entryNo: `EUR-${i + 1}`,
+      entryDate: '2025-04-01',
+      amount: 10,
+      currencyCode: i % 2 ? 'EUR' : 'USD',
+      exchangeRate: i % 2 ? 1.1 : 1
+    })));
+
+    const cash = await assertRunningBalances(fixture.organization.id, fixture.cash, 'debit');
+    assert.equal(cash.balances.get('EUR'), (CONCURRENT_POSTINGS / 2) * 10);
+    assert.equal(cash.baseBalance, roundAmount(previous.baseBalance + (CONCURRENT_POSTINGS / 2) * (10 + 11)));
+
+    const balanceRows = await getAccountBalance(fixture, fixture.cash);
+    assert.equal(balanceRows.length, 1);
+    assert.equal(balanceRows[0].currency_code, 'USD');
+    assert.equal(parseFloat(balanceRows[0].closing_balance), cash.baseBalance);
+    assert.equal(parseFloat(balanceRows[0].base_closing_balance), cash.baseBalance);
+
+    const report = await checkLedgerIntegrity(fixture.organization.id);
+    assert.equal(report.consistent, true, JSON.stringify(report.discrepancies));
+  });
+});
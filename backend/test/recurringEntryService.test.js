@@ -0,0 +1,67 @@
+// Unit tests for recurring entry scheduling; no database needed
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const { getFirstRunDate, getNextRunDate } = require('../src/services/recurringEntryService');
+
+// recurring_journal_entries row with the given rules
+const schedule = (rules) => ({
+  interval: 1,
+  day_of_month_rule: 'same_day',
+  day_of_month: null,
+  end_date: null,
+  ...rules
+});
+
+// The first scheduled dates of a schedule
+const runDates = (row, count) => {
+  const dates = [getFirstRunDate(row)];
+  while (dates.length < count) {
+    dates.push(getNextRunDate(row, dates[dates.length - 1]));
+  }
+  return dates;
+};
+
+// Services open a connection pool when loaded; close it so the run can end
+after(() => db.destroy());
+
+describe('recurring entry run dates', () => {
+  it('clamps a month-end start to shorter months and returns to the 31st after them', () => {
+    assert.deepEqual(runDates(schedule({ frequency: 'monthly', start_date: '2025-01-31' }), 5), [
+      '2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31'
+    ]);
+  });
+
+  it('runs on February 29 in leap years', () => {
+    assert.deepEqual(runDates(schedule({ frequency: 'quarterly', start_date: '2023-11-30' }), 4), [
+      '2023-11-30', '2024-02-29', '2024-05-30', '2024-08-30'
+    ]);
+  });
+
+  it('runs on the last day of each month with the last_day rule', () => {
+    assert.deepEqual(runDates(schedule({ frequency: 'monthly', start_date: '2025-01-10', day_of_month_rule: 'last_day' }), 4), [
+      '2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30'
+    ]);
+  });
+
+  it('clamps a fixed day past the end of the month', () => {
+    assert.deepEqual(runDates(schedule({ frequency: 'monthly', start_date: '2025-01-01', day_of_month_rule: 'fixed_day', day_of_month: 31 }), 3), [
+      '2025-01-31', '2025-02-28', '2025-03-31'
+    ]);
+  });
+
+  it('starts a fixed day schedule in the next month when the day has passed', () => {
+    const row = schedule({ frequency: 'monthly', start_date: '2025-01-15', day_of_month_rule: 'fixed_day', day_of_month: 5 });
+
+    assert.equal(getFirstRunDate(row), '2025-02-05');
+    assert.equal(getFirstRunDate(row, '2025-03-05'), '2025-04-05');
+  });
+
+  it('stops at the end date', () => {
+    const row = schedule({ frequency: 'weekly', start_date: '2025-03-03', end_date: '2025-03-12' });
+
+    assert.equal(getNextRunDate(row, '2025-03-03'), '2025-03-10');
+    assert.equal(getNextRunDate(row, '2025-03-10'), null);
+    assert.equal(getFirstRunDate(row, '2025-03-10'), null);
+  });
+});
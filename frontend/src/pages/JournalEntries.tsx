@@ -23,14 +23,22 @@ import {
   Select,
   MenuItem,
   IconButton,
-  Grid
+  Grid,
+  List,
+  ListItem,
+  ListItemText
 } from '@mui/material';
-import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  AttachFile as AttachFileIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import api from '../services/api';
-import { JournalEntry, Account } from '../types';
+import { JournalEntry, Account, Attachment, JournalEntryTemplate } from '../types';
 
 const JournalEntries: React.FC = () => {
   const [journalEntries, setJournalEntries] = useState<JournalEntry[]>([]);
@@ -41,6 +49,12 @@ const JournalEntries: React.FC = () => {
   const [selectedOrganization, setSelectedOrganization] = useState('');
   const [organizations, setOrganizations] = useState<any[]>([]);
   
+  // Journal entry detail state
+  const [selectedEntry, setSelectedEntry] = useState<any>(null);
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [uploading, setUploading] = useState(false);
+  const [detailError, setDetailError] = useState('');
+  
   // New journal entry form state
   const [newEntry, setNewEntry] = useState({
     date: new Date(),
@@ -49,6 +63,12 @@ const JournalEntries: React.FC = () => {
     lines: [{ accountId: '', description: '', debit: 0, credit: 0 }]
   });
 
+  // Memorized templates the new entry can start from
+  const [templates, setTemplates] = useState<JournalEntryTemplate[]>([]);
+  const [selectedTemplate, setSelectedTemplate] = useState<JournalEntryTemplate | null>(null);
+  const [templateTotal, setTemplateTotal] = useState(0);
+  const [templateLinesEdited, setTemplateLinesEdited] = useState(false);
+
   useEffect(() => {
     const fetchOrganizations = async () => {
       try {
@@ -89,12 +109,22 @@ const JournalEntries: React.FC = () => {
     fetchData();
   }, [selectedOrganization]);
 
-  const handleOpenDialog = () => {
+  const handleOpenDialog = async () => {
     setOpenDialog(true);
+
+    try {
+      const response = await api.get(`/organizations/${selectedOrganization}/journal-entry-templates`);
+      setTemplates(response.data.data);
+    } catch (err) {
+      setTemplates([]);
+    }
   };
 
   const handleCloseDialog = () => {
     setOpenDialog(false);
+    setSelectedTemplate(null);
+    setTemplateTotal(0);
+    setTemplateLinesEdited(false);
     setNewEntry({
       date: new Date(),
       reference: '',
@@ -123,6 +153,7 @@ const JournalEntries: React.FC = () => {
   const handleLineChange = (index: number, field: string, value: any) => {
     const updatedLines = [...newEntry.lines];
     updatedLines[index] = { ...updatedLines[index], [field]: value };
+    setTemplateLinesEdited(true);
     setNewEntry({
       ...newEntry,
       lines: updatedLines
@@ -130,6 +161,7 @@ const JournalEntries: React.FC = () => {
   };
 
   const addLine = () => {
+    setTemplateLinesEdited(true);
     setNewEntry({
       ...newEntry,
       lines: [...newEntry.lines, { accountId: '', description: '', debit: 0, credit: 0 }]
@@ -139,18 +171,81 @@ const JournalEntries: React.FC = () => {
   const removeLine = (index: number) => {
     const updatedLines = [...newEntry.lines];
     updatedLines.splice(index, 1);
+    setTemplateLinesEdited(true);
     setNewEntry({
       ...newEntry,
       lines: updatedLines
     });
   };
 
-  const handleSubmit = async () => {
+  // Fill the entry lines from a template; percentage lines are split from the total by the server on save
+  const applyTemplate = (template: JournalEntryTemplate) => {
+    const items = template.items || [];
+
+    setTemplateLinesEdited(false);
+    setNewEntry({
+      ...newEntry,
+      reference: template.reference || newEntry.reference,
+      description: template.description || template.name,
+      lines: items.map(item => ({
+        accountId: item.accountId,
+        description: item.description || '',
+        debit: item.side === 'debit' ? item.amount || 0 : 0,
+        credit: item.side === 'credit' ? item.amount || 0 : 0
+      }))
+    });
+  };
+
+  const handleTemplateChange = async (templateId: string) => {
+    if (!templateId) {
+      setSelectedTemplate(null);
+      return;
+    }
+
     try {
-      const response = await api.post(`/organizations/${selectedOrganization}/journal-entries`, {
-        ...newEntry,
-        date: newEntry.date.toISOString().split('T')[0]
+      const response = await api.get(`/organizations/${selectedOrganization}/journal-entry-templates/${templateId}`);
+      setSelectedTemplate(response.data.data);
+      applyTemplate(response.data.data);
+    } catch (err) {
+      setError('Failed to load template');
+    }
+  };
+
+  const handleSaveAsTemplate = async () => {
+    const name = window.prompt('Template name', selectedEntry.description || '');
+    if (!name) return;
+
+    try {
+      await api.post(`/organizations/${selectedOrganization}/journal-entry-templates`, {
+        name,
+        journalEntryId: selectedEntry.id
       });
+      setDetailError('');
+      window.alert(`Saved template "${name}"`);
+    } catch (err: any) {
+      setDetailError(err.response?.data?.error?.message || 'Failed to save template');
+    }
+  };
+
+  const hasPercentageLines = Boolean(selectedTemplate?.items?.some(item => item.percentage !== null));
+
+  const handleSubmit = async () => {
+    const date = newEntry.date.toISOString().split('T')[0];
+
+    try {
+      // An unchanged template is instantiated by the server, which works out the amounts and line currencies
+      const response = selectedTemplate && !templateLinesEdited
+        ? await api.post(`/organizations/${selectedOrganization}/journal-entry-templates/${selectedTemplate.id}/instantiate`, {
+          entryDate: date,
+          description: newEntry.description,
+          reference: newEntry.reference,
+          ...(hasPercentageLines ? { totalAmount: templateTotal } : {})
+        })
+        : await api.post(`/organizations/${selectedOrganization}/journal-entries`, {
+          ...newEntry,
+          date,
+          ...(selectedTemplate ? { templateId: selectedTemplate.id } : {})
+        });
       setJournalEntries([...journalEntries, response.data.data]);
       handleCloseDialog();
     } catch (err) {
@@ -158,6 +253,82 @@ const JournalEntries: React.FC = () => {
     }
   };
 
+  const attachmentsUrl = (entryId: string) =>
+    `/organizations/${selectedOrganization}/attachments/journal-entries/${entryId}`;
+
+  const handleOpenDetail = async (entryId: string) => {
+    try {
+      setDetailError('');
+      const response = await api.get(`/organizations/${selectedOrganization}/journal-entries/${entryId}`);
+      setSelectedEntry(response.data.data);
+      setAttachments(response.data.data.attachments || []);
+    } catch (err) {
+      setError('Failed to fetch journal entry');
+    }
+  };
+
+  const handleCloseDetail = () => {
+    setSelectedEntry(null);
+    setAttachments([]);
+    setDetailError('');
+  };
+
+  const handleUploadAttachment = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file || !selectedEntry) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      setUploading(true);
+      const response = await api.post(attachmentsUrl(selectedEntry.id), formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setAttachments([...attachments, response.data.data]);
+      setDetailError('');
+    } catch (err: any) {
+      setDetailError(err.response?.data?.error?.message || 'Failed to upload attachment');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownloadAttachment = async (attachment: Attachment) => {
+    try {
+      // Downloads need the auth header, so fetch the file and hand it to the browser as a blob
+      const response = await api.get(`${attachmentsUrl(selectedEntry.id)}/${attachment.id}/download`, {
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.fileName;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setDetailError('Failed to download attachment');
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment: Attachment) => {
+    if (!window.confirm(`Delete ${attachment.fileName}?`)) return;
+
+    try {
+      await api.delete(`${attachmentsUrl(selectedEntry.id)}/${attachment.id}`);
+      setAttachments(attachments.filter(a => a.id !== attachment.id));
+    } catch (err: any) {
+      setDetailError(err.response?.data?.error?.message || 'Failed to delete attachment');
+    }
+  };
+
+  const formatFileSize = (size: number) => {
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
   const handleOrganizationChange = (e: React.ChangeEvent<{ value: unknown }>) => {
     setSelectedOrganization(e.target.value as string);
   };
@@ -233,7 +404,7 @@ const JournalEntries: React.FC = () => {
                 journalEntries.map((entry) => {
                   const totalAmount = entry.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
                   return (
-                    <TableRow key={entry.id}>
+                    <TableRow key={entry.id} hover sx={{ cursor: 'pointer' }} onClick={() => handleOpenDetail(entry.id)}>
                       <TableCell>{new Date(entry.date).toLocaleDateString()}</TableCell>
                       <TableCell>{entry.reference}</TableCell>
                       <TableCell>{entry.description}</TableCell>
@@ -251,6 +422,40 @@ const JournalEntries: React.FC = () => {
       <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="md" fullWidth>
         <DialogTitle>Create New Journal Entry</DialogTitle>
         <DialogContent>
+          {templates.length > 0 && (
+            <Grid container spacing={2} sx={{ mt: 1 }}>
+              <Grid item xs={12} md={8}>
+                <FormControl fullWidth>
+                  <InputLabel>Start from template</InputLabel>
+                  <Select
+                    value={selectedTemplate ? selectedTemplate.id : ''}
+                    label="Start from template"
+                    onChange={(e) => handleTemplateChange(e.target.value as string)}
+                  >
+                    <MenuItem value="">None</MenuItem>
+                    {templates.map((template) => (
+                      <MenuItem key={template.id} value={template.id}>
+                        {template.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              {hasPercentageLines && (
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    label="Total Amount"
+                    type="number"
+                    fullWidth
+                    value={templateTotal}
+                    helperText={templateLinesEdited ? 'Lines were edited; the total is not applied' : 'Split across the percentage lines on save'}
+                    onChange={(e) => setTemplateTotal(parseFloat(e.target.value) || 0)}
+                  />
+                </Grid>
+              )}
+            </Grid>
+          )}
+
           <Grid container spacing={2} sx={{ mt: 1 }}>
             <Grid item xs={12} md={4}>
               <LocalizationProvider dateAdapter={AdapterDateFns}>
@@ -381,6 +586,107 @@ const JournalEntries: React.FC = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <Dialog open={Boolean(selectedEntry)} onClose={handleCloseDetail} maxWidth="md" fullWidth>
+        <DialogTitle>
+          Journal Entry {selectedEntry?.entryNo}
+        </DialogTitle>
+        <DialogContent>
+          {selectedEntry && (
+            <>
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid item xs={12} md={3}>
+                  <Typography variant="caption" color="text.secondary">Date</Typography>
+                  <Typography>{new Date(selectedEntry.entryDate).toLocaleDateString()}</Typography>
+                </Grid>
+                <Grid item xs={12} md={3}>
+                  <Typography variant="caption" color="text.secondary">Reference</Typography>
+                  <Typography>{selectedEntry.reference || '-'}</Typography>
+                </Grid>
+                <Grid item xs={12} md={3}>
+                  <Typography variant="caption" color="text.secondary">Status</Typography>
+                  <Typography>{selectedEntry.status}</Typography>
+                </Grid>
+                <Grid item xs={12} md={3}>
+                  <Typography variant="caption" color="text.secondary">Description</Typography>
+                  <Typography>{selectedEntry.description || '-'}</Typography>
+                </Grid>
+              </Grid>
+
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Account</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell align="right">Debit</TableCell>
+                    <TableCell align="right">Credit</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {(selectedEntry.items || []).map((item: any) => (
+                    <TableRow key={item.id}>
+                      <TableCell>{item.accountCode} - {item.accountName}</TableCell>
+                      <TableCell>{item.description}</TableCell>
+                      <TableCell align="right">{Number(item.debitAmount).toFixed(2)}</TableCell>
+                      <TableCell align="right">{Number(item.creditAmount).toFixed(2)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 3 }}>
+                <Typography variant="h6">Attachments</Typography>
+                <Button
+                  variant="outlined"
+                  component="label"
+                  startIcon={uploading ? <CircularProgress size={16} /> : <AttachFileIcon />}
+                  disabled={uploading}
+                >
+                  Attach File
+                  <input type="file" hidden onChange={handleUploadAttachment} />
+                </Button>
+              </Box>
+
+              {detailError && <Alert severity="error" sx={{ mt: 2 }}>{detailError}</Alert>}
+
+              {attachments.length === 0 ? (
+                <Typography color="text.secondary" sx={{ mt: 2 }}>
+                  No attachments. Attach the receipt or invoice supporting this entry.
+                </Typography>
+              ) : (
+                <List dense>
+                  {attachments.map((attachment) => (
+                    <ListItem
+                      key={attachment.id}
+                      secondaryAction={
+                        <>
+                          <IconButton edge="end" onClick={() => handleDownloadAttachment(attachment)}>
+                            <DownloadIcon />
+                          </IconButton>
+                          {selectedEntry.status === 'draft' && (
+                            <IconButton edge="end" color="error" onClick={() => handleDeleteAttachment(attachment)} sx={{ ml: 1 }}>
+                              <DeleteIcon />
+                            </IconButton>
+                          )}
+                        </>
+                      }
+                    >
+                      <ListItemText
+                        primary={attachment.fileName}
+                        secondary={`${formatFileSize(attachment.size)} - uploaded ${new Date(attachment.createdAt).toLocaleString()}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleSaveAsTemplate} disabled={!selectedEntry}>Save as Template</Button>
+          <Button onClick={handleCloseDetail}>Close</Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
@@ -33,6 +33,46 @@ export interface JournalEntryLine {
   updatedAt: string;
 }
 
+export interface Attachment {
+  id: string;
+  entityType: 'journal_entry' | 'account';
+  entityId: string;
+  fileName: string;
+  mimeType: string;
+  size: number;
+  checksum: string;
+  uploadedBy: string;
+  uploadedByEmail?: string;
+  createdAt: string;
+}
+
+export interface JournalEntryTemplateItem {
+  id: string;
+  accountId: string;
+  accountCode: string;
+  accountName: string;
+  side: 'debit' | 'credit';
+  amount: number | null;
+  percentage: number | null;
+  description: string;
+  memo: string;
+  dimensions: Record<string, string> | null;
+  currencyCode: string | null;
+  exchangeRate: number | null;
+}
+
+export interface JournalEntryTemplate {
+  id: string;
+  name: string;
+  description: string;
+  reference: string;
+  currencyCode: string | null;
+  lineCount?: number;
+  items?: JournalEntryTemplateItem[];
+  createdAt: string;
+  updatedAt: string;
+}
+
 export interface Organization {
   id: string;
   name: string;